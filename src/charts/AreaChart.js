@@ -0,0 +1,284 @@
+/**
+ * AreaChart class
+ * Creates area, stacked area and streamgraph charts on top of LineChart
+ *
+ * @author Gabriel Demetrios Lafis
+ * @version 2.1.0
+ */
+import LineChart from './LineChart.js';
+import * as d3 from 'd3';
+
+/**
+ * Stack offsets available through the `offset` option
+ * @private
+ */
+const OFFSETS = {
+  none: d3.stackOffsetNone,
+  expand: d3.stackOffsetExpand,
+  wiggle: d3.stackOffsetWiggle,
+  silhouette: d3.stackOffsetSilhouette,
+  diverging: d3.stackOffsetDiverging
+};
+
+/**
+ * Stack orders available through the `order` option
+ * @private
+ */
+const ORDERS = {
+  none: d3.stackOrderNone,
+  appearance: d3.stackOrderAppearance,
+  ascending: d3.stackOrderAscending,
+  descending: d3.stackOrderDescending,
+  insideOut: d3.stackOrderInsideOut,
+  reverse: d3.stackOrderReverse
+};
+
+/**
+ * AreaChart class extends LineChart to fill the space below each series
+ * Series are either drawn overlapping from a zero baseline or stacked with d3.stack
+ */
+export default class AreaChart extends LineChart {
+  /**
+   * Create a new AreaChart instance
+   *
+   * @param {Object} options - Chart configuration options (see LineChart)
+   * @param {boolean} [options.stacked=false] - Stack series on top of each other
+   * @param {string} [options.offset='none'] - Stack offset: 'none', 'expand', 'wiggle', 'silhouette' or 'diverging'
+   * @param {string} [options.order='none'] - Stack order: 'none', 'appearance', 'ascending', 'descending', 'insideOut' or 'reverse'
+   * @param {number} [options.fillOpacity=0.6] - Area fill opacity
+   * @param {boolean} [options.showLines=true] - Stroke the top edge of each area
+   */
+  constructor(options = {}) {
+    // Set default area-specific options
+    const areaDefaults = {
+      stacked: false,
+      offset: 'none',
+      order: 'none',
+      fillOpacity: 0.6,
+      showLines: true
+    };
+
+    super({ ...areaDefaults, ...options });
+
+    // Set chart type
+    this.type = 'area';
+
+    // Areas carry no point markers unless explicitly requested
+    this.dotRadius = options.dotRadius !== undefined ? options.dotRadius : 0;
+  }
+
+  /**
+   * Areas are drawn as SVG only; the `renderer` option does not apply
+   *
+   * @returns {boolean} False
+   * @protected
+   */
+  supportsCanvas() {
+    return false;
+  }
+
+  /**
+   * Get the d3 stack offset for the configured offset name
+   *
+   * @returns {Function} D3 stack offset
+   */
+  getStackOffset() {
+    const offset = OFFSETS[this.options.offset];
+
+    if (!offset) {
+      throw new Error(`Unknown stack offset '${this.options.offset}'. Available: ${Object.keys(OFFSETS).join(', ')}`);
+    }
+
+    return offset;
+  }
+
+  /**
+   * Get the d3 stack order for the configured order name
+   *
+   * @returns {Function} D3 stack order
+   */
+  getStackOrder() {
+    const order = ORDERS[this.options.order];
+
+    if (!order) {
+      throw new Error(`Unknown stack order '${this.options.order}'. Available: ${Object.keys(ORDERS).join(', ')}`);
+    }
+
+    return order;
+  }
+
+  /**
+   * Split the data into series and give every point a lower (y0) and upper (y1) bound
+   * Unstacked areas start at zero and keep null gaps; stacked areas align all
+   * series on the union of x values, treating missing values as zero
+   *
+   * @returns {Array} Series objects whose points carry y0 and y1
+   */
+  computeSeries() {
+    const series = super.computeSeries();
+
+    if (!this.options.stacked) {
+      series.forEach(s => {
+        s.values.forEach(p => {
+          p.y0 = 0;
+          p.y1 = p.y;
+        });
+      });
+
+      return series;
+    }
+
+    return this.stackSeries(series);
+  }
+
+  /**
+   * Stack series with d3.stack using the configured order and offset
+   *
+   * @param {Array} series - Series returned by LineChart.computeSeries()
+   * @returns {Array} Stacked series in the original series order
+   * @private
+   */
+  stackSeries(series) {
+    const { colorField } = this.options;
+    const keyOf = x => (x instanceof Date ? x.getTime() : x);
+
+    // One row per x value holding the value of every series
+    const rows = new Map();
+    series.forEach(s => {
+      s.values.forEach(p => {
+        const key = keyOf(p.x);
+
+        if (!rows.has(key)) {
+          rows.set(key, { x: p.x, values: new Map() });
+        }
+
+        const row = rows.get(key);
+        row.values.set(s.key, (row.values.get(s.key) || 0) + (p.y || 0));
+      });
+    });
+
+    const table = Array.from(rows.values());
+
+    if (this.getXType() !== 'point') {
+      table.sort((a, b) => d3.ascending(a.x, b.x));
+    }
+
+    const stack = d3.stack()
+      .keys(series.map(s => s.key))
+      .value((row, key) => row.values.get(key) || 0)
+      .order(this.getStackOrder())
+      .offset(this.getStackOffset());
+
+    return stack(table).map((layer, i) => {
+      const stacked = { ...series[i], values: [] };
+
+      stacked.values = layer.map(point => {
+        const p = {
+          x: point.data.x,
+          y: point.data.values.get(layer.key) || 0,
+          y0: point[0],
+          y1: point[1],
+          series: layer.key
+        };
+
+        if (colorField) {
+          p[colorField] = layer.key;
+        }
+
+        return p;
+      });
+
+      return stacked;
+    });
+  }
+
+  /**
+   * Compute the y domain covered by the areas
+   * Zero is kept in view except for the streamgraph offsets, whose baseline floats
+   *
+   * @param {Array} series - Series returned by computeSeries()
+   * @returns {Array} [min, max] of the area bounds
+   * @protected
+   */
+  getYDomain(series) {
+    const { stacked, offset } = this.options;
+    const points = series.flatMap(s => s.values).filter(p => p.y !== null);
+    const floating = stacked && (offset === 'wiggle' || offset === 'silhouette');
+    const min = d3.min(points, p => Math.min(p.y0, p.y1));
+    const max = d3.max(points, p => Math.max(p.y0, p.y1));
+
+    return floating ? [min, max] : [Math.min(0, min), Math.max(0, max)];
+  }
+
+  /**
+   * Points and top lines follow the upper bound of each area
+   *
+   * @param {Object} point - Series point
+   * @returns {number} Y position
+   * @protected
+   */
+  getPointY(point) {
+    return this.yScale(point.y1);
+  }
+
+  /**
+   * Draw the axes, formatting the y axis as percentages for expanded stacks
+   *
+   * @param {Function} xAxis - D3 axis generator for the x axis
+   * @param {Function} yAxis - D3 axis generator for the y axis
+   * @param {Object} t - Transition shared by the render
+   * @protected
+   */
+  drawAxes(xAxis, yAxis, t) {
+    if (this.options.stacked && this.options.offset === 'expand') {
+      yAxis.tickFormat(d3.format('.0%'));
+    }
+
+    super.drawAxes(xAxis, yAxis, t);
+  }
+
+  /**
+   * Draw one filled area per series, plus its top line when enabled
+   *
+   * @param {Array} series - Series to draw
+   * @param {Object} t - Transition shared by the render
+   * @private
+   */
+  drawLines(series, t) {
+    const { dataGroup } = this.container;
+    const { fillOpacity, showLines } = this.options;
+
+    const area = d3.area()
+      .defined(p => p.y !== null)
+      .x(p => this.xScale(p.x))
+      .y0(p => this.yScale(p.y0))
+      .y1(p => this.yScale(p.y1))
+      .curve(this.getCurve());
+
+    // Entering areas rise from their lower bound
+    const flat = d3.area()
+      .defined(p => p.y !== null)
+      .x(p => this.xScale(p.x))
+      .y(p => this.yScale(p.y0))
+      .curve(this.getCurve());
+
+    dataGroup.selectAll('.area')
+      .data(series, s => s.key)
+      .join(
+        enter => enter.append('path')
+          .attr('class', 'area')
+          .attr('d', s => flat(s.values))
+          .style('fill', s => this.getSeriesColor(s.key)),
+        update => update,
+        exit => exit.transition(t)
+          .style('opacity', 0)
+          .remove()
+      )
+      .transition(t)
+      .attr('d', s => area(s.values))
+      .style('fill', s => this.getSeriesColor(s.key))
+      .style('opacity', fillOpacity);
+
+    super.drawLines(showLines ? series : [], t);
+  }
+}
@@ -1,34 +1,418 @@
-// BarChart.js: Implementação inicial de gráfico de barras conforme arquitetura especificada.
-// Didaticamente comentado para uso profissional e compatibilidade total com teste unitário Jest.
-
+/**
+ * BarChart class
+ * Creates bar charts with simple, grouped, stacked and 100% stacked layouts
+ *
+ * @author Gabriel Demetrios Lafis
+ * @version 2.1.0
+ */
 import BaseChart from './BaseChart.js';
+import * as d3 from 'd3';
+import { formatNumber, formatPercentage } from '../utils/formatters.js';
 
 /**
- * BarChart - Gráfico de barras implementado com D3.js.
- * Extende BaseChart para padronização e herança de recursos.
+ * BarChart class extends BaseChart to create bar chart visualizations
+ * Values are aggregated per category (and per series when `colorField` is set)
+ * before being laid out through band/linear scales
  */
 export default class BarChart extends BaseChart {
   /**
-   * Construtor herda de BaseChart.
-   * @param {Object} options - Configuração do gráfico e dados.
+   * Create a new BarChart instance
+   *
+   * @param {Object} options - Chart configuration options
+   * @param {Array} options.data - Array of data objects
+   * @param {string} [options.x='x'] - Field name for categories
+   * @param {string} [options.y='y'] - Field name for values
+   * @param {string} [options.colorField] - Field name splitting bars into series
+   * @param {string} [options.mode='grouped'] - Layout for series: 'grouped', 'stacked' or 'normalized'
+   * @param {string} [options.orientation='vertical'] - Bar orientation: 'vertical' or 'horizontal'
+   * @param {number} [options.padding=0.2] - Padding between categories (0-1)
+   * @param {number} [options.groupPadding=0.05] - Padding between bars of a group (0-1)
+   * @param {number} [options.cornerRadius=0] - Rounded bar corners
    */
   constructor(options = {}) {
-    super(options);
+    // Set default bar-specific options
+    const barDefaults = {
+      mode: 'grouped',
+      orientation: 'vertical',
+      padding: 0.2,
+      groupPadding: 0.05,
+      cornerRadius: 0
+    };
+
+    super({ ...barDefaults, ...options });
+
+    // Set chart type
     this.type = 'bar';
-    // Propriedades específicas podem ser adicionadas aqui
+
+    // Scales in layout terms; xScale/yScale point to them depending on orientation
+    this.categoryScale = null;
+    this.groupScale = null;
+    this.valueScale = null;
+  }
+
+  /**
+   * Whether bars are drawn horizontally
+   *
+   * @returns {boolean} True for horizontal orientation
+   */
+  isHorizontal() {
+    return this.options.orientation === 'horizontal';
+  }
+
+  /**
+   * Aggregate the data and compute the value extent of every bar
+   * Independent of the DOM so layouts can be inspected and tested
+   *
+   * @returns {Object} Layout with categories, seriesKeys, bars and value domain
+   */
+  computeLayout() {
+    const { x, y, colorField, mode } = this.options;
+    const seriesOf = d => (colorField ? d[colorField] : y);
+
+    // Sum values per category and series, keeping first-appearance order
+    const totals = d3.rollup(
+      this.data,
+      values => d3.sum(values, d => +d[y] || 0),
+      d => d[x],
+      seriesOf
+    );
+
+    const categories = Array.from(totals.keys());
+    const seriesKeys = [...new Set(this.data.map(seriesOf))];
+    const bars = [];
+
+    if (mode === 'stacked' || mode === 'normalized') {
+      const stack = d3.stack()
+        .keys(seriesKeys)
+        .value(([, group], key) => group.get(key) || 0)
+        .offset(mode === 'normalized' ? d3.stackOffsetExpand : d3.stackOffsetDiverging);
+
+      stack(Array.from(totals)).forEach(layer => {
+        layer.forEach(point => {
+          const [category, group] = point.data;
+
+          bars.push(this.createBar(category, layer.key, group.get(layer.key) || 0, point[0], point[1]));
+        });
+      });
+    } else {
+      totals.forEach((group, category) => {
+        seriesKeys.forEach(key => {
+          if (group.has(key)) {
+            const value = group.get(key);
+            bars.push(this.createBar(category, key, value, Math.min(0, value), Math.max(0, value)));
+          }
+        });
+      });
+    }
+
+    const domain = mode === 'normalized'
+      ? [0, 1]
+      : [
+        Math.min(0, d3.min(bars, d => d.start)),
+        Math.max(0, d3.max(bars, d => d.end))
+      ];
+
+    return { categories, seriesKeys, bars, domain };
+  }
+
+  /**
+   * Build the descriptor bound to a bar element
+   *
+   * @param {string} category - Category the bar belongs to
+   * @param {string} series - Series key of the bar
+   * @param {number} value - Aggregated value
+   * @param {number} start - Lower end of the bar in value space
+   * @param {number} end - Upper end of the bar in value space
+   * @returns {Object} Bar descriptor
+   * @private
+   */
+  createBar(category, series, value, start, end) {
+    const { colorField } = this.options;
+    const bar = { category, series, value, start, end };
+
+    // Expose the series under its field name so legend filtering can match it
+    if (colorField) {
+      bar[colorField] = series;
+    }
+
+    return bar;
+  }
+
+  /**
+   * Create category, group, value and color scales for a layout
+   *
+   * @param {Object} layout - Layout returned by computeLayout()
+   * @private
+   */
+  createScales(layout) {
+    const { mode, padding, groupPadding, colorField, colorPalette } = this.options;
+    const horizontal = this.isHorizontal();
+    const categoryLength = horizontal ? this.height : this.width;
+
+    this.categoryScale = d3.scaleBand()
+      .domain(layout.categories)
+      .range([0, categoryLength])
+      .padding(padding);
+
+    // Grouped bars share the category band; stacked bars use all of it
+    const groupKeys = mode === 'grouped' ? layout.seriesKeys : [layout.seriesKeys[0]];
+    this.groupScale = d3.scaleBand()
+      .domain(groupKeys)
+      .range([0, this.categoryScale.bandwidth()])
+      .padding(groupKeys.length > 1 ? groupPadding : 0);
+
+    this.valueScale = d3.scaleLinear()
+      .domain(layout.domain)
+      .range(horizontal ? [0, this.width] : [this.height, 0]);
+
+    if (mode !== 'normalized') {
+      this.valueScale.nice();
+    }
+
+    this.xScale = horizontal ? this.valueScale : this.categoryScale;
+    this.yScale = horizontal ? this.categoryScale : this.valueScale;
+
+    this.colorScale = colorField
+      ? d3.scaleOrdinal()
+        .domain(layout.seriesKeys)
+        .range(colorPalette || d3.schemeCategory10)
+      : null;
+  }
+
+  /**
+   * Compute the pixel rectangle of a bar
+   *
+   * @param {Object} bar - Bar descriptor
+   * @returns {Object} Rectangle with x, y, width and height
+   * @private
+   */
+  getBarRect(bar) {
+    const offset = this.options.mode === 'grouped' ? this.groupScale(bar.series) : 0;
+    const position = this.categoryScale(bar.category) + offset;
+    const thickness = this.groupScale.bandwidth();
+    const from = this.valueScale(bar.start);
+    const to = this.valueScale(bar.end);
+
+    if (this.isHorizontal()) {
+      return { x: from, y: position, width: Math.max(0, to - from), height: thickness };
+    }
+
+    return { x: position, y: to, width: thickness, height: Math.max(0, from - to) };
+  }
+
+  /**
+   * Format a value for labels and tooltips
+   *
+   * @param {number} value - Value to format
+   * @returns {string} Formatted value
+   * @private
+   */
+  formatValue(value) {
+    return formatNumber(value, Number.isInteger(value) ? 0 : 2);
   }
 
   /**
-   * Renderiza o gráfico em SVG dentro do container definido.
-   * Para exemplo didático, apenas cria barras SVG estáticas de acordo com os dados.
+   * Key identifying a bar across updates
+   *
+   * @param {Object} bar - Bar descriptor
+   * @returns {string} Bar key
+   * @private
+   */
+  getBarKey(bar) {
+    return `${bar.category}|${bar.series}`;
+  }
+
+  /**
+   * Render the bar chart
+   * Joins the current data with the existing bars so that re-rendering
+   * animates bars to their new size, grows new bars and fades out removed ones
    */
   render() {
-    const container = document.querySelector(this.options.container);
-    if (!container) throw new Error('Container não encontrado!');
-    // Remove gráfico anterior se existir
-    container.innerHTML = '';
-
-    // Criação do SVG principal
-    const width = this.options.width || 400;
-    const height = this.options.height || 300;
-    const svg = document.createElement
+    // Call parent render method for base setup
+    super.render();
+
+    if (!this.data || this.data.length === 0) {
+      return;
+    }
+
+    const layout = this.computeLayout();
+    this.createScales(layout);
+
+    const t = this.createTransition();
+
+    this.drawAxes(t);
+    this.drawBars(layout.bars, t);
+
+    if (this.options.labels) {
+      this.drawLabels(layout.bars, t);
+    } else {
+      this.container.dataGroup.selectAll('.bar-label').remove();
+    }
+
+    if (this.options.legend) {
+      this.drawLegend();
+    }
+  }
+
+  /**
+   * Apply a bar rectangle to a selection or transition
+   *
+   * @param {Object} selection - D3 selection or transition of rects
+   * @param {Function} rectFn - Function returning the rectangle of a bar
+   * @private
+   */
+  applyRect(selection, rectFn) {
+    selection
+      .attr('x', d => rectFn(d).x)
+      .attr('y', d => rectFn(d).y)
+      .attr('width', d => rectFn(d).width)
+      .attr('height', d => rectFn(d).height);
+  }
+
+  /**
+   * Draw the bars into the data group
+   *
+   * @param {Array} bars - Bar descriptors
+   * @param {Object} t - Transition shared by the render
+   * @private
+   */
+  drawBars(bars, t) {
+    const { dataGroup } = this.container;
+    const { x, y, colorField, color, cornerRadius, mode } = this.options;
+    const fill = d => (this.colorScale ? this.colorScale(d.series) : color);
+
+    // Entering bars grow out of the baseline (or the segment below them)
+    const collapsed = d => {
+      const base = mode === 'grouped' ? 0 : d.start;
+      return this.getBarRect({ ...d, start: base, end: base });
+    };
+
+    const rects = dataGroup.selectAll('.bar')
+      .data(bars, d => this.getBarKey(d))
+      .join(
+        enter => enter.append('rect')
+          .attr('class', 'bar')
+          .style('fill', fill)
+          .call(selection => this.applyRect(selection, collapsed)),
+        update => update,
+        exit => exit.transition(t)
+          .style('opacity', 0)
+          .remove()
+      )
+      .attr('rx', cornerRadius)
+      .attr('ry', cornerRadius);
+
+    rects
+      .on('mouseover', (event, d) => {
+        const share = mode === 'normalized' ? ` (${formatPercentage(d.end - d.start)})` : '';
+        const series = colorField ? `<br/>${colorField}: ${d.series}` : '';
+
+        d3.select(event.currentTarget).style('opacity', 0.8);
+        this.showTooltip(event, `${x}: ${d.category}${series}<br/>${y}: ${this.formatValue(d.value)}${share}`);
+      })
+      .on('mousemove', (event) => {
+        this.moveTooltip(event);
+      })
+      .on('mouseout', (event) => {
+        d3.select(event.currentTarget).style('opacity', null);
+        this.hideTooltip();
+      });
+
+    rects.transition(t)
+      .style('fill', fill)
+      .call(transition => this.applyRect(transition, d => this.getBarRect(d)));
+  }
+
+  /**
+   * Draw value labels at the end of each bar
+   * Stacked segments get their label centred inside the segment instead
+   *
+   * @param {Array} bars - Bar descriptors
+   * @param {Object} t - Transition shared by the render
+   * @private
+   */
+  drawLabels(bars, t) {
+    const { dataGroup } = this.container;
+    const { mode } = this.options;
+    const horizontal = this.isHorizontal();
+    const inside = mode !== 'grouped';
+
+    const labelX = d => {
+      const rect = this.getBarRect(d);
+      if (!horizontal) return rect.x + rect.width / 2;
+      return inside ? rect.x + rect.width / 2 : rect.x + rect.width + 4;
+    };
+
+    const labelY = d => {
+      const rect = this.getBarRect(d);
+      if (horizontal || inside) return rect.y + rect.height / 2;
+      return rect.y;
+    };
+
+    dataGroup.selectAll('.bar-label')
+      .data(bars.filter(d => d.value !== 0), d => this.getBarKey(d))
+      .join(
+        enter => enter.append('text')
+          .attr('class', 'bar-label')
+          .attr('font-size', '11px')
+          .attr('x', labelX)
+          .attr('y', labelY)
+          .style('opacity', 0),
+        update => update,
+        exit => exit.remove()
+      )
+      .attr('text-anchor', horizontal && !inside ? 'start' : 'middle')
+      .attr('dy', horizontal || inside ? '0.35em' : '-0.3em')
+      .text(d => (mode === 'normalized' ? formatPercentage(d.end - d.start, 0) : this.formatValue(d.value)))
+      .transition(t)
+      .attr('x', labelX)
+      .attr('y', labelY)
+      .style('opacity', 1);
+  }
+
+  /**
+   * Draw category and value axes with a value format matching the layout
+   *
+   * @param {Object} t - Transition shared by the render
+   * @private
+   */
+  drawAxes(t) {
+    const xAxis = d3.axisBottom(this.xScale);
+    const yAxis = d3.axisLeft(this.yScale);
+    const valueAxis = this.isHorizontal() ? xAxis : yAxis;
+
+    if (this.options.mode === 'normalized') {
+      valueAxis.tickFormat(d3.format('.0%'));
+    } else {
+      valueAxis.ticks(null, '~s');
+    }
+
+    super.drawAxes(xAxis, yAxis, t);
+  }
+
+  /**
+   * Update the bar chart with new data
+   * Bars are matched by category and series and animated to their new values
+   *
+   * @param {Array} newData - New dataset to visualize
+   */
+  update(newData) {
+    super.update(newData);
+
+    if (this.container) {
+      this.render();
+    }
+  }
+
+  /**
+   * Resize the bar chart
+   * Recomputes scales for the new dimensions and moves bars into place
+   */
+  resize() {
+    super.resize();
+
+    if (this.container && this.data) {
+      this.render();
+    }
+  }
+}
@@ -5,6 +5,55 @@
  * @author Gabriel Demetrios Lafis
  * @version 2.1.0
  */
+import * as d3 from 'd3';
+import AnimationEngine, { resolveEasing } from '../core/AnimationEngine.js';
+
+// Easing names are resolved through the AnimationEngine registry so that
+// custom easings registered there work in chart transitions too
+export { resolveEasing };
+
+// Counter giving every zoomable chart its own clip path id
+let clipCounter = 0;
+
+/**
+ * Values accepted by the `renderer` option
+ * @private
+ */
+const RENDERERS = ['svg', 'canvas', 'auto'];
+
+/**
+ * Rescale a scale by a zoom transform
+ * Continuous scales are rescaled through their domain; band and point scales
+ * have no inverse, so their range is stretched instead
+ * 
+ * @param {Function} scale - Unzoomed D3 scale
+ * @param {Object} transform - D3 zoom transform
+ * @param {string} axis - 'x' or 'y'
+ * @returns {Function} Zoomed copy of the scale
+ */
+function rescale(scale, transform, axis) {
+  if (typeof scale.invert === 'function') {
+    return axis === 'x' ? transform.rescaleX(scale) : transform.rescaleY(scale);
+  }
+  
+  const apply = axis === 'x' ? v => transform.applyX(v) : v => transform.applyY(v);
+  return scale.copy().range(scale.range().map(apply));
+}
+
+/**
+ * Get the pixel interval covered by a domain interval
+ * 
+ * @param {Function} scale - D3 scale
+ * @param {Array} domain - [start, end] in data space (categories for band scales)
+ * @returns {Array} Sorted [start, end] in pixels
+ */
+function pixelExtent(scale, [start, end]) {
+  const band = typeof scale.bandwidth === 'function' ? scale.bandwidth() : 0;
+  const [a, b] = [scale(start), scale(end)];
+  
+  return [Math.min(a, b), Math.max(a, b) + band];
+}
+
 export default class BaseChart {
   /**
    * Create a new BaseChart instance
@@ -32,6 +81,13 @@ export default class BaseChart {
       legend: false,
       grid: false,
       labels: false,
+      zoom: false, // true, or 'x' to zoom and pan the x axis only
+      maxZoom: 20,
+      
+      // Rendering: 'svg', 'canvas' or 'auto' (canvas above canvasThreshold rows)
+      renderer: 'svg',
+      canvasThreshold: 2000,
+      pixelRatio: null, // defaults to window.devicePixelRatio
       
       // Animation
       animation: {
@@ -43,6 +99,13 @@ export default class BaseChart {
       ...options
     };
     
+    // Keep animation defaults for keys the caller did not override
+    this.options.animation = {
+      duration: 1000,
+      easing: 'easeLinear',
+      ...(options.animation || {})
+    };
+    
     // Set chart type (to be overridden by subclasses)
     this.type = 'base';
     
@@ -60,6 +123,31 @@ export default class BaseChart {
     this.xScale = null;
     this.yScale = null;
     this.colorScale = null;
+    
+    // Tooltip element (created on demand by createTooltip)
+    this.tooltipDiv = null;
+    
+    // Zoom state: scales before zooming and the current zoom transform
+    this.baseXScale = null;
+    this.baseYScale = null;
+    this.zoomTransform = d3.zoomIdentity;
+    this.zoomBehavior = null;
+    this.clipId = null;
+    
+    // Canvas state: the 2D context while marks are drawn to canvas and the
+    // quadtree of drawn marks used to find the one under the pointer
+    this.canvasContext = null;
+    this.canvasPixelRatio = 1;
+    this.hitIndex = null;
+    this.hitRadius = 0;
+    
+    // Event manager for chart interaction events (set by DataVisualizer)
+    this.eventManager = options.eventManager || null;
+    
+    // Engine driving non-join animations; shared when passed in options
+    this.animationEngine = options.animationEngine || null;
+    this.animations = new Set();
+    this.namedAnimations = new Map();
   }
   
   /**
@@ -71,10 +159,312 @@ export default class BaseChart {
       throw new Error('Chart container not set');
     }
     
-    if (!this.data || this.data.length === 0) {
+    // Drop the message left by a previous render without data
+    this.container.chart.selectAll('.no-data-message').remove();
+    
+    if (!this.hasData()) {
+      this.canvasContext = null;
       this.renderNoDataMessage();
       return;
     }
+    
+    this.setupRenderer();
+  }
+  
+  /**
+   * Whether there is anything to draw
+   * Charts that can draw without rows (e.g. map boundaries) override it
+   * 
+   * @returns {boolean} True if the chart has data
+   * @protected
+   */
+  hasData() {
+    return !!this.data && this.data.length > 0;
+  }
+  
+  /**
+   * Whether the chart can draw its marks to a canvas
+   * Charts with a canvas drawing path override it
+   * 
+   * @returns {boolean} True if the `renderer` option applies to this chart
+   * @protected
+   */
+  supportsCanvas() {
+    return false;
+  }
+  
+  /**
+   * Resolve the `renderer` option for the current data
+   * 'auto' switches to canvas once the data has more than `canvasThreshold`
+   * rows; charts without a canvas drawing path always use SVG
+   * 
+   * @returns {string} 'svg' or 'canvas'
+   */
+  getRenderer() {
+    const { renderer, canvasThreshold } = this.options;
+    
+    if (!RENDERERS.includes(renderer)) {
+      throw new Error(`Unknown renderer '${renderer}'. Available: ${RENDERERS.join(', ')}`);
+    }
+    
+    if (renderer === 'svg' || !this.supportsCanvas()) {
+      return 'svg';
+    }
+    
+    if (renderer === 'auto') {
+      return (this.data ? this.data.length : 0) > canvasThreshold ? 'canvas' : 'svg';
+    }
+    
+    return 'canvas';
+  }
+  
+  /**
+   * Whether the marks of the current render are drawn to the canvas layer
+   * 
+   * @returns {boolean} True while rendering to canvas
+   */
+  isCanvas() {
+    return !!this.canvasContext;
+  }
+  
+  /**
+   * Get the ratio between canvas pixels and CSS pixels
+   * 
+   * @returns {number} `pixelRatio` option, else the device pixel ratio
+   * @protected
+   */
+  getPixelRatio() {
+    const deviceRatio = typeof window !== 'undefined' ? window.devicePixelRatio : null;
+    
+    return this.options.pixelRatio || deviceRatio || 1;
+  }
+  
+  /**
+   * Create or remove the canvas layer for the resolved renderer
+   * Without a 2D context (very old browsers, jsdom) the chart falls back to SVG
+   * 
+   * @protected
+   */
+  setupRenderer() {
+    const { svg, dataGroup } = this.container;
+    const context = this.getRenderer() === 'canvas' ? this.createCanvasLayer() : null;
+    
+    this.canvasContext = context;
+    
+    if (!context) {
+      dataGroup.selectAll('.canvas-layer').remove();
+      svg.on('pointermove.canvas pointerleave.canvas', null);
+      this.hitIndex = null;
+      return;
+    }
+    
+    svg
+      .on('pointermove.canvas', (event) => this.handleCanvasPointer(event))
+      .on('pointerleave.canvas', () => this.hideTooltip());
+  }
+  
+  /**
+   * Size the canvas layer to the plot area and get its 2D context
+   * The canvas sits in a foreignObject inside the data group, so margins, the
+   * zoom clip path and pointer coordinates are the same as for SVG marks. Its
+   * backing store is scaled by the pixel ratio to stay sharp on HiDPI screens
+   * 
+   * @returns {CanvasRenderingContext2D|null} Context, or null if canvas is unsupported
+   * @private
+   */
+  createCanvasLayer() {
+    const { dataGroup } = this.container;
+    const { width, height } = this.getPlotSize();
+    const ratio = this.getPixelRatio();
+    
+    const layer = dataGroup.selectAll('.canvas-layer')
+      .data([null])
+      .join(enter => enter.append('foreignObject')
+        .attr('class', 'canvas-layer')
+        .call(object => object.append('xhtml:canvas')))
+      .attr('width', width)
+      .attr('height', height)
+      // Pointer events go through to the brush and zoom overlays below
+      .attr('pointer-events', 'none');
+    
+    const canvas = layer.select('canvas')
+      .attr('width', Math.round(width * ratio))
+      .attr('height', Math.round(height * ratio))
+      .style('display', 'block')
+      .style('width', `${width}px`)
+      .style('height', `${height}px`)
+      .node();
+    
+    this.canvasPixelRatio = ratio;
+    
+    return typeof canvas.getContext === 'function' ? canvas.getContext('2d') || null : null;
+  }
+  
+  /**
+   * Clear the canvas for a new frame
+   * The returned context is scaled by the pixel ratio, so charts draw in the
+   * same plot coordinates as their SVG marks
+   * 
+   * @returns {CanvasRenderingContext2D} Context to draw the frame with
+   * @protected
+   */
+  beginCanvasFrame() {
+    const context = this.canvasContext;
+    const { width, height } = this.getPlotSize();
+    const ratio = this.canvasPixelRatio;
+    
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.globalAlpha = 1;
+    context.clearRect(0, 0, width, height);
+    
+    return context;
+  }
+  
+  /**
+   * Index the marks drawn to the canvas for hit-testing
+   * 
+   * @param {Array} targets - Marks as { x, y, radius, tooltip } in plot coordinates;
+   *   `tooltip` is HTML or a function returning it, and an optional
+   *   `contains(x, y)` replaces the radius test for non-circular marks
+   * @protected
+   */
+  setHitTargets(targets) {
+    this.hitIndex = d3.quadtree()
+      .x(d => d.x)
+      .y(d => d.y)
+      .addAll(targets);
+    this.hitRadius = d3.max(targets, d => d.radius) || 0;
+  }
+  
+  /**
+   * Find the canvas mark under a position in the plot area
+   * When marks overlap, the one whose center is closest wins
+   * 
+   * @param {number} x - X in plot coordinates
+   * @param {number} y - Y in plot coordinates
+   * @returns {Object|null} Hit target passed to setHitTargets(), or null
+   */
+  hitTest(x, y) {
+    const { width, height } = this.getPlotSize();
+    
+    // Marks panned out of the plot area are clipped and cannot be hovered
+    if (!this.hitIndex || x < 0 || y < 0 || x > width || y > height) {
+      return null;
+    }
+    
+    const radius = this.hitRadius;
+    let found = null;
+    let foundDistance = Infinity;
+    
+    this.hitIndex.visit((node, x0, y0, x1, y1) => {
+      if (!node.length) {
+        do {
+          const target = node.data;
+          const distance = Math.hypot(target.x - x, target.y - y);
+          const hit = target.contains ? target.contains(x, y) : distance <= target.radius;
+          
+          if (hit && distance < foundDistance) {
+            found = target;
+            foundDistance = distance;
+          }
+        } while ((node = node.next));
+      }
+      
+      // Skip quadrants that are farther away than the largest mark
+      return x0 > x + radius || x1 < x - radius || y0 > y + radius || y1 < y - radius;
+    });
+    
+    return found;
+  }
+  
+  /**
+   * Show the tooltip of the canvas mark under the pointer
+   * 
+   * @param {Event} event - Pointer event on the chart SVG
+   * @private
+   */
+  handleCanvasPointer(event) {
+    const [x, y] = d3.pointer(event, this.container.dataGroup.node());
+    const target = this.hitTest(x, y);
+    
+    if (!target) {
+      this.hideTooltip();
+      return;
+    }
+    
+    this.showTooltip(event, typeof target.tooltip === 'function' ? target.tooltip() : target.tooltip);
+  }
+  
+  /**
+   * Create a transition configured from the `animation` options
+   * Pass the result to `selection.transition(t)` so every mark of a render
+   * shares the same timing
+   * 
+   * @param {string} [name] - Transition name, to avoid interrupting unrelated transitions
+   * @returns {Object} D3 transition
+   * @protected
+   */
+  createTransition(name) {
+    const { duration, easing } = this.options.animation;
+    
+    return d3.transition(name)
+      .duration(duration)
+      .ease(resolveEasing(easing));
+  }
+  
+  /**
+   * Emit an interaction event through the chart's EventManager, if any
+   * The chart type is added to the payload so listeners can tell charts apart
+   * 
+   * @param {string} event - Event name (e.g. 'chart:selection')
+   * @param {Object} [payload] - Event data
+   * @protected
+   */
+  emit(event, payload = {}) {
+    if (this.eventManager) {
+      this.eventManager.emit(event, { type: this.type, ...payload });
+    }
+  }
+  
+  /**
+   * Animate elements through the AnimationEngine using the `animation` options
+   * as defaults; handles are cancelled when the chart is destroyed
+   * Like named D3 transitions, a named animation cancels the running one of the
+   * same name, so a re-render takes over from where the marks are
+   * 
+   * @param {Element|Element[]|Object} targets - Element(s) or D3 selection
+   * @param {Object} props - { attr: {...}, style: {...} } (see AnimationEngine.animate)
+   * @param {Object} [options] - name, duration, delay, easing, onFinish
+   * @returns {Animation} Animation handle
+   * @protected
+   */
+  animate(targets, props, { name = null, ...options } = {}) {
+    if (!this.animationEngine) {
+      this.animationEngine = new AnimationEngine();
+    }
+    
+    if (name && this.namedAnimations.has(name)) {
+      this.namedAnimations.get(name).cancel();
+    }
+    
+    const { duration, easing } = this.options.animation;
+    const animation = this.animationEngine.animate(targets, props, { duration, easing, ...options });
+    
+    this.animations.add(animation);
+    
+    if (name) {
+      this.namedAnimations.set(name, animation);
+    }
+    
+    animation.finished.then(() => {
+      this.animations.delete(animation);
+      
+      if (this.namedAnimations.get(name) === animation) {
+        this.namedAnimations.delete(name);
+      }
+    });
+    
+    return animation;
   }
   
   /**
@@ -95,6 +485,67 @@ export default class BaseChart {
     // To be implemented by subclasses
   }
   
+  /**
+   * Draw x and y axes, grid lines for continuous scales and axis titles
+   * Cartesian charts call this after their scales are created
+   * 
+   * @param {Function} [xAxis] - D3 axis generator for the x axis (default: axisBottom(xScale))
+   * @param {Function} [yAxis] - D3 axis generator for the y axis (default: axisLeft(yScale))
+   * @param {Object} [t] - Transition used to animate the axes to their new scales
+   * @protected
+   */
+  drawAxes(xAxis = d3.axisBottom(this.xScale), yAxis = d3.axisLeft(this.yScale), t = this.createTransition()) {
+    const { axisGroup } = this.container;
+    const { grid, xAxisLabel, yAxisLabel } = this.options;
+    const { width, height } = this;
+    
+    // Select or create a single element so repeated renders reuse it
+    const ensure = (tag, className) => axisGroup.selectAll(`.${className.split(' ').join('.')}`)
+      .data([null])
+      .join(tag)
+      .attr('class', className);
+    
+    // Grid lines only make sense along continuous scales
+    const xGrid = grid && typeof this.xScale.ticks === 'function';
+    const yGrid = grid && typeof this.yScale.ticks === 'function';
+    
+    if (xGrid) {
+      ensure('g', 'grid x-grid')
+        .transition(t)
+        .call(d3.axisBottom(this.xScale).tickSize(height).tickFormat(''));
+    } else {
+      axisGroup.selectAll('.x-grid').remove();
+    }
+    
+    if (yGrid) {
+      ensure('g', 'grid y-grid')
+        .transition(t)
+        .call(d3.axisLeft(this.yScale).tickSize(-width).tickFormat(''));
+    } else {
+      axisGroup.selectAll('.y-grid').remove();
+    }
+    
+    this.callAxis(ensure('g', 'axis x-axis').attr('transform', `translate(0, ${height})`), xAxis, 'x', t);
+    this.callAxis(ensure('g', 'axis y-axis'), yAxis, 'y', t);
+    
+    if (xAxisLabel) {
+      ensure('text', 'axis-title x-axis-label')
+        .attr('text-anchor', 'middle')
+        .attr('x', width / 2)
+        .attr('y', height + 40)
+        .text(xAxisLabel);
+    }
+    
+    if (yAxisLabel) {
+      ensure('text', 'axis-title y-axis-label')
+        .attr('text-anchor', 'middle')
+        .attr('transform', 'rotate(-90)')
+        .attr('x', -height / 2)
+        .attr('y', -45)
+        .text(yAxisLabel);
+    }
+  }
+  
   /**
    * Draw the chart legend
    * 
@@ -102,16 +553,13 @@ export default class BaseChart {
    */
   drawLegend(options = {}) {
     const { legendGroup } = this.container;
-    const { colorField, colorPalette } = this.options;
+    const categories = this.getLegendCategories();
     
     // Only draw legend if color mapping is provided
-    if (!colorField || !this.colorScale) {
+    if (!categories || !this.colorScale) {
       return;
     }
     
-    // Get unique color categories
-    const categories = [...new Set(this.data.map(d => d[colorField]))];
-    
     // Default legend options
     const legendOpts = {
       position: 'bottom', // 'top', 'right', 'bottom', 'left'
@@ -141,6 +589,9 @@ export default class BaseChart {
       legendY = height / 2;
     }
     
+    // Replace any legend from a previous render
+    legendGroup.selectAll('.legend').remove();
+    
     // Create legend container
     const legend = legendGroup.append('g')
       .attr('class', 'legend')
@@ -189,12 +640,35 @@ export default class BaseChart {
     });
   }
   
+  /**
+   * Get the categories listed in the legend
+   * Charts whose colors do not come from `colorField` override it
+   * 
+   * @returns {Array|null} Unique `colorField` values, or null without a color mapping
+   * @protected
+   */
+  getLegendCategories() {
+    const { colorField } = this.options;
+    
+    return colorField ? [...new Set(this.data.map(d => d[colorField]))] : null;
+  }
+  
+  /**
+   * Get the legend category of a drawn mark
+   * 
+   * @param {Object} d - Datum bound to the mark
+   * @returns {*} Legend category of the mark
+   * @protected
+   */
+  getLegendKey(d) {
+    return d[this.options.colorField];
+  }
+  
   /**
    * Filter data based on active legend items
    * @private
    */
   filterByLegend() {
-    const { colorField } = this.options;
     const { dataGroup } = this.container;
     
     // Get inactive categories
@@ -206,10 +680,291 @@ export default class BaseChart {
     // Filter data elements
     dataGroup.selectAll('.bar, .line, .point, .slice, .area')
       .style('opacity', d => {
-        return inactiveCategories.includes(d[colorField]) ? 0.2 : 1;
+        return inactiveCategories.includes(this.getLegendKey(d)) ? 0.2 : 1;
       });
   }
   
+  /**
+   * Get the size of the plot area in dataGroup coordinates
+   * 
+   * @returns {Object} { width, height }
+   * @protected
+   */
+  getPlotSize() {
+    return { width: this.width, height: this.height };
+  }
+  
+  /**
+   * Redraw axes and marks from the current scales
+   * Called on every zoom event; zoomable charts override it
+   * 
+   * @param {Object} t - Transition to draw with
+   * @protected
+   */
+  redraw() {
+    // Nothing to redraw in the base chart
+  }
+  
+  /**
+   * Draw an axis into its group
+   * While zoomed, band and point scales extend past the plot area, so their
+   * axis only labels the categories in view and hides its domain line
+   * 
+   * @param {Object} group - D3 selection of the axis group
+   * @param {Function} axis - D3 axis generator
+   * @param {string} name - 'x' or 'y'
+   * @param {Object} t - Transition to draw with
+   * @protected
+   */
+  callAxis(group, axis, name, t) {
+    const zoomedCategories = typeof axis.scale().invert !== 'function' && this.zoomTransform.k > 1;
+    
+    if (zoomedCategories) {
+      axis.tickValues(this.getVisibleDomain(name));
+    }
+    
+    group.transition(t).call(axis);
+    group.select('.domain').style('display', zoomedCategories ? 'none' : null);
+  }
+  
+  /**
+   * Keep the freshly computed scales as the unzoomed base and apply the
+   * current zoom to them, so re-rendering keeps the user's zoom level
+   * 
+   * @protected
+   */
+  applyZoomToScales() {
+    this.baseXScale = this.xScale.copy();
+    this.baseYScale = this.yScale.copy();
+    this.rescaleToTransform(this.zoomTransform);
+  }
+  
+  /**
+   * Derive xScale and yScale from the base scales and a zoom transform
+   * 
+   * @param {Object} transform - D3 zoom transform
+   * @private
+   */
+  rescaleToTransform(transform) {
+    this.xScale = rescale(this.baseXScale, transform, 'x');
+    this.yScale = this.options.zoom === 'x'
+      ? this.baseYScale.copy()
+      : rescale(this.baseYScale, transform, 'y');
+  }
+  
+  /**
+   * Attach wheel/drag/pinch zoom to the plot area, or detach it when the
+   * `zoom` option is off. Double-click resets the zoom
+   * 
+   * @protected
+   */
+  setupZoom() {
+    const { dataGroup } = this.container;
+    const { zoom, maxZoom } = this.options;
+    
+    if (!zoom) {
+      dataGroup.on('.zoom', null).on('dblclick.reset', null).attr('clip-path', null);
+      dataGroup.selectAll('.zoom-overlay, .zoom-clip').remove();
+      this.zoomBehavior = null;
+      return;
+    }
+    
+    const { width, height } = this.getPlotSize();
+    
+    if (!this.clipId) {
+      this.clipId = `chart-clip-${++clipCounter}`;
+    }
+    
+    // Clip zoomed marks to the plot area
+    dataGroup.selectAll('.zoom-clip')
+      .data([null])
+      .join(enter => enter.append('clipPath').attr('class', 'zoom-clip').call(clip => clip.append('rect')))
+      .attr('id', this.clipId)
+      .select('rect')
+      .attr('width', width)
+      .attr('height', height);
+    
+    dataGroup.attr('clip-path', `url(#${this.clipId})`);
+    
+    // Transparent overlay behind the marks so empty space also catches gestures
+    dataGroup.selectAll('.zoom-overlay')
+      .data([null])
+      .join(enter => enter.insert('rect', ':first-child').attr('class', 'zoom-overlay'))
+      .attr('width', width)
+      .attr('height', height);
+    
+    this.zoomBehavior = d3.zoom()
+      .scaleExtent([1, maxZoom])
+      .extent([[0, 0], [width, height]])
+      .translateExtent([[0, 0], [width, height]])
+      .on('zoom', (event) => this.handleZoom(event.transform));
+    
+    // The zoom state lives on the node; keep it in sync with this chart
+    dataGroup.property('__zoom', this.zoomTransform);
+    
+    dataGroup
+      .call(this.zoomBehavior)
+      .on('dblclick.zoom', null)
+      .on('dblclick.reset', () => this.resetZoom());
+  }
+  
+  /**
+   * Rescale and redraw for a new zoom transform, then emit `chart:zoomed`
+   * 
+   * @param {Object} transform - D3 zoom transform
+   * @protected
+   */
+  handleZoom(transform) {
+    this.zoomTransform = transform;
+    this.rescaleToTransform(transform);
+    this.redraw(this.createTransition().duration(0));
+    
+    this.emit('chart:zoomed', {
+      transform: { k: transform.k, x: transform.x, y: transform.y },
+      xDomain: this.getVisibleDomain('x'),
+      yDomain: this.getVisibleDomain('y')
+    });
+  }
+  
+  /**
+   * Get the part of a domain visible in the plot area
+   * 
+   * @param {string} axis - 'x' or 'y'
+   * @returns {Array} [min, max] for continuous scales, visible categories otherwise
+   */
+  getVisibleDomain(axis) {
+    const scale = axis === 'x' ? this.xScale : this.yScale;
+    
+    if (typeof scale.invert === 'function') {
+      return scale.domain();
+    }
+    
+    const size = axis === 'x' ? this.getPlotSize().width : this.getPlotSize().height;
+    const band = typeof scale.bandwidth === 'function' ? scale.bandwidth() : 0;
+    
+    return scale.domain().filter(d => scale(d) + band >= 0 && scale(d) <= size);
+  }
+  
+  /**
+   * Zoom so that a domain interval fills the plot area
+   * 
+   * @param {Array} xDomain - [start, end] on the x axis (categories for band scales)
+   * @param {Array} [yDomain] - [start, end] on the y axis; ignored for x-only zoom
+   * @returns {Object} Target zoom transform
+   */
+  zoomTo(xDomain, yDomain = null) {
+    if (!this.zoomBehavior) {
+      throw new Error('Zoom is not enabled; set the `zoom` option');
+    }
+    
+    const { width, height } = this.getPlotSize();
+    const [x0, x1] = pixelExtent(this.baseXScale, xDomain);
+    const useY = yDomain && this.options.zoom !== 'x';
+    const [y0, y1] = useY ? pixelExtent(this.baseYScale, yDomain) : [0, height];
+    
+    const k = useY
+      ? Math.min(width / (x1 - x0), height / (y1 - y0))
+      : width / (x1 - x0);
+    
+    const transform = d3.zoomIdentity
+      .translate(width / 2, height / 2)
+      .scale(k)
+      .translate(-(x0 + x1) / 2, -(y0 + y1) / 2);
+    
+    this.container.dataGroup
+      .transition(this.createTransition('zoom'))
+      .call(this.zoomBehavior.transform, transform);
+    
+    return transform;
+  }
+  
+  /**
+   * Animate back to the unzoomed view
+   */
+  resetZoom() {
+    if (this.zoomBehavior) {
+      this.container.dataGroup
+        .transition(this.createTransition('zoom'))
+        .call(this.zoomBehavior.transform, d3.zoomIdentity);
+    }
+  }
+  
+  /**
+   * Remove everything the chart has drawn inside its container groups
+   * Used by subclasses before redrawing from scratch (e.g. on resize)
+   * 
+   * @protected
+   */
+  clearContainer() {
+    const { axisGroup, dataGroup, legendGroup, annotationGroup } = this.container;
+    
+    [axisGroup, dataGroup, legendGroup, annotationGroup].forEach(group => {
+      if (group) {
+        group.selectAll('*').remove();
+      }
+    });
+  }
+  
+  /**
+   * Create the tooltip element shared by all marks of this chart
+   * 
+   * @returns {Object} D3 selection of the tooltip div
+   * @protected
+   */
+  createTooltip() {
+    if (!this.tooltipDiv) {
+      this.tooltipDiv = d3.select('body').append('div')
+        .attr('class', `tooltip ${this.type}-tooltip`)
+        .style('opacity', 0);
+    }
+    
+    return this.tooltipDiv;
+  }
+  
+  /**
+   * Show the tooltip next to the pointer
+   * 
+   * @param {Event} event - Pointer event that triggered the tooltip
+   * @param {string} html - Tooltip content
+   * @protected
+   */
+  showTooltip(event, html) {
+    if (!this.options.tooltip) {
+      return;
+    }
+    
+    this.createTooltip()
+      .html(html)
+      .style('opacity', 1);
+    
+    this.moveTooltip(event);
+  }
+  
+  /**
+   * Keep the tooltip next to the pointer while it moves
+   * 
+   * @param {Event} event - Pointer event
+   * @protected
+   */
+  moveTooltip(event) {
+    if (this.tooltipDiv) {
+      this.tooltipDiv
+        .style('left', `${event.pageX + 10}px`)
+        .style('top', `${event.pageY - 10}px`);
+    }
+  }
+  
+  /**
+   * Hide the tooltip
+   * 
+   * @protected
+   */
+  hideTooltip() {
+    if (this.tooltipDiv) {
+      this.tooltipDiv.style('opacity', 0);
+    }
+  }
+  
   /**
    * Render a message when no data is available
    * @private
@@ -218,6 +973,9 @@ export default class BaseChart {
     const { chart } = this.container;
     const { width, height } = this;
     
+    // Marks from a previous render no longer match the (empty) data
+    this.clearContainer();
+    
     chart.append('text')
       .attr('class', 'no-data-message')
       .attr('text-anchor', 'middle')
@@ -230,7 +988,15 @@ export default class BaseChart {
    * Clean up resources when the chart is no longer needed
    */
   destroy() {
-    // Remove event listeners and clean up resources
-    // To be implemented by subclasses if needed
+    // Stop this chart's engine animations without touching others sharing the engine
+    this.animations.forEach(animation => animation.cancel());
+    this.animations.clear();
+    this.namedAnimations.clear();
+    
+    // Remove the shared tooltip; further cleanup is done by subclasses
+    if (this.tooltipDiv) {
+      this.tooltipDiv.remove();
+      this.tooltipDiv = null;
+    }
   }
 }
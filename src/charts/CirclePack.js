@@ -0,0 +1,137 @@
+/**
+ * CirclePack class
+ * Creates circle-packing views of hierarchical data
+ *
+ * @author Gabriel Demetrios Lafis
+ * @version 2.1.0
+ */
+import HierarchyChart from './HierarchyChart.js';
+import * as d3 from 'd3';
+
+/**
+ * CirclePack class extends HierarchyChart to draw a hierarchy as nested circles
+ * Leaves are labelled in their center and groups along the top of their circle,
+ * each only when the circle is wide enough for the name
+ */
+export default class CirclePack extends HierarchyChart {
+  /**
+   * Create a new CirclePack instance
+   *
+   * @param {Object} options - Chart configuration options (see HierarchyChart)
+   * @param {number} [options.padding=3] - Gap between sibling circles, in px
+   */
+  constructor(options = {}) {
+    // Set default packing-specific options
+    const packDefaults = {
+      padding: 3
+    };
+
+    super({ ...packDefaults, ...options });
+
+    // Set chart type
+    this.type = 'pack';
+  }
+
+  /**
+   * Build the hierarchy and pack it into the chart area
+   *
+   * @returns {Object} Hierarchy root with x, y and r on every node
+   */
+  computeHierarchy() {
+    const root = super.computeHierarchy();
+
+    return d3.pack()
+      .size([this.width, this.height])
+      .padding(this.options.padding)(root);
+  }
+
+  /**
+   * Describe every circle, the root included
+   * Independent of the DOM so layouts and label decisions can be tested
+   *
+   * @returns {Array} Circles { key, name, node, x, y, r, label, labelY }
+   */
+  computeCircles() {
+    const { labels } = this.options;
+
+    return this.root.descendants().map(node => {
+      const name = this.getNodeName(node);
+      const leaf = !node.children;
+
+      // Group labels sit inside the top of the circle, where the chord is about 1.4 r wide
+      const fits = leaf
+        ? this.fitsLabel(name, node.r * 2, node.r * 2)
+        : this.fitsLabel(name, node.r * 1.4, node.r / 2);
+
+      return {
+        key: this.getNodeKey(node),
+        name,
+        node,
+        x: node.x,
+        y: node.y,
+        r: node.r,
+        label: labels && node.depth > 0 && fits ? name : null,
+        labelY: leaf ? 0 : -node.r + 14
+      };
+    });
+  }
+
+  /**
+   * Render the packed circles
+   * Circles are matched by their path from the root so updates move and resize them
+   */
+  render() {
+    // Call parent render method for base setup
+    super.render();
+
+    if (!this.hasData()) {
+      return;
+    }
+
+    this.root = this.computeHierarchy();
+    this.createColorScale();
+
+    const t = this.createTransition();
+    const circles = this.computeCircles();
+
+    const nodes = this.container.dataGroup.selectAll('.pack-node')
+      .data(circles, d => d.key)
+      .join(
+        enter => enter.append('g')
+          .attr('class', 'pack-node')
+          .attr('transform', d => `translate(${d.x}, ${d.y})`)
+          .call(g => g.append('circle')
+            .attr('class', 'pack-circle')
+            .attr('r', 0))
+          .call(g => g.append('text')
+            .attr('class', 'pack-label')
+            .attr('text-anchor', 'middle')
+            .attr('dy', '0.35em')
+            .call(selection => this.styleLabels(selection))),
+        update => update,
+        exit => exit.transition(t)
+          .style('opacity', 0)
+          .remove()
+      )
+      .classed('pack-group', d => !!d.node.children)
+      // Inner circles are drawn over the circles containing them
+      .sort((a, b) => a.node.depth - b.node.depth);
+
+    nodes.transition(t)
+      .attr('transform', d => `translate(${d.x}, ${d.y})`);
+
+    nodes.select('.pack-circle')
+      .call(selection => this.bindTooltip(selection))
+      .transition(t)
+      .attr('r', d => d.r)
+      .style('fill', d => (d.node.depth === 0 ? '#f5f5f5' : this.getNodeColor(d.node)))
+      .style('fill-opacity', d => (d.node.children ? 0.2 : 0.8))
+      .style('stroke', d => (d.node.children ? '#999' : null));
+
+    nodes.select('.pack-label')
+      .text(d => d.label || '')
+      .attr('font-weight', d => (d.node.children ? 'bold' : null))
+      .transition(t)
+      .attr('y', d => d.labelY);
+  }
+}
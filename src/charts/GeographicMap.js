@@ -1,74 +1,1262 @@
-// GeographicMap.js: Gráfico geográfico básico, ideal para evolução futura com projeções e GeoJSON.
-// Herdando BaseChart, compatível com Jest.
-
+/**
+ * GeographicMap class
+ * Draws GeoJSON/TopoJSON boundaries and located points with d3-geo projections
+ *
+ * @author Gabriel Demetrios Lafis
+ * @version 2.1.0
+ */
 import BaseChart from './BaseChart.js';
+import * as d3 from 'd3';
+import * as topojson from 'topojson-client';
+import { formatNumber } from '../utils/formatters.js';
+import { createColorScale, drawColorLegend } from '../utils/colorScales.js';
+
+/**
+ * Projections available through the `projection` option
+ * The d3 export names ('geoNaturalEarth1') are accepted as well
+ * @private
+ */
+const PROJECTIONS = {
+  mercator: d3.geoMercator,
+  naturalEarth1: d3.geoNaturalEarth1,
+  albersUsa: d3.geoAlbersUsa,
+  equirectangular: d3.geoEquirectangular,
+  orthographic: d3.geoOrthographic
+};
+
+/**
+ * Overlay layers and whether they are shown by default
+ * @private
+ */
+const LAYERS = {
+  symbols: true,
+  clusters: false,
+  flows: true
+};
+
+// Counter giving every map its own pattern and gradient ids
+let mapCounter = 0;
+
+/**
+ * Cities shown when the map is created without data or boundaries
+ * @private
+ */
+const SAMPLE_CITIES = [
+  { nome: 'São Paulo', lat: -23.55, lon: -46.63, value: 100 },
+  { nome: 'Rio de Janeiro', lat: -22.9, lon: -43.2, value: 65 },
+  { nome: 'Curitiba', lat: -25.43, lon: -49.27, value: 45 },
+  { nome: 'Brasília', lat: -15.79, lon: -47.88, value: 80 }
+];
+
+/**
+ * Normalize GeoJSON input to an array of features
+ *
+ * @param {Object|Array} geojson - FeatureCollection, Feature, geometry or array of features
+ * @returns {Array} Features
+ */
+export function toFeatures(geojson) {
+  if (!geojson) {
+    return [];
+  }
+
+  if (Array.isArray(geojson)) {
+    return geojson;
+  }
+
+  if (geojson.type === 'FeatureCollection') {
+    return geojson.features;
+  }
+
+  if (geojson.type === 'Feature') {
+    return [geojson];
+  }
+
+  return [{ type: 'Feature', properties: {}, geometry: geojson }];
+}
 
 /**
- * GeographicMap - Exemplo didático de mapa geográfico em SVG.
- * Exibe círculos representando cidades/Estados com base em dados de localização aproximados.
+ * GeographicMap class extends BaseChart to draw maps
+ * Boundaries come from the `geoData` option; rows with latitude/longitude are drawn as
+ * proportional symbols, optionally clustered, and `flows` rows as great-circle arcs
+ * Clicking a region zooms into it, or drills down into its children when `loadChildren` is set
  */
 export default class GeographicMap extends BaseChart {
+  /**
+   * Create a new GeographicMap instance
+   *
+   * @param {Object} options - Chart configuration options
+   * @param {Array} [options.data] - Rows to plot; rows with latitude/longitude become points
+   * @param {Object|Array} [options.geoData] - GeoJSON (FeatureCollection, Feature, features) or TopoJSON topology
+   * @param {string} [options.topologyObject] - TopoJSON object to draw (default: the first one)
+   * @param {string|Function} [options.projection='naturalEarth1'] - mercator, naturalEarth1, albersUsa, equirectangular, orthographic, or a d3 projection
+   * @param {Array} [options.rotate] - Projection rotation [lambda, phi]; orthographic maps center on the data by default
+   * @param {number} [options.fitPadding=10] - Space kept around the fitted geometry
+   * @param {boolean} [options.graticule=false] - Draw a graticule behind the boundaries
+   * @param {string} [options.featureKey='name'] - Feature property identifying a region
+   * @param {string} [options.latitude='lat'] - Field name for point latitude
+   * @param {string} [options.longitude='lon'] - Field name for point longitude
+   * @param {string} [options.labelField='nome'] - Field name for point labels
+   * @param {string} [options.valueField='value'] - Field name for point and region values
+   * @param {string} [options.joinField] - Row field matched against the `featureKey` property; enables the choropleth
+   * @param {string} [options.colorScaleType='sequential'] - Choropleth scale: sequential, diverging, quantize, quantile, threshold or log
+   * @param {string} [options.colorScheme] - d3-scale-chromatic scheme name (default: Blues, RdBu for diverging)
+   * @param {Function} [options.colorScale] - D3 scale to use instead; its domain is fitted to the joined values
+   * @param {number} [options.classes=5] - Number of classes for quantize and quantile scales
+   * @param {Array} [options.thresholds] - Class breaks for the threshold scale
+   * @param {number} [options.midpoint] - Diverging midpoint (default: median of the values)
+   * @param {string} [options.noDataColor='#ccc'] - Base color of regions without data, drawn hatched
+   * @param {Object} [options.layers] - Overlay layers to show: { symbols: true, clusters: false, flows: true }
+   * @param {number} [options.maxRadius=20] - Radius of the largest symbol; symbol area is proportional to value
+   * @param {number} [options.minRadius=2] - Smallest radius drawn, so tiny values stay visible
+   * @param {boolean} [options.avoidCollisions=true] - Push overlapping symbols apart, with a leader line to their location
+   * @param {number} [options.clusterRadius=40] - Screen distance within which symbols merge into a cluster
+   * @param {Array} [options.flows] - Origin-destination rows drawn as great-circle arcs
+   * @param {string} [options.flowSource='origin'] - Flow field with the origin: [lon, lat] or a point label
+   * @param {string} [options.flowTarget='destination'] - Flow field with the destination: [lon, lat] or a point label
+   * @param {string} [options.flowValue='volume'] - Flow field giving the arc width
+   * @param {number} [options.maxFlowWidth=8] - Stroke width of the largest flow
+   * @param {boolean} [options.zoom=false] - Enable wheel/drag zoom; clusters split as you zoom in
+   * @param {boolean} [options.clickToZoom=true] - Clicking a region zooms into it; clicking it again zooms out
+   * @param {Function} [options.loadChildren] - (feature, path) => child GeoJSON, { geoData, data }, or a Promise of either; null for leaf regions
+   * @param {string} [options.rootName='All'] - Label of the top level in the breadcrumbs
+   */
   constructor(options = {}) {
-    super(options);
+    // Set default map-specific options
+    const mapDefaults = {
+      geoData: null,
+      topologyObject: null,
+      projection: 'naturalEarth1',
+      rotate: null,
+      fitPadding: 10,
+      graticule: false,
+      featureKey: 'name',
+      latitude: 'lat',
+      longitude: 'lon',
+      labelField: 'nome',
+      valueField: 'value',
+      joinField: null,
+      colorScaleType: 'sequential',
+      colorScheme: null,
+      colorScale: null,
+      classes: 5,
+      thresholds: null,
+      midpoint: null,
+      noDataColor: '#ccc',
+      maxRadius: 20,
+      minRadius: 2,
+      avoidCollisions: true,
+      clusterRadius: 40,
+      flows: null,
+      flowSource: 'origin',
+      flowTarget: 'destination',
+      flowValue: 'volume',
+      maxFlowWidth: 8,
+      clickToZoom: true,
+      loadChildren: null,
+      rootName: 'All',
+      color: '#2ca02c',
+      legend: true
+    };
+
+    super({ ...mapDefaults, ...options });
+
+    // Layer flags are merged so a partial object keeps the other defaults
+    this.options.layers = { ...LAYERS, ...options.layers };
+
+    // Set chart type
     this.type = 'geographic';
+
+    // Show sample cities when there is nothing else to draw
+    if ((!this.data || this.data.length === 0) && !this.options.geoData) {
+      this.data = SAMPLE_CITIES;
+    }
+
+    this.projection = null;
+    this.path = null;
+    this.features = [];
+
+    // Symbol offsets of the last collision layout
+    this.collisionCache = null;
+
+    // Rows joined to features by key, and the choropleth color scale
+    this.joined = new Map();
+    this.colorScale = null;
+    this.idPrefix = `map-${++mapCounter}`;
+
+    // Region zoomed into, and the parent levels left by drilling down
+    this.focusedKey = null;
+    this.drillStack = [];
+
+    // Whether children of a clicked region are being loaded
+    this.loading = false;
+  }
+
+  /**
+   * A map can be drawn from boundaries alone
+   *
+   * @returns {boolean} True if there are rows or boundaries to draw
+   * @protected
+   */
+  hasData() {
+    return super.hasData() || !!this.options.geoData;
+  }
+
+  /**
+   * Get the features to draw from the `geoData` option
+   * TopoJSON topologies are converted with topojson-client
+   *
+   * @returns {Array} GeoJSON features
+   */
+  getFeatures() {
+    const { geoData } = this.options;
+
+    if (geoData && geoData.type === 'Topology') {
+      return toFeatures(topojson.feature(geoData, this.getTopologyObject()));
+    }
+
+    return toFeatures(geoData);
+  }
+
+  /**
+   * Get the TopoJSON object selected by `topologyObject`
+   *
+   * @returns {Object} TopoJSON geometry object
+   * @private
+   */
+  getTopologyObject() {
+    const { geoData, topologyObject } = this.options;
+    const names = Object.keys(geoData.objects);
+    const name = topologyObject || names[0];
+
+    if (!geoData.objects[name]) {
+      throw new Error(`Unknown TopoJSON object '${name}'. Available: ${names.join(', ')}`);
+    }
+
+    return geoData.objects[name];
+  }
+
+  /**
+   * Get the key identifying a feature across renders
+   *
+   * @param {Object} feature - GeoJSON feature
+   * @param {number} index - Feature index
+   * @returns {string} Feature key
+   */
+  getFeatureKey(feature, index) {
+    const properties = feature.properties || {};
+    const key = properties[this.options.featureKey];
+
+    if (key !== undefined && key !== null) {
+      return String(key);
+    }
+
+    return feature.id !== undefined ? String(feature.id) : String(index);
+  }
+
+  /**
+   * Whether regions are colored by joined values
+   *
+   * @returns {boolean} True in choropleth mode
+   */
+  isChoropleth() {
+    return !!this.options.joinField;
+  }
+
+  /**
+   * Join rows to features: row[joinField] is matched against the feature key
+   * Values of rows sharing a key are summed
+   *
+   * @returns {Map} Feature key -> { value, rows }
+   */
+  joinData() {
+    const { joinField, valueField } = this.options;
+    const joined = new Map();
+
+    (this.data || []).forEach(d => {
+      const key = d[joinField];
+      const value = +d[valueField];
+
+      if (key === undefined || key === null || d[valueField] === null || d[valueField] === undefined || isNaN(value)) {
+        return;
+      }
+
+      const entry = joined.get(String(key)) || { value: 0, rows: [] };
+      entry.value += value;
+      entry.rows.push(d);
+      joined.set(String(key), entry);
+    });
+
+    return joined;
+  }
+
+  /**
+   * Create the choropleth color scale for the joined values
+   *
+   * @param {Array} values - Joined region values
+   * @returns {Function} D3 color scale
+   */
+  createColorScale(values) {
+    const { colorScale, colorScaleType, colorScheme, classes, thresholds, midpoint } = this.options;
+
+    return createColorScale(values, {
+      type: colorScaleType,
+      scheme: colorScheme,
+      scale: colorScale,
+      classes,
+      thresholds,
+      midpoint
+    });
+  }
+
+  /**
+   * Get the fill of a feature: its value color, or the no-data hatch
+   *
+   * @param {Object} feature - GeoJSON feature
+   * @param {number} index - Feature index
+   * @returns {string|null} Fill, or null outside choropleth mode
+   * @private
+   */
+  getFeatureFill(feature, index) {
+    if (!this.isChoropleth()) {
+      return null;
+    }
+
+    const entry = this.joined.get(this.getFeatureKey(feature, index));
+
+    return entry ? this.colorScale(entry.value) : `url(#${this.idPrefix}-no-data)`;
+  }
+
+  /**
+   * Build the tooltip of a region: its name, joined value and the fields of its row
+   *
+   * @param {Object} feature - GeoJSON feature
+   * @param {number} index - Feature index
+   * @returns {string} Tooltip HTML
+   */
+  getFeatureTooltip(feature, index) {
+    const { joinField, valueField } = this.options;
+    const key = this.getFeatureKey(feature, index);
+    let html = `<strong>${key}</strong>`;
+
+    if (!this.isChoropleth()) {
+      return html;
+    }
+
+    const entry = this.joined.get(key);
+
+    if (!entry) {
+      return `${html}<br/>No data`;
+    }
+
+    html += `<br/>${valueField}: ${formatNumber(entry.value)}`;
+
+    if (entry.rows.length > 1) {
+      return `${html}<br/>${entry.rows.length} rows`;
+    }
+
+    Object.entries(entry.rows[0])
+      .filter(([field]) => field !== joinField && field !== valueField)
+      .forEach(([field, value]) => {
+        html += `<br/>${field}: ${typeof value === 'number' ? formatNumber(value) : value}`;
+      });
+
+    return html;
+  }
+
+  /**
+   * Rows that carry a location, with their [longitude, latitude]
+   *
+   * @returns {Array} Located rows as { datum, coordinates }
+   */
+  getLocatedRows() {
+    const { latitude, longitude } = this.options;
+
+    return (this.data || [])
+      .filter(d => d[latitude] !== undefined && d[latitude] !== null && d[longitude] !== undefined && d[longitude] !== null)
+      .map(d => ({ datum: d, coordinates: [+d[longitude], +d[latitude]] }));
+  }
+
+  /**
+   * Whether an overlay layer is shown
+   *
+   * @param {string} name - symbols, clusters or flows
+   * @returns {boolean} True if the layer is on
+   */
+  isLayerVisible(name) {
+    return !!this.options.layers[name];
+  }
+
+  /**
+   * Show or hide an overlay layer and redraw
+   *
+   * @param {string} name - symbols, clusters or flows
+   * @param {boolean} [visible] - New state (default: toggle)
+   * @returns {GeographicMap} This chart
+   */
+  setLayerVisible(name, visible = !this.isLayerVisible(name)) {
+    if (!(name in LAYERS)) {
+      throw new Error(`Unknown layer '${name}'. Available: ${Object.keys(LAYERS).join(', ')}`);
+    }
+
+    this.options.layers[name] = !!visible;
+
+    if (this.container) {
+      this.render();
+    }
+
+    return this;
+  }
+
+  /**
+   * Compute the proportional symbols for the located rows at the current zoom
+   * Radii scale with the square root of the value so areas are proportional
+   *
+   * @returns {Array} Symbols { key, rows, coordinates, anchor, value, r, x, y }
+   */
+  computeSymbols() {
+    const { labelField, valueField, maxRadius, minRadius, clusterRadius, avoidCollisions } = this.options;
+
+    // Points outside the projection's domain (e.g. AlbersUsa) are skipped
+    const points = this.getLocatedRows()
+      .map(r => ({ ...r, position: this.projection(r.coordinates) }))
+      .filter(p => p.position)
+      .map(p => ({
+        key: `${p.datum[labelField]}|${p.coordinates.join(',')}`,
+        rows: [p.datum],
+        coordinates: p.coordinates,
+        anchor: this.zoomTransform.apply(p.position),
+        value: +p.datum[valueField] || 0
+      }));
+
+    const symbols = this.isLayerVisible('clusters') ? this.clusterSymbols(points, clusterRadius) : points;
+    const radius = d3.scaleSqrt()
+      .domain([0, d3.max(symbols, d => d.value) || 1])
+      .range([0, maxRadius]);
+
+    symbols.forEach(d => {
+      d.r = Math.max(minRadius, radius(Math.max(0, d.value)));
+      d.x = d.anchor[0];
+      d.y = d.anchor[1];
+    });
+
+    if (avoidCollisions && symbols.length > 1) {
+      this.resolveCollisions(symbols);
+    }
+
+    return symbols;
+  }
+
+  /**
+   * Merge symbols closer than `radius` pixels, largest values first
+   * Clusters sit at the mean position of their members and sum their values
+   *
+   * @param {Array} points - Symbols with screen anchors
+   * @param {number} radius - Merge distance in pixels
+   * @returns {Array} Single symbols and clusters
+   */
+  clusterSymbols(points, radius) {
+    const remaining = [...points].sort((a, b) => b.value - a.value);
+    const clusters = [];
+
+    while (remaining.length > 0) {
+      const seed = remaining.shift();
+      const members = [seed];
+
+      for (let i = remaining.length - 1; i >= 0; i--) {
+        const p = remaining[i];
+
+        if (Math.hypot(p.anchor[0] - seed.anchor[0], p.anchor[1] - seed.anchor[1]) <= radius) {
+          members.push(p);
+          remaining.splice(i, 1);
+        }
+      }
+
+      if (members.length === 1) {
+        clusters.push(seed);
+        continue;
+      }
+
+      clusters.push({
+        key: `cluster:${seed.key}`,
+        rows: members.flatMap(m => m.rows),
+        coordinates: seed.coordinates,
+        anchor: [d3.mean(members, m => m.anchor[0]), d3.mean(members, m => m.anchor[1])],
+        value: d3.sum(members, m => m.value)
+      });
+    }
+
+    return clusters;
+  }
+
+  /**
+   * Move overlapping symbols apart while pulling each towards its anchor
+   * The offsets from the anchors are cached, so panning reuses them; the
+   * simulation runs again only when the data, the projection, the zoom scale
+   * or the set of symbols changes
+   *
+   * @param {Array} symbols - Symbols with x, y and r; positions are updated in place
+   * @private
+   */
+  resolveCollisions(symbols) {
+    const projection = this.projection;
+    const layout = [
+      projection.scale(),
+      projection.translate(),
+      projection.rotate ? projection.rotate() : '',
+      this.zoomTransform.k,
+      symbols.map(d => `${d.key}:${d.r}`).join(';')
+    ].join('|');
+    const cache = this.collisionCache;
+
+    if (!cache || cache.data !== this.data || cache.layout !== layout) {
+      d3.forceSimulation(symbols)
+        .force('x', d3.forceX(d => d.anchor[0]).strength(0.2))
+        .force('y', d3.forceY(d => d.anchor[1]).strength(0.2))
+        .force('collide', d3.forceCollide(d => d.r + 1))
+        .stop()
+        .tick(120);
+
+      this.collisionCache = {
+        data: this.data,
+        layout,
+        offsets: new Map(symbols.map(d => [d.key, [d.x - d.anchor[0], d.y - d.anchor[1]]]))
+      };
+      return;
+    }
+
+    symbols.forEach(d => {
+      const [dx, dy] = cache.offsets.get(d.key);
+      d.x = d.anchor[0] + dx;
+      d.y = d.anchor[1] + dy;
+    });
+  }
+
+  /**
+   * Resolve a flow endpoint to [longitude, latitude]
+   *
+   * @param {Array|string} endpoint - Coordinates, or the label of a located row
+   * @returns {Array|null} Coordinates, or null if the endpoint is unknown
+   */
+  resolveFlowEndpoint(endpoint) {
+    if (Array.isArray(endpoint)) {
+      return [+endpoint[0], +endpoint[1]];
+    }
+
+    const located = this.getLocatedRows().find(r => r.datum[this.options.labelField] === endpoint);
+
+    return located ? located.coordinates : null;
+  }
+
+  /**
+   * Compute the flow arcs; unresolved endpoints are skipped
+   *
+   * @returns {Array} Flows { key, datum, value, geometry } with LineString geometries
+   */
+  computeFlows() {
+    const { flows, flowSource, flowTarget, flowValue } = this.options;
+
+    return (flows || [])
+      .map((d, i) => ({
+        key: `${i}`,
+        datum: d,
+        value: +d[flowValue] || 0,
+        source: this.resolveFlowEndpoint(d[flowSource]),
+        target: this.resolveFlowEndpoint(d[flowTarget])
+      }))
+      .filter(f => f.source && f.target)
+      .map(f => ({
+        key: f.key,
+        datum: f.datum,
+        value: f.value,
+        // geoPath resamples LineStrings along great circles
+        geometry: { type: 'LineString', coordinates: [f.source, f.target] }
+      }));
+  }
+
+  /**
+   * Create the configured projection, without fitting it
+   *
+   * @returns {Function} D3 projection
+   */
+  createProjection() {
+    const { projection } = this.options;
+
+    if (typeof projection === 'function') {
+      return typeof projection.invert === 'function' ? projection : projection();
+    }
+
+    const name = String(projection).replace(/^geo(.)/, (_, first) => first.toLowerCase());
+    const factory = PROJECTIONS[name];
+
+    if (!factory) {
+      throw new Error(`Unknown projection '${projection}'. Available: ${Object.keys(PROJECTIONS).join(', ')}`);
+    }
+
+    return factory();
+  }
+
+  /**
+   * Geometry the projection is fitted to: the boundaries, else the points
+   *
+   * @returns {Object} GeoJSON object
+   * @private
+   */
+  getFitTarget() {
+    if (this.features.length > 0) {
+      return { type: 'FeatureCollection', features: this.features };
+    }
+
+    const coordinates = this.getLocatedRows().map(r => r.coordinates);
+
+    return coordinates.length > 1
+      ? { type: 'MultiPoint', coordinates }
+      : { type: 'Sphere' };
+  }
+
+  /**
+   * Create the projection and fit it to the plot area
+   *
+   * @returns {Function} Fitted D3 projection
+   */
+  fitProjection() {
+    const { rotate, fitPadding } = this.options;
+    const projection = this.createProjection();
+    const target = this.getFitTarget();
+
+    // Globes face the data unless told otherwise
+    if (rotate) {
+      projection.rotate(rotate);
+    } else if (projection.clipAngle && projection.clipAngle() && projection.rotate && target.type !== 'Sphere') {
+      const [lambda, phi] = d3.geoCentroid(target);
+      projection.rotate([-lambda, -phi]);
+    }
+
+    const { width, height } = this;
+    const padding = Math.min(fitPadding, width / 4, height / 4);
+
+    return projection.fitExtent([[padding, padding], [width - padding, height - padding]], target);
   }
 
   /**
-   * Renderiza um mapa SVG simulado usando círculos em coordenadas aproximadas.
+   * Render the map
+   * Boundaries and points are joined by key so re-rendering with another
+   * projection or data morphs them into place
    */
   render() {
-    const container = document.querySelector(this.options.container);
-    if (!container) throw new Error('Container não encontrado!');
-
-    container.innerHTML = '';
-
-    const width = this.options.width || 400;
-    const height = this.options.height || 300;
-
-    // Dados simulados: "nome" da cidade/estado, "lat", "lon", "valor/opcional"
-    const data = Array.isArray(this.data) && this.data.length
-      ? this.data
-      : [
-          { nome: 'São Paulo', lat: -23.55, lon: -46.63, value: 100 },
-          { nome: 'Rio de Janeiro', lat: -22.9, lon: -43.2, value: 65 },
-          { nome: 'Curitiba', lat: -25.43, lon: -49.27, value: 45 },
-          { nome: 'Brasília', lat: -15.79, lon: -47.88, value: 80 }
-        ];
-
-    // Projeto simples de latitude/longitude para SVG (ajustável)
-    const latRange = { min: -34, max: -15 };
-    const lonRange = { min: -55, max: -35 };
-
-    function proj(lon, lat) {
-      const x = ((lon - lonRange.min) / (lonRange.max - lonRange.min)) * width;
-      const y = ((lat - latRange.min) / (latRange.max - latRange.min)) * height;
-      return { x, y };
-    }
-
-    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-    svg.setAttribute('width', width);
-    svg.setAttribute('height', height);
-
-    // Adiciona círculos para cada localidade
-    data.forEach((d) => {
-      const pos = proj(d.lon, d.lat);
-      const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-      circle.setAttribute('cx', pos.x);
-      circle.setAttribute('cy', pos.y);
-      circle.setAttribute('r', Math.max(5, d.value / 15));
-      circle.setAttribute('fill', this.options.color || '#2ca02c');
-      circle.setAttribute('stroke', '#333');
-      svg.appendChild(circle);
-
-      // Label das cidades
-      const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-      label.setAttribute('x', pos.x + 8);
-      label.setAttribute('y', pos.y + 4);
-      label.setAttribute('font-size', '12px');
-      label.setAttribute('fill', '#333');
-      label.textContent = d.nome;
-      svg.appendChild(label);
+    // Call parent render method for base setup
+    super.render();
+
+    if (!this.hasData()) {
+      return;
+    }
+
+    this.features = this.getFeatures();
+    this.projection = this.fitProjection();
+    this.path = d3.geoPath(this.projection);
+
+    if (this.isChoropleth()) {
+      this.joined = this.joinData();
+      const values = Array.from(this.joined.values(), entry => entry.value);
+      this.colorScale = values.length > 0 ? this.createColorScale(values) : null;
+    }
+
+    const t = this.createTransition();
+
+    this.drawDefs();
+    this.drawBase(t);
+    this.drawFeatures(t);
+    this.drawFlows(t);
+    this.redraw(t);
+    this.setupZoom();
+    this.drawBreadcrumbs();
+
+    if (this.isChoropleth() && this.options.legend) {
+      this.drawChoroplethLegend();
+    } else {
+      this.container.legendGroup.selectAll('.choropleth-legend').remove();
+    }
+  }
+
+  /**
+   * Get or create a layer group inside the data group, in drawing order
+   *
+   * @param {string} name - Layer class name
+   * @returns {Object} D3 selection of the layer group
+   * @private
+   */
+  getLayer(name) {
+    const order = ['map-defs', 'map-base', 'map-features', 'map-boundaries', 'map-flows', 'map-points'];
+    const { dataGroup } = this.container;
+    let layer = dataGroup.select(`.${name}`);
+
+    if (layer.empty()) {
+      const next = order.slice(order.indexOf(name) + 1).map(n => `.${n}`).join(', ');
+      const before = next ? dataGroup.select(next) : null;
+
+      layer = before && !before.empty()
+        ? dataGroup.insert('g', () => before.node()).attr('class', name)
+        : dataGroup.append('g').attr('class', name);
+    }
+
+    return layer;
+  }
+
+  /**
+   * Define the hatch pattern marking regions without data
+   *
+   * @private
+   */
+  drawDefs() {
+    const pattern = this.getLayer('map-defs').selectAll('pattern')
+      .data([null])
+      .join(enter => enter.append('pattern')
+        .attr('id', `${this.idPrefix}-no-data`)
+        .attr('patternUnits', 'userSpaceOnUse')
+        .attr('width', 6)
+        .attr('height', 6)
+        .attr('patternTransform', 'rotate(45)')
+        .call(p => p.append('rect').attr('width', 6).attr('height', 6))
+        .call(p => p.append('line').attr('y2', 6).attr('stroke', '#fff').attr('stroke-width', 2)));
+
+    pattern.select('rect').attr('fill', this.options.noDataColor);
+  }
+
+  /**
+   * Draw the sphere outline and graticule
+   *
+   * @param {Object} t - Transition shared by the render
+   * @private
+   */
+  drawBase(t) {
+    const layer = this.getLayer('map-base');
+    const globe = !!(this.projection.clipAngle && this.projection.clipAngle());
+    const shapes = [];
+
+    if (globe) {
+      shapes.push({ key: 'sphere', geometry: { type: 'Sphere' } });
+    }
+
+    if (this.options.graticule) {
+      shapes.push({ key: 'graticule', geometry: d3.geoGraticule10() });
+    }
+
+    layer.selectAll('path')
+      .data(shapes, d => d.key)
+      .join(enter => enter.append('path').attr('class', d => `map-${d.key}`))
+      .transition(t)
+      .attr('d', d => this.path(d.geometry));
+  }
+
+  /**
+   * Draw one path per feature, plus the shared borders of TopoJSON input
+   *
+   * @param {Object} t - Transition shared by the render
+   * @private
+   */
+  drawFeatures(t) {
+    const { geoData } = this.options;
+
+    this.getLayer('map-features').selectAll('.country')
+      .data(this.features, (f, i) => this.getFeatureKey(f, i))
+      .join(
+        enter => enter.append('path')
+          .attr('class', 'country')
+          .attr('d', this.path)
+          .style('opacity', 0),
+        update => update,
+        exit => exit.transition(t)
+          .style('opacity', 0)
+          .remove()
+      )
+      .classed('no-data', (f, i) => this.isChoropleth() && !this.joined.has(this.getFeatureKey(f, i)))
+      .classed('focused', (f, i) => this.getFeatureKey(f, i) === this.focusedKey)
+      .on('mouseover', (event, f) => {
+        d3.select(event.currentTarget).classed('hovered', true);
+        this.showTooltip(event, this.getFeatureTooltip(f, this.features.indexOf(f)));
+      })
+      .on('mousemove', (event) => {
+        this.moveTooltip(event);
+      })
+      .on('mouseout', (event) => {
+        d3.select(event.currentTarget).classed('hovered', false);
+        this.hideTooltip();
+      })
+      .on('click', (event, f) => {
+        this.handleFeatureClick(f);
+      })
+      .transition(t)
+      .attr('d', this.path)
+      .style('fill', (f, i) => this.getFeatureFill(f, i))
+      .style('opacity', 1);
+
+    // Topologies know which arcs are shared, so borders are drawn once
+    const borders = geoData && geoData.type === 'Topology'
+      ? [topojson.mesh(geoData, this.getTopologyObject(), (a, b) => a !== b)]
+      : [];
+
+    this.getLayer('map-boundaries').selectAll('.map-boundary')
+      .data(borders)
+      .join('path')
+      .attr('class', 'map-boundary')
+      .transition(t)
+      .attr('d', this.path);
+  }
+
+  /**
+   * Redraw the zoomable layers for the current zoom transform
+   * Geometry layers are transformed; symbols are re-laid out so they keep their size
+   *
+   * @param {Object} t - Transition to draw with
+   * @protected
+   */
+  redraw(t) {
+    ['map-base', 'map-features', 'map-boundaries', 'map-flows'].forEach(name => {
+      this.getLayer(name).attr('transform', this.zoomTransform.toString());
+    });
+
+    this.drawPoints(t);
+  }
+
+  /**
+   * Redraw for a new zoom transform, then emit `chart:zoomed`
+   *
+   * @param {Object} transform - D3 zoom transform
+   * @protected
+   */
+  handleZoom(transform) {
+    this.zoomTransform = transform;
+    this.redraw(this.createTransition().duration(0));
+
+    // Animated zooms bypass d3.zoom, so keep its state on the node in sync
+    this.container.dataGroup.property('__zoom', transform);
+
+    this.emit('chart:zoomed', {
+      transform: { k: transform.k, x: transform.x, y: transform.y }
+    });
+  }
+
+  /**
+   * Draw origin-destination flows as great-circle arcs, wider for larger volumes
+   *
+   * @param {Object} t - Transition shared by the render
+   * @private
+   */
+  drawFlows(t) {
+    const { flowSource, flowTarget, flowValue, maxFlowWidth } = this.options;
+    const flows = this.isLayerVisible('flows') ? this.computeFlows() : [];
+    const width = d3.scaleLinear()
+      .domain([0, d3.max(flows, f => f.value) || 1])
+      .range([1, maxFlowWidth]);
+
+    this.getLayer('map-flows').selectAll('.map-flow')
+      .data(flows, f => f.key)
+      .join(
+        enter => enter.append('path')
+          .attr('class', 'map-flow')
+          .attr('d', f => this.path(f.geometry))
+          .style('opacity', 0),
+        update => update,
+        exit => exit.transition(t)
+          .style('opacity', 0)
+          .remove()
+      )
+      .on('mouseover', (event, f) => {
+        this.showTooltip(event, `${f.datum[flowSource]} → ${f.datum[flowTarget]}<br/>${flowValue}: ${formatNumber(f.value)}`);
+      })
+      .on('mousemove', (event) => {
+        this.moveTooltip(event);
+      })
+      .on('mouseout', () => {
+        this.hideTooltip();
+      })
+      .transition(t)
+      .attr('d', f => this.path(f.geometry))
+      .style('stroke', this.options.color)
+      .style('stroke-width', f => width(f.value))
+      .style('opacity', 1);
+  }
+
+  /**
+   * Draw the proportional symbols and clusters, with labels and tooltips
+   * Clicking a cluster zooms in on it when zoom is enabled
+   *
+   * @param {Object} t - Transition to draw with
+   * @private
+   */
+  drawPoints(t) {
+    const { labelField, valueField } = this.options;
+    const symbols = this.isLayerVisible('symbols') ? this.computeSymbols() : [];
+    const isCluster = d => d.rows.length > 1;
+
+    const groups = this.getLayer('map-points').selectAll('.map-point')
+      .data(symbols, d => d.key)
+      .join(
+        enter => enter.append('g')
+          .attr('class', 'map-point')
+          .attr('transform', d => `translate(${d.x}, ${d.y})`)
+          .call(g => g.append('line').attr('class', 'symbol-leader'))
+          .call(g => g.append('circle').attr('class', 'point').attr('r', 0))
+          .call(g => g.append('text').attr('font-size', '12px')),
+        update => update,
+        exit => exit.transition(t)
+          .style('opacity', 0)
+          .remove()
+      )
+      .classed('cluster', isCluster);
+
+    groups.select('text')
+      .attr('x', d => (isCluster(d) ? 0 : d.r + 3))
+      .attr('y', 4)
+      .attr('text-anchor', d => (isCluster(d) ? 'middle' : 'start'))
+      .text(d => (isCluster(d) ? d.rows.length : d.rows[0][labelField] || ''));
+
+    groups
+      .on('mouseover', (event, d) => {
+        const label = isCluster(d) ? `${d.rows.length} locations` : d.rows[0][labelField] || '';
+        const value = isCluster(d) ? d.value : d.rows[0][valueField];
+        this.showTooltip(event, `${label}${value !== undefined ? `<br/>${valueField}: ${formatNumber(value)}` : ''}`);
+      })
+      .on('mousemove', (event) => {
+        this.moveTooltip(event);
+      })
+      .on('mouseout', () => {
+        this.hideTooltip();
+      })
+      .on('click', (event, d) => {
+        if (isCluster(d) && this.zoomBehavior) {
+          this.container.dataGroup
+            .transition(this.createTransition('zoom'))
+            .call(this.zoomBehavior.scaleBy, 2, d.anchor);
+        }
+      })
+      .transition(t)
+      .attr('transform', d => `translate(${d.x}, ${d.y})`);
+
+    // Leader lines point from displaced symbols back to their location
+    groups.select('line')
+      .transition(t)
+      .attr('x2', d => d.anchor[0] - d.x)
+      .attr('y2', d => d.anchor[1] - d.y);
+
+    groups.select('circle')
+      .style('fill', this.options.color)
+      .style('stroke', '#333')
+      .transition(t)
+      .attr('r', d => d.r);
+  }
+
+  /**
+   * Drill into a clicked region when children can be loaded, otherwise zoom into it
+   *
+   * @param {Object} feature - Clicked GeoJSON feature
+   * @returns {Promise<boolean>} Resolves true if the map drilled down
+   * @private
+   */
+  handleFeatureClick(feature) {
+    this.hideTooltip();
+
+    // Clicks while a level is loading would drill twice
+    if (this.loading) {
+      return Promise.resolve(false);
+    }
+
+    const drill = this.options.loadChildren ? this.drillDown(feature) : Promise.resolve(false);
+
+    return drill.then(drilled => {
+      // A failed load stays on the current level without zooming
+      if (drilled === false && this.options.clickToZoom) {
+        const key = this.getFeatureKey(feature, this.features.indexOf(feature));
+
+        if (key === this.focusedKey) {
+          this.resetZoom();
+        } else {
+          this.zoomToFeature(feature);
+        }
+      }
+
+      return drilled;
     });
+  }
 
-    // Título didático
-    const title = document.createElement
+  /**
+   * Compute the zoom transform framing a feature in the plot area
+   *
+   * @param {Object} feature - GeoJSON feature
+   * @returns {Object} D3 zoom transform
+   */
+  getFeatureTransform(feature) {
+    const { width, height } = this.getPlotSize();
+    const [[x0, y0], [x1, y1]] = this.path.bounds(feature);
+    const fill = Math.max((x1 - x0) / width, (y1 - y0) / height);
+    const k = Math.max(1, Math.min(this.options.maxZoom, 0.9 / fill));
+
+    return d3.zoomIdentity
+      .translate(width / 2, height / 2)
+      .scale(k)
+      .translate(-(x0 + x1) / 2, -(y0 + y1) / 2);
+  }
+
+  /**
+   * Animate the map into a feature and emit `chart:region-selected`
+   *
+   * @param {Object} feature - GeoJSON feature
+   * @returns {Object} Zoom transition
+   */
+  zoomToFeature(feature) {
+    const index = this.features.indexOf(feature);
+    const key = this.getFeatureKey(feature, index);
+    const entry = this.joined.get(key);
+
+    this.focusedKey = key;
+    this.getLayer('map-features').selectAll('.country')
+      .classed('focused', (f, i) => this.getFeatureKey(f, i) === key);
+
+    this.emit('chart:region-selected', {
+      region: key,
+      feature,
+      data: entry ? entry.rows : []
+    });
+
+    return this.animateZoom(this.getFeatureTransform(feature));
+  }
+
+  /**
+   * Animate back to the whole map and clear the selected region
+   *
+   * @returns {Object} Zoom transition
+   */
+  resetZoom() {
+    if (this.focusedKey !== null) {
+      this.focusedKey = null;
+      this.getLayer('map-features').selectAll('.country').classed('focused', false);
+      this.emit('chart:region-selected', { region: null, feature: null, data: [] });
+    }
+
+    return this.animateZoom(d3.zoomIdentity);
+  }
+
+  /**
+   * Fly from the current zoom transform to another one
+   * Uses d3.interpolateZoom so large moves zoom out and back in smoothly
+   *
+   * @param {Object} transform - Target zoom transform
+   * @returns {Object} Zoom transition
+   * @private
+   */
+  animateZoom(transform) {
+    const { width, height } = this.getPlotSize();
+    const view = z => [(width / 2 - z.x) / z.k, (height / 2 - z.y) / z.k, width / z.k];
+    const interpolate = d3.interpolateZoom(view(this.zoomTransform), view(transform));
+
+    return this.container.dataGroup
+      .transition(this.createTransition('zoom'))
+      .tween('zoom', () => (p) => {
+        const [cx, cy, w] = interpolate(p);
+        const k = width / w;
+
+        this.handleZoom(d3.zoomIdentity.translate(width / 2 - cx * k, height / 2 - cy * k).scale(k));
+      });
+  }
+
+  /**
+   * Load the children of a region and show them in place of the current level
+   * A failing loader keeps the current level and emits `chart:drilldown-error`
+   *
+   * @param {Object} feature - Region to drill into
+   * @returns {Promise<boolean|null>} Resolves false if the region has no children, null if loading failed
+   */
+  drillDown(feature) {
+    const key = this.getFeatureKey(feature, this.features.indexOf(feature));
+    const path = this.getBreadcrumbs().map(crumb => crumb.name);
+
+    this.loading = true;
+
+    // Wrapped so that a loader throwing synchronously rejects like a failed fetch
+    return Promise.resolve()
+      .then(() => this.options.loadChildren(feature, path))
+      .then(result => {
+        this.loading = false;
+
+        if (!result) {
+          return false;
+        }
+
+        const child = result.geoData ? result : { geoData: result };
+
+        this.drillStack.push({ key, feature, geoData: this.options.geoData, data: this.data });
+        this.showLevel(child.geoData, child.data || this.data, 'down');
+
+        return true;
+      })
+      .catch(error => {
+        this.loading = false;
+        this.emit('chart:drilldown-error', { region: key, path, error });
+
+        return null;
+      });
+  }
+
+  /**
+   * Go back up to a breadcrumb level
+   *
+   * @param {number} [level] - Level to show, 0 being the top (default: the parent)
+   * @returns {GeographicMap} This chart
+   */
+  drillUp(level = this.drillStack.length - 1) {
+    if (level < 0 || level >= this.drillStack.length) {
+      return this;
+    }
+
+    const parent = this.drillStack[level];
+
+    this.drillStack = this.drillStack.slice(0, level);
+    this.showLevel(parent.geoData, parent.data, 'up');
+
+    return this;
+  }
+
+  /**
+   * Render a drill-down level from the whole-map view and emit `chart:drilldown`
+   *
+   * @param {Object} geoData - Boundaries of the level
+   * @param {Array} data - Rows of the level
+   * @param {string} direction - 'down' or 'up'
+   * @private
+   */
+  showLevel(geoData, data, direction) {
+    const path = this.getBreadcrumbs();
+
+    this.options.geoData = geoData;
+    this.data = data;
+    this.focusedKey = null;
+    this.zoomTransform = d3.zoomIdentity;
+    this.container.dataGroup.interrupt('zoom');
+    this.render();
+
+    this.emit('chart:drilldown', {
+      direction,
+      level: this.drillStack.length,
+      region: this.drillStack.length > 0 ? path[path.length - 1].name : null,
+      path: path.map(crumb => crumb.name),
+      data: this.data
+    });
+  }
+
+  /**
+   * Get the breadcrumb trail from the top level to the current one
+   *
+   * @returns {Array} Crumbs { name, level }
+   */
+  getBreadcrumbs() {
+    return [
+      { name: this.options.rootName, level: 0 },
+      ...this.drillStack.map((entry, i) => ({ name: entry.key, level: i + 1 }))
+    ];
+  }
+
+  /**
+   * Draw the breadcrumbs of a drill-down map; every level but the current one is clickable
+   *
+   * @private
+   */
+  drawBreadcrumbs() {
+    const { annotationGroup } = this.container;
+    const crumbs = this.options.loadChildren ? this.getBreadcrumbs() : [];
+
+    const text = annotationGroup.selectAll('.map-breadcrumbs')
+      .data(crumbs.length > 0 ? [null] : [])
+      .join('text')
+      .attr('class', 'map-breadcrumbs')
+      .attr('x', 4)
+      .attr('y', 14)
+      .attr('font-size', '12px');
+
+    // Inline tspans flow one after the other, so no text measuring is needed
+    text.selectAll('tspan')
+      .data(crumbs.flatMap((crumb, i) => (i === 0 ? [crumb] : [{ separator: true }, crumb])))
+      .join('tspan')
+      .attr('class', d => (d.separator ? 'breadcrumb-separator' : 'breadcrumb'))
+      .classed('current', d => !d.separator && d.level === crumbs.length - 1)
+      .text(d => (d.separator ? ' › ' : d.name))
+      .on('click', (event, d) => {
+        if (!d.separator && d.level < crumbs.length - 1) {
+          this.drillUp(d.level);
+        }
+      });
+  }
+
+  /**
+   * Draw the choropleth legend: a color ramp for continuous scales, swatches
+   * with class breaks for discrete ones, and a no-data swatch when needed
+   *
+   * @private
+   */
+  drawChoroplethLegend() {
+    const { legendGroup } = this.container;
+    const { valueField } = this.options;
+    const scale = this.colorScale;
+    const rampWidth = 160;
+    const rampHeight = 10;
+
+    legendGroup.selectAll('.choropleth-legend').remove();
+
+    if (!scale) {
+      return;
+    }
+
+    const legend = legendGroup.append('g')
+      .attr('class', 'choropleth-legend')
+      .attr('transform', `translate(10, ${this.height - 50})`);
+
+    drawColorLegend(legend, scale, {
+      id: `${this.idPrefix}-legend-gradient`,
+      title: valueField,
+      length: rampWidth,
+      thickness: rampHeight
+    });
+
+    const missing = this.features.some((f, i) => !this.joined.has(this.getFeatureKey(f, i)));
+
+    if (missing) {
+      const noData = legend.append('g')
+        .attr('class', 'legend-no-data')
+        .attr('transform', `translate(${rampWidth + 20}, 0)`);
+
+      noData.append('rect')
+        .attr('width', rampHeight * 2)
+        .attr('height', rampHeight)
+        .attr('fill', `url(#${this.idPrefix}-no-data)`);
+
+      noData.append('text')
+        .attr('x', rampHeight * 2 + 5)
+        .attr('y', rampHeight)
+        .attr('font-size', '12px')
+        .text('No data');
+    }
+  }
+
+  /**
+   * Update the map with new data
+   *
+   * @param {Array} newData - New dataset to visualize
+   */
+  update(newData) {
+    super.update(newData);
+
+    if (this.container) {
+      this.render();
+    }
+  }
+
+  /**
+   * Resize the map
+   * The projection is refitted to the new dimensions
+   */
+  resize() {
+    super.resize();
+
+    if (this.container) {
+      this.render();
+    }
+  }
+}
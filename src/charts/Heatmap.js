@@ -7,6 +7,24 @@
  */
 import BaseChart from './BaseChart.js';
 import * as d3 from 'd3';
+import { orderMatrix } from '../utils/statistics.js';
+import { formatNumber } from '../utils/formatters.js';
+import { createColorScale, drawColorLegend, getContrastColor } from '../utils/colorScales.js';
+
+/**
+ * Space kept around the cells for the axes and the color legend
+ * @private
+ */
+const MARGIN = { top: 50, right: 80, bottom: 50, left: 80 };
+
+/**
+ * Font size of the cell value labels, in px
+ * @private
+ */
+const LABEL_FONT_SIZE = 11;
+
+// Counter giving every heatmap its own gradient ids
+let heatmapCounter = 0;
 
 /**
  * Heatmap class extends BaseChart to create heat map visualizations
@@ -21,8 +39,24 @@ export default class Heatmap extends BaseChart {
    * @param {string} [options.xField='x'] - Field name for x-axis categories
    * @param {string} [options.yField='y'] - Field name for y-axis categories  
    * @param {string} [options.valueField='value'] - Field name for cell values
-   * @param {Array} [options.colorRange] - Custom color range for heatmap
+   * @param {string} [options.colorScaleType='sequential'] - Color scale: sequential, diverging, quantize, quantile, threshold or log
+   * @param {string} [options.colorScheme] - d3-scale-chromatic scheme name (default: Blues, RdBu for diverging)
+   * @param {Array} [options.colorRange] - Colors interpolated instead of a scheme
+   * @param {Function} [options.colorScale] - D3 scale to use instead; its domain is fitted to the values
+   * @param {number} [options.classes=5] - Number of classes for quantize and quantile scales
+   * @param {Array} [options.thresholds] - Class breaks for the threshold scale
+   * @param {number} [options.midpoint] - Diverging midpoint (default: median of the values)
+   * @param {string} [options.legendTitle] - Title of the color legend (default: the value field)
+   * @param {boolean} [options.labels=false] - Print the value in every cell large enough, in a color contrasting with the cell
    * @param {Object} [options.cell] - Cell styling options
+   * @param {boolean|string} [options.zoom=false] - Enable zoom and pan; 'x' restricts it to the x axis
+   * @param {string} [options.renderer='svg'] - 'svg', 'canvas' or 'auto' (canvas above `canvasThreshold` cells)
+   * @param {string} [options.rowSort='none'] - Row order: 'none' (first appearance), 'alphabetical', 'sum' or 'cluster'
+   * @param {string} [options.columnSort='none'] - Column order, same modes as `rowSort`
+   * @param {string} [options.linkage='average'] - Clustering linkage: 'single', 'complete' or 'average'
+   * @param {string} [options.distance='euclidean'] - Clustering distance: 'euclidean' or 'correlation'
+   * @param {boolean} [options.dendrograms=true] - Draw the dendrograms of clustered rows and columns
+   * @param {number} [options.dendrogramSize=40] - Depth of the dendrograms, in px
    */
   constructor(options = {}) {
     // Set default heatmap-specific options
@@ -30,13 +64,26 @@ export default class Heatmap extends BaseChart {
       xField: 'x',
       yField: 'y', 
       valueField: 'value',
-      colorRange: ['#f7fbff', '#08519c'], // Light blue to dark blue
+      colorScaleType: 'sequential',
+      colorScheme: null,
+      colorRange: null,
+      colorScale: null,
+      classes: 5,
+      thresholds: null,
+      midpoint: null,
+      legendTitle: null,
       cell: {
         stroke: '#fff',
         strokeWidth: 1,
         rx: 0, // Rounded corners
         ry: 0
       },
+      rowSort: 'none',
+      columnSort: 'none',
+      linkage: 'average',
+      distance: 'euclidean',
+      dendrograms: true,
+      dendrogramSize: 40,
       tooltip: true,
       legend: true
     };
@@ -47,6 +94,9 @@ export default class Heatmap extends BaseChart {
     // Set chart type
     this.type = 'heatmap';
     
+    // Prefix of the SVG ids, unique per heatmap on the page
+    this.idPrefix = `heatmap-${++heatmapCounter}`;
+    
     // Initialize with sample data if no data provided
     if (!this.data || this.data.length === 0) {
       this.data = this.generateSampleData();
@@ -56,6 +106,21 @@ export default class Heatmap extends BaseChart {
     this.xScale = null;
     this.yScale = null;
     this.colorScale = null;
+    
+    // Cluster trees of the clustered axes
+    this.categories = null;
+    this.rowTree = null;
+    this.columnTree = null;
+  }
+  
+  /**
+   * Heatmaps can draw their cells to a canvas
+   * 
+   * @returns {boolean} True
+   * @protected
+   */
+  supportsCanvas() {
+    return true;
   }
   
   /**
@@ -90,16 +155,13 @@ export default class Heatmap extends BaseChart {
    * @private
    */
   createScales() {
-    const { xField, yField, valueField, colorRange } = this.options;
-    const margin = { top: 50, right: 80, bottom: 50, left: 80 };
+    const { valueField, colorScaleType, colorScheme, colorRange, colorScale, classes, thresholds, midpoint } = this.options;
     
     // Calculate available space
-    const chartWidth = this.width - margin.left - margin.right;
-    const chartHeight = this.height - margin.top - margin.bottom;
+    const { width: chartWidth, height: chartHeight } = this.getPlotSize();
     
-    // Get unique values for x and y domains
-    const xDomain = [...new Set(this.data.map(d => d[xField]))];
-    const yDomain = [...new Set(this.data.map(d => d[yField]))]; 
+    // Order the categories of both axes
+    const { columns: xDomain, rows: yDomain } = this.computeOrder();
     
     // Create band scales for positioning cells
     this.xScale = d3.scaleBand()
@@ -112,18 +174,66 @@ export default class Heatmap extends BaseChart {
       .range([0, chartHeight])
       .padding(0.1);
     
-    // Create color scale based on value range
-    const valueExtent = d3.extent(this.data, d => d[valueField]);
-    this.colorScale = d3.scaleSequential()
-      .domain(valueExtent)
-      .interpolator(d3.interpolateBlues);
-      
-    // Use custom color range if provided
-    if (colorRange && colorRange.length >= 2) {
-      this.colorScale = d3.scaleLinear()
-        .domain(valueExtent)
-        .range(colorRange);
-    }
+    // Create color scale based on the values
+    this.colorScale = createColorScale(this.data.map(d => +d[valueField]), {
+      type: colorScaleType,
+      scheme: colorScheme,
+      colors: colorRange && colorRange.length >= 2 ? colorRange : null,
+      scale: colorScale,
+      classes,
+      thresholds,
+      midpoint
+    });
+  }
+  
+  /**
+   * Order the columns (x categories) and rows (y categories) by their sort modes
+   * Clustered axes keep their cluster tree in `columnTree` / `rowTree`
+   * 
+   * @returns {Object} { columns, rows } category lists in display order
+   */
+  computeOrder() {
+    const { xField, yField, valueField, rowSort, columnSort, linkage, distance } = this.options;
+    
+    // Categories in order of first appearance
+    const columns = [...new Set(this.data.map(d => d[xField]))];
+    const rows = [...new Set(this.data.map(d => d[yField]))];
+    
+    // Value matrix with a row per y category; missing cells are NaN
+    const columnIndex = new Map(columns.map((column, i) => [column, i]));
+    const rowIndex = new Map(rows.map((row, i) => [row, i]));
+    const matrix = rows.map(() => new Array(columns.length).fill(NaN));
+    
+    this.data.forEach(d => {
+      matrix[rowIndex.get(d[yField])][columnIndex.get(d[xField])] = +d[valueField];
+    });
+    
+    const rowOrder = orderMatrix(rows, matrix, { sort: rowSort, linkage, distance });
+    const columnOrder = orderMatrix(columns, d3.transpose(matrix), { sort: columnSort, linkage, distance });
+    
+    // Leaf indices of the trees refer to the categories in order of appearance
+    this.categories = { columns, rows };
+    this.rowTree = rowOrder.tree;
+    this.columnTree = columnOrder.tree;
+    
+    return { columns: columnOrder.order, rows: rowOrder.order };
+  }
+  
+  /**
+   * Get the margins around the cells: room for the axes and legend, plus the
+   * dendrograms of clustered axes (columns above, rows on the left)
+   * 
+   * @returns {Object} { top, right, bottom, left }
+   * @protected
+   */
+  getMargin() {
+    const { rowSort, columnSort, dendrograms, dendrogramSize } = this.options;
+    
+    return {
+      ...MARGIN,
+      top: MARGIN.top + (dendrograms && columnSort === 'cluster' ? dendrogramSize : 0),
+      left: MARGIN.left + (dendrograms && rowSort === 'cluster' ? dendrogramSize : 0)
+    };
   }
   
   /**
@@ -140,101 +250,287 @@ export default class Heatmap extends BaseChart {
     
     // Create scales
     this.createScales();
+    this.applyZoomToScales();
     
+    // Set up container transform
+    const margin = this.getMargin();
+    this.container.dataGroup.attr('transform', `translate(${margin.left}, ${margin.top})`);
+    
+    this.redraw(this.createTransition());
+    this.setupZoom();
+    
+    // Draw legend if enabled
+    if (this.options.legend) {
+      this.drawColorLegend(margin);
+    }
+  }
+  
+  /**
+   * Get the size of the cell area inside the heatmap margins
+   * 
+   * @returns {Object} { width, height }
+   * @protected
+   */
+  getPlotSize() {
+    const margin = this.getMargin();
+    
+    return {
+      width: this.width - margin.left - margin.right,
+      height: this.height - margin.top - margin.bottom
+    };
+  }
+  
+  /**
+   * Draw the cells and axes from the current scales
+   * 
+   * @param {Object} t - Transition to draw with
+   * @protected
+   */
+  redraw(t) {
+    const margin = this.getMargin();
+    
+    this.drawCells(t);
+    this.drawCellLabels(t);
+    this.drawAxes(margin, t);
+    this.drawDendrograms(margin, t);
+  }
+  
+  /**
+   * Draw one cell per data row, with tooltips
+   * 
+   * @param {Object} t - Transition to draw with
+   * @private
+   */
+  drawCells(t) {
     const { dataGroup } = this.container;
     const { xField, yField, valueField, cell, tooltip } = this.options;
-    const margin = { top: 50, right: 80, bottom: 50, left: 80 };
+    const cellKey = d => `${d[xField]}|${d[yField]}`;
     
-    // Set up container transform
-    dataGroup.attr('transform', `translate(${margin.left}, ${margin.top})`);
-    
-    // Create tooltip div if enabled
-    let tooltipDiv = null;
-    if (tooltip) {
-      tooltipDiv = d3.select('body').append('div')
-        .attr('class', 'heatmap-tooltip')
-        .style('position', 'absolute')
-        .style('visibility', 'hidden')
-        .style('background', 'rgba(0, 0, 0, 0.8)')
-        .style('color', 'white')
-        .style('padding', '8px')
-        .style('border-radius', '4px')
-        .style('font-size', '12px')
-        .style('pointer-events', 'none')
-        .style('z-index', '1000');
+    if (this.isCanvas()) {
+      dataGroup.selectAll('.heatmap-cell').remove();
+      this.drawCellsCanvas();
+      return;
     }
     
-    // Draw heatmap cells
+    // Join cells by their x/y position so updates recolor existing cells
     const cells = dataGroup.selectAll('.heatmap-cell')
-      .data(this.data)
-      .enter()
-      .append('rect')
-      .attr('class', 'heatmap-cell')
+      .data(this.data, cellKey)
+      .join(
+        enter => enter.append('rect')
+          .attr('class', 'heatmap-cell')
+          .attr('x', d => this.xScale(d[xField]))
+          .attr('y', d => this.yScale(d[yField]))
+          .attr('width', this.xScale.bandwidth())
+          .attr('height', this.yScale.bandwidth())
+          .attr('fill', d => this.colorScale(d[valueField]))
+          .style('opacity', 0),
+        update => update,
+        exit => exit.transition(t)
+          .style('opacity', 0)
+          .remove()
+      )
+      .attr('rx', cell.rx)
+      .attr('ry', cell.ry)
+      .attr('stroke', cell.stroke)
+      .attr('stroke-width', cell.strokeWidth);
+    
+    cells.transition(t)
       .attr('x', d => this.xScale(d[xField]))
       .attr('y', d => this.yScale(d[yField]))
       .attr('width', this.xScale.bandwidth())
       .attr('height', this.yScale.bandwidth())
-      .attr('rx', cell.rx)
-      .attr('ry', cell.ry)
       .attr('fill', d => this.colorScale(d[valueField]))
-      .attr('stroke', cell.stroke)
-      .attr('stroke-width', cell.strokeWidth);
-      
+      .style('opacity', 1);
+    
     // Add tooltip interactions if enabled
-    if (tooltip && tooltipDiv) {
+    if (tooltip) {
       cells
         .on('mouseover', (event, d) => {
-          tooltipDiv
-            .style('visibility', 'visible')
-            .html(`${d[xField]} - ${d[yField]}<br/>Value: ${d[valueField]}`);
+          this.showTooltip(event, this.getCellTooltip(d));
         })
         .on('mousemove', (event) => {
-          tooltipDiv
-            .style('top', (event.pageY - 10) + 'px')
-            .style('left', (event.pageX + 10) + 'px');
+          this.moveTooltip(event);
         })
         .on('mouseout', () => {
-          tooltipDiv.style('visibility', 'hidden');
+          this.hideTooltip();
         });
     }
+  }
+  
+  /**
+   * Draw the cells to the canvas layer and index them for tooltips
+   * Canvas frames are drawn without transitions
+   * 
+   * @private
+   */
+  drawCellsCanvas() {
+    const { xField, yField, valueField, cell } = this.options;
+    const context = this.beginCanvasFrame();
+    const width = this.xScale.bandwidth();
+    const height = this.yScale.bandwidth();
+    const rounded = (cell.rx || cell.ry) && typeof context.roundRect === 'function';
+    
+    context.strokeStyle = cell.stroke;
+    context.lineWidth = cell.strokeWidth;
+    
+    const targets = this.data.map(d => {
+      const x = this.xScale(d[xField]);
+      const y = this.yScale(d[yField]);
+      
+      context.beginPath();
+      
+      if (rounded) {
+        context.roundRect(x, y, width, height, [cell.rx || cell.ry]);
+      } else {
+        context.rect(x, y, width, height);
+      }
+      
+      context.fillStyle = this.colorScale(d[valueField]);
+      context.fill();
+      
+      if (cell.stroke && cell.strokeWidth) {
+        context.stroke();
+      }
+      
+      return {
+        x: x + width / 2,
+        y: y + height / 2,
+        radius: Math.hypot(width, height) / 2,
+        contains: (px, py) => px >= x && px <= x + width && py >= y && py <= y + height,
+        tooltip: () => this.getCellTooltip(d)
+      };
+    });
+    
+    if (this.options.labels) {
+      context.font = `${LABEL_FONT_SIZE}px sans-serif`;
+      context.textAlign = 'center';
+      context.textBaseline = 'middle';
+      
+      this.getCellLabels().forEach(label => {
+        context.fillStyle = label.color;
+        context.fillText(label.text, label.x, label.y);
+      });
+    }
     
-    // Draw axes
-    this.drawAxes(margin);
+    this.setHitTargets(targets);
+  }
+  
+  /**
+   * Describe the value label of every cell large enough for it
+   * Independent of the DOM so label decisions can be tested
+   * 
+   * @returns {Array} Labels { key, text, x, y, color }
+   */
+  getCellLabels() {
+    const { xField, yField, valueField } = this.options;
+    const width = this.xScale.bandwidth();
+    const height = this.yScale.bandwidth();
     
-    // Draw legend if enabled
-    if (this.options.legend) {
-      this.drawColorLegend(margin);
+    if (height < LABEL_FONT_SIZE + 2) {
+      return [];
     }
+    
+    return this.data
+      .map(d => ({
+        key: `${d[xField]}|${d[yField]}`,
+        text: this.formatValue(d[valueField]),
+        x: this.xScale(d[xField]) + width / 2,
+        y: this.yScale(d[yField]) + height / 2,
+        color: getContrastColor(this.colorScale(d[valueField]))
+      }))
+      // Width estimated from the number of characters, so no text measuring is needed
+      .filter(label => label.text.length * LABEL_FONT_SIZE * 0.6 + 4 <= width);
+  }
+  
+  /**
+   * Draw the value labels of the cells when the `labels` option is on
+   * 
+   * @param {Object} t - Transition to draw with
+   * @private
+   */
+  drawCellLabels(t) {
+    const { dataGroup } = this.container;
+    const labels = this.options.labels && !this.isCanvas() ? this.getCellLabels() : [];
+    
+    dataGroup.selectAll('.heatmap-label')
+      .data(labels, d => d.key)
+      .join(
+        enter => enter.append('text')
+          .attr('class', 'heatmap-label')
+          .attr('text-anchor', 'middle')
+          .attr('dy', '0.35em')
+          .attr('font-size', `${LABEL_FONT_SIZE}px`)
+          .attr('pointer-events', 'none')
+          .attr('x', d => d.x)
+          .attr('y', d => d.y),
+        update => update,
+        exit => exit.remove()
+      )
+      .text(d => d.text)
+      .transition(t)
+      .attr('x', d => d.x)
+      .attr('y', d => d.y)
+      .attr('fill', d => d.color);
+  }
+  
+  /**
+   * Format a cell value for labels and tooltips
+   * 
+   * @param {number} value - Value to format
+   * @returns {string} Formatted value
+   * @private
+   */
+  formatValue(value) {
+    return formatNumber(value, Number.isInteger(value) ? 0 : 2);
+  }
+  
+  /**
+   * Build the tooltip content of a cell
+   * 
+   * @param {Object} d - Data row of the cell
+   * @returns {string} Tooltip HTML
+   * @private
+   */
+  getCellTooltip(d) {
+    const { xField, yField, valueField, legendTitle } = this.options;
+    
+    return `${d[xField]} - ${d[yField]}<br/>${legendTitle || valueField}: ${this.formatValue(d[valueField])}`;
   }
   
   /**
    * Draw x and y axes for the heatmap
    * 
    * @param {Object} margin - Margin object with top, right, bottom, left
+   * @param {Object} t - Transition used to animate the axes to their new scales
    * @private
    */
-  drawAxes(margin) {
-    const { chart } = this.container;
+  drawAxes(margin, t) {
+    const { axisGroup } = this.container;
     const chartHeight = this.height - margin.top - margin.bottom;
     
+    // Select or create a single element so repeated renders reuse it
+    const ensure = (tag, className) => axisGroup.selectAll(`.${className}`)
+      .data([null])
+      .join(tag)
+      .attr('class', className);
+    
     // X-axis
     const xAxis = d3.axisBottom(this.xScale);
-    chart.append('g')
-      .attr('class', 'x-axis')
-      .attr('transform', `translate(${margin.left}, ${margin.top + chartHeight})`)
-      .call(xAxis);
+    this.callAxis(
+      ensure('g', 'x-axis').attr('transform', `translate(${margin.left}, ${margin.top + chartHeight})`),
+      xAxis, 'x', t
+    );
     
     // Y-axis 
     const yAxis = d3.axisLeft(this.yScale);
-    chart.append('g')
-      .attr('class', 'y-axis')
-      .attr('transform', `translate(${margin.left}, ${margin.top})`)
-      .call(yAxis);
+    this.callAxis(
+      ensure('g', 'y-axis').attr('transform', `translate(${margin.left}, ${margin.top})`),
+      yAxis, 'y', t
+    );
       
     // Add axis labels if specified
     if (this.options.xAxisLabel) {
-      chart.append('text')
-        .attr('class', 'x-axis-label')
+      ensure('text', 'x-axis-label')
         .attr('text-anchor', 'middle')
         .attr('x', margin.left + (this.width - margin.left - margin.right) / 2)
         .attr('y', this.height - 10)
@@ -242,8 +538,7 @@ export default class Heatmap extends BaseChart {
     }
     
     if (this.options.yAxisLabel) {
-      chart.append('text')
-        .attr('class', 'y-axis-label')
+      ensure('text', 'y-axis-label')
         .attr('text-anchor', 'middle')
         .attr('transform', 'rotate(-90)')
         .attr('x', -(margin.top + chartHeight / 2))
@@ -252,81 +547,140 @@ export default class Heatmap extends BaseChart {
     }
   }
   
+  /**
+   * Lay a cluster tree out along an axis
+   * Leaves sit at the middle of their band and each merge between the merged
+   * clusters, at a depth proportional to its distance
+   * 
+   * @param {Object} tree - Cluster tree from clusterHierarchical
+   * @param {Array} labels - Categories the leaf indices refer to
+   * @param {Function} scale - Band scale of the axis
+   * @param {number} size - Depth of the dendrogram in px
+   * @returns {Array} Links { source: { position, depth }, target: { position, depth } }, depth 0 at the cells
+   */
+  computeDendrogramLinks(tree, labels, scale, size) {
+    const root = d3.hierarchy(tree);
+    const depth = d3.scaleLinear()
+      .domain([0, root.data.height || 1])
+      .range([0, size]);
+    
+    root.eachAfter(node => {
+      node.position = node.children
+        ? d3.mean(node.children, child => child.position)
+        : scale(labels[node.data.index]) + scale.bandwidth() / 2;
+      node.offset = depth(node.data.height);
+    });
+    
+    return root.links().map(({ source, target }) => ({
+      source: { position: source.position, depth: source.offset },
+      target: { position: target.position, depth: target.offset }
+    }));
+  }
+  
+  /**
+   * Draw the dendrograms of the clustered axes as elbow links: the column tree
+   * above the cells, the row tree left of the row labels
+   * 
+   * @param {Object} margin - Margin object with top, right, bottom, left
+   * @param {Object} t - Transition to draw with
+   * @private
+   */
+  drawDendrograms(margin, t) {
+    const { axisGroup } = this.container;
+    const { dendrograms, dendrogramSize } = this.options;
+    const { width, height } = this.getPlotSize();
+    
+    const trees = [];
+    
+    if (dendrograms && this.columnTree) {
+      trees.push({
+        axis: 'column',
+        labels: this.categories.columns,
+        tree: this.columnTree,
+        scale: this.xScale,
+        box: { x: margin.left, y: margin.top - dendrogramSize, width, height: dendrogramSize },
+        // Grows upwards from the cells
+        point: ({ position, depth }) => [position, dendrogramSize - depth]
+      });
+    }
+    
+    if (dendrograms && this.rowTree) {
+      trees.push({
+        axis: 'row',
+        labels: this.categories.rows,
+        tree: this.rowTree,
+        scale: this.yScale,
+        box: { x: 0, y: margin.top, width: dendrogramSize, height },
+        // Grows leftwards from the row labels
+        point: ({ position, depth }) => [dendrogramSize - depth, position]
+      });
+    }
+    
+    // Nested svg elements clip the dendrograms to the plot while zoomed
+    const groups = axisGroup.selectAll('.heatmap-dendrogram')
+      .data(trees, d => d.axis)
+      .join('svg')
+      .attr('class', d => `heatmap-dendrogram ${d.axis}-dendrogram`)
+      .attr('x', d => d.box.x)
+      .attr('y', d => d.box.y)
+      .attr('width', d => d.box.width)
+      .attr('height', d => d.box.height);
+    
+    groups.each((tree, i, nodes) => {
+      const links = this.computeDendrogramLinks(tree.tree, tree.labels, tree.scale, dendrogramSize);
+      
+      // Elbow from the child to the parent's depth, then across to the parent
+      const elbow = ({ source, target }) => {
+        const [x0, y0] = tree.point(target);
+        const [x2, y2] = tree.point(source);
+        
+        return tree.axis === 'column'
+          ? `M${x0},${y0}V${y2}H${x2}`
+          : `M${x0},${y0}H${x2}V${y2}`;
+      };
+      
+      d3.select(nodes[i]).selectAll('.dendrogram-link')
+        .data(links)
+        .join('path')
+        .attr('class', 'dendrogram-link')
+        .attr('fill', 'none')
+        .attr('stroke', '#666')
+        .transition(t)
+        .attr('d', elbow);
+    });
+  }
+  
   /**
    * Draw color legend for the heatmap
-   * Shows the color scale mapping values to colors
+   * A vertical ramp (or class swatches) with value ticks, in the right margin
    * 
    * @param {Object} margin - Margin object
    * @private  
    */
   drawColorLegend(margin) {
-    const { chart } = this.container;
-    const { valueField } = this.options;
-    
-    // Legend dimensions
-    const legendWidth = 200;
-    const legendHeight = 20;
-    const legendX = this.width - margin.right + 20;
-    const legendY = margin.top;
-    
-    // Create gradient for legend
-    const defs = chart.append('defs');
-    const gradient = defs.append('linearGradient')
-      .attr('id', 'heatmap-legend-gradient')
-      .attr('x1', '0%')
-      .attr('x2', '100%')
-      .attr('y1', '0%')
-      .attr('y2', '0%');
-    
-    // Add color stops to gradient
-    const colorStops = 10;
-    for (let i = 0; i <= colorStops; i++) {
-      const offset = i / colorStops;
-      const value = d3.min(this.data, d => d[valueField]) + 
-        offset * (d3.max(this.data, d => d[valueField]) - d3.min(this.data, d => d[valueField]));
-      
-      gradient.append('stop')
-        .attr('offset', `${offset * 100}%`)
-        .attr('stop-color', this.colorScale(value));
-    }
+    const { legendGroup } = this.container;
+    const { valueField, legendTitle } = this.options;
+    const { height } = this.getPlotSize();
     
-    // Draw legend rectangle
-    chart.append('rect')
-      .attr('x', legendX)
-      .attr('y', legendY)
-      .attr('width', legendWidth)
-      .attr('height', legendHeight)
-      .attr('fill', 'url(#heatmap-legend-gradient)')
-      .attr('stroke', '#ccc');
-    
-    // Add legend labels
-    const valueExtent = d3.extent(this.data, d => d[valueField]);
-    
-    chart.append('text')
-      .attr('x', legendX)
-      .attr('y', legendY - 5)
-      .attr('text-anchor', 'start')
-      .attr('font-size', '12px')
-      .text(valueExtent[0]);
-      
-    chart.append('text')
-      .attr('x', legendX + legendWidth)
-      .attr('y', legendY - 5)
-      .attr('text-anchor', 'end')
-      .attr('font-size', '12px')
-      .text(valueExtent[1]);
-      
-    chart.append('text')
-      .attr('x', legendX + legendWidth / 2)
-      .attr('y', legendY + legendHeight + 15)
-      .attr('text-anchor', 'middle')
-      .attr('font-size', '12px')
-      .text('Value');
+    // Replace the legend from a previous render
+    legendGroup.selectAll('.heatmap-legend').remove();
+    const legend = legendGroup.append('g')
+      .attr('class', 'heatmap-legend')
+      .attr('transform', `translate(${this.width - margin.right + 15}, ${margin.top + 12})`);
+    
+    drawColorLegend(legend, this.colorScale, {
+      id: `${this.idPrefix}-legend-gradient`,
+      title: legendTitle || valueField,
+      length: Math.max(40, Math.min(200, height - 12)),
+      thickness: 12,
+      orientation: 'vertical',
+      ticks: 5
+    });
   }
   
   /**
    * Update the heatmap with new data
-   * Redraws the visualization with new data while maintaining smooth transitions
+   * Cells are matched by their x/y categories and transition to their new colors
    * 
    * @param {Array} newData - New dataset to visualize
    */
@@ -336,33 +690,20 @@ export default class Heatmap extends BaseChart {
     
     // Re-render with new data
     if (this.container) {
-      this.container.chart.selectAll('*').remove();
       this.render();
     }
   }
   
   /**
    * Resize the heatmap chart
-   * Adjusts dimensions and redraws the visualization
+   * Adjusts dimensions and moves cells into place
    */
   resize() {
     super.resize();
     
     // Re-render with new dimensions
     if (this.container && this.data) {
-      this.container.chart.selectAll('*').remove();
       this.render();
     }
   }
-  
-  /**
-   * Clean up resources when chart is destroyed
-   * Removes tooltips and event listeners
-   */
-  destroy() {
-    super.destroy();
-    
-    // Remove tooltip if it exists
-    d3.select('body').selectAll('.heatmap-tooltip').remove();
-  }
 }
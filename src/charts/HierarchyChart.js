@@ -0,0 +1,222 @@
+/**
+ * HierarchyChart class
+ * Shared base of the charts drawing hierarchical data: sunburst, treemap and circle packing
+ *
+ * @author Gabriel Demetrios Lafis
+ * @version 2.1.0
+ */
+import BaseChart from './BaseChart.js';
+import * as d3 from 'd3';
+import { formatNumber, formatPercentage } from '../utils/formatters.js';
+import { buildHierarchy } from '../utils/hierarchy.js';
+
+/**
+ * Font size of the node labels, in px
+ * @private
+ */
+const LABEL_FONT_SIZE = 11;
+
+/**
+ * HierarchyChart class extends BaseChart with the hierarchy pipeline shared by
+ * the hierarchical charts: the data is either a nested root object or flat rows
+ * grouped by the `hierarchy` fields and aggregated per leaf; subclasses lay the
+ * resulting d3 hierarchy out and draw it
+ */
+export default class HierarchyChart extends BaseChart {
+  /**
+   * Create a new HierarchyChart instance
+   *
+   * @param {Object} options - Chart configuration options
+   * @param {Object|Array} options.data - Nested root ({ name, children }) or flat rows
+   * @param {string} [options.x='x'] - Single level field when `hierarchy` is empty
+   * @param {string} [options.y='y'] - Field name for leaf values
+   * @param {Array} [options.hierarchy] - Fields grouping flat rows into levels, outermost first
+   * @param {string} [options.aggregate='sum'] - Aggregation of the rows of a leaf: 'sum', 'avg', 'count', 'min', 'max' or 'median'
+   * @param {string} [options.nameField='name'] - Node name field of nested data
+   * @param {string} [options.childrenField='children'] - Children field of nested data
+   * @param {string} [options.rootName='All'] - Name of the root
+   * @param {string} [options.sort='descending'] - Sibling order: 'descending', 'ascending' or 'none'
+   * @param {boolean} [options.labels=true] - Label the nodes that have room for it
+   */
+  constructor(options = {}) {
+    // Set default hierarchy options
+    const hierarchyDefaults = {
+      hierarchy: [],
+      aggregate: 'sum',
+      nameField: 'name',
+      childrenField: 'children',
+      rootName: 'All',
+      sort: 'descending',
+      labels: true
+    };
+
+    super({ ...hierarchyDefaults, ...options });
+
+    // Hierarchy of the last render, laid out by the subclass
+    this.root = null;
+  }
+
+  /**
+   * Whether there is anything to draw
+   * Nested data is a single root object instead of an array of rows
+   *
+   * @returns {boolean} True if the chart has data
+   * @protected
+   */
+  hasData() {
+    return Array.isArray(this.data) ? this.data.length > 0 : !!this.data;
+  }
+
+  /**
+   * Build the hierarchy with values summed from the leaves up
+   * Subclasses pass it through their d3 layout
+   *
+   * @returns {Object} d3 hierarchy root
+   */
+  computeHierarchy() {
+    const { x, y, hierarchy, aggregate, nameField, childrenField, rootName, sort } = this.options;
+
+    return buildHierarchy(this.data, {
+      fields: hierarchy.length > 0 ? hierarchy : [x],
+      value: y,
+      aggregate,
+      name: nameField,
+      children: childrenField,
+      rootName,
+      sort
+    });
+  }
+
+  /**
+   * Get the name of a node
+   *
+   * @param {Object} node - Hierarchy node
+   * @returns {string} Node name; the root falls back to `rootName`
+   */
+  getNodeName(node) {
+    const name = node.data[this.options.nameField];
+    return node.depth === 0 && (name === undefined || name === null) ? this.options.rootName : name;
+  }
+
+  /**
+   * Get the key identifying a node across renders
+   *
+   * @param {Object} node - Hierarchy node
+   * @returns {string} Names from the root down to the node
+   * @protected
+   */
+  getNodeKey(node) {
+    return node.ancestors().reverse().map(ancestor => this.getNodeName(ancestor)).join('/');
+  }
+
+  /**
+   * Create the color scale over the top-level branches
+   *
+   * @protected
+   */
+  createColorScale() {
+    this.colorScale = d3.scaleOrdinal()
+      .domain((this.root.children || []).map(node => this.getNodeName(node)))
+      .range(this.options.colorPalette || d3.schemeCategory10);
+  }
+
+  /**
+   * Get the color of a node: the color of its top-level branch
+   *
+   * @param {Object} node - Hierarchy node
+   * @returns {string} Color
+   * @protected
+   */
+  getNodeColor(node) {
+    const branch = node.ancestors().find(ancestor => ancestor.depth === 1) || node;
+    return this.colorScale(this.getNodeName(branch));
+  }
+
+  /**
+   * Whether a label fits a box, estimating its width from the number of
+   * characters so that layouts need no text measuring
+   *
+   * @param {string} text - Label text
+   * @param {number} width - Available width in px
+   * @param {number} height - Available height in px
+   * @returns {boolean} True if the label fits
+   * @protected
+   */
+  fitsLabel(text, width, height) {
+    return width >= String(text).length * LABEL_FONT_SIZE * 0.6 + 4 && height >= LABEL_FONT_SIZE + 2;
+  }
+
+  /**
+   * Apply the shared label style to entering text elements
+   *
+   * @param {Object} selection - D3 selection of text elements
+   * @protected
+   */
+  styleLabels(selection) {
+    selection
+      .attr('font-size', `${LABEL_FONT_SIZE}px`)
+      .attr('pointer-events', 'none');
+  }
+
+  /**
+   * Build the tooltip of a node: its path, value and shares of the parent and the whole
+   *
+   * @param {Object} node - Hierarchy node
+   * @returns {string} Tooltip HTML
+   */
+  getTooltipContent(node) {
+    const path = node.depth > 0
+      ? node.ancestors().reverse().slice(1).map(ancestor => this.getNodeName(ancestor)).join(' › ')
+      : this.getNodeName(node);
+    const value = formatNumber(node.value, Number.isInteger(node.value) ? 0 : 2);
+    const ofParent = node.parent && node.parent.depth > 0
+      ? `<br/>${formatPercentage(node.value / node.parent.value)} of ${this.getNodeName(node.parent)}`
+      : '';
+
+    return `${path}<br/>${this.options.y}: ${value} (${formatPercentage(node.value / this.root.value)})${ofParent}`;
+  }
+
+  /**
+   * Attach the tooltip handlers to the drawn nodes
+   *
+   * @param {Object} selection - D3 selection of elements bound to { node }
+   * @protected
+   */
+  bindTooltip(selection) {
+    selection
+      .on('mouseover', (event, d) => {
+        this.showTooltip(event, this.getTooltipContent(d.node));
+      })
+      .on('mousemove', (event) => {
+        this.moveTooltip(event);
+      })
+      .on('mouseout', () => {
+        this.hideTooltip();
+      });
+  }
+
+  /**
+   * Update the chart with new data
+   * Nodes are matched by their path from the root and animated to their new place
+   *
+   * @param {Array|Object} newData - New rows or nested root
+   */
+  update(newData) {
+    super.update(newData);
+
+    if (this.container) {
+      this.render();
+    }
+  }
+
+  /**
+   * Resize the chart
+   */
+  resize() {
+    super.resize();
+
+    if (this.container && this.data) {
+      this.render();
+    }
+  }
+}
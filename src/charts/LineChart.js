@@ -1,104 +1,492 @@
-// LineChart.js: Implementação inicial de gráfico de linha conforme arquitetura especificada.
-// Didaticamente comentado para uso profissional e compatibilidade total com teste unitário Jest.
+/**
+ * LineChart class
+ * Creates single or multi-series line charts with configurable interpolation
+ *
+ * @author Gabriel Demetrios Lafis
+ * @version 2.1.0
+ */
 import BaseChart from './BaseChart.js';
+import * as d3 from 'd3';
+import { formatNumber, formatDate } from '../utils/formatters.js';
+
+/**
+ * Curve factories available through the `interpolation` option
+ * @private
+ */
+const CURVES = {
+  linear: d3.curveLinear,
+  monotoneX: d3.curveMonotoneX,
+  step: d3.curveStep,
+  stepBefore: d3.curveStepBefore,
+  stepAfter: d3.curveStepAfter,
+  basis: d3.curveBasis,
+  cardinal: d3.curveCardinal,
+  catmullRom: d3.curveCatmullRom,
+  natural: d3.curveNatural
+};
+
+/**
+ * Date-only strings such as '2025-01-01' are parsed as local dates so that
+ * they line up with the ticks of a local time scale
+ * @private
+ */
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const parseDateOnly = d3.timeParse('%Y-%m-%d');
 
 /**
- * LineChart - Gráfico de linha implementado com D3.js.
- * Extende BaseChart para padronização e herança de recursos.
+ * Other strings count as dates only in ISO 8601 form ('2025-01', '2025-01-01T12:00Z'):
+ * d3.isoParse falls back to the Date constructor, which accepts labels such as 'Product 1'
+ * @private
+ */
+const ISO_DATE = /^\d{4}-\d{2}(-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}(:?\d{2})?)?)?)?$/;
+
+/**
+ * LineChart class extends BaseChart to create line chart visualizations
+ * Rows are split into series by `colorField`; null values break the line
  */
 export default class LineChart extends BaseChart {
   /**
-   * Construtor herda de BaseChart.
-   * @param {Object} options - Configuração do gráfico e dados.
+   * Create a new LineChart instance
+   *
+   * @param {Object} options - Chart configuration options
+   * @param {Array} options.data - Array of data objects
+   * @param {string} [options.x='x'] - Field name for the x axis (dates, numbers or categories)
+   * @param {string} [options.y='y'] - Field name for the y axis
+   * @param {string} [options.colorField] - Field name splitting rows into series
+   * @param {string} [options.interpolation='linear'] - Curve: linear, monotoneX, step, basis, cardinal, natural...
+   * @param {string} [options.xType='auto'] - X scale type: 'auto', 'time', 'linear' or 'point'
+   * @param {string} [options.dateFormat] - d3.timeParse specifier for string dates (default: ISO 8601)
+   * @param {number} [options.strokeWidth=2] - Line width
+   * @param {number} [options.dotRadius=4] - Point radius (0 hides points)
+   * @param {boolean|string} [options.zoom=false] - Enable zoom and pan; 'x' restricts it to the time axis
+   * @param {string} [options.renderer='svg'] - 'svg', 'canvas' or 'auto' (canvas above `canvasThreshold` rows)
    */
   constructor(options = {}) {
-    super(options);
+    // Set default line-specific options
+    const lineDefaults = {
+      xType: 'auto',
+      dateFormat: null
+    };
+
+    super({ ...lineDefaults, ...options });
+
+    // Set chart type
     this.type = 'line';
-    // Propriedades específicas do gráfico de linha
+
+    // Line-specific properties
     this.strokeWidth = options.strokeWidth || 2;
-    this.dotRadius = options.dotRadius || 4;
+    this.dotRadius = options.dotRadius !== undefined ? options.dotRadius : 4;
     this.interpolation = options.interpolation || 'linear';
+
+    // Series of the last render, redrawn while zooming
+    this.series = [];
+  }
+
+  /**
+   * Line charts can draw their lines and points to a canvas
+   *
+   * @returns {boolean} True
+   * @protected
+   */
+  supportsCanvas() {
+    return true;
+  }
+
+  /**
+   * Get the d3 curve factory for the configured interpolation
+   *
+   * @returns {Function} D3 curve factory
+   */
+  getCurve() {
+    const curve = CURVES[this.interpolation];
+
+    if (!curve) {
+      throw new Error(`Unknown interpolation '${this.interpolation}'. Available: ${Object.keys(CURVES).join(', ')}`);
+    }
+
+    return curve;
+  }
+
+  /**
+   * Parse a raw x value into a Date when it looks like one
+   *
+   * @param {*} value - Raw x value
+   * @returns {Date|null} Parsed date or null if the value is not a date
+   * @private
+   */
+  parseDate(value) {
+    if (value instanceof Date) {
+      return value;
+    }
+
+    if (typeof value !== 'string') {
+      return null;
+    }
+
+    const { dateFormat } = this.options;
+
+    if (dateFormat) {
+      return d3.timeParse(dateFormat)(value);
+    }
+
+    if (DATE_ONLY.test(value)) {
+      return parseDateOnly(value);
+    }
+
+    return ISO_DATE.test(value) ? d3.isoParse(value) : null;
+  }
+
+  /**
+   * Determine the x scale type from the data
+   *
+   * @returns {string} 'time', 'linear' or 'point'
+   */
+  getXType() {
+    const { x, xType } = this.options;
+
+    if (xType !== 'auto') {
+      return xType;
+    }
+
+    const values = this.data.map(d => d[x]).filter(v => v !== null && v !== undefined);
+
+    if (values.length > 0 && values.every(v => typeof v === 'number')) {
+      return 'linear';
+    }
+
+    if (values.length > 0 && values.every(v => this.parseDate(v) !== null)) {
+      return 'time';
+    }
+
+    return 'point';
+  }
+
+  /**
+   * Split the data into series of {x, y} points
+   * Points keep their position when y is missing so the line generator can
+   * leave a gap there instead of connecting through it
+   *
+   * @returns {Array} Series objects with key, values and the colorField value
+   */
+  computeSeries() {
+    const { x, y, colorField } = this.options;
+    const xType = this.getXType();
+
+    const toX = xType === 'time'
+      ? v => this.parseDate(v)
+      : xType === 'linear' ? v => +v : v => v;
+
+    const toY = v => (v === null || v === undefined || v === '' || isNaN(v) ? null : +v);
+
+    const groups = d3.group(this.data, d => (colorField ? d[colorField] : y));
+
+    return Array.from(groups, ([key, rows]) => {
+      const values = rows
+        .map(d => ({ x: toX(d[x]), y: toY(d[y]), series: key, datum: d }))
+        .filter(p => p.x !== null && p.x !== undefined);
+
+      // Categorical x keeps data order; continuous x must be sorted for the path
+      if (xType !== 'point') {
+        values.sort((a, b) => d3.ascending(a.x, b.x));
+      }
+
+      const series = { key, values };
+
+      // Expose the series under its field name so legend filtering can match it
+      if (colorField) {
+        series[colorField] = key;
+        values.forEach(p => { p[colorField] = key; });
+      }
+
+      return series;
+    });
+  }
+
+  /**
+   * Create x, y and color scales for the series
+   *
+   * @param {Array} series - Series returned by computeSeries()
+   * @private
+   */
+  createScales(series) {
+    const { colorField, colorPalette } = this.options;
+    const points = series.flatMap(s => s.values);
+    const xType = this.getXType();
+
+    if (xType === 'point') {
+      this.xScale = d3.scalePoint()
+        .domain([...new Set(points.map(p => p.x))])
+        .range([0, this.width])
+        .padding(0.5);
+    } else {
+      this.xScale = (xType === 'time' ? d3.scaleTime() : d3.scaleLinear())
+        .domain(d3.extent(points, p => p.x))
+        .range([0, this.width]);
+    }
+
+    this.yScale = d3.scaleLinear()
+      .domain(this.getYDomain(series))
+      .range([this.height, 0])
+      .nice();
+
+    this.colorScale = colorField
+      ? d3.scaleOrdinal()
+        .domain(series.map(s => s.key))
+        .range(colorPalette || d3.schemeCategory10)
+      : null;
+  }
+
+  /**
+   * Compute the y domain covered by the series
+   *
+   * @param {Array} series - Series returned by computeSeries()
+   * @returns {Array} [min, max] of the defined values
+   * @protected
+   */
+  getYDomain(series) {
+    return d3.extent(series.flatMap(s => s.values), p => (p.y === null ? undefined : p.y));
+  }
+
+  /**
+   * Get the vertical pixel position of a point
+   *
+   * @param {Object} point - Series point
+   * @returns {number} Y position
+   * @protected
+   */
+  getPointY(point) {
+    return this.yScale(point.y);
+  }
+
+  /**
+   * Get the stroke color of a series
+   *
+   * @param {string} key - Series key
+   * @returns {string} Color
+   * @private
+   */
+  getSeriesColor(key) {
+    return this.colorScale ? this.colorScale(key) : this.options.color;
   }
 
   /**
-   * Renderiza o gráfico em SVG dentro do container definido.
-   * Para exemplo didático, cria uma linha SVG estática de acordo com os dados.
+   * Key identifying a point across updates
+   *
+   * @param {Object} point - Series point
+   * @returns {string} Point key
+   * @private
+   */
+  getPointKey(point) {
+    const x = point.x instanceof Date ? point.x.getTime() : point.x;
+    return `${point.series}|${x}`;
+  }
+
+  /**
+   * Render the line chart
+   * Series and points are joined by key so re-rendering morphs the lines to
+   * their new shape, fades new series in and removed series out
    */
   render() {
-    const container = document.querySelector(this.options.container);
-    if (!container) throw new Error('Container não encontrado!');
-    
-    // Remove gráfico anterior se existir
-    container.innerHTML = '';
-    
-    // Criação do SVG principal
-    const width = this.options.width || 400;
-    const height = this.options.height || 300;
-    const margin = { top: 20, right: 30, bottom: 40, left: 50 };
-    const innerWidth = width - margin.left - margin.right;
-    const innerHeight = height - margin.top - margin.bottom;
-    
-    const svg = document.createElement('svg');
-    svg.setAttribute('width', width);
-    svg.setAttribute('height', height);
-    container.appendChild(svg);
-    
-    // Placeholder: Implementação funcional básica
-    // Cria uma linha de exemplo para demonstrar estrutura
-    const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-    g.setAttribute('transform', `translate(${margin.left},${margin.top})`);
-    svg.appendChild(g);
-    
-    // Linha de exemplo (placeholder para dados reais)
-    const line = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    const examplePath = `M 0,${innerHeight/2} L ${innerWidth/3},${innerHeight/4} L ${innerWidth*2/3},${innerHeight*3/4} L ${innerWidth},${innerHeight/2}`;
-    line.setAttribute('d', examplePath);
-    line.setAttribute('stroke', this.options.color || '#1f77b4');
-    line.setAttribute('stroke-width', this.strokeWidth);
-    line.setAttribute('fill', 'none');
-    g.appendChild(line);
-    
-    // Pontos de exemplo
-    const points = [
-      { x: 0, y: innerHeight/2 },
-      { x: innerWidth/3, y: innerHeight/4 },
-      { x: innerWidth*2/3, y: innerHeight*3/4 },
-      { x: innerWidth, y: innerHeight/2 }
-    ];
-    
-    points.forEach(point => {
-      const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-      circle.setAttribute('cx', point.x);
-      circle.setAttribute('cy', point.y);
-      circle.setAttribute('r', this.dotRadius);
-      circle.setAttribute('fill', this.options.color || '#1f77b4');
-      g.appendChild(circle);
+    // Call parent render method for base setup
+    super.render();
+
+    if (!this.data || this.data.length === 0) {
+      return;
+    }
+
+    this.series = this.computeSeries();
+    this.createScales(this.series);
+    this.applyZoomToScales();
+
+    this.redraw(this.createTransition());
+    this.setupZoom();
+
+    if (this.options.legend) {
+      this.drawLegend();
+    }
+  }
+
+  /**
+   * Draw the axes, lines and points from the current scales
+   *
+   * @param {Object} t - Transition to draw with
+   * @protected
+   */
+  redraw(t) {
+    this.drawAxes(d3.axisBottom(this.xScale), d3.axisLeft(this.yScale), t);
+
+    if (this.isCanvas()) {
+      this.drawCanvas(this.series);
+      return;
+    }
+
+    this.drawLines(this.series, t);
+    this.drawPoints(this.dotRadius > 0 ? this.series : [], t);
+  }
+
+  /**
+   * Draw the lines and points to the canvas layer and index the points for tooltips
+   * Canvas frames are drawn without transitions
+   *
+   * @param {Array} series - Series to draw
+   * @private
+   */
+  drawCanvas(series) {
+    const context = this.beginCanvasFrame();
+    const line = this.createLineGenerator().context(context);
+    const points = this.dotRadius > 0 ? series.flatMap(s => s.values.filter(p => p.y !== null)) : [];
+
+    this.container.dataGroup.selectAll('.line, .line-point').remove();
+
+    context.lineWidth = this.strokeWidth;
+    context.lineJoin = 'round';
+
+    series.forEach(s => {
+      context.beginPath();
+      line(s.values);
+      context.strokeStyle = this.getSeriesColor(s.key);
+      context.stroke();
+    });
+
+    const targets = points.map(p => {
+      const x = this.xScale(p.x);
+      const y = this.getPointY(p);
+
+      context.beginPath();
+      context.arc(x, y, this.dotRadius, 0, 2 * Math.PI);
+      context.fillStyle = this.getSeriesColor(p.series);
+      context.fill();
+
+      return { x, y, radius: this.dotRadius, tooltip: () => this.getTooltipContent(p) };
     });
-    
-    // TODO: Implementar processamento real de dados
-    // TODO: Implementar escalas D3 (xScale, yScale)
-    // TODO: Implementar eixos com labels
-    // TODO: Implementar tooltip interativo
-    // TODO: Implementar animações
-    console.log('LineChart renderizado com sucesso (versão placeholder)');
+
+    this.setHitTargets(targets);
+  }
+
+  /**
+   * Build the tooltip content of a point
+   *
+   * @param {Object} point - Series point
+   * @returns {string} Tooltip HTML
+   * @private
+   */
+  getTooltipContent(point) {
+    const { x, y, colorField } = this.options;
+    const xLabel = point.x instanceof Date ? formatDate(point.x) : point.x;
+    const series = colorField ? `${colorField}: ${point.series}<br/>` : '';
+
+    return `${series}${x}: ${xLabel}<br/>${y}: ${formatNumber(point.y)}`;
+  }
+
+  /**
+   * Build the line generator for the current scales
+   *
+   * @returns {Function} D3 line generator
+   * @private
+   */
+  createLineGenerator() {
+    return d3.line()
+      .defined(p => p.y !== null)
+      .x(p => this.xScale(p.x))
+      .y(p => this.getPointY(p))
+      .curve(this.getCurve());
+  }
+
+  /**
+   * Draw one path per series
+   *
+   * @param {Array} series - Series to draw
+   * @param {Object} t - Transition shared by the render
+   * @private
+   */
+  drawLines(series, t) {
+    const { dataGroup } = this.container;
+    const line = this.createLineGenerator();
+
+    dataGroup.selectAll('.line')
+      .data(series, s => s.key)
+      .join(
+        enter => enter.append('path')
+          .attr('class', 'line')
+          .attr('d', s => line(s.values))
+          .style('opacity', 0),
+        update => update,
+        exit => exit.transition(t)
+          .style('opacity', 0)
+          .remove()
+      )
+      .style('stroke-width', this.strokeWidth)
+      .transition(t)
+      .attr('d', s => line(s.values))
+      .style('stroke', s => this.getSeriesColor(s.key))
+      .style('opacity', 1);
   }
 
   /**
-   * Atualiza o gráfico com novos dados.
-   * @param {Array} newData - Novos dados para renderizar.
+   * Draw a point for every defined value, with tooltips
+   *
+   * @param {Array} series - Series to draw
+   * @param {Object} t - Transition shared by the render
+   * @private
+   */
+  drawPoints(series, t) {
+    const { dataGroup } = this.container;
+    const points = series.flatMap(s => s.values.filter(p => p.y !== null));
+
+    dataGroup.selectAll('.line-point')
+      .data(points, p => this.getPointKey(p))
+      .join(
+        enter => enter.append('circle')
+          .attr('class', 'line-point point')
+          .attr('cx', p => this.xScale(p.x))
+          .attr('cy', p => this.getPointY(p))
+          .attr('r', 0),
+        update => update,
+        exit => exit.transition(t)
+          .attr('r', 0)
+          .remove()
+      )
+      .on('mouseover', (event, p) => {
+        d3.select(event.currentTarget).attr('r', this.dotRadius * 1.5);
+        this.showTooltip(event, this.getTooltipContent(p));
+      })
+      .on('mousemove', (event) => {
+        this.moveTooltip(event);
+      })
+      .on('mouseout', (event) => {
+        d3.select(event.currentTarget).attr('r', this.dotRadius);
+        this.hideTooltip();
+      })
+      .transition(t)
+      .attr('cx', p => this.xScale(p.x))
+      .attr('cy', p => this.getPointY(p))
+      .attr('r', this.dotRadius)
+      .style('fill', p => this.getSeriesColor(p.series));
+  }
+
+  /**
+   * Update the line chart with new data
+   * Lines and points are animated to their new positions
+   *
+   * @param {Array} newData - New dataset to visualize
    */
   update(newData) {
     super.update(newData);
-    // TODO: Implementar atualização específica do gráfico de linha
-    this.render();
+
+    if (this.container) {
+      this.render();
+    }
   }
 
   /**
-   * Redimensiona o gráfico.
+   * Resize the line chart
+   * Recomputes scales for the new dimensions and moves marks into place
    */
   resize() {
     super.resize();
-    // TODO: Implementar redimensionamento específico do gráfico de linha
-    this.render();
+
+    if (this.container && this.data) {
+      this.render();
+    }
   }
 }
@@ -1,87 +1,426 @@
-// PieChart.js: Implementação básica do gráfico de pizza conforme arquitetura especificada.
-// Herdando BaseChart, compatível com Jest, e explicativamente documentado.
+// PieChart.js: gráfico de pizza e de rosca sobre d3.pie/d3.arc, desenhado nos
+// grupos do DataVisualizer e herdando BaseChart.
 
 import BaseChart from './BaseChart.js';
+import * as d3 from 'd3';
+import { formatNumber, formatPercentage } from '../utils/formatters.js';
 
 /**
- * PieChart - Gráfico de pizza (pie chart) simples, pronto para extensão.
+ * Ordenações aceitas por `sort`.
+ * @private
+ */
+const SORTS = ['none', 'descending', 'ascending'];
+
+/**
+ * Ângulo mínimo, em radianos, para o percentual caber dentro da fatia.
+ * @private
+ */
+const MIN_LABEL_ANGLE = 0.25;
+
+/**
+ * PieChart - Gráfico de pizza (ou rosca, com `innerRadius`).
+ * Os valores de `y` são somados por categoria de `x`; fatias menores que
+ * `otherThreshold` do total são agrupadas numa fatia "Other". Os nomes ficam
+ * fora da pizza, ligados às fatias por linhas-guia e afastados uns dos outros
+ * para não se sobreporem; os percentuais ficam dentro das fatias.
  */
 export default class PieChart extends BaseChart {
+  /**
+   * @param {Object} options - Opções do gráfico (ver BaseChart).
+   * @param {string} [options.x='x'] - Campo da categoria de cada fatia.
+   * @param {string} [options.y='y'] - Campo do valor; valores da mesma categoria são somados.
+   * @param {number} [options.innerRadius=0] - Raio interno como fração do externo (0 = pizza, 0.6 = rosca).
+   * @param {number} [options.padAngle=0] - Espaço entre fatias, em radianos.
+   * @param {number} [options.cornerRadius=0] - Arredondamento dos cantos das fatias, em px.
+   * @param {string} [options.sort='none'] - Ordem das fatias: 'none' (ordem dos dados), 'descending' ou 'ascending'.
+   * @param {boolean} [options.labels=true] - Nomes das fatias do lado de fora, com linhas-guia.
+   * @param {boolean} [options.percentages=true] - Percentual dentro de cada fatia que tenha espaço.
+   * @param {number} [options.labelSpacing=14] - Distância vertical mínima entre os nomes, em px.
+   * @param {number} [options.otherThreshold=0] - Fração do total abaixo da qual as fatias vão para "Other".
+   * @param {string} [options.otherLabel='Other'] - Nome da fatia agrupada.
+   */
   constructor(options = {}) {
-    super(options);
+    const pieDefaults = {
+      innerRadius: 0,
+      padAngle: 0,
+      cornerRadius: 0,
+      sort: 'none',
+      labels: true,
+      percentages: true,
+      labelSpacing: 14,
+      otherThreshold: 0,
+      otherLabel: 'Other'
+    };
+
+    super({ ...pieDefaults, ...options });
     this.type = 'pie';
+
+    // Categoria clicada, emitida em `chart:selection`
+    this.selectedKey = null;
   }
 
   /**
-   * Renderiza um gráfico de pizza SVG no container fornecido.
+   * Soma os valores por categoria, agrupa as fatias pequenas e calcula os ângulos.
+   * Independente do DOM, para que o layout possa ser inspecionado e testado.
+   *
+   * @returns {Array} Fatias { key, value, percent, other, members, startAngle, endAngle, padAngle }.
    */
-  render() {
-    const container = document.querySelector(this.options.container);
-    if (!container) throw new Error('Container não encontrado!');
-
-    container.innerHTML = '';
-
-    const width = this.options.width || 300;
-    const height = this.options.height || 300;
-    const radius = Math.min(width, height) / 2 - 10;
-
-    // Exemplo didático: fatias fixas, usando dados reais se existirem
-    const data = Array.isArray(this.data) && this.data.length
-      ? this.data
-      : [
-          { label: 'A', value: 30 },
-          { label: 'B', value: 80 },
-          { label: 'C', value: 40 },
-        ];
-
-    const total = data.reduce((sum, d) => sum + d.value, 0);
-
-    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-    svg.setAttribute('width', width);
-    svg.setAttribute('height', height);
-
-    const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-    g.setAttribute('transform', `translate(${width / 2},${height / 2})`);
-    svg.appendChild(g);
-
-    let startAngle = 0;
-    data.forEach((d, i) => {
-      const angle = (d.value / total) * 2 * Math.PI;
-      const endAngle = startAngle + angle;
-      const x1 = radius * Math.cos(startAngle);
-      const y1 = radius * Math.sin(startAngle);
-      const x2 = radius * Math.cos(endAngle);
-      const y2 = radius * Math.sin(endAngle);
-      const largeArc = angle > Math.PI ? 1 : 0;
-
-      // Path SVG para fatia de pizza
-      const pathData = [
-        `M 0 0`,
-        `L ${x1} ${y1}`,
-        `A ${radius} ${radius} 0 ${largeArc} 1 ${x2} ${y2}`,
-        `Z`
-      ].join(' ');
-
-      const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-      path.setAttribute('d', pathData);
-      path.setAttribute('fill', this.options.colors ? this.options.colors[i % this.options.colors.length] : ['#1f77b4','#ff7f0e','#2ca02c','#d62728', '#9467bd'][i % 5]);
-      g.appendChild(path);
-
-      // Opcional: label das fatias
-      const midAngle = startAngle + angle / 2;
-      const labelX = (radius / 1.5) * Math.cos(midAngle);
-      const labelY = (radius / 1.5) * Math.sin(midAngle);
-      const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-      label.setAttribute('x', labelX);
-      label.setAttribute('y', labelY);
-      label.setAttribute('text-anchor', 'middle');
-      label.setAttribute('dy', '0.35em');
-      label.textContent = d.label;
-      g.appendChild(label);
-
-      startAngle = endAngle;
+  computeSlices() {
+    const { x, y, sort, padAngle, otherThreshold, otherLabel } = this.options;
+
+    if (!SORTS.includes(sort)) {
+      throw new Error(`Unknown sort '${sort}'. Available: ${SORTS.join(', ')}`);
+    }
+
+    // Fatias só representam valores positivos
+    const totals = d3.rollup(this.data, rows => d3.sum(rows, d => +d[y] || 0), d => d[x]);
+    let entries = Array.from(totals, ([key, value]) => ({ key, value, other: false, members: [key] }))
+      .filter(d => d.value > 0);
+
+    const total = d3.sum(entries, d => d.value);
+
+    // Uma fatia pequena sozinha continua com o próprio nome
+    const small = entries.filter(d => d.value / total < otherThreshold);
+
+    if (small.length > 1) {
+      entries = entries.filter(d => !small.includes(d));
+      entries.push({
+        key: otherLabel,
+        value: d3.sum(small, d => d.value),
+        other: true,
+        members: small.map(d => d.key)
+      });
+    }
+
+    // "Other" fica sempre por último
+    const compare = (a, b) => (a.other - b.other)
+      || (sort === 'descending' ? b.value - a.value : a.value - b.value);
+
+    const pie = d3.pie()
+      .value(d => d.value)
+      .padAngle(padAngle)
+      .sort(sort === 'none' ? null : compare);
+
+    return pie(entries).map(({ data, startAngle, endAngle, padAngle: pad, index }) => ({
+      ...data,
+      percent: data.value / total,
+      startAngle,
+      endAngle,
+      padAngle: pad,
+      index
+    }));
+  }
+
+  /**
+   * Raio externo: metade do lado menor, deixando espaço aos nomes externos.
+   * @returns {number} Raio em px.
+   */
+  getRadius() {
+    const radius = Math.min(this.width, this.height) / 2;
+    return this.options.labels ? radius * 0.75 : radius;
+  }
+
+  /**
+   * Posiciona os nomes externos: cada um segue o ângulo médio da fatia e, de cada
+   * lado da pizza, os nomes são afastados verticalmente até ficarem a `labelSpacing`
+   * um do outro, sem sair da altura do gráfico.
+   *
+   * @param {Array} slices - Fatias de computeSlices().
+   * @param {number} radius - Raio externo.
+   * @returns {Array} Nomes { key, x, y, anchor, points }, com `points` da linha-guia.
+   */
+  computeLabelLayout(slices, radius) {
+    const { labelSpacing } = this.options;
+    const limit = this.height / 2;
+
+    const labels = slices.map(slice => {
+      const angle = (slice.startAngle + slice.endAngle) / 2;
+      const side = angle < Math.PI ? 1 : -1;
+
+      return {
+        key: slice.key,
+        angle,
+        side,
+        y: -Math.cos(angle) * radius * 1.1,
+        anchor: side > 0 ? 'start' : 'end'
+      };
+    });
+
+    [1, -1].forEach(side => {
+      const column = labels.filter(d => d.side === side).sort((a, b) => a.y - b.y);
+
+      // Desce os nomes que encostam no anterior e depois sobe os que passaram do limite
+      column.forEach((label, i) => {
+        if (i > 0) label.y = Math.max(label.y, column[i - 1].y + labelSpacing);
+      });
+
+      for (let i = column.length - 1; i >= 0; i--) {
+        const below = i < column.length - 1 ? column[i + 1].y - labelSpacing : limit;
+        column[i].y = Math.max(-limit, Math.min(column[i].y, below));
+      }
+    });
+
+    return labels.map(({ key, angle, side, y, anchor }) => {
+      const edge = [Math.sin(angle) * radius, -Math.cos(angle) * radius];
+      const elbow = [Math.sin(angle) * radius * 1.1, y];
+      const x = side * radius * 1.2;
+
+      return { key, x: x + side * 4, y, anchor, points: [edge, elbow, [x, y]] };
     });
+  }
+
+  /**
+   * Desenha as fatias, os percentuais e os nomes externos.
+   * Fatias são casadas pela categoria, então re-renderizar anima os ângulos.
+   */
+  render() {
+    super.render();
+
+    if (!this.data || this.data.length === 0) {
+      return;
+    }
+
+    const slices = this.computeSlices();
+    const radius = this.getRadius();
+    const t = this.createTransition();
+
+    this.colorScale = d3.scaleOrdinal()
+      .domain(slices.map(d => d.key))
+      .range(this.options.colorPalette || d3.schemeCategory10);
+
+    const pie = this.container.dataGroup.selectAll('.pie')
+      .data([null])
+      .join('g')
+      .attr('class', 'pie')
+      .attr('transform', `translate(${this.width / 2}, ${this.height / 2})`);
+
+    const arc = d3.arc()
+      .innerRadius(radius * this.options.innerRadius)
+      .outerRadius(radius)
+      .cornerRadius(this.options.cornerRadius);
+
+    this.drawSlices(pie, slices, arc, t);
+    this.drawPercentages(pie, slices, arc, t);
+
+    if (this.options.labels) {
+      this.drawLabels(pie, this.computeLabelLayout(slices, radius), t);
+    } else {
+      pie.selectAll('.pie-labels').remove();
+    }
+
+    if (this.options.legend) {
+      this.drawLegend();
+    }
+  }
+
+  /**
+   * Desenha as fatias; os ângulos anteriores ficam no elemento para a transição
+   * partir deles, e fatias novas crescem a partir do próprio início.
+   *
+   * @param {Object} pie - Grupo da pizza.
+   * @param {Array} slices - Fatias.
+   * @param {Function} arc - Gerador d3.arc.
+   * @param {Object} t - Transição do render.
+   * @private
+   */
+  drawSlices(pie, slices, arc, t) {
+    const paths = pie.selectAll('.slice')
+      .data(slices, d => d.key)
+      .join(
+        enter => enter.append('path')
+          .attr('class', 'slice pie-slice')
+          .attr('stroke', 'white')
+          .attr('stroke-width', 1),
+        update => update,
+        exit => exit.transition(t)
+          .style('opacity', 0)
+          .remove()
+      )
+      .classed('selected', d => d.key === this.selectedKey);
+
+    paths
+      .on('mouseover', (event, d) => {
+        this.showTooltip(event, this.getTooltipContent(d));
+      })
+      .on('mousemove', (event) => {
+        this.moveTooltip(event);
+      })
+      .on('mouseout', () => {
+        this.hideTooltip();
+      })
+      .on('click', (event, d) => {
+        this.selectSlice(d);
+      });
+
+    paths.transition(t)
+      .style('fill', d => this.colorScale(d.key))
+      .attrTween('d', (d, i, nodes) => {
+        const node = nodes[i];
+        const from = node.__angles || { startAngle: d.startAngle, endAngle: d.startAngle, padAngle: d.padAngle };
+        const interpolate = d3.interpolate(from, { startAngle: d.startAngle, endAngle: d.endAngle, padAngle: d.padAngle });
+
+        node.__angles = interpolate(1);
+        return time => arc(interpolate(time));
+      });
+  }
+
+  /**
+   * Desenha o percentual no centro das fatias largas o bastante para ele.
+   *
+   * @param {Object} pie - Grupo da pizza.
+   * @param {Array} slices - Fatias.
+   * @param {Function} arc - Gerador d3.arc.
+   * @param {Object} t - Transição do render.
+   * @private
+   */
+  drawPercentages(pie, slices, arc, t) {
+    const visible = this.options.percentages
+      ? slices.filter(d => d.endAngle - d.startAngle >= MIN_LABEL_ANGLE)
+      : [];
+
+    pie.selectAll('.pie-label')
+      .data(visible, d => d.key)
+      .join(
+        enter => enter.append('text')
+          .attr('class', 'pie-label')
+          .attr('dy', '0.35em')
+          .attr('transform', d => `translate(${arc.centroid(d)})`)
+          .style('opacity', 0),
+        update => update,
+        exit => exit.remove()
+      )
+      .text(d => formatPercentage(d.percent, 1))
+      .transition(t)
+      .attr('transform', d => `translate(${arc.centroid(d)})`)
+      .style('opacity', 1);
+  }
+
+  /**
+   * Desenha os nomes externos e suas linhas-guia.
+   *
+   * @param {Object} pie - Grupo da pizza.
+   * @param {Array} labels - Nomes de computeLabelLayout().
+   * @param {Object} t - Transição do render.
+   * @private
+   */
+  drawLabels(pie, labels, t) {
+    const group = pie.selectAll('.pie-labels')
+      .data([null])
+      .join('g')
+      .attr('class', 'pie-labels');
+
+    group.selectAll('.pie-leader')
+      .data(labels, d => d.key)
+      .join(
+        enter => enter.append('polyline')
+          .attr('class', 'pie-leader')
+          .attr('fill', 'none')
+          .attr('stroke', '#999')
+          .attr('points', d => d.points.join(' '))
+          .style('opacity', 0),
+        update => update,
+        exit => exit.remove()
+      )
+      .transition(t)
+      .attr('points', d => d.points.join(' '))
+      .style('opacity', 1);
+
+    group.selectAll('.pie-outer-label')
+      .data(labels, d => d.key)
+      .join(
+        enter => enter.append('text')
+          .attr('class', 'pie-outer-label')
+          .attr('dy', '0.35em')
+          .attr('x', d => d.x)
+          .attr('y', d => d.y)
+          .style('opacity', 0),
+        update => update,
+        exit => exit.remove()
+      )
+      .attr('text-anchor', d => d.anchor)
+      .text(d => d.key)
+      .transition(t)
+      .attr('x', d => d.x)
+      .attr('y', d => d.y)
+      .style('opacity', 1);
+  }
+
+  /**
+   * Conteúdo do tooltip de uma fatia; "Other" lista as categorias agrupadas.
+   *
+   * @param {Object} slice - Fatia.
+   * @returns {string} HTML do tooltip.
+   */
+  getTooltipContent(slice) {
+    const { x, y } = this.options;
+    const value = formatNumber(slice.value, Number.isInteger(slice.value) ? 0 : 2);
+    const members = slice.other ? `<br/>${slice.members.join(', ')}` : '';
+
+    return `${x}: ${slice.key}<br/>${y}: ${value} (${formatPercentage(slice.percent, 1)})${members}`;
+  }
+
+  /**
+   * Seleciona a fatia clicada (ou desfaz a seleção, se já estava selecionada) e
+   * emite `chart:selection` com as linhas das categorias da fatia.
+   *
+   * @param {Object} slice - Fatia clicada.
+   */
+  selectSlice(slice) {
+    const { x } = this.options;
+
+    this.selectedKey = this.selectedKey === slice.key ? null : slice.key;
+
+    const data = this.selectedKey === null
+      ? []
+      : this.data.filter(d => slice.members.includes(d[x]));
+
+    if (this.container) {
+      this.container.dataGroup.selectAll('.slice')
+        .classed('selected', d => d.key === this.selectedKey);
+    }
+
+    this.emit('chart:selection', { key: this.selectedKey, data });
+  }
+
+  /**
+   * Categorias da legenda: as fatias desenhadas, incluindo "Other".
+   * @returns {Array} Chaves das fatias.
+   * @protected
+   */
+  getLegendCategories() {
+    return this.colorScale ? this.colorScale.domain() : null;
+  }
+
+  /**
+   * Categoria da legenda de uma fatia.
+   * @param {Object} d - Fatia.
+   * @returns {string} Chave da fatia.
+   * @protected
+   */
+  getLegendKey(d) {
+    return d.key;
+  }
+
+  /**
+   * Atualiza os dados e anima as fatias até os novos ângulos.
+   * @param {Array} newData - Novos dados.
+   */
+  update(newData) {
+    super.update(newData);
+
+    if (this.container) {
+      this.render();
+    }
+  }
+
+  /**
+   * Recalcula o raio e a posição dos nomes para as novas dimensões.
+   */
+  resize() {
+    super.resize();
 
-    container.appendChild(svg);
+    if (this.container && this.data) {
+      this.render();
+    }
   }
 }
@@ -1,19 +1,205 @@
-// RealTimeChart.js: Simulação básica de gráfico em tempo real (linha animada ou barras),
-// herdando BaseChart. Pronto para extensão com WebSockets ou atualizações de API reais.
+// RealTimeChart.js: gráfico de linha alimentado por um fluxo contínuo de dados
+// (WebSocket, Server-Sent Events, polling HTTP ou push manual), herdando BaseChart.
 
 import BaseChart from './BaseChart.js';
+import * as d3 from 'd3';
+import { createDataSource, ReplaySource } from '../core/DataSource.js';
+import RingBuffer from '../core/RingBuffer.js';
+import { parseJSONLines, stringifyJSONLines } from '../utils/dataLoader.js';
 
 /**
- * RealTimeChart - Gráfico que simula atualização de dados ao vivo.
- * Exemplo: gráfico de linha com atualização periódica simulada.
+ * Espaço reservado aos eixos ao redor da área de desenho.
+ * @private
+ */
+const MARGIN = { top: 10, right: 10, bottom: 25, left: 40 };
+
+/**
+ * Largura ocupada por cada eixo y extra à direita, com `yAxes: 'independent'`.
+ * @private
+ */
+const AXIS_WIDTH = 40;
+
+/**
+ * Espaço entre o eixo x e a visão geral, com `overview`.
+ * @private
+ */
+const OVERVIEW_GAP = 10;
+
+/**
+ * Modos aceitos por `yAxes`.
+ * @private
+ */
+const Y_AXES = ['shared', 'independent'];
+
+// Contador que dá a cada gráfico um id próprio de clip-path
+let clipCounter = 0;
+
+/**
+ * RealTimeChart - Gráfico de linha que acompanha dados ao vivo.
+ * Os pontos chegam por uma DataSource (ver core/DataSource.js) e ficam num RingBuffer
+ * de até `bufferSize` pontos, opcionalmente limitado a uma janela de tempo. Lotes que
+ * chegam juntos são desenhados uma única vez no próximo quadro de animação.
+ *
+ * O traço é desenhado uma vez num grupo próprio e desliza para a esquerda por
+ * `transform`; a cada quadro só o `d` da linha e os pontos novos ou descartados mudam.
+ * Com `timeWindow` a escala horizontal é fixa e o traço apenas desliza; sem ela, a
+ * janela é a extensão do buffer e mudanças nesse intervalo redesenham a escala.
+ * Sem `source`, uma simulação local gera um valor aleatório a cada `updateInterval` ms.
+ *
+ * Várias séries vêm de `seriesField` (linhas { time, metric, value }) ou de uma lista de
+ * campos em `y` (linhas { time, cpu, mem }), cada uma com seu buffer. Limites em
+ * `thresholds` desenham faixas horizontais; quando uma série entra ou sai da faixa,
+ * o gráfico marca o ponto e emite `realtime:threshold-crossed`, com histerese para
+ * que valores oscilando em torno do limite não disparem alertas seguidos.
+ *
+ * Num incidente, o gráfico pode ser congelado e percorrido com scrub(), ou arrastando
+ * o brush da visão geral (`overview`), que mostra todo o buffer. Uma gravação
+ * (startRecording/stopRecording) guarda os lotes recebidos em JSON lines, que
+ * replay() toca de novo em 1x, 2x ou 10x.
  */
 export default class RealTimeChart extends BaseChart {
+  /**
+   * @param {Object} options - Opções do gráfico.
+   * @param {string|HTMLElement} options.container - Elemento, ou seletor, que recebe o SVG.
+   * @param {number} [options.width=400] - Largura em pixels.
+   * @param {number} [options.height=200] - Altura em pixels.
+   * @param {string} [options.x='time'] - Campo do instante (número, data ou string ISO); sem ele, vale a hora de chegada.
+   * @param {string|Array} [options.y='value'] - Campo do valor, ou lista de campos, um por série.
+   * @param {string} [options.seriesField] - Campo com a chave da série de cada linha.
+   * @param {string} [options.yAxes='shared'] - 'shared' (um eixo para todas as séries) ou
+   *   'independent' (uma escala por série; a primeira à esquerda, as demais à direita).
+   * @param {Array} [options.thresholds] - Limites { above, below, series, hysteresis, label, color }:
+   *   `above`/`below` disparam quando o valor passa acima/abaixo do limite; a série volta ao normal
+   *   só depois de recuar `hysteresis`; sem `series`, o limite vale para todas.
+   * @param {DataSource|Object|string} [options.source] - Fonte de dados, ou descrição
+   *   { type: 'websocket' | 'sse' | 'polling' | 'push', ... } repassada a createDataSource.
+   * @param {number} [options.bufferSize=100] - Número máximo de pontos mantidos por série; os mais antigos saem primeiro.
+   * @param {number} [options.timeWindow] - Duração visível, nas unidades de `x` (ms para datas); pontos mais antigos são descartados.
+   * @param {number} [options.updateInterval=1000] - Intervalo, em ms, da simulação e do polling sem `interval` próprio.
+   * @param {Array|Object} [options.yDomain] - Domínio fixo [min, max] do eixo y, ou { série: [min, max] }
+   *   com eixos independentes (padrão: extensão dos dados e dos limites).
+   * @param {number} [options.dotRadius=3] - Raio dos pontos (0 oculta os pontos).
+   * @param {boolean} [options.overview=false] - Mostra sob o gráfico a visão geral do buffer, com brush para scrub.
+   * @param {number} [options.overviewHeight=40] - Altura da visão geral.
+   * @param {number} [options.frameBudget=16] - Custo de desenho, em ms, acima do qual os quadros são espaçados.
+   * @param {Function} [options.now] - Relógio em ms (padrão: performance.now).
+   * @param {Function} [options.requestFrame] - Agendador de quadro (padrão: requestAnimationFrame).
+   * @param {Function} [options.cancelFrame] - Cancelamento de quadro (padrão: cancelAnimationFrame).
+   */
   constructor(options = {}) {
-    super(options);
+    const realtimeDefaults = {
+      x: 'time',
+      y: 'value',
+      source: null,
+      bufferSize: 100,
+      timeWindow: null,
+      updateInterval: 1000,
+      yDomain: null,
+      seriesField: null,
+      yAxes: 'shared',
+      thresholds: [],
+      dotRadius: 3,
+      overview: false,
+      overviewHeight: 40,
+      frameBudget: 16
+    };
+
+    super({ ...realtimeDefaults, ...options });
     this.type = 'realtime';
-    this.timer = null;
-    // Estado local para simulação
-    this._mockData = Array.isArray(options.data) ? options.data : this.generateInitialData();
+
+    // Fonte de dados (criada no primeiro start()) e cancelamento das suas inscrições
+    this.source = null;
+    this.unsubscribe = [];
+
+    // Estado do fluxo: conectado/parado, tela congelada e estado da conexão
+    this.running = false;
+    this.paused = false;
+    this.status = 'idle';
+
+    // Elementos persistentes do SVG, criados por render()
+    this.host = null;
+    this.elements = null;
+    this.clipId = `realtime-clip-${++clipCounter}`;
+
+    // Origem e escala do traço; mudam só quando a escala horizontal ou vertical muda
+    this.scroll = null;
+
+    // Intervalo escolhido por scrub() enquanto o gráfico está congelado
+    this.viewWindow = null;
+
+    // Gravação em andamento: instante de início e lotes { at, data }
+    this.recording = null;
+
+    // Agendamento dos quadros: um desenho por quadro, espaçado se desenhar for caro
+    const hasFrames = typeof requestAnimationFrame === 'function';
+    this.now = options.now || (() => (typeof performance !== 'undefined' ? performance.now() : Date.now()));
+    this.requestFrame = options.requestFrame || (hasFrames ? callback => requestAnimationFrame(callback) : callback => setTimeout(callback, 16));
+    this.cancelFrame = options.cancelFrame || (hasFrames ? id => cancelAnimationFrame(id) : id => clearTimeout(id));
+    this.frameId = null;
+    this.lastDraw = null;
+    this.drawCost = null;
+
+    // Valida os limites antes de receber pontos
+    this.getThresholdBounds();
+
+    // Buffer: dados iniciais ou, na simulação, uma série didática
+    const initial = Array.isArray(options.data) && options.data.length > 0
+      ? options.data
+      : options.source ? [] : this.generateInitialData();
+
+    this.data = initial;
+  }
+
+  /**
+   * Pontos do buffer, do mais antigo ao mais recente.
+   * Com várias séries, os pontos de cada série vêm em sequência e trazem `series`.
+   * @returns {Array} Pontos { time, value } ou { series, time, value }.
+   */
+  get data() {
+    if (!this.buffers) return [];
+
+    if (!this.isMultiSeries()) {
+      const buffer = this.buffers.get(this.options.y);
+      return buffer ? buffer.toArray() : [];
+    }
+
+    return [...this.buffers].flatMap(([series, buffer]) => buffer.toArray().map(d => ({ series, ...d })));
+  }
+
+  /**
+   * Substitui o conteúdo do buffer; alertas e anotações recomeçam.
+   * @param {Array} rows - Pontos brutos.
+   */
+  set data(rows) {
+    this.buffers = new Map();
+    this.alerts = new Map();
+    this.annotations = [];
+    this.addPoints(rows || []);
+  }
+
+  /**
+   * Indica se as linhas trazem mais de uma série.
+   * @returns {boolean} True com `seriesField` ou uma lista em `y`.
+   */
+  isMultiSeries() {
+    return !!this.options.seriesField || Array.isArray(this.options.y);
+  }
+
+  /**
+   * Chaves das séries recebidas, na ordem de chegada.
+   * @returns {Array} Chaves.
+   */
+  getSeriesKeys() {
+    return [...this.buffers.keys()];
+  }
+
+  /**
+   * Instante do ponto mais recente entre todas as séries.
+   * @returns {number|undefined} Instante, ou undefined sem pontos.
+   * @private
+   */
+  getLastTime() {
+    return d3.max(this.buffers.values(), buffer => (buffer.length > 0 ? buffer.last().time : undefined));
   }
 
   /**
@@ -29,82 +215,922 @@ export default class RealTimeChart extends BaseChart {
   }
 
   /**
-   * Cria ou atualiza o gráfico e inicia o timer de simulação.
+   * Gera o próximo ponto da simulação, um passo depois do último.
+   * @returns {Object} Ponto { time, value }.
+   */
+  generatePoint() {
+    const last = this.getLastTime();
+    return { time: last !== undefined ? last + 1 : 0, value: 50 + Math.random() * 50 };
+  }
+
+  /**
+   * Converte uma linha recebida em pontos { series, time, value }, um por série.
+   * Números isolados viram valores com a hora atual; datas viram milissegundos.
+   *
+   * @param {Object|number} raw - Linha recebida da fonte.
+   * @returns {Array} Pontos com valor numérico.
+   * @private
+   */
+  normalizePoints(raw) {
+    const { x, y, seriesField } = this.options;
+    const fields = Array.isArray(y) ? y : [y];
+    const record = typeof raw === 'number' ? { [fields[0]]: raw } : raw || {};
+    const rawTime = record[x] === undefined || record[x] === null ? Date.now() : record[x];
+    const time = typeof rawTime === 'number' ? rawTime : +new Date(rawTime);
+
+    const getSeries = field => {
+      if (!seriesField) return field;
+      return fields.length > 1 ? `${record[seriesField]} ${field}` : record[seriesField];
+    };
+
+    return fields
+      .map(field => ({
+        series: getSeries(field),
+        time,
+        value: record[field] === null || record[field] === '' ? NaN : +record[field]
+      }))
+      .filter(point => !isNaN(point.value));
+  }
+
+  /**
+   * Acrescenta pontos aos buffers das séries, verifica os limites e descarta
+   * pontos e anotações que saíram da janela de tempo.
+   * Pontos mais antigos que o último da mesma série são ignorados.
+   *
+   * @param {Array} rows - Linhas recebidas.
+   * @private
+   */
+  addPoints(rows) {
+    const { bufferSize, timeWindow } = this.options;
+
+    rows.forEach(raw => {
+      this.normalizePoints(raw).forEach(({ series, time, value }) => {
+        if (!this.buffers.has(series)) {
+          this.buffers.set(series, new RingBuffer(bufferSize));
+        }
+
+        const buffer = this.buffers.get(series);
+        const last = buffer.last();
+
+        if (!(last && time < last.time)) {
+          const point = { time, value };
+          buffer.push(point);
+          this.checkThresholds(series, point);
+        }
+      });
+    });
+
+    // Mantém um ponto antes do início da janela para a linha entrar pela borda
+    const end = this.getLastTime();
+
+    if (timeWindow && end !== undefined) {
+      const start = end - timeWindow;
+      this.buffers.forEach(buffer => {
+        buffer.shiftWhile((oldest, next) => next !== undefined && next.time <= start);
+      });
+    }
+
+    this.annotations = this.annotations.filter(annotation => annotation.time >= this.buffers.get(annotation.series).first().time);
+  }
+
+  /**
+   * Limites configurados em `thresholds`, um por lado (above/below).
+   * @returns {Array} Limites { id, side, value, series, hysteresis, label, color }.
+   */
+  getThresholdBounds() {
+    return this.options.thresholds.flatMap((threshold, index) => {
+      const sides = ['above', 'below'].filter(side => typeof threshold[side] === 'number');
+
+      if (sides.length === 0) {
+        throw new Error(`Threshold ${index} needs a numeric 'above' or 'below' bound`);
+      }
+
+      return sides.map(side => ({
+        id: `${index}-${side}`,
+        side,
+        value: threshold[side],
+        series: threshold.series === undefined ? null : threshold.series,
+        hysteresis: threshold.hysteresis || 0,
+        label: threshold.label || null,
+        color: threshold.color || '#d62728'
+      }));
+    });
+  }
+
+  /**
+   * Atualiza o estado de alerta de uma série com um novo ponto.
+   * A série entra em alerta ao passar do limite e só sai depois de recuar
+   * `hysteresis` para dentro da faixa normal.
+   *
+   * @param {string} series - Chave da série.
+   * @param {Object} point - Ponto { time, value }.
+   * @private
+   */
+  checkThresholds(series, point) {
+    this.getThresholdBounds().forEach(bound => {
+      if (bound.series !== null && bound.series !== series) return;
+
+      const key = `${bound.id}|${series}`;
+      const alerting = this.alerts.get(key) || false;
+      const { side, value, hysteresis } = bound;
+      const outside = side === 'above' ? point.value > value : point.value < value;
+      const recovered = side === 'above' ? point.value < value - hysteresis : point.value > value + hysteresis;
+
+      if (alerting ? recovered : outside) {
+        this.alerts.set(key, !alerting);
+        this.handleCrossing(series, point, bound, alerting ? 'exit' : 'enter');
+      }
+    });
+  }
+
+  /**
+   * Registra a anotação de um cruzamento e emite `realtime:threshold-crossed`.
+   *
+   * @param {string} series - Chave da série.
+   * @param {Object} point - Ponto que cruzou o limite.
+   * @param {Object} bound - Limite cruzado.
+   * @param {string} direction - 'enter' (entrou em alerta) ou 'exit' (voltou ao normal).
+   * @private
+   */
+  handleCrossing(series, point, bound, direction) {
+    const label = bound.label || `${series} ${bound.side === 'above' ? '>' : '<'} ${bound.value}`;
+
+    this.annotations.push({
+      id: `${bound.id}|${series}|${point.time}`,
+      series,
+      time: point.time,
+      value: point.value,
+      direction,
+      color: bound.color,
+      label: direction === 'enter' ? label : `${label} ✓`
+    });
+
+    this.emit('realtime:threshold-crossed', {
+      series,
+      direction,
+      side: bound.side,
+      threshold: bound.value,
+      value: point.value,
+      time: point.time,
+      label
+    });
+  }
+
+  /**
+   * Alertas ativos, por série.
+   * @returns {Array} Limites { series, side, threshold } em alerta.
+   */
+  getActiveAlerts() {
+    const bounds = new Map(this.getThresholdBounds().map(bound => [bound.id, bound]));
+
+    return [...this.alerts]
+      .filter(([, alerting]) => alerting)
+      .map(([key]) => {
+        const [id, series] = key.split('|');
+        return { series, side: bounds.get(id).side, threshold: bounds.get(id).value };
+      });
+  }
+
+  /**
+   * Recebe um lote da fonte: guarda os pontos e agenda o desenho.
+   *
+   * @param {Array} points - Pontos recebidos.
+   * @private
+   */
+  handleData(points) {
+    if (this.recording) {
+      this.recording.records.push({ at: Math.round(this.now() - this.recording.start), data: points });
+    }
+
+    this.addPoints(points);
+    this.scheduleDraw();
+  }
+
+  /**
+   * Acrescenta pontos diretamente, com ou sem fonte conectada.
+   *
+   * @param {Object|number|Array} points - Ponto ou lista de pontos.
+   */
+  push(points) {
+    this.handleData(Array.isArray(points) ? points : [points]);
+  }
+
+  /**
+   * Agenda um desenho para o próximo quadro; lotes recebidos antes dele são
+   * desenhados juntos.
+   * @private
+   */
+  scheduleDraw() {
+    if (this.frameId !== null || !this.elements || this.paused) return;
+
+    this.frameId = this.requestFrame(() => this.handleFrame());
+  }
+
+  /**
+   * Desenha no quadro agendado, ou adia para um quadro seguinte se o último
+   * desenho foi recente demais para o custo médio de desenhar.
+   * @private
+   */
+  handleFrame() {
+    this.frameId = null;
+
+    const start = this.now();
+
+    if (this.lastDraw !== null && start - this.lastDraw < this.getMinFrameGap()) {
+      this.frameId = this.requestFrame(() => this.handleFrame());
+      return;
+    }
+
+    this.draw();
+
+    // Média móvel do custo de desenho
+    const cost = this.now() - start;
+    this.drawCost = this.drawCost === null ? cost : this.drawCost * 0.8 + cost * 0.2;
+  }
+
+  /**
+   * Intervalo mínimo entre dois desenhos: zero enquanto desenhar cabe em
+   * `frameBudget`; acima disso, o dobro do custo médio, deixando metade do
+   * tempo livre para a página.
+   *
+   * @returns {number} Intervalo em ms.
+   */
+  getMinFrameGap() {
+    return this.drawCost !== null && this.drawCost > this.options.frameBudget ? this.drawCost * 2 : 0;
+  }
+
+  /**
+   * Cria a fonte de dados e se inscreve nos seus eventos.
+   * Os estados da conexão são repassados como `realtime:status` ao EventManager.
+   *
+   * @returns {DataSource} Fonte de dados.
+   */
+  getSource() {
+    if (this.source) return this.source;
+
+    const { source, updateInterval } = this.options;
+    const spec = source || { type: 'polling', request: () => this.generatePoint() };
+
+    return this.setSource(createDataSource(
+      spec.type === 'polling' && spec.interval === undefined ? { ...spec, interval: updateInterval } : spec
+    ));
+  }
+
+  /**
+   * Troca a fonte de dados: desconecta a atual e se inscreve na nova.
+   *
+   * @param {DataSource} source - Nova fonte; conectada no próximo start().
+   * @returns {DataSource} A nova fonte.
+   */
+  setSource(source) {
+    if (this.source) {
+      this.source.stop();
+    }
+
+    this.unsubscribe.forEach(unsubscribe => unsubscribe());
+    this.source = source;
+    this.unsubscribe = [
+      this.source.on('data', points => this.handleData(points)),
+      this.source.on('status', ({ state, attempt, delay }) => {
+        this.status = state;
+        this.emit('realtime:status', { state, attempt, delay });
+      }),
+      this.source.on('error', error => this.emit('realtime:error', { error }))
+    ];
+
+    return this.source;
+  }
+
+  /**
+   * Desenha o gráfico, se houver container, e conecta a fonte de dados.
+   */
+  start() {
+    if (!this.elements && this.options.container) {
+      this.render();
+    }
+
+    this.paused = false;
+    this.viewWindow = null;
+    this.running = true;
+    this.getSource().start();
+  }
+
+  /**
+   * Desconecta a fonte de dados; o buffer e o desenho atual são mantidos.
+   */
+  stop() {
+    this.running = false;
+
+    if (this.source) {
+      this.source.stop();
+    }
+  }
+
+  /**
+   * Congela o desenho; os pontos continuam chegando ao buffer.
+   */
+  pause() {
+    this.paused = true;
+
+    if (this.frameId !== null) {
+      this.cancelFrame(this.frameId);
+      this.frameId = null;
+    }
+  }
+
+  /**
+   * Retoma o desenho, já com os pontos recebidos durante a pausa.
+   */
+  resume() {
+    this.paused = false;
+    this.viewWindow = null;
+    this.scheduleDraw();
+  }
+
+  /**
+   * Congela o gráfico e mostra um trecho do buffer; null volta ao trecho mais recente.
+   * O trecho segue congelado até resume().
+   *
+   * @param {Array|null} range - [início, fim] nas unidades de `x`.
+   */
+  scrub(range) {
+    this.pause();
+    this.viewWindow = range ? [+range[0], +range[1]] : null;
+    this.draw();
+
+    const [start, end] = range ? this.viewWindow : [null, null];
+    this.emit('realtime:scrubbed', { start, end });
+  }
+
+  /**
+   * Começa a gravar os lotes recebidos, com o instante de chegada de cada um.
+   */
+  startRecording() {
+    this.recording = { start: this.now(), records: [] };
+  }
+
+  /**
+   * Indica se há uma gravação em andamento.
+   * @returns {boolean} True entre startRecording() e stopRecording().
+   */
+  isRecording() {
+    return this.recording !== null;
+  }
+
+  /**
+   * Encerra a gravação.
+   * @returns {string} Lotes em JSON lines, um { at, data } por linha; `at` em ms desde o início.
+   */
+  stopRecording() {
+    if (!this.recording) {
+      throw new Error('No recording in progress; call startRecording() first');
+    }
+
+    const { records } = this.recording;
+    this.recording = null;
+
+    return stringifyJSONLines(records);
+  }
+
+  /**
+   * Toca uma gravação no lugar da fonte atual, com o buffer vazio e o tempo original
+   * entre os lotes dividido por `speed`.
+   *
+   * @param {string|Array} recording - Texto em JSON lines, ou lotes { at, data } já
+   *   carregados (p.ex. por loadFromUrl com um arquivo .jsonl).
+   * @param {Object} [options] - Opções da reprodução.
+   * @param {number} [options.speed=1] - Velocidade: 1, 2, 10...
+   * @returns {ReplaySource} Fonte da reprodução.
+   */
+  replay(recording, { speed = 1 } = {}) {
+    const records = typeof recording === 'string' ? parseJSONLines(recording) : recording;
+
+    this.stop();
+    this.setSource(createDataSource({ type: 'replay', records, speed }));
+    this.data = [];
+    this.scroll = null;
+    this.viewWindow = null;
+    this.start();
+
+    return this.source;
+  }
+
+  /**
+   * Muda a velocidade da reprodução em andamento.
+   * @param {number} speed - Nova velocidade.
+   */
+  setReplaySpeed(speed) {
+    if (!(this.source instanceof ReplaySource)) {
+      throw new Error('No replay in progress; call replay() first');
+    }
+
+    this.source.setSpeed(speed);
+  }
+
+  /**
+   * Domínio do eixo y de uma série (eixos independentes) ou de todas (eixo compartilhado):
+   * `yDomain` ou a extensão dos valores e dos limites que valem para as séries.
+   *
+   * @param {string} [series] - Chave da série; omitida no eixo compartilhado.
+   * @returns {Array} [min, max].
+   */
+  getYDomain(series = null) {
+    const { yDomain } = this.options;
+
+    if (Array.isArray(yDomain)) return yDomain;
+    if (yDomain && series !== null && yDomain[series]) return yDomain[series];
+
+    const keys = series === null ? this.getSeriesKeys() : [series];
+    const values = keys.flatMap(key => this.buffers.get(key).toArray().map(d => d.value));
+    const bounds = this.getThresholdBounds()
+      .filter(bound => bound.series === null || keys.includes(bound.series))
+      .map(bound => bound.value);
+    const [min, max] = d3.extent([...values, ...bounds]);
+
+    // Uma série constante ainda precisa de um intervalo para a escala
+    return min === max ? [min - 1, max + 1] : [min, max];
+  }
+
+  /**
+   * Cria as escalas y: uma por série com eixos independentes, ou uma só compartilhada.
+   *
+   * @param {number} height - Altura da área de desenho.
+   * @returns {Map} Escala de cada série.
+   * @private
+   */
+  createYScales(height) {
+    const { yAxes } = this.options;
+
+    if (!Y_AXES.includes(yAxes)) {
+      throw new Error(`Unknown yAxes '${yAxes}'. Available: ${Y_AXES.join(', ')}`);
+    }
+
+    const keys = this.getSeriesKeys();
+    const shared = yAxes === 'shared' ? d3.scaleLinear().domain(this.getYDomain()).range([height, 0]) : null;
+
+    return new Map(keys.map(key => [
+      key,
+      shared || d3.scaleLinear().domain(this.getYDomain(key)).range([height, 0])
+    ]));
+  }
+
+  /**
+   * Cor de uma série: `color` com uma série, paleta categórica com várias.
+   * @param {string} series - Chave da série.
+   * @returns {string} Cor.
+   */
+  getSeriesColor(series) {
+    if (!this.isMultiSeries()) return this.options.color;
+
+    if (!this.colorScale) {
+      this.colorScale = d3.scaleOrdinal(this.options.colorPalette || d3.schemeCategory10);
+    }
+
+    return this.colorScale(series);
+  }
+
+  /**
+   * Intervalo de tempo visível: o trecho de scrub(), a janela até o último ponto,
+   * ou todos os buffers.
+   * @returns {Array} [início, fim].
+   */
+  getTimeDomain() {
+    if (this.viewWindow) return this.viewWindow;
+
+    const end = this.getLastTime();
+    const { timeWindow } = this.options;
+    const first = d3.min(this.buffers.values(), buffer => (buffer.length > 0 ? buffer.first().time : undefined));
+
+    return [timeWindow ? end - timeWindow : first, end];
+  }
+
+  /**
+   * Tamanho da área de desenho, sem as margens dos eixos; eixos independentes
+   * além do primeiro ocupam espaço à direita e a visão geral, embaixo.
+   * @returns {Object} { width, height }.
+   * @protected
+   */
+  getPlotSize() {
+    const extraAxes = this.options.yAxes === 'independent' && this.buffers
+      ? Math.max(0, this.buffers.size - 1)
+      : 0;
+
+    return {
+      width: this.width - MARGIN.left - MARGIN.right - extraAxes * AXIS_WIDTH,
+      height: this.height - MARGIN.top - MARGIN.bottom
+        - (this.options.overview ? this.options.overviewHeight + OVERVIEW_GAP : 0)
+    };
+  }
+
+  /**
+   * Resolve o elemento que recebe o SVG.
+   * @returns {HTMLElement|null} Container.
+   * @private
+   */
+  getHost() {
+    const { container } = this.options;
+    return typeof container === 'string' ? document.querySelector(container) : container || null;
+  }
+
+  /**
+   * Cria a estrutura do SVG (eixos, clip-path, faixas, linhas e pontos) e desenha o buffer.
+   * Chamado ao iniciar e ao redimensionar; os dados novos só passam por draw().
    */
   render() {
-    const container = document.querySelector(this.options.container);
-    if (!container) throw new Error('Container não encontrado!');
-
-    container.innerHTML = '';
-
-    const width = this.options.width || 400;
-    const height = this.options.height || 200;
-    const data = this._mockData;
-
-    // SVG
-    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-    svg.setAttribute('width', width);
-    svg.setAttribute('height', height);
-
-    // Path linha
-    const maxValue = Math.max(...data.map(d => d.value), 100);
-    const minValue = Math.min(...data.map(d => d.value), 0);
-
-    function scaleX(t) { return (t / (data.length - 1)) * (width - 30) + 20; }
-    function scaleY(v) { return height - 20 - ((v - minValue) / (maxValue - minValue)) * (height - 40); }
-
-    let pathD = `M ${scaleX(0)} ${scaleY(data[0].value)}`;
-    for (let i = 1; i < data.length; i++) {
-      pathD += ` L ${scaleX(i)} ${scaleY(data[i].value)}`;
-    }
-
-    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    path.setAttribute('d', pathD);
-    path.setAttribute('stroke', this.options.color || '#e377c2');
-    path.setAttribute('stroke-width', 2.5);
-    path.setAttribute('fill', 'none');
-    svg.appendChild(path);
-
-    // Pontos
-    data.forEach((d, i) => {
-      const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-      circle.setAttribute('cx', scaleX(i));
-      circle.setAttribute('cy', scaleY(d.value));
-      circle.setAttribute('r', 3);
-      circle.setAttribute('fill', '#222');
-      svg.appendChild(circle);
+    const host = this.getHost();
+    if (!host) throw new Error('Container não encontrado!');
+
+    host.innerHTML = '';
+    this.host = host;
+    this.width = this.options.width || 400;
+    this.height = this.options.height || 200;
+
+    const { width, height } = this.getPlotSize();
+
+    const svg = d3.select(host).append('svg')
+      .attr('class', 'realtime-chart')
+      .attr('width', this.width)
+      .attr('height', this.height);
+
+    const clipRect = svg.append('clipPath')
+      .attr('id', this.clipId)
+      .append('rect')
+      .attr('width', width)
+      .attr('height', height);
+
+    const plot = svg.append('g')
+      .attr('transform', `translate(${MARGIN.left}, ${MARGIN.top})`);
+
+    const xAxis = plot.append('g')
+      .attr('class', 'axis x-axis')
+      .attr('transform', `translate(0, ${height})`);
+    const yAxes = plot.append('g').attr('class', 'realtime-y-axes');
+
+    // As faixas de limite ficam paradas; o grupo das séries desliza dentro do recorte
+    const clipped = plot.append('g').attr('clip-path', `url(#${this.clipId})`);
+    const thresholds = clipped.append('g').attr('class', 'realtime-thresholds');
+    const series = clipped.append('g').attr('class', 'realtime-series');
+    const lines = series.append('g').attr('class', 'realtime-lines');
+    const points = series.append('g').attr('class', 'realtime-points');
+    const annotations = series.append('g').attr('class', 'realtime-annotations');
+
+    const legend = plot.append('g')
+      .attr('class', 'realtime-legend')
+      .attr('transform', 'translate(8, 4)');
+
+    this.elements = { svg, clipRect, xAxis, yAxes, thresholds, series, lines, points, annotations, legend };
+
+    if (this.options.overview) {
+      this.renderOverview(plot, height + MARGIN.bottom + OVERVIEW_GAP);
+    }
+
+    this.scroll = null;
+    this.draw();
+  }
+
+  /**
+   * Desenha o buffer: recalcula as linhas, os pontos e as marcações novas e desliza
+   * o traço até o último ponto. A origem do traço só muda quando as escalas mudam.
+   */
+  draw() {
+    if (!this.elements || this.getLastTime() === undefined) return;
+
+    const { clipRect, xAxis, series, lines, points, annotations } = this.elements;
+    const { width, height } = this.getPlotSize();
+    const keys = this.getSeriesKeys();
+    const [start, end] = this.getTimeDomain();
+    const yScales = this.createYScales(height);
+    const yDomains = keys.map(key => yScales.get(key).domain().join()).join('|');
+    const k = width / (end - start || 1);
+    const now = this.now();
+
+    // Recomeça o traço quando a escala muda ou quando o deslocamento acumulado fica grande
+    const rebase = !this.scroll
+      || this.scroll.k !== k
+      || this.scroll.yDomains !== yDomains
+      || (start - this.scroll.origin) * k > width * 10;
+
+    if (rebase) {
+      this.scroll = { origin: start, k, yDomains };
+    }
+
+    const { origin } = this.scroll;
+    const toX = d => (d.time - origin) * k;
+    const xScale = d3.scaleLinear().domain([start, end]).range([0, width]);
+
+    // A rolagem dura o intervalo desde o último desenho, para acompanhar a chegada dos
+    // dados; o scrub pula direto para o trecho escolhido
+    const duration = rebase || this.lastDraw === null || this.viewWindow
+      ? 0
+      : Math.min(now - this.lastDraw, this.options.animation.duration);
+    this.lastDraw = now;
+
+    // Uma nova série com eixo próprio estreita a área de desenho
+    clipRect.attr('width', width);
+
+    lines.selectAll('path.realtime-line')
+      .data(keys, key => key)
+      .join(enter => enter.append('path')
+        .attr('class', 'realtime-line')
+        .attr('fill', 'none')
+        .attr('stroke-width', 2.5))
+      .attr('stroke', key => this.getSeriesColor(key))
+      .attr('d', key => d3.line().x(toX).y(d => yScales.get(key)(d.value))(this.buffers.get(key).toArray()));
+
+    const data = this.options.dotRadius > 0
+      ? keys.flatMap(key => this.buffers.get(key).toArray().map(d => ({ series: key, ...d })))
+      : [];
+
+    points.selectAll('circle')
+      .data(data, d => `${d.series}|${d.time}`)
+      .join(enter => enter.append('circle')
+        .attr('r', this.options.dotRadius)
+        .attr('fill', d => (this.isMultiSeries() ? this.getSeriesColor(d.series) : '#222')))
+      .attr('cx', toX)
+      .attr('cy', d => yScales.get(d.series)(d.value));
+
+    // Marcações nos pontos em que uma série cruzou um limite
+    annotations.selectAll('g.threshold-marker')
+      .data(this.annotations, d => d.id)
+      .join(enter => {
+        const marker = enter.append('g')
+          .attr('class', d => `threshold-marker threshold-${d.direction}`);
+
+        marker.append('circle')
+          .attr('r', 6)
+          .attr('fill', 'none')
+          .attr('stroke', d => d.color)
+          .attr('stroke-width', 2);
+
+        marker.append('text')
+          .attr('y', -10)
+          .attr('text-anchor', 'middle')
+          .attr('font-size', '10px')
+          .attr('fill', d => d.color)
+          .text(d => d.label);
+
+        return marker;
+      })
+      .attr('transform', d => `translate(${toX(d)}, ${yScales.get(d.series)(d.value)})`);
+
+    // Traço e eixo x deslizam juntos, em rolagem linear
+    const scroll = selection => (duration > 0
+      ? selection.interrupt('realtime-scroll').transition('realtime-scroll').duration(duration).ease(d3.easeLinear)
+      : selection.interrupt('realtime-scroll'));
+
+    scroll(series).attr('transform', `translate(${-(start - origin) * k}, 0)`);
+    scroll(xAxis).call(d3.axisBottom(xScale).ticks(5));
+
+    this.drawThresholds(yScales, width, height);
+    this.drawYAxes(yScales, width);
+    this.drawLegend();
+
+    if (this.elements.overview) {
+      this.drawOverview(yScales, width);
+    }
+  }
+
+  /**
+   * Cria a visão geral sob o gráfico: o buffer inteiro em miniatura e um brush
+   * que congela o gráfico no trecho selecionado.
+   *
+   * @param {Object} plot - Grupo da área de desenho.
+   * @param {number} top - Posição vertical da visão geral.
+   * @private
+   */
+  renderOverview(plot, top) {
+    const { overviewHeight } = this.options;
+
+    const overview = plot.append('g')
+      .attr('class', 'realtime-overview')
+      .attr('transform', `translate(0, ${top})`);
+
+    const frame = overview.append('rect')
+      .attr('class', 'overview-frame')
+      .attr('height', overviewHeight)
+      .attr('fill', 'none')
+      .attr('stroke', '#ccc');
+
+    const lines = overview.append('g').attr('class', 'overview-lines');
+
+    const brush = d3.brushX().on('brush end', event => {
+      // Movimentos feitos por drawOverview() não vêm do usuário
+      if (!event.sourceEvent || !this.overviewScale) return;
+
+      this.scrub(event.selection ? event.selection.map(this.overviewScale.invert) : null);
     });
 
-    // Eixo X e Y simplificados
-    const xAxis = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-    xAxis.setAttribute('x1', 20); xAxis.setAttribute('y1', height - 20);
-    xAxis.setAttribute('x2', width - 10); xAxis.setAttribute('y2', height - 20);
-    xAxis.setAttribute('stroke', '#bbb');
-    svg.appendChild(xAxis);
-
-    const yAxis = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-    yAxis.setAttribute('x1', 20); yAxis.setAttribute('y1', height - 20);
-    yAxis.setAttribute('x2', 20); yAxis.setAttribute('y2', 20);
-    yAxis.setAttribute('stroke', '#bbb');
-    svg.appendChild(yAxis);
-
-    container.appendChild(svg);
-
-    // Inicia/atualiza timer de "streaming"
-    if (this.timer) clearInterval(this.timer);
-    this.timer = setInterval(() => {
-      // Simulação: retira o ponto mais antigo, insere novo valor aleatório
-      this._mockData.shift();
-      this._mockData.push({ time: this._mockData[this._mockData.length - 1].time + 1, value: 50 + Math.random() * 50 });
+    const brushGroup = overview.append('g').attr('class', 'overview-brush');
+
+    this.overviewScale = null;
+    this.elements.overview = { frame, lines, brush, brushGroup };
+  }
+
+  /**
+   * Desenha o buffer inteiro na visão geral e posiciona o brush no trecho do scrub.
+   *
+   * @param {Map} yScales - Escala y de cada série.
+   * @param {number} width - Largura da área de desenho.
+   * @private
+   */
+  drawOverview(yScales, width) {
+    const { frame, lines, brush, brushGroup } = this.elements.overview;
+    const { overviewHeight } = this.options;
+    const keys = this.getSeriesKeys();
+    const first = d3.min(this.buffers.values(), buffer => (buffer.length > 0 ? buffer.first().time : undefined));
+
+    // Durante o scrub a escala fica parada, para o brush não escapar do trecho escolhido
+    const x = this.viewWindow && this.overviewScale
+      ? this.overviewScale
+      : d3.scaleLinear().domain([first, this.getLastTime()]).range([0, width]);
+
+    this.overviewScale = x;
+    frame.attr('width', width);
+
+    lines.selectAll('path.overview-line')
+      .data(keys, key => key)
+      .join(enter => enter.append('path')
+        .attr('class', 'overview-line')
+        .attr('fill', 'none')
+        .attr('stroke-width', 1))
+      .attr('stroke', key => this.getSeriesColor(key))
+      .attr('d', key => {
+        const y = yScales.get(key).copy().range([overviewHeight, 0]);
+        return d3.line().x(d => x(d.time)).y(d => y(d.value))(this.buffers.get(key).toArray());
+      });
+
+    brushGroup.call(brush.extent([[0, 0], [width, overviewHeight]]));
+
+    // Só move o brush quando o trecho mudou por fora dele (scrub() ou resume())
+    const current = d3.brushSelection(brushGroup.node());
+    const target = this.viewWindow ? this.viewWindow.map(x) : null;
+    const moved = current && target
+      ? Math.abs(current[0] - target[0]) + Math.abs(current[1] - target[1]) > 1
+      : current !== target;
+
+    if (moved) {
+      brushGroup.call(brush.move, target);
+    }
+  }
+
+  /**
+   * Desenha as faixas dos limites, do limite até a borda da área de desenho.
+   * Com eixos independentes, um limite sem `series` aparece na escala de cada série.
+   *
+   * @param {Map} yScales - Escala y de cada série.
+   * @param {number} width - Largura da área de desenho.
+   * @param {number} height - Altura da área de desenho.
+   * @private
+   */
+  drawThresholds(yScales, width, height) {
+    const keys = this.getSeriesKeys();
+    const independent = this.options.yAxes === 'independent';
+
+    const bands = this.getThresholdBounds().flatMap(bound => {
+      const targets = bound.series !== null
+        ? keys.filter(key => key === bound.series)
+        : independent ? keys : keys.slice(0, 1);
+
+      return targets.map(key => {
+        const y = Math.max(0, Math.min(height, yScales.get(key)(bound.value)));
+        return {
+          ...bound,
+          key: `${bound.id}|${key}`,
+          y,
+          top: bound.side === 'above' ? 0 : y,
+          bottom: bound.side === 'above' ? y : height
+        };
+      });
+    });
+
+    this.elements.thresholds.selectAll('g.threshold')
+      .data(bands, d => d.key)
+      .join(enter => {
+        const band = enter.append('g').attr('class', 'threshold');
+
+        band.append('rect')
+          .attr('class', 'threshold-band')
+          .attr('fill', d => d.color)
+          .attr('fill-opacity', 0.08);
+
+        band.append('line')
+          .attr('class', 'threshold-line')
+          .attr('stroke', d => d.color)
+          .attr('stroke-dasharray', '4 3');
+
+        band.append('text')
+          .attr('class', 'threshold-label')
+          .attr('text-anchor', 'end')
+          .attr('font-size', '10px')
+          .attr('fill', d => d.color)
+          .text(d => d.label || '');
+
+        return band;
+      })
+      .call(band => {
+        band.select('.threshold-band')
+          .attr('width', width)
+          .attr('y', d => d.top)
+          .attr('height', d => d.bottom - d.top);
+
+        band.select('.threshold-line')
+          .attr('x2', width)
+          .attr('y1', d => d.y)
+          .attr('y2', d => d.y);
+
+        band.select('.threshold-label')
+          .attr('x', width - 4)
+          .attr('y', d => (d.side === 'above' ? d.y - 4 : d.y + 12));
+      });
+  }
+
+  /**
+   * Desenha os eixos y: um compartilhado à esquerda, ou um por série, o primeiro
+   * à esquerda e os demais à direita, na cor da série.
+   *
+   * @param {Map} yScales - Escala y de cada série.
+   * @param {number} width - Largura da área de desenho.
+   * @private
+   */
+  drawYAxes(yScales, width) {
+    const keys = this.getSeriesKeys();
+    const axisKeys = this.options.yAxes === 'independent' ? keys : keys.slice(0, 1);
+
+    this.elements.yAxes.selectAll('g.y-axis')
+      .data(axisKeys, key => key)
+      .join(enter => enter.append('g').attr('class', 'axis y-axis'))
+      .attr('transform', (key, i) => (i === 0 ? null : `translate(${width + AXIS_WIDTH * (i - 1)}, 0)`))
+      .attr('color', key => (axisKeys.length > 1 ? this.getSeriesColor(key) : null))
+      .each((key, i, nodes) => {
+        const axis = i === 0 ? d3.axisLeft : d3.axisRight;
+        d3.select(nodes[i]).call(axis(yScales.get(key)).ticks(5));
+      });
+  }
+
+  /**
+   * Desenha a legenda das séries; com uma série só, a legenda fica vazia.
+   * @private
+   */
+  drawLegend() {
+    const keys = this.isMultiSeries() ? this.getSeriesKeys() : [];
+
+    this.elements.legend.selectAll('g.legend-item')
+      .data(keys, key => key)
+      .join(enter => {
+        const item = enter.append('g').attr('class', 'legend-item');
+
+        item.append('rect')
+          .attr('width', 10)
+          .attr('height', 10)
+          .attr('fill', key => this.getSeriesColor(key));
+
+        item.append('text')
+          .attr('x', 14)
+          .attr('y', 9)
+          .attr('font-size', '10px')
+          .text(key => key);
+
+        return item;
+      })
+      .attr('transform', (key, i) => `translate(0, ${i * 14})`);
+  }
+
+  /**
+   * Substitui o buffer pelos novos dados e redesenha.
+   * @param {Array} newData - Novos pontos.
+   */
+  update(newData) {
+    this.data = newData;
+    this.scroll = null;
+    this.scheduleDraw();
+  }
+
+  /**
+   * Recria o SVG com as dimensões atuais.
+   */
+  resize() {
+    if (this.host) {
       this.render();
-    }, 1500);
+    }
   }
 
   /**
-   * Desativa a atualização contínua.
+   * Desconecta a fonte, cancela as inscrições e o quadro pendente e remove o SVG.
    */
   destroy() {
-    if (this.timer) clearInterval(this.timer);
-    this.timer = null;
+    this.stop();
+    this.pause();
+    this.unsubscribe.forEach(unsubscribe => unsubscribe());
+    this.unsubscribe = [];
+    this.source = null;
+
+    if (this.elements) {
+      this.elements.series.interrupt('realtime-scroll');
+      this.elements.xAxis.interrupt('realtime-scroll');
+      this.elements.svg.remove();
+      this.elements = null;
+    }
+
+    super.destroy();
   }
 }
@@ -1,187 +1,897 @@
-// ScatterPlot.js: Implementação inicial de gráfico de dispersão conforme arquitetura especificada.
-// Didaticamente comentado para uso profissional e compatibilidade total com teste unitário Jest.
+/**
+ * ScatterPlot class
+ * Creates scatter plots with size, color and shape encodings
+ *
+ * @author Gabriel Demetrios Lafis
+ * @version 2.1.0
+ */
 import BaseChart from './BaseChart.js';
+import * as d3 from 'd3';
+import { formatNumber, formatDate } from '../utils/formatters.js';
+
+/**
+ * Date-only strings such as '2025-01-01' are parsed as local dates so that
+ * they line up with the ticks of a local time scale
+ * @private
+ */
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const parseDateOnly = d3.timeParse('%Y-%m-%d');
+
+/**
+ * Other strings count as dates only in ISO 8601 form ('2025-01', '2025-01-01T12:00Z'):
+ * d3.isoParse falls back to the Date constructor, which accepts labels such as 'Product 1'
+ * @private
+ */
+const ISO_DATE = /^\d{4}-\d{2}(-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}(:?\d{2})?)?)?)?$/;
 
 /**
- * ScatterPlot - Gráfico de dispersão implementado com D3.js.
- * Extende BaseChart para padronização e herança de recursos.
+ * ScatterPlot class extends BaseChart to create scatter plot visualizations
+ * Every row with valid x/y values becomes one symbol; `sizeField`, `colorField`
+ * and `shapeField` map further fields to radius, color and symbol type
  */
 export default class ScatterPlot extends BaseChart {
   /**
-   * Construtor herda de BaseChart.
-   * @param {Object} options - Configuração do gráfico e dados.
+   * Create a new ScatterPlot instance
+   *
+   * @param {Object} options - Chart configuration options
+   * @param {Array} options.data - Array of data objects
+   * @param {string} [options.x='x'] - Field name for the x axis
+   * @param {string} [options.y='y'] - Field name for the y axis
+   * @param {string} [options.xType='auto'] - X scale type: 'auto', 'linear', 'log' or 'time'
+   * @param {string} [options.yType='auto'] - Y scale type: 'auto', 'linear', 'log' or 'time'
+   * @param {string} [options.sizeField] - Field mapped to the point radius (square-root scale)
+   * @param {number} [options.maxRadius=20] - Radius of the largest sizeField value
+   * @param {string} [options.colorField] - Field mapped to the point color
+   * @param {string} [options.colorType='auto'] - Color scale type: 'auto', 'categorical' or 'sequential'
+   * @param {string|Function} [options.colorScheme='Viridis'] - d3 interpolator (name or function) for sequential colors
+   * @param {string} [options.shapeField] - Field mapped to d3 symbol types
+   * @param {string} [options.key] - Field identifying a row across updates (default: row index)
+   * @param {number} [options.dotRadius=4] - Point radius when no sizeField is set
+   * @param {number} [options.dotOpacity=0.7] - Point opacity
+   * @param {string} [options.brush] - Selection tool: 'rect' (2D brush) or 'lasso'
+   * @param {boolean|string} [options.zoom=false] - Enable zoom and pan; 'x' restricts it to the x axis.
+   *   With a brush, dragging selects and shift-dragging pans
+   * @param {string} [options.renderer='svg'] - 'svg', 'canvas' or 'auto' (canvas above `canvasThreshold` rows)
    */
   constructor(options = {}) {
-    super(options);
+    // Set default scatter-specific options
+    const scatterDefaults = {
+      xType: 'auto',
+      yType: 'auto',
+      sizeField: null,
+      maxRadius: 20,
+      colorType: 'auto',
+      colorScheme: 'Viridis',
+      shapeField: null,
+      key: null,
+      brush: null
+    };
+
+    super({ ...scatterDefaults, ...options });
+
+    // Set chart type
     this.type = 'scatter';
-    // Propriedades específicas do gráfico de dispersão
+
+    // Scatter-specific properties
     this.dotRadius = options.dotRadius || 4;
     this.dotOpacity = options.dotOpacity || 0.7;
     this.dotStroke = options.dotStroke || '#fff';
     this.dotStrokeWidth = options.dotStrokeWidth || 1;
-    this.showTooltip = options.showTooltip !== false;
+
+    // Legacy `showTooltip` option maps onto the shared tooltip switch
+    if (options.showTooltip === false) {
+      this.options.tooltip = false;
+    }
+
+    this.sizeScale = null;
+    this.shapeScale = null;
+
+    // Points of the last render, used to hit-test brush regions
+    this.points = [];
+
+    // Brush state: the drawn region in data coordinates and the rows inside it
+    this.brushRegion = null;
+    this.selection = null;
+    this.brushBehavior = null;
+
+    // Keys of the highlighted points, used when drawing to canvas
+    this.selectedKeys = null;
+  }
+
+  /**
+   * Scatter plots can draw their points to a canvas
+   *
+   * @returns {boolean} True
+   * @protected
+   */
+  supportsCanvas() {
+    return true;
+  }
+
+  /**
+   * Parse a raw value into a Date when it looks like one
+   *
+   * @param {*} value - Raw value
+   * @returns {Date|null} Parsed date or null if the value is not a date
+   * @private
+   */
+  parseDate(value) {
+    if (value instanceof Date) {
+      return value;
+    }
+
+    if (typeof value !== 'string') {
+      return null;
+    }
+
+    if (DATE_ONLY.test(value)) {
+      return parseDateOnly(value);
+    }
+
+    return ISO_DATE.test(value) ? d3.isoParse(value) : null;
+  }
+
+  /**
+   * Determine the scale type of a positional field
+   *
+   * @param {string} axis - 'x' or 'y'
+   * @returns {string} 'linear', 'log' or 'time'
+   */
+  getScaleType(axis) {
+    const field = this.options[axis];
+    const type = this.options[`${axis}Type`];
+
+    if (type !== 'auto') {
+      if (!['linear', 'log', 'time'].includes(type)) {
+        throw new Error(`Unknown ${axis} scale type '${type}'. Available: linear, log, time`);
+      }
+
+      return type;
+    }
+
+    const values = this.data.map(d => d[field]).filter(v => v !== null && v !== undefined && v !== '');
+    const isDate = v => typeof v !== 'number' && this.parseDate(v) !== null;
+
+    return values.length > 0 && values.every(isDate) ? 'time' : 'linear';
+  }
+
+  /**
+   * Determine whether colors are categorical or sequential
+   *
+   * @returns {string|null} 'categorical', 'sequential' or null without colorField
+   */
+  getColorType() {
+    const { colorField, colorType } = this.options;
+
+    if (!colorField) {
+      return null;
+    }
+
+    if (colorType !== 'auto') {
+      return colorType;
+    }
+
+    const values = this.data.map(d => d[colorField]).filter(v => v !== null && v !== undefined);
+
+    return values.length > 0 && values.every(v => typeof v === 'number') ? 'sequential' : 'categorical';
+  }
+
+  /**
+   * Convert a raw value for a positional scale, or null when it cannot be plotted
+   *
+   * @param {*} value - Raw value
+   * @param {string} type - Scale type
+   * @returns {number|Date|null} Scale input
+   * @private
+   */
+  toScaleValue(value, type) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    if (type === 'time') {
+      return this.parseDate(value);
+    }
+
+    const number = +value;
+
+    if (isNaN(number) || (type === 'log' && number <= 0)) {
+      return null;
+    }
+
+    return number;
+  }
+
+  /**
+   * Map every row to a point in data space
+   * Rows whose x or y cannot be plotted (missing, or non-positive on a log
+   * scale) are skipped; `index` always refers to the row in `this.data`
+   *
+   * @returns {Array} Points with x, y, size, color, shape, index and datum
+   */
+  computePoints() {
+    const { x, y, key, sizeField, colorField, shapeField } = this.options;
+    const xType = this.getScaleType('x');
+    const yType = this.getScaleType('y');
+
+    return this.data
+      .map((d, index) => {
+        const point = {
+          key: key ? d[key] : index,
+          index,
+          datum: d,
+          x: this.toScaleValue(d[x], xType),
+          y: this.toScaleValue(d[y], yType),
+          size: sizeField ? Math.max(0, +d[sizeField] || 0) : null,
+          color: colorField ? d[colorField] : null,
+          shape: shapeField ? d[shapeField] : null
+        };
+
+        // Expose the color value under its field name so legend filtering can match it
+        if (colorField) {
+          point[colorField] = d[colorField];
+        }
+
+        return point;
+      })
+      .filter(p => p.x !== null && p.y !== null);
   }
 
   /**
-   * Renderiza o gráfico em SVG dentro do container definido.
-   * Para exemplo didático, cria pontos SVG estáticos de acordo com dados de amostra.
+   * Create a positional scale
+   *
+   * @param {string} type - 'linear', 'log' or 'time'
+   * @param {Array} domain - Data extent
+   * @param {Array} range - Pixel range
+   * @returns {Function} D3 scale
+   * @private
+   */
+  createPositionScale(type, domain, range) {
+    const scale = type === 'log' ? d3.scaleLog() : type === 'time' ? d3.scaleTime() : d3.scaleLinear();
+
+    return scale.domain(domain).range(range).nice();
+  }
+
+  /**
+   * Resolve the sequential color interpolator
+   *
+   * @returns {Function} D3 interpolator
+   * @private
+   */
+  getColorInterpolator() {
+    const { colorScheme } = this.options;
+
+    if (typeof colorScheme === 'function') {
+      return colorScheme;
+    }
+
+    const interpolator = d3[`interpolate${colorScheme}`];
+
+    if (typeof interpolator !== 'function') {
+      throw new Error(`Unknown color scheme '${colorScheme}'`);
+    }
+
+    return interpolator;
+  }
+
+  /**
+   * Create position, size, color and shape scales for the points
+   *
+   * @param {Array} points - Points returned by computePoints()
+   * @private
+   */
+  createScales(points) {
+    const { colorPalette, maxRadius } = this.options;
+
+    this.xScale = this.createPositionScale(this.getScaleType('x'), d3.extent(points, p => p.x), [0, this.width]);
+    this.yScale = this.createPositionScale(this.getScaleType('y'), d3.extent(points, p => p.y), [this.height, 0]);
+
+    // Square-root scale so the symbol area is proportional to the value
+    this.sizeScale = this.options.sizeField
+      ? d3.scaleSqrt().domain([0, d3.max(points, p => p.size) || 1]).range([0, maxRadius])
+      : null;
+
+    const colorType = this.getColorType();
+
+    if (colorType === 'sequential') {
+      this.colorScale = d3.scaleSequential(this.getColorInterpolator())
+        .domain(d3.extent(points, p => +p.color));
+    } else if (colorType === 'categorical') {
+      this.colorScale = d3.scaleOrdinal()
+        .domain([...new Set(points.map(p => p.color))])
+        .range(colorPalette || d3.schemeCategory10);
+    } else {
+      this.colorScale = null;
+    }
+
+    this.shapeScale = this.options.shapeField
+      ? d3.scaleOrdinal()
+        .domain([...new Set(points.map(p => p.shape))])
+        .range(d3.symbolsFill)
+      : null;
+  }
+
+  /**
+   * Get the radius of a point
+   *
+   * @param {Object} point - Point returned by computePoints()
+   * @returns {number} Radius in pixels
+   */
+  getRadius(point) {
+    return this.sizeScale ? this.sizeScale(point.size) : this.dotRadius;
+  }
+
+  /**
+   * Get the fill color of a point
+   *
+   * @param {Object} point - Point returned by computePoints()
+   * @returns {string} Color
+   */
+  getColor(point) {
+    return this.colorScale ? this.colorScale(point.color) : this.options.color;
+  }
+
+  /**
+   * Build the symbol path of a point, scaled so its area matches a circle of the point radius
+   *
+   * @param {Object} point - Point returned by computePoints()
+   * @param {number} [scale=1] - Extra radius factor (hover)
+   * @returns {string} SVG path data
+   * @private
+   */
+  getSymbolPath(point, scale = 1) {
+    const radius = this.getRadius(point) * scale;
+
+    return d3.symbol()
+      .type(this.shapeScale ? this.shapeScale(point.shape) : d3.symbolCircle)
+      .size(Math.PI * radius * radius)();
+  }
+
+  /**
+   * Get the pixel position transform of a point
+   *
+   * @param {Object} point - Point returned by computePoints()
+   * @returns {string} SVG transform
+   * @private
+   */
+  getPointTransform(point) {
+    return `translate(${this.xScale(point.x)}, ${this.yScale(point.y)})`;
+  }
+
+  /**
+   * Render the scatter plot
+   * Points are joined by key so updates move existing symbols to their new
+   * positions, grow new ones in and shrink removed ones out
    */
   render() {
-    const container = document.querySelector(this.options.container);
-    if (!container) throw new Error('Container não encontrado!');
-    
-    // Remove gráfico anterior se existir
-    container.innerHTML = '';
-    
-    // Criação do SVG principal
-    const width = this.options.width || 400;
-    const height = this.options.height || 300;
-    const margin = { top: 20, right: 30, bottom: 40, left: 50 };
-    const innerWidth = width - margin.left - margin.right;
-    const innerHeight = height - margin.top - margin.bottom;
-    
-    const svg = document.createElement('svg');
-    svg.setAttribute('width', width);
-    svg.setAttribute('height', height);
-    container.appendChild(svg);
-    
-    // Placeholder: Implementação funcional básica
-    // Cria pontos de exemplo para demonstrar estrutura
-    const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-    g.setAttribute('transform', `translate(${margin.left},${margin.top})`);
-    svg.appendChild(g);
-    
-    // Dados de exemplo para scatter plot
-    const sampleData = [
-      { x: 50, y: 80, value: 10 },
-      { x: 120, y: 60, value: 25 },
-      { x: 200, y: 150, value: 15 },
-      { x: 280, y: 90, value: 30 },
-      { x: 180, y: 200, value: 20 },
-      { x: 320, y: 120, value: 35 },
-      { x: 100, y: 180, value: 12 },
-      { x: 250, y: 50, value: 28 },
-      { x: 150, y: 100, value: 22 },
-      { x: 300, y: 170, value: 18 }
-    ];
-    
-    // Renderiza os pontos do scatter plot
-    sampleData.forEach((point, index) => {
-      const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-      // Normaliza coordenadas para caber no gráfico
-      const normalizedX = (point.x / 350) * innerWidth;
-      const normalizedY = (point.y / 250) * innerHeight;
-      
-      circle.setAttribute('cx', normalizedX);
-      circle.setAttribute('cy', normalizedY);
-      circle.setAttribute('r', this.dotRadius);
-      circle.setAttribute('fill', this.options.color || '#1f77b4');
-      circle.setAttribute('opacity', this.dotOpacity);
-      circle.setAttribute('stroke', this.dotStroke);
-      circle.setAttribute('stroke-width', this.dotStrokeWidth);
-      
-      // Adiciona identificador para tooltip e interação
-      circle.setAttribute('data-point-index', index);
-      circle.setAttribute('data-x', point.x);
-      circle.setAttribute('data-y', point.y);
-      circle.setAttribute('data-value', point.value);
-      
-      // Adiciona hover effect básico
-      circle.addEventListener('mouseenter', (e) => {
-        e.target.setAttribute('r', this.dotRadius * 1.5);
-        e.target.setAttribute('opacity', 1);
-      });
-      
-      circle.addEventListener('mouseleave', (e) => {
-        e.target.setAttribute('r', this.dotRadius);
-        e.target.setAttribute('opacity', this.dotOpacity);
-      });
-      
-      g.appendChild(circle);
+    // Call parent render method for base setup
+    super.render();
+
+    if (!this.data || this.data.length === 0) {
+      return;
+    }
+
+    this.points = this.computePoints();
+    this.createScales(this.points);
+    this.applyZoomToScales();
+
+    this.redraw(this.createTransition());
+    this.setupBrush();
+    this.setupZoom();
+
+    // Re-evaluate an active brush against the new points
+    if (this.brushRegion) {
+      this.selectRegion(this.projectRegion(this.brushRegion));
+      this.drawBrushRegion();
+    } else {
+      this.applySelection(null);
+    }
+
+    if (this.options.legend && this.getColorType() === 'categorical') {
+      this.drawLegend();
+    }
+  }
+
+  /**
+   * Draw the axes and points from the current scales
+   *
+   * @param {Object} t - Transition to draw with
+   * @protected
+   */
+  redraw(t) {
+    this.renderAxes(t);
+    this.drawPoints(this.points, t);
+    this.drawBrushRegion();
+  }
+
+  /**
+   * Draw ticked x and y axes for the current scales
+   *
+   * @param {Object} [t] - Transition shared by the render
+   */
+  renderAxes(t = this.createTransition()) {
+    // Log axes get fewer, SI-formatted ticks instead of one label per power
+    const configure = (generator, axis) => (this.getScaleType(axis) === 'log'
+      ? generator.ticks(5, '~s')
+      : generator);
+
+    this.drawAxes(
+      configure(d3.axisBottom(this.xScale), 'x'),
+      configure(d3.axisLeft(this.yScale), 'y'),
+      t
+    );
+  }
+
+  /**
+   * Format a data value for the tooltip
+   *
+   * @param {*} value - Value
+   * @returns {string} Formatted value
+   * @private
+   */
+  formatValue(value) {
+    if (value instanceof Date) {
+      return formatDate(value);
+    }
+
+    return typeof value === 'number' ? formatNumber(value) : String(value);
+  }
+
+  /**
+   * Build the tooltip content of a point
+   *
+   * @param {Object} point - Point returned by computePoints()
+   * @returns {string} Tooltip HTML
+   * @private
+   */
+  getTooltipContent(point) {
+    const { x, y, sizeField, colorField, shapeField } = this.options;
+    const fields = [colorField, shapeField, x, y, sizeField].filter((f, i, all) => f && all.indexOf(f) === i);
+
+    return fields.map(f => `${f}: ${this.formatValue(point.datum[f])}`).join('<br/>');
+  }
+
+  /**
+   * Draw one symbol per point, with tooltips
+   *
+   * @param {Array} points - Points to draw
+   * @param {Object} t - Transition shared by the render
+   * @private
+   */
+  drawPoints(points, t) {
+    const { dataGroup } = this.container;
+
+    if (this.isCanvas()) {
+      dataGroup.selectAll('.scatter-point').remove();
+      this.drawPointsCanvas(points);
+      return;
+    }
+
+    dataGroup.selectAll('.scatter-point')
+      .data(points, p => p.key)
+      .join(
+        enter => enter.append('path')
+          .attr('class', 'scatter-point point')
+          .attr('transform', p => this.getPointTransform(p))
+          .attr('d', p => this.getSymbolPath(p, 0)),
+        update => update,
+        exit => exit.transition(t)
+          .attr('d', p => this.getSymbolPath(p, 0))
+          .remove()
+      )
+      .attr('data-point-index', p => p.index)
+      .style('stroke', this.dotStroke)
+      .style('stroke-width', this.dotStrokeWidth)
+      .on('mouseover', (event, p) => {
+        d3.select(event.currentTarget)
+          .attr('d', this.getSymbolPath(p, 1.5))
+          .style('opacity', 1);
+        this.showTooltip(event, this.getTooltipContent(p));
+      })
+      .on('mousemove', (event) => {
+        this.moveTooltip(event);
+      })
+      .on('mouseout', (event, p) => {
+        d3.select(event.currentTarget)
+          .attr('d', this.getSymbolPath(p))
+          .style('opacity', this.dotOpacity);
+        this.hideTooltip();
+      })
+      .transition(t)
+      .attr('transform', p => this.getPointTransform(p))
+      .attr('d', p => this.getSymbolPath(p))
+      .style('fill', p => this.getColor(p))
+      .style('opacity', this.dotOpacity);
+  }
+
+  /**
+   * Draw the points to the canvas layer and index them for tooltips
+   * Canvas frames are drawn without transitions; points outside the selection
+   * are dimmed like the `.dimmed` SVG symbols
+   *
+   * @param {Array} points - Points to draw
+   * @private
+   */
+  drawPointsCanvas(points) {
+    const context = this.beginCanvasFrame();
+    const symbol = d3.symbol().context(context);
+    const keys = this.selectedKeys;
+
+    context.strokeStyle = this.dotStroke;
+    context.lineWidth = this.dotStrokeWidth;
+
+    const targets = points.map(p => {
+      const [x, y] = this.getPointPosition(p);
+      const radius = this.getRadius(p);
+
+      context.globalAlpha = keys && !keys.has(p.key) ? this.dotOpacity * 0.15 : this.dotOpacity;
+      context.fillStyle = this.getColor(p);
+      context.translate(x, y);
+      context.beginPath();
+      symbol
+        .type(this.shapeScale ? this.shapeScale(p.shape) : d3.symbolCircle)
+        .size(Math.PI * radius * radius)();
+      context.fill();
+      context.stroke();
+      context.translate(-x, -y);
+
+      return { x, y, radius, tooltip: () => this.getTooltipContent(p) };
     });
-    
-    // Adiciona eixos básicos de referência
-    this.renderAxes(g, innerWidth, innerHeight);
-    
-    // TODO: Implementar processamento real de dados
-    // TODO: Implementar escalas D3 (xScale, yScale)
-    // TODO: Implementar eixos com labels e ticks
-    // TODO: Implementar tooltip interativo avançado
-    // TODO: Implementar brush para seleção de área
-    // TODO: Implementar zoom e pan
-    // TODO: Implementar legendas
-    console.log('ScatterPlot renderizado com sucesso (versão placeholder)');
-  }
-
-  /**
-   * Renderiza eixos básicos de referência.
-   * @param {SVGElement} g - Elemento g do SVG.
-   * @param {number} width - Largura interna.
-   * @param {number} height - Altura interna.
-   */
-  renderAxes(g, width, height) {
-    // Eixo X
-    const xAxis = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-    xAxis.setAttribute('x1', 0);
-    xAxis.setAttribute('y1', height);
-    xAxis.setAttribute('x2', width);
-    xAxis.setAttribute('y2', height);
-    xAxis.setAttribute('stroke', '#ccc');
-    xAxis.setAttribute('stroke-width', 1);
-    g.appendChild(xAxis);
-    
-    // Eixo Y
-    const yAxis = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-    yAxis.setAttribute('x1', 0);
-    yAxis.setAttribute('y1', 0);
-    yAxis.setAttribute('x2', 0);
-    yAxis.setAttribute('y2', height);
-    yAxis.setAttribute('stroke', '#ccc');
-    yAxis.setAttribute('stroke-width', 1);
-    g.appendChild(yAxis);
-  }
-
-  /**
-   * Atualiza o gráfico com novos dados.
-   * @param {Array} newData - Novos dados para renderizar.
+
+    context.globalAlpha = 1;
+    this.setHitTargets(targets);
+  }
+
+  /**
+   * Update the scatter plot with new data
+   * Points are animated to their new positions
+   *
+   * @param {Array} newData - New dataset to visualize
    */
   update(newData) {
     super.update(newData);
-    // TODO: Implementar atualização específica do gráfico de dispersão
-    this.render();
+
+    if (this.container) {
+      this.render();
+    }
   }
 
   /**
-   * Redimensiona o gráfico.
+   * Resize the scatter plot
+   * Recomputes scales for the new dimensions and moves points into place
    */
   resize() {
     super.resize();
-    // TODO: Implementar redimensionamento específico do gráfico de dispersão
-    this.render();
+
+    if (this.container && this.data) {
+      this.render();
+    }
+  }
+
+  /**
+   * Get the pixel position of a point
+   *
+   * @param {Object} point - Point returned by computePoints()
+   * @returns {Array} [x, y] in pixels
+   * @private
+   */
+  getPointPosition(point) {
+    return [this.xScale(point.x), this.yScale(point.y)];
   }
 
   /**
-   * Método auxiliar para obter dados de um ponto específico.
-   * @param {number} index - Índice do ponto.
-   * @returns {Object} Dados do ponto.
+   * Find the points inside a rectangle
+   *
+   * @param {Array} extent - [[x0, y0], [x1, y1]] in pixels
+   * @returns {Array} Points inside the rectangle
+   */
+  getPointsInRect([[x0, y0], [x1, y1]]) {
+    return this.points.filter(p => {
+      const [px, py] = this.getPointPosition(p);
+      return px >= x0 && px <= x1 && py >= y0 && py <= y1;
+    });
+  }
+
+  /**
+   * Find the points inside a lasso polygon
+   *
+   * @param {Array} polygon - [[x, y], ...] in pixels
+   * @returns {Array} Points inside the polygon
+   */
+  getPointsInPolygon(polygon) {
+    return this.points.filter(p => d3.polygonContains(polygon, this.getPointPosition(p)));
+  }
+
+  /**
+   * Convert a brush region from pixels to data coordinates, so it stays on the
+   * same points when the plot is zoomed or panned
+   *
+   * @param {Object} region - { mode: 'rect', extent } or { mode: 'lasso', polygon } in pixels
+   * @returns {Object} Region in data coordinates
+   * @private
+   */
+  invertRegion(region) {
+    const invert = ([x, y]) => [this.xScale.invert(x), this.yScale.invert(y)];
+
+    return region.mode === 'lasso'
+      ? { mode: 'lasso', polygon: region.polygon.map(invert) }
+      : { mode: 'rect', extent: region.extent.map(invert) };
+  }
+
+  /**
+   * Convert a brush region from data coordinates to pixels on the current scales
+   *
+   * @param {Object} region - Region returned by invertRegion()
+   * @returns {Object} Region in pixels
+   * @private
+   */
+  projectRegion(region) {
+    const project = ([x, y]) => [this.xScale(x), this.yScale(y)];
+
+    return region.mode === 'lasso'
+      ? { mode: 'lasso', polygon: region.polygon.map(project) }
+      : { mode: 'rect', extent: region.extent.map(project) };
+  }
+
+  /**
+   * Select the points inside a brush region and emit the selection
+   *
+   * @param {Object|null} region - { mode: 'rect', extent } or { mode: 'lasso', polygon } in pixels; null clears
+   * @returns {Array|null} Selected data rows, or null when cleared
+   */
+  selectRegion(region) {
+    this.brushRegion = region ? this.invertRegion(region) : null;
+
+    if (!region) {
+      this.setSelection(null);
+      return null;
+    }
+
+    const points = region.mode === 'lasso'
+      ? this.getPointsInPolygon(region.polygon)
+      : this.getPointsInRect(region.extent);
+
+    this.setSelection(points, region.mode);
+
+    return this.selection;
+  }
+
+  /**
+   * Store the selected points, highlight them and emit `chart:selection`
+   * Listeners receive the selected rows in `data` and their row indices in `indices`
+   *
+   * @param {Array|null} points - Selected points, or null to clear
+   * @param {string} [mode] - Brush mode that produced the selection
+   * @private
+   */
+  setSelection(points, mode = this.options.brush) {
+    this.selection = points ? points.map(p => p.datum) : null;
+    this.applySelection(points);
+
+    this.emit('chart:selection', {
+      mode,
+      data: this.selection || [],
+      indices: points ? points.map(p => p.index) : []
+    });
+  }
+
+  /**
+   * Highlight selected points and dim the others
+   *
+   * @param {Array|null} points - Selected points, or null to clear the highlight
+   * @private
+   */
+  applySelection(points) {
+    if (!this.container) {
+      return;
+    }
+
+    const keys = points ? new Set(points.map(p => p.key)) : null;
+    this.selectedKeys = keys;
+
+    if (this.isCanvas()) {
+      this.drawPointsCanvas(this.points);
+      return;
+    }
+
+    this.container.dataGroup.selectAll('.scatter-point')
+      .classed('selected', p => !!keys && keys.has(p.key))
+      .classed('dimmed', p => !!keys && !keys.has(p.key));
+  }
+
+  /**
+   * Clear the brush region and the selection
+   */
+  clearSelection() {
+    if (this.container) {
+      const brushGroup = this.container.dataGroup.select('.brush');
+      brushGroup.selectAll('.lasso').remove();
+
+      if (this.brushBehavior && !brushGroup.empty()) {
+        brushGroup.call(this.brushBehavior.move, null);
+      }
+    }
+
+    this.selectRegion(null);
+  }
+
+  /**
+   * Move the drawn brush or lasso onto the stored region for the current scales
+   *
+   * @private
+   */
+  drawBrushRegion() {
+    const brushGroup = this.container ? this.container.dataGroup.select('.brush') : null;
+
+    if (!this.brushRegion || !brushGroup || brushGroup.empty()) {
+      return;
+    }
+
+    const region = this.projectRegion(this.brushRegion);
+
+    // Programmatic moves carry no source event, so they do not select again
+    if (region.mode === 'rect' && this.brushBehavior) {
+      brushGroup.call(this.brushBehavior.move, region.extent);
+    } else if (region.mode === 'lasso') {
+      brushGroup.select('.lasso').attr('d', `M${region.polygon.join('L')}Z`);
+    }
+  }
+
+  /**
+   * Tell whether a pointer event pans the plot instead of brushing it
+   * With both a brush and zoom, plain drags brush and shift-drags pan
+   *
+   * @param {Object} event - Pointer event
+   * @returns {boolean} True if the event belongs to the zoom behavior
+   * @private
+   */
+  isPanGesture(event) {
+    return !!this.options.zoom && event.shiftKey;
+  }
+
+  /**
+   * Attach zoom and, with a brush, leave plain drags to the brush
+   * The wheel still zooms, and shift-drags pan
+   *
+   * @protected
+   */
+  setupZoom() {
+    super.setupZoom();
+
+    if (this.zoomBehavior && this.options.brush) {
+      this.zoomBehavior.filter(event => !event.button && (event.type === 'wheel' || this.isPanGesture(event)));
+    }
+  }
+
+  /**
+   * Set up the rectangular or lasso brush behind the points
+   * The brush sits below the points so hovering them still shows tooltips
+   *
+   * @private
+   */
+  setupBrush() {
+    const { dataGroup } = this.container;
+    const { brush } = this.options;
+
+    if (!brush) {
+      dataGroup.selectAll('.brush').remove();
+      this.brushBehavior = null;
+      return;
+    }
+
+    if (brush !== 'rect' && brush !== 'lasso') {
+      throw new Error(`Unknown brush '${brush}'. Available: rect, lasso`);
+    }
+
+    const brushGroup = dataGroup.selectAll('.brush')
+      .data([brush])
+      .join(enter => enter.insert('g', ':first-child').attr('class', 'brush'));
+
+    if (brush === 'rect') {
+      this.setupRectBrush(brushGroup);
+    } else {
+      this.setupLasso(brushGroup);
+    }
+  }
+
+  /**
+   * Set up a 2D d3.brush
+   * Points are highlighted while brushing; the selection is emitted when the brush ends
+   *
+   * @param {Object} brushGroup - D3 selection of the brush group
+   * @private
+   */
+  setupRectBrush(brushGroup) {
+    brushGroup.selectAll('.lasso, .lasso-overlay').remove();
+
+    this.brushBehavior = d3.brush()
+      .extent([[0, 0], [this.width, this.height]])
+      .filter(event => !event.ctrlKey && !event.button && !this.isPanGesture(event))
+      .on('brush', (event) => {
+        if (event.sourceEvent && event.selection) {
+          this.applySelection(this.getPointsInRect(event.selection));
+        }
+      })
+      .on('end', (event) => {
+        // Programmatic moves (clearSelection) update the state themselves
+        if (event.sourceEvent) {
+          this.selectRegion(event.selection ? { mode: 'rect', extent: event.selection } : null);
+        }
+      });
+
+    brushGroup.call(this.brushBehavior);
+  }
+
+  /**
+   * Set up a freehand lasso driven by d3.drag
+   * A click without dragging clears the selection
+   *
+   * @param {Object} brushGroup - D3 selection of the brush group
+   * @private
+   */
+  setupLasso(brushGroup) {
+    this.brushBehavior = null;
+    brushGroup.selectAll('.overlay, .selection, .handle').remove();
+
+    let polygon = [];
+    const toPath = () => `M${polygon.join('L')}Z`;
+
+    const overlay = brushGroup.selectAll('.lasso-overlay')
+      .data([null])
+      .join('rect')
+      .attr('class', 'lasso-overlay')
+      .attr('width', this.width)
+      .attr('height', this.height);
+
+    overlay.call(d3.drag()
+      .filter(event => !event.ctrlKey && !event.button && !this.isPanGesture(event))
+      .on('start', (event) => {
+        polygon = [[event.x, event.y]];
+        brushGroup.selectAll('.lasso').remove();
+      })
+      .on('drag', (event) => {
+        polygon.push([event.x, event.y]);
+
+        brushGroup.selectAll('.lasso')
+          .data([null])
+          .join('path')
+          .attr('class', 'lasso')
+          .attr('d', toPath());
+
+        if (polygon.length > 2) {
+          this.applySelection(this.getPointsInPolygon(polygon));
+        }
+      })
+      .on('end', () => {
+        if (polygon.length > 2) {
+          this.selectRegion({ mode: 'lasso', polygon });
+        } else {
+          brushGroup.selectAll('.lasso').remove();
+          this.selectRegion(null);
+        }
+      }));
+  }
+
+  /**
+   * Get the data row behind a point
+   *
+   * @param {number} index - Row index in the chart data
+   * @returns {Object|null} Data row, or null if the index is out of range
    */
   getPointData(index) {
-    // TODO: Implementar com dados reais
-    return {
-      x: 0,
-      y: 0,
-      value: 0,
-      label: `Ponto ${index}`
-    };
+    return this.data && this.data[index] !== undefined ? this.data[index] : null;
   }
 
   /**
-   * Filtra pontos por critério específico.
-   * @param {Function} filterFn - Função de filtro.
-   * @returns {Array} Pontos filtrados.
+   * Filter the data rows by a predicate
+   * While a brush selection is active only the selected rows are considered,
+   * so the brush narrows down what the predicate sees
+   *
+   * @param {Function} [filterFn] - Predicate receiving each data row (default: keep all)
+   * @returns {Array} Matching rows
    */
-  filterPoints(filterFn) {
-    // TODO: Implementar filtragem de pontos
-    return this.data ? this.data.filter(filterFn) : [];
+  filterPoints(filterFn = () => true) {
+    const rows = this.selection || this.data || [];
+    return rows.filter(filterFn);
   }
 }
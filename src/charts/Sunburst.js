@@ -0,0 +1,338 @@
+/**
+ * Sunburst class
+ * Creates multi-level pie charts of hierarchical data with click-to-zoom
+ *
+ * @author Gabriel Demetrios Lafis
+ * @version 2.1.0
+ */
+import HierarchyChart from './HierarchyChart.js';
+import * as d3 from 'd3';
+import { getHierarchyRows } from '../utils/hierarchy.js';
+
+/**
+ * Sunburst class extends HierarchyChart to draw a hierarchy as concentric rings
+ * Clicking a branch zooms into it; the center or the breadcrumbs zoom back out
+ */
+export default class Sunburst extends HierarchyChart {
+  /**
+   * Create a new Sunburst instance
+   *
+   * @param {Object} options - Chart configuration options (see HierarchyChart)
+   * @param {Array} [options.hierarchy] - Fields grouping flat rows into rings, innermost first
+   * @param {number} [options.levels] - Rings shown around the focused node (default: all levels)
+   * @param {number} [options.padAngle=0.005] - Gap between sibling arcs, in radians
+   */
+  constructor(options = {}) {
+    // Set default sunburst-specific options
+    const sunburstDefaults = {
+      levels: null,
+      padAngle: 0.005
+    };
+
+    super({ ...sunburstDefaults, ...options });
+
+    // Set chart type
+    this.type = 'sunburst';
+
+    // Node currently zoomed into
+    this.focus = null;
+  }
+
+  /**
+   * Build and partition the hierarchy
+   * Angles (x) span the full circle and depths (y) count rings from the root
+   *
+   * @returns {Object} Partitioned d3 hierarchy root
+   */
+  computeHierarchy() {
+    const root = super.computeHierarchy();
+
+    return d3.partition().size([2 * Math.PI, root.height + 1])(root);
+  }
+
+  /**
+   * Get the number of rings drawn around the focused node
+   *
+   * @returns {number} Visible levels
+   * @private
+   */
+  getLevels() {
+    return this.options.levels || this.root.height;
+  }
+
+  /**
+   * Position of a node's arc when zoomed into `focus`: the focused branch spans
+   * the full circle and its rings move inwards by the focus depth
+   *
+   * @param {Object} node - Hierarchy node
+   * @param {Object} focus - Focused node
+   * @returns {Object} Arc { x0, x1, y0, y1 } in radians and rings
+   */
+  getArcTarget(node, focus) {
+    const span = focus.x1 - focus.x0;
+    const angle = value => Math.max(0, Math.min(1, (value - focus.x0) / span)) * 2 * Math.PI;
+
+    return {
+      x0: angle(node.x0),
+      x1: angle(node.x1),
+      y0: Math.max(0, node.y0 - focus.depth),
+      y1: Math.max(0, node.y1 - focus.depth)
+    };
+  }
+
+  /**
+   * Whether an arc is drawn: inside the visible rings and wider than nothing
+   *
+   * @param {Object} arc - Arc target
+   * @returns {boolean} True if the arc is visible
+   */
+  isArcVisible(arc) {
+    return arc.y1 <= this.getLevels() + 1 && arc.y0 >= 1 && arc.x1 > arc.x0;
+  }
+
+  /**
+   * Whether an arc is large enough to hold its label
+   *
+   * @param {Object} arc - Arc target
+   * @returns {boolean} True if the label is shown
+   * @private
+   */
+  isLabelVisible(arc) {
+    return this.isArcVisible(arc) && (arc.y1 - arc.y0) * (arc.x1 - arc.x0) > 0.03;
+  }
+
+  /**
+   * Describe every arc below the root for the current focus
+   * Independent of the DOM so zoom states can be inspected and tested
+   *
+   * @returns {Array} Arcs { key, name, node, target, visible }
+   */
+  computeArcs() {
+    return this.root.descendants().slice(1).map(node => {
+      const target = this.getArcTarget(node, this.focus);
+
+      return {
+        key: this.getNodeKey(node),
+        name: this.getNodeName(node),
+        node,
+        target,
+        visible: this.isArcVisible(target)
+      };
+    });
+  }
+
+  /**
+   * Render the sunburst
+   * The zoomed branch is kept across renders when it still exists
+   */
+  render() {
+    // Call parent render method for base setup
+    super.render();
+
+    if (!this.hasData()) {
+      return;
+    }
+
+    const previousFocus = this.focus ? this.getNodeKey(this.focus) : null;
+
+    this.root = this.computeHierarchy();
+    this.focus = this.root.descendants().find(node => this.getNodeKey(node) === previousFocus) || this.root;
+
+    this.createColorScale();
+    this.draw(this.createTransition());
+  }
+
+  /**
+   * Draw the arcs, labels, center and breadcrumbs for the current focus
+   *
+   * @param {Object} t - Transition moving the arcs to their new position
+   * @private
+   */
+  draw(t) {
+    const { dataGroup } = this.container;
+    const radius = Math.min(this.width, this.height) / 2;
+    const ring = radius / (this.getLevels() + 1);
+    const arcs = this.computeArcs();
+
+    const group = dataGroup.selectAll('.sunburst')
+      .data([null])
+      .join('g')
+      .attr('class', 'sunburst')
+      .attr('transform', `translate(${this.width / 2}, ${this.height / 2})`);
+
+    const arc = d3.arc()
+      .startAngle(d => d.x0)
+      .endAngle(d => d.x1)
+      .padAngle(d => Math.min((d.x1 - d.x0) / 2, this.options.padAngle))
+      .padRadius(radius)
+      .innerRadius(d => d.y0 * ring)
+      .outerRadius(d => Math.max(d.y0 * ring, d.y1 * ring - 1));
+
+    // Elements keep the arc they were last drawn with, so transitions start from there;
+    // new arcs grow from their start angle
+    const tween = render => (d, i, nodes) => {
+      const element = nodes[i];
+      const from = element.__arc || { ...d.target, x1: d.target.x0 };
+      const interpolate = d3.interpolate(from, d.target);
+
+      element.__arc = d.target;
+      return time => render(interpolate(time));
+    };
+
+    const paths = group.selectAll('.sunburst-arc')
+      .data(arcs, d => d.key)
+      .join(
+        enter => enter.append('path')
+          .attr('class', 'sunburst-arc')
+          .style('fill', d => this.getNodeColor(d.node))
+          .attr('fill-opacity', 0),
+        update => update,
+        exit => exit.transition(t)
+          .attr('fill-opacity', 0)
+          .remove()
+      )
+      .attr('pointer-events', d => (d.visible ? 'auto' : 'none'))
+      .style('cursor', d => (d.node.children ? 'pointer' : null));
+
+    paths
+      .call(selection => this.bindTooltip(selection))
+      .on('click', (event, d) => {
+        if (d.node.children) {
+          this.zoomTo(d.node);
+        }
+      });
+
+    paths.transition(t)
+      .style('fill', d => this.getNodeColor(d.node))
+      .attr('fill-opacity', d => (d.visible ? (d.node.children ? 0.85 : 0.6) : 0))
+      .attrTween('d', tween(arc));
+
+    const labels = this.options.labels ? arcs : [];
+
+    group.selectAll('.sunburst-label')
+      .data(labels, d => d.key)
+      .join(
+        enter => enter.append('text')
+          .attr('class', 'sunburst-label')
+          .attr('dy', '0.35em')
+          .attr('text-anchor', 'middle')
+          .attr('fill-opacity', 0)
+          .call(selection => this.styleLabels(selection)),
+        update => update,
+        exit => exit.remove()
+      )
+      .text(d => d.name)
+      .transition(t)
+      .attr('fill-opacity', d => (this.isLabelVisible(d.target) ? 1 : 0))
+      .attrTween('transform', tween(target => this.getLabelTransform(target, ring)));
+
+    // The center zooms out to the parent of the focused branch
+    const center = group.selectAll('.sunburst-center')
+      .data([this.focus])
+      .join(enter => enter.append('g')
+        .attr('class', 'sunburst-center')
+        .call(g => g.append('circle').attr('fill', 'none').attr('pointer-events', 'all'))
+        .call(g => g.append('text').attr('text-anchor', 'middle').attr('dy', '0.35em')));
+
+    center.select('circle')
+      .attr('r', ring)
+      .style('cursor', d => (d.parent ? 'pointer' : null))
+      .on('click', (event, d) => {
+        if (d.parent) {
+          this.zoomTo(d.parent);
+        }
+      });
+
+    center.select('text').text(d => this.getNodeName(d));
+
+    this.drawBreadcrumbs();
+  }
+
+  /**
+   * Place a label at the middle of its arc, rotated along the radius and
+   * flipped on the left half so it never reads upside down
+   *
+   * @param {Object} target - Arc target
+   * @param {number} ring - Ring width in px
+   * @returns {string} SVG transform
+   * @private
+   */
+  getLabelTransform(target, ring) {
+    const angle = ((target.x0 + target.x1) / 2) * 180 / Math.PI;
+    const distance = ((target.y0 + target.y1) / 2) * ring;
+
+    return `rotate(${angle - 90}) translate(${distance}, 0) rotate(${angle < 180 ? 0 : 180})`;
+  }
+
+  /**
+   * Zoom into a branch, or back out to one of its ancestors, animating the arcs
+   * and emitting `chart:drilldown`
+   *
+   * @param {Object} node - Node to focus; the root shows the whole hierarchy
+   */
+  zoomTo(node) {
+    if (!this.root || node === this.focus) {
+      return;
+    }
+
+    const direction = node.depth > this.focus.depth ? 'down' : 'up';
+
+    this.focus = node;
+    this.hideTooltip();
+
+    if (this.container) {
+      this.draw(this.createTransition('sunburst-zoom'));
+    }
+
+    this.emit('chart:drilldown', {
+      direction,
+      level: node.depth,
+      path: this.getBreadcrumbs().map(crumb => crumb.name),
+      data: getHierarchyRows(node)
+    });
+  }
+
+  /**
+   * Get the breadcrumb trail from the root to the focused node
+   *
+   * @returns {Array} Crumbs { name, level, node }
+   */
+  getBreadcrumbs() {
+    return this.focus.ancestors().reverse().map(node => ({
+      name: this.getNodeName(node),
+      level: node.depth,
+      node
+    }));
+  }
+
+  /**
+   * Draw the breadcrumbs; every level but the focused one zooms out to it
+   *
+   * @private
+   */
+  drawBreadcrumbs() {
+    const { annotationGroup } = this.container;
+    const crumbs = this.getBreadcrumbs();
+
+    const text = annotationGroup.selectAll('.sunburst-breadcrumbs')
+      .data([null])
+      .join('text')
+      .attr('class', 'sunburst-breadcrumbs')
+      .attr('x', 4)
+      .attr('y', 14)
+      .attr('font-size', '12px');
+
+    // Inline tspans flow one after the other, so no text measuring is needed
+    text.selectAll('tspan')
+      .data(crumbs.flatMap((crumb, i) => (i === 0 ? [crumb] : [{ separator: true }, crumb])))
+      .join('tspan')
+      .attr('class', d => (d.separator ? 'breadcrumb-separator' : 'breadcrumb'))
+      .classed('current', d => !d.separator && d.level === crumbs.length - 1)
+      .text(d => (d.separator ? ' › ' : d.name))
+      .on('click', (event, d) => {
+        if (!d.separator && d.level < crumbs.length - 1) {
+          this.zoomTo(d.node);
+        }
+      });
+  }
+}
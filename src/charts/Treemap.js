@@ -0,0 +1,188 @@
+/**
+ * Treemap class
+ * Creates nested treemaps of hierarchical data with selectable tilings
+ *
+ * @author Gabriel Demetrios Lafis
+ * @version 2.1.0
+ */
+import HierarchyChart from './HierarchyChart.js';
+import * as d3 from 'd3';
+import { formatNumber } from '../utils/formatters.js';
+
+/**
+ * Tiling methods available through the `tile` option
+ * @private
+ */
+const TILES = {
+  squarify: d3.treemapSquarify,
+  binary: d3.treemapBinary,
+  sliceDice: d3.treemapSliceDice,
+  slice: d3.treemapSlice,
+  dice: d3.treemapDice
+};
+
+/**
+ * Treemap class extends HierarchyChart to draw a hierarchy as nested rectangles
+ * Groups get a header strip holding their name; leaves show their name and value
+ * when the cell is large enough
+ */
+export default class Treemap extends HierarchyChart {
+  /**
+   * Create a new Treemap instance
+   *
+   * @param {Object} options - Chart configuration options (see HierarchyChart)
+   * @param {string} [options.tile='squarify'] - Tiling: 'squarify', 'binary', 'sliceDice', 'slice' or 'dice'
+   * @param {number} [options.padding=1] - Gap between sibling cells, in px
+   * @param {number} [options.groupPadding=3] - Gap between a group and its children, in px
+   * @param {number} [options.headerHeight=16] - Height of the group header strips, in px
+   */
+  constructor(options = {}) {
+    // Set default treemap-specific options
+    const treemapDefaults = {
+      tile: 'squarify',
+      padding: 1,
+      groupPadding: 3,
+      headerHeight: 16
+    };
+
+    super({ ...treemapDefaults, ...options });
+
+    // Set chart type
+    this.type = 'treemap';
+  }
+
+  /**
+   * Build the hierarchy and lay it out over the chart area
+   *
+   * @returns {Object} Hierarchy root with x0, y0, x1 and y1 on every node
+   */
+  computeHierarchy() {
+    const { tile, padding, groupPadding, headerHeight } = this.options;
+
+    if (!TILES[tile]) {
+      throw new Error(`Unknown tile '${tile}'. Available: ${Object.keys(TILES).join(', ')}`);
+    }
+
+    const root = super.computeHierarchy();
+
+    // Groups below the root reserve a header strip for their name
+    return d3.treemap()
+      .tile(TILES[tile])
+      .size([this.width, this.height])
+      .paddingInner(padding)
+      .paddingOuter(groupPadding)
+      .paddingTop(node => (node.depth > 0 && this.options.labels ? headerHeight : groupPadding))
+      .round(true)(root);
+  }
+
+  /**
+   * Describe every cell below the root
+   * Independent of the DOM so layouts and label decisions can be tested
+   *
+   * @returns {Array} Cells { key, name, node, x, y, width, height, label }
+   */
+  computeCells() {
+    const { labels, headerHeight } = this.options;
+
+    return this.root.descendants().slice(1).map(node => {
+      const name = this.getNodeName(node);
+      const width = node.x1 - node.x0;
+      const height = node.y1 - node.y0;
+      const value = formatNumber(node.value, Number.isInteger(node.value) ? 0 : 2);
+
+      // Groups are labelled in their header strip, leaves inside the cell
+      let label = null;
+
+      if (labels && node.children) {
+        label = this.fitsLabel(name, width, headerHeight) ? name : null;
+      } else if (labels) {
+        label = this.fitsLabel(name, width, height) ? name : null;
+      }
+
+      return {
+        key: this.getNodeKey(node),
+        name,
+        node,
+        x: node.x0,
+        y: node.y0,
+        width,
+        height,
+        label,
+        valueLabel: label && !node.children && this.fitsLabel(value, width, height - 14) ? value : null
+      };
+    });
+  }
+
+  /**
+   * Render the treemap
+   * Cells are matched by their path from the root so updates move and resize them
+   */
+  render() {
+    // Call parent render method for base setup
+    super.render();
+
+    if (!this.hasData()) {
+      return;
+    }
+
+    this.root = this.computeHierarchy();
+    this.createColorScale();
+
+    const t = this.createTransition();
+    const cells = this.computeCells();
+
+    const nodes = this.container.dataGroup.selectAll('.treemap-node')
+      .data(cells, d => d.key)
+      .join(
+        enter => enter.append('g')
+          .attr('class', 'treemap-node')
+          .attr('transform', d => `translate(${d.x}, ${d.y})`)
+          .call(g => g.append('rect')
+            .attr('class', 'treemap-cell')
+            .attr('width', 0)
+            .attr('height', 0))
+          .call(g => g.append('text')
+            .attr('class', 'treemap-label')
+            .attr('x', 4)
+            .attr('y', 12)
+            .call(selection => this.styleLabels(selection)))
+          .call(g => g.append('text')
+            .attr('class', 'treemap-value')
+            .attr('x', 4)
+            .attr('y', 26)
+            .call(selection => this.styleLabels(selection))),
+        update => update,
+        exit => exit.transition(t)
+          .style('opacity', 0)
+          .remove()
+      )
+      .classed('treemap-group', d => !!d.node.children)
+      // Deeper cells are drawn over their groups
+      .sort((a, b) => a.node.depth - b.node.depth);
+
+    // Cells move and resize through the AnimationEngine; exits stay D3 transitions
+    const cell = el => d3.select(el).datum();
+
+    this.animate(nodes, {
+      attr: { transform: el => `translate(${cell(el).x}, ${cell(el).y})` }
+    }, { name: 'treemap-move' });
+
+    this.animate(nodes.select('.treemap-cell').call(selection => this.bindTooltip(selection)), {
+      attr: {
+        width: el => cell(el).width,
+        height: el => cell(el).height
+      },
+      style: {
+        fill: el => this.getNodeColor(cell(el).node),
+        'fill-opacity': el => (cell(el).node.children ? 0.25 : 0.85)
+      }
+    }, { name: 'treemap-resize' });
+
+    nodes.select('.treemap-label')
+      .text(d => d.label || '')
+      .attr('font-weight', d => (d.node.children ? 'bold' : null));
+
+    nodes.select('.treemap-value')
+      .text(d => d.valueLabel || '');
+  }
+}
@@ -1,167 +1,1144 @@
-// WebGL3DChart.js: Gráfico 3D com placeholder profissional para futura implementação WebGL,
-// herdando BaseChart. Exibe mensagem "visualização 3D não implementada" em SVG.
+// WebGL3DChart.js: Gráficos 3D de dispersão, barras e superfícies com Three.js, herdando BaseChart.
+// A cena é montada por buildScene(), sem tocar no DOM, e o renderer pode ser injetado,
+// o que permite verificar a construção da cena em testes sem GPU. Sem WebGL, o gráfico
+// cai para um SVG (mapa de contornos no modo superfície).
+
 import BaseChart from './BaseChart.js';
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import * as d3 from 'd3';
+import { formatNumber } from '../utils/formatters.js';
+
+/**
+ * Métodos que constroem as marcas de cada modo.
+ * @private
+ */
+const MODES = {
+  scatter: 'buildScatter',
+  bar: 'buildBars',
+  surface: 'buildSurface'
+};
 
 /**
- * WebGL3DChart - Gráfico 3D com placeholder para implementação futura com WebGL.
- * Atualmente exibe uma mensagem profissional indicando que a funcionalidade está
- * em desenvolvimento, preparado para extensão com Three.js ou WebGL nativo.
+ * Lado do cubo de dados, em unidades da cena.
+ * @private
+ */
+const WORLD_SIZE = 100;
+
+/**
+ * Shaders da nuvem de pontos: tamanho e cor vêm de atributos por vértice,
+ * e o tamanho em pixels diminui com a distância à câmera.
+ * @private
+ */
+const POINT_VERTEX_SHADER = `
+  attribute float size;
+  uniform float scale;
+  uniform float maxPointSize;
+  varying vec3 vColor;
+
+  void main() {
+    vColor = color;
+    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+    gl_PointSize = min(maxPointSize, 2.0 * size * scale / -mvPosition.z);
+    gl_Position = projectionMatrix * mvPosition;
+  }
+`;
+
+const POINT_FRAGMENT_SHADER = `
+  varying vec3 vColor;
+
+  void main() {
+    vec2 offset = gl_PointCoord - vec2(0.5);
+    if (dot(offset, offset) > 0.25) discard;
+    gl_FragColor = vec4(vColor, 1.0);
+  }
+`;
+
+/**
+ * WebGL3DChart - Gráfico 3D (dispersão, barras ou superfície) renderizado com Three.js.
+ * Os campos x, y e z são mapeados para os eixos da cena (y para cima); cor e tamanho
+ * podem vir de campos dos dados. No modo superfície, linhas { x, y, value } como as do
+ * Heatmap formam uma grade cuja altura e cor seguem `value`. OrbitControls gira a
+ * câmera e o ponteiro mostra tooltips das marcas sob o cursor.
+ * Dispersões grandes viram uma única nuvem de pontos (BufferGeometry com tamanho e cor
+ * por vértice), decimada enquanto a câmera gira e consultada por um quadtree no hover.
  */
 export default class WebGL3DChart extends BaseChart {
+  /**
+   * @param {Object} options - Opções do gráfico.
+   * @param {string|HTMLElement} options.container - Elemento, ou seletor, que recebe o canvas.
+   * @param {number} [options.width] - Largura em pixels (padrão: largura do container ou 400).
+   * @param {number} [options.height] - Altura em pixels (padrão: altura do container ou 300).
+   * @param {string} [options.mode='scatter'] - 'scatter' (esferas), 'bar' (barras sobre a grade x/z) ou 'surface' (malha z=f(x,y)).
+   * @param {string} [options.x='x'] - Campo do eixo x.
+   * @param {string} [options.y='y'] - Campo do eixo y (vertical; altura das barras).
+   * @param {string} [options.z='z'] - Campo do eixo z.
+   * @param {string} [options.value='value'] - Campo da altura no modo superfície (x e y formam a grade).
+   * @param {boolean} [options.wireframe=false] - Sobrepõe a malha de arame à superfície.
+   * @param {boolean} [options.contours=false] - Projeta as curvas de nível da superfície no piso.
+   * @param {number} [options.contourLevels=10] - Número aproximado de curvas de nível (também no fallback SVG).
+   * @param {string} [options.color] - Campo mapeado para a cor ou, se não for um campo, uma cor CSS fixa.
+   * @param {string|number} [options.size] - Campo mapeado para o tamanho das esferas ou um raio fixo.
+   * @param {Array} [options.sizeRange=[0.5, 4]] - Raios mínimo e máximo, com área proporcional ao valor.
+   * @param {string} [options.colorScheme='Viridis'] - Interpolador D3 para cores de campos numéricos.
+   * @param {string} [options.background='#ffffff'] - Cor de fundo da cena.
+   * @param {boolean} [options.controls=true] - Habilita OrbitControls.
+   * @param {boolean} [options.grid=true] - Desenha a grade do piso.
+   * @param {boolean} [options.axes=true] - Desenha os eixos (x vermelho, y verde, z azul).
+   * @param {Object|Function} [options.renderer] - Renderer compatível com THREE.WebGLRenderer, ou fábrica que o cria.
+   * @param {number} [options.maxMeshPoints=2000] - Acima deste número de pontos a dispersão usa a nuvem de pontos.
+   * @param {number} [options.lodPoints=50000] - Pontos desenhados enquanto a câmera gira.
+   * @param {number} [options.pickRadius=6] - Distância máxima, em pixels, para o hover encontrar um ponto da nuvem.
+   */
   constructor(options = {}) {
-    super(options);
+    const webglDefaults = {
+      mode: 'scatter',
+      z: 'z',
+      value: 'value',
+      wireframe: false,
+      contours: false,
+      contourLevels: 10,
+      size: null,
+      sizeRange: [0.5, 4],
+      colorScheme: 'Viridis',
+      background: '#ffffff',
+      controls: true,
+      grid: true,
+      axes: true,
+      renderer: null,
+      maxMeshPoints: 2000,
+      lodPoints: 50000,
+      pickRadius: 6
+    };
+
+    super({ ...webglDefaults, ...options });
     this.type = '3d-webgl';
+
+    this.scene = null;
+    this.camera = null;
+    this.renderer = null;
+    this.controls = null;
+    this.marks = null;
+    this.host = null;
+    this.raycaster = new THREE.Raycaster();
+
+    // Capacidades do WebGL, tamanho da viewport e índice espacial da nuvem de pontos
+    this.capabilities = null;
+    this.viewport = { width: 400, height: 300 };
+    this.pointIndex = null;
+
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerLeave = this.handlePointerLeave.bind(this);
+  }
+
+  /**
+   * Retorna o nome do campo indicado por uma opção, se os dados o possuírem.
+   * @param {string} option - Nome da opção ('color', 'size'...).
+   * @returns {string|null} Campo dos dados ou null.
+   * @private
+   */
+  getField(option) {
+    const field = this.options[`${option}Field`] || this.options[option];
+
+    if (typeof field !== 'string' || !this.data.some(d => d[field] !== undefined)) {
+      return null;
+    }
+
+    return field;
+  }
+
+  /**
+   * Cria as escalas de posição, cor e tamanho a partir dos dados.
+   * Na dispersão os três eixos são lineares; nas barras x e z são categorias.
+   */
+  createScales() {
+    const { x, y, z, mode, sizeRange, colorScheme, colorPalette } = this.options;
+    const half = WORLD_SIZE / 2;
+    const linear = field => d3.scaleLinear()
+      .domain(d3.extent(this.data, d => +d[field]))
+      .range([-half, half])
+      .nice();
+
+    if (mode === 'surface') {
+      this.createSurfaceScales();
+      return;
+    }
+
+    if (mode === 'bar') {
+      const band = field => d3.scaleBand()
+        .domain(Array.from(new Set(this.data.map(d => d[field]))).sort(d3.ascending))
+        .range([-half, half])
+        .padding(0.2);
+
+      this.xScale = band(x);
+      this.zScale = band(z);
+      this.yScale = d3.scaleLinear()
+        .domain([0, d3.max(this.data, d => +d[y]) || 1])
+        .range([0, WORLD_SIZE])
+        .nice();
+    } else {
+      this.xScale = linear(x);
+      this.yScale = linear(y);
+      this.zScale = linear(z);
+    }
+
+    const colorField = this.getField('color');
+
+    if (!colorField) {
+      // Um nome de campo ausente dos dados não é uma cor válida
+      const color = d3.color(this.options.color) ? this.options.color : d3.schemeCategory10[0];
+      this.colorScale = () => color;
+    } else if (this.data.every(d => typeof d[colorField] === 'number')) {
+      const interpolator = d3[`interpolate${colorScheme}`];
+
+      if (typeof interpolator !== 'function') {
+        throw new Error(`Esquema de cores desconhecido '${colorScheme}'`);
+      }
+
+      this.colorScale = d3.scaleSequential(interpolator).domain(d3.extent(this.data, d => d[colorField]));
+    } else {
+      this.colorScale = d3.scaleOrdinal(colorPalette || d3.schemeCategory10);
+    }
+
+    const sizeField = this.getField('size');
+
+    if (sizeField) {
+      this.sizeScale = d3.scaleSqrt()
+        .domain([0, d3.max(this.data, d => Math.abs(+d[sizeField])) || 1])
+        .range(sizeRange);
+    } else {
+      const radius = typeof this.options.size === 'number' ? this.options.size : (sizeRange[0] + sizeRange[1]) / 2;
+      this.sizeScale = () => radius;
+    }
+  }
+
+  /**
+   * Organiza as linhas { x, y, value } em uma grade, ordenando os valores únicos de x e y.
+   * Células repetidas usam a média; células ausentes ficam NaN.
+   * @returns {Object} { xs, ys, values, rows, extent }, com values[j * xs.length + i] para (xs[i], ys[j]).
+   */
+  computeGrid() {
+    const { x, y, value } = this.options;
+    const rows = this.data.filter(d => d[x] !== undefined && d[y] !== undefined && d[value] !== null && !isNaN(+d[value]));
+    const xs = Array.from(new Set(rows.map(d => d[x]))).sort(d3.ascending);
+    const ys = Array.from(new Set(rows.map(d => d[y]))).sort(d3.ascending);
+    const cells = d3.group(rows, d => d[x], d => d[y]);
+    const values = new Float64Array(xs.length * ys.length).fill(NaN);
+    const cellRows = new Array(values.length).fill(null);
+
+    ys.forEach((yValue, j) => {
+      xs.forEach((xValue, i) => {
+        const cell = cells.get(xValue) && cells.get(xValue).get(yValue);
+
+        if (cell) {
+          values[j * xs.length + i] = d3.mean(cell, d => +d[value]);
+          cellRows[j * xs.length + i] = cell[0];
+        }
+      });
+    });
+
+    return { xs, ys, values, rows: cellRows, extent: d3.extent(values.filter(v => !isNaN(v))) };
+  }
+
+  /**
+   * Escalas do modo superfície: x e y da grade no piso, value na altura e na cor.
+   * @private
+   */
+  createSurfaceScales() {
+    const { colorScheme } = this.options;
+    const half = WORLD_SIZE / 2;
+    const interpolator = d3[`interpolate${colorScheme}`];
+
+    if (typeof interpolator !== 'function') {
+      throw new Error(`Esquema de cores desconhecido '${colorScheme}'`);
+    }
+
+    this.grid = this.computeGrid();
+
+    const [min = 0, max = 1] = this.grid.extent;
+    this.xScale = d3.scalePoint().domain(this.grid.xs).range([-half, half]);
+    this.zScale = d3.scalePoint().domain(this.grid.ys).range([-half, half]);
+    this.yScale = d3.scaleLinear().domain([min, max === min ? min + 1 : max]).range([0, half]);
+    this.colorScale = d3.scaleSequential(interpolator).domain(this.yScale.domain());
+  }
+
+  /**
+   * Calcula as curvas de nível da grade com d3.contours.
+   * As coordenadas resultantes são de pixels da grade: a amostra i fica em i + 0.5.
+   * @param {Object} grid - Grade de computeGrid().
+   * @returns {Array} MultiPolygons GeoJSON com a propriedade value (limiar).
+   */
+  computeContours(grid) {
+    const { xs, ys, values, extent } = grid;
+
+    if (xs.length < 2 || ys.length < 2) {
+      return [];
+    }
+
+    // Células sem dado entram como o mínimo, abaixo de todos os limiares
+    const filled = Array.from(values, v => (isNaN(v) ? extent[0] : v));
+
+    return d3.contours()
+      .size([xs.length, ys.length])
+      .thresholds(d3.ticks(extent[0], extent[1], this.options.contourLevels).filter(t => t > extent[0]))(filled);
+  }
+
+  /**
+   * Calcula as marcas em coordenadas da cena, sem criar objetos Three.js.
+   * @returns {Array} Marcas { index, datum, position: [x, y, z], size, color }; barras têm também width, height e depth.
+   */
+  computeMarks() {
+    const { x, y, z, mode } = this.options;
+    const colorField = this.getField('color');
+    const sizeField = this.getField('size');
+
+    // Barras aceitam categorias em x e z; os demais campos precisam ser numéricos
+    const numeric = mode === 'bar' ? [y] : [x, y, z];
+    const isValid = d => [x, y, z].every(field => d[field] !== null && d[field] !== undefined) &&
+      numeric.every(field => !isNaN(+d[field]));
+
+    return this.data
+      .map((d, index) => ({ d, index }))
+      .filter(({ d }) => isValid(d))
+      .map(({ d, index }) => {
+        const color = this.colorScale(colorField ? d[colorField] : undefined);
+
+        if (mode === 'bar') {
+          const height = Math.max(0, this.yScale(+d[y]));
+
+          return {
+            index,
+            datum: d,
+            position: [this.xScale(d[x]) + this.xScale.bandwidth() / 2, height / 2, this.zScale(d[z]) + this.zScale.bandwidth() / 2],
+            width: this.xScale.bandwidth(),
+            height,
+            depth: this.zScale.bandwidth(),
+            color
+          };
+        }
+
+        return {
+          index,
+          datum: d,
+          position: [this.xScale(+d[x]), this.yScale(+d[y]), this.zScale(+d[z])],
+          size: this.sizeScale(sizeField ? Math.abs(+d[sizeField]) || 0 : undefined),
+          color
+        };
+      });
+  }
+
+  /**
+   * Monta a cena completa (luzes, grade, eixos e marcas) sem acessar o DOM.
+   * @returns {THREE.Scene} Cena pronta para renderizar.
+   */
+  buildScene() {
+    const { mode, background, grid, axes } = this.options;
+    const build = MODES[mode];
+
+    if (!build) {
+      throw new Error(`Modo 3D desconhecido '${mode}'. Disponíveis: ${Object.keys(MODES).join(', ')}`);
+    }
+
+    if (this.scene) {
+      this.disposeScene();
+    }
+
+    this.createScales();
+
+    const scene = new THREE.Scene();
+    scene.background = new THREE.Color(background);
+
+    scene.add(new THREE.AmbientLight(0xffffff, 0.6));
+    const sun = new THREE.DirectionalLight(0xffffff, 0.8);
+    sun.position.set(WORLD_SIZE, WORLD_SIZE * 2, WORLD_SIZE);
+    scene.add(sun);
+
+    // Na dispersão o piso fica abaixo dos dados; barras e superfícies partem dele
+    const floor = this.getFloor();
+
+    if (grid) {
+      const gridHelper = new THREE.GridHelper(WORLD_SIZE, 10, 0x999999, 0xdddddd);
+      gridHelper.name = 'grid';
+      gridHelper.position.y = floor;
+      scene.add(gridHelper);
+    }
+
+    if (axes) {
+      const axesHelper = new THREE.AxesHelper(WORLD_SIZE * 0.6);
+      axesHelper.name = 'axes';
+      axesHelper.position.set(-WORLD_SIZE / 2, floor, -WORLD_SIZE / 2);
+      scene.add(axesHelper);
+    }
+
+    this.marks = this[build](mode === 'surface' ? this.grid : this.computeMarks());
+    this.marks.name = 'marks';
+    scene.add(this.marks);
+
+    if (mode === 'surface' && this.options.contours) {
+      scene.add(this.buildContourLines(floor));
+    }
+
+    // Matrizes atualizadas permitem o picking antes do primeiro quadro
+    scene.updateMatrixWorld();
+
+    this.scene = scene;
+    return scene;
+  }
+
+  /**
+   * Cria uma esfera por ponto; geometria e materiais (por cor) são compartilhados.
+   * @param {Array} marks - Marcas de computeMarks().
+   * @returns {THREE.Group} Grupo de esferas.
+   * @private
+   */
+  buildScatter(marks) {
+    if (marks.length > this.options.maxMeshPoints) {
+      return this.buildPointCloud(marks);
+    }
+
+    const group = new THREE.Group();
+    const geometry = new THREE.SphereGeometry(1, 16, 12);
+    const material = this.createMaterialCache();
+
+    marks.forEach(mark => {
+      const mesh = new THREE.Mesh(geometry, material(mark.color));
+      mesh.position.set(...mark.position);
+      mesh.scale.setScalar(mark.size);
+      mesh.userData = { index: mark.index, datum: mark.datum };
+      group.add(mesh);
+    });
+
+    return group;
+  }
+
+  /**
+   * Cria a nuvem de pontos: uma BufferGeometry com posição, cor e tamanho por vértice.
+   * Os pontos são gravados em ordem embaralhada, de modo que qualquer prefixo é uma
+   * amostra uniforme; o nível de detalhe reduz apenas o drawRange.
+   * @param {Array} marks - Marcas de computeMarks().
+   * @returns {THREE.Group} Grupo com a nuvem.
+   * @private
+   */
+  buildPointCloud(marks) {
+    const group = new THREE.Group();
+    const count = marks.length;
+    const order = d3.shuffler(d3.randomLcg(0.5))(d3.range(count));
+    const positions = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+    const sizes = new Float32Array(count);
+    const colorCache = new Map();
+
+    order.forEach((m, k) => {
+      const mark = marks[m];
+      let color = colorCache.get(mark.color);
+
+      if (!color) {
+        color = new THREE.Color(mark.color);
+        colorCache.set(mark.color, color);
+      }
+
+      positions.set(mark.position, k * 3);
+      colors.set([color.r, color.g, color.b], k * 3);
+      sizes[k] = mark.size;
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        scale: { value: 1 },
+        maxPointSize: { value: this.getLimits().maxPointSize }
+      },
+      vertexShader: POINT_VERTEX_SHADER,
+      fragmentShader: POINT_FRAGMENT_SHADER,
+      vertexColors: true
+    });
+
+    const points = new THREE.Points(geometry, material);
+    points.name = 'points';
+    points.userData = { marks, order };
+
+    // O hover usa o índice espacial em vez do raycast ponto a ponto
+    points.raycast = () => {};
+    group.add(points);
+
+    return group;
+  }
+
+  /**
+   * Retorna a nuvem de pontos da cena, se a dispersão a estiver usando.
+   * @returns {THREE.Points|null} Nuvem de pontos.
+   */
+  getPointCloud() {
+    return (this.marks && this.marks.getObjectByName('points')) || null;
+  }
+
+  /**
+   * Alterna entre todos os pontos e a amostra de lodPoints usada enquanto a câmera gira.
+   * O índice de hover é descartado, pois cobre apenas os pontos desenhados.
+   * @param {boolean} full - true para desenhar todos os pontos.
+   */
+  setDetail(full) {
+    const cloud = this.getPointCloud();
+
+    if (cloud) {
+      cloud.geometry.setDrawRange(0, full ? Infinity : Math.min(this.options.lodPoints, cloud.userData.order.length));
+      this.pointIndex = null;
+    }
+  }
+
+  /**
+   * Limites de renderização derivados das capacidades do WebGL.
+   * @returns {Object} { maxPointSize, maxPixelRatio }
+   */
+  getLimits() {
+    const capabilities = this.capabilities || {};
+    const { width, height } = this.viewport;
+
+    return {
+      maxPointSize: capabilities.maxPointSize || 64,
+      // O buffer de desenho não pode passar de maxTextureSize em nenhuma dimensão
+      maxPixelRatio: capabilities.maxTextureSize ? capabilities.maxTextureSize / Math.max(width, height) : Infinity
+    };
+  }
+
+  /**
+   * Cria uma barra por linha, centrada na célula x/z e com altura proporcional a y.
+   * @param {Array} marks - Marcas de computeMarks().
+   * @returns {THREE.Group} Grupo de barras.
+   * @private
+   */
+  buildBars(marks) {
+    const group = new THREE.Group();
+    const geometry = new THREE.BoxGeometry(1, 1, 1);
+    const material = this.createMaterialCache();
+
+    marks.forEach(mark => {
+      const mesh = new THREE.Mesh(geometry, material(mark.color));
+      mesh.position.set(...mark.position);
+      mesh.scale.set(mark.width, Math.max(mark.height, 0.01), mark.depth);
+      mesh.userData = { index: mark.index, datum: mark.datum };
+      group.add(mesh);
+    });
+
+    return group;
+  }
+
+  /**
+   * Cria a malha da superfície: um vértice por célula da grade, com altura e cor de value.
+   * Triângulos que tocam células sem dado são omitidos.
+   * @param {Object} grid - Grade de computeGrid().
+   * @returns {THREE.Group} Grupo com a superfície e, opcionalmente, o arame.
+   * @private
+   */
+  buildSurface(grid) {
+    const group = new THREE.Group();
+    const { xs, ys, values } = grid;
+    const nx = xs.length;
+    const positions = new Float32Array(values.length * 3);
+    const colors = new Float32Array(values.length * 3);
+    const indices = [];
+
+    values.forEach((v, k) => {
+      const i = k % nx;
+      const j = Math.floor(k / nx);
+      const color = new THREE.Color(isNaN(v) ? '#cccccc' : this.colorScale(v));
+
+      positions.set([this.xScale(xs[i]), isNaN(v) ? 0 : this.yScale(v), this.zScale(ys[j])], k * 3);
+      colors.set([color.r, color.g, color.b], k * 3);
+    });
+
+    for (let j = 0; j < ys.length - 1; j++) {
+      for (let i = 0; i < nx - 1; i++) {
+        const a = j * nx + i;
+        const b = a + 1;
+        const c = a + nx;
+        const d = c + 1;
+
+        if (![a, b, c, d].some(k => isNaN(values[k]))) {
+          indices.push(a, c, b, b, c, d);
+        }
+      }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+
+    const surface = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+      vertexColors: true,
+      side: THREE.DoubleSide,
+      roughness: 0.8
+    }));
+    surface.name = 'surface';
+    surface.userData = { grid };
+    group.add(surface);
+
+    if (this.options.wireframe) {
+      const wireframe = new THREE.LineSegments(
+        new THREE.WireframeGeometry(geometry),
+        new THREE.LineBasicMaterial({ color: 0x333333, transparent: true, opacity: 0.35 })
+      );
+      wireframe.name = 'wireframe';
+      wireframe.raycast = () => {};
+      group.add(wireframe);
+    }
+
+    return group;
+  }
+
+  /**
+   * Projeta as curvas de nível no piso, com a cor do respectivo limiar.
+   * @param {number} floor - Altura do piso.
+   * @returns {THREE.Group} Grupo de linhas, uma por limiar.
+   * @private
+   */
+  buildContourLines(floor) {
+    const group = new THREE.Group();
+
+    // Coordenada da grade (amostra i em i + 0.5) para a posição na cena
+    const toScene = (c, scale) => scale.range()[0] + Math.max(0, Math.min(scale.domain().length - 1, c - 0.5)) * scale.step();
+
+    group.name = 'contours';
+
+    this.computeContours(this.grid).forEach(contour => {
+      const points = [];
+
+      contour.coordinates.forEach(polygon => polygon.forEach(ring => {
+        for (let k = 1; k < ring.length; k++) {
+          [ring[k - 1], ring[k]].forEach(([cx, cy]) => {
+            points.push(new THREE.Vector3(toScene(cx, this.xScale), floor, toScene(cy, this.zScale)));
+          });
+        }
+      }));
+
+      if (points.length > 0) {
+        const line = new THREE.LineSegments(
+          new THREE.BufferGeometry().setFromPoints(points),
+          new THREE.LineBasicMaterial({ color: new THREE.Color(this.colorScale(contour.value)) })
+        );
+        line.userData = { value: contour.value };
+        group.add(line);
+      }
+    });
+
+    return group;
   }
 
   /**
-   * Renderiza um placeholder profissional em SVG indicando que a visualização
-   * 3D não está implementada. Método pronto para ser estendido com WebGL.
+   * Retorna uma função que reaproveita um material por cor.
+   * @returns {Function} (cor) => THREE.MeshStandardMaterial.
+   * @private
+   */
+  createMaterialCache() {
+    const materials = new Map();
+
+    return color => {
+      const key = String(color);
+
+      if (!materials.has(key)) {
+        materials.set(key, new THREE.MeshStandardMaterial({ color: new THREE.Color(key), roughness: 0.6 }));
+      }
+
+      return materials.get(key);
+    };
+  }
+
+  /**
+   * Cria a câmera em perspectiva olhando para o centro dos dados.
+   * @param {number} width - Largura da viewport.
+   * @param {number} height - Altura da viewport.
+   * @returns {THREE.PerspectiveCamera} Câmera.
+   */
+  createCamera(width, height) {
+    const camera = new THREE.PerspectiveCamera(45, width / height, 0.1, WORLD_SIZE * 20);
+    const target = this.getTarget();
+
+    camera.position.set(WORLD_SIZE * 1.4, WORLD_SIZE * 1.1, WORLD_SIZE * 1.6);
+    camera.lookAt(target);
+    camera.updateMatrixWorld();
+
+    return camera;
+  }
+
+  /**
+   * Ponto para onde a câmera e os controles apontam.
+   * @returns {THREE.Vector3} Centro dos dados.
+   * @private
+   */
+  getTarget() {
+    return new THREE.Vector3(0, this.options.mode === 'scatter' ? 0 : WORLD_SIZE / 4, 0);
+  }
+
+  /**
+   * Altura do piso (grade, eixos e curvas de nível).
+   * @returns {number} Coordenada y do piso.
+   * @private
+   */
+  getFloor() {
+    const { mode } = this.options;
+
+    if (mode === 'scatter') {
+      return -WORLD_SIZE / 2;
+    }
+
+    // Afastado da superfície para que as curvas de nível não se misturem a ela
+    return mode === 'surface' ? -WORLD_SIZE / 10 : 0;
+  }
+
+  /**
+   * Cria o renderer: o injetado em options.renderer ou um THREE.WebGLRenderer.
+   * @returns {Object} Renderer com domElement, setSize, render e dispose.
+   * @private
+   */
+  createRenderer() {
+    const { renderer } = this.options;
+
+    if (typeof renderer === 'function') {
+      return renderer();
+    }
+
+    return renderer || new THREE.WebGLRenderer({ antialias: true });
+  }
+
+  /**
+   * Resolve o elemento que recebe o canvas.
+   * @returns {HTMLElement|null} Container.
+   * @private
+   */
+  getHost() {
+    const { container } = this.options;
+    return typeof container === 'string' ? document.querySelector(container) : container || null;
+  }
+
+  /**
+   * Monta a cena, cria câmera, renderer e controles e desenha o primeiro quadro.
    */
   render() {
-    const container = document.querySelector(this.options.container);
-    if (!container) throw new Error('Container não encontrado!');
-    
-    container.innerHTML = '';
-    
-    const width = this.options.width || 400;
-    const height = this.options.height || 300;
-    
-    // Criar SVG para o placeholder
-    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-    svg.setAttribute('width', width);
-    svg.setAttribute('height', height);
-    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
-    
-    // Fundo com gradiente sutil
-    const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
-    const gradient = document.createElementNS('http://www.w3.org/2000/svg', 'linearGradient');
-    gradient.setAttribute('id', 'webgl-bg-gradient');
-    gradient.setAttribute('x1', '0%');
-    gradient.setAttribute('y1', '0%');
-    gradient.setAttribute('x2', '100%');
-    gradient.setAttribute('y2', '100%');
-    
-    const stop1 = document.createElementNS('http://www.w3.org/2000/svg', 'stop');
-    stop1.setAttribute('offset', '0%');
-    stop1.setAttribute('stop-color', '#f8f9fa');
-    
-    const stop2 = document.createElementNS('http://www.w3.org/2000/svg', 'stop');
-    stop2.setAttribute('offset', '100%');
-    stop2.setAttribute('stop-color', '#e9ecef');
-    
-    gradient.appendChild(stop1);
-    gradient.appendChild(stop2);
-    defs.appendChild(gradient);
-    svg.appendChild(defs);
-    
-    // Retângulo de fundo
-    const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-    background.setAttribute('width', width);
-    background.setAttribute('height', height);
-    background.setAttribute('fill', 'url(#webgl-bg-gradient)');
-    background.setAttribute('stroke', '#dee2e6');
-    background.setAttribute('stroke-width', '1');
-    svg.appendChild(background);
-    
-    // Ícone representativo de 3D (cubo isométrico)
-    const cubeGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-    const centerX = width / 2;
-    const centerY = height / 2 - 30;
-    const size = 40;
-    
-    // Face frontal do cubo
-    const frontFace = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
-    frontFace.setAttribute('points', `${centerX - size/2},${centerY - size/2} ${centerX + size/2},${centerY - size/2} ${centerX + size/2},${centerY + size/2} ${centerX - size/2},${centerY + size/2}`);
-    frontFace.setAttribute('fill', '#6c757d');
-    frontFace.setAttribute('stroke', '#495057');
-    frontFace.setAttribute('stroke-width', '2');
-    
-    // Face lateral direita
-    const rightFace = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
-    rightFace.setAttribute('points', `${centerX + size/2},${centerY - size/2} ${centerX + size},${centerY - size} ${centerX + size},${centerY} ${centerX + size/2},${centerY + size/2}`);
-    rightFace.setAttribute('fill', '#495057');
-    rightFace.setAttribute('stroke', '#343a40');
-    rightFace.setAttribute('stroke-width', '2');
-    
-    // Face superior
-    const topFace = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
-    topFace.setAttribute('points', `${centerX - size/2},${centerY - size/2} ${centerX},${centerY - size} ${centerX + size},${centerY - size} ${centerX + size/2},${centerY - size/2}`);
-    topFace.setAttribute('fill', '#868e96');
-    topFace.setAttribute('stroke', '#495057');
-    topFace.setAttribute('stroke-width', '2');
-    
-    cubeGroup.appendChild(frontFace);
-    cubeGroup.appendChild(rightFace);
-    cubeGroup.appendChild(topFace);
-    svg.appendChild(cubeGroup);
-    
-    // Texto principal
-    const mainText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-    mainText.setAttribute('x', centerX);
-    mainText.setAttribute('y', centerY + 80);
-    mainText.setAttribute('text-anchor', 'middle');
-    mainText.setAttribute('font-family', 'Arial, sans-serif');
-    mainText.setAttribute('font-size', '18');
-    mainText.setAttribute('font-weight', 'bold');
-    mainText.setAttribute('fill', '#495057');
-    mainText.textContent = 'Visualização 3D não implementada';
-    svg.appendChild(mainText);
-    
-    // Texto secundário
-    const subText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-    subText.setAttribute('x', centerX);
-    subText.setAttribute('y', centerY + 105);
-    subText.setAttribute('text-anchor', 'middle');
-    subText.setAttribute('font-family', 'Arial, sans-serif');
-    subText.setAttribute('font-size', '14');
-    subText.setAttribute('fill', '#6c757d');
-    subText.textContent = 'Aguardando implementação WebGL';
-    svg.appendChild(subText);
-    
-    // Informação técnica
-    const techText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-    techText.setAttribute('x', centerX);
-    techText.setAttribute('y', centerY + 130);
-    techText.setAttribute('text-anchor', 'middle');
-    techText.setAttribute('font-family', 'Arial, sans-serif');
-    techText.setAttribute('font-size', '12');
-    techText.setAttribute('fill', '#868e96');
-    techText.textContent = 'Preparado para Three.js ou WebGL nativo';
-    svg.appendChild(techText);
-    
-    container.appendChild(svg);
-    
-    // Log para desenvolvimento/debugging
-    if (this.options.debug) {
-      console.log('WebGL3DChart: Placeholder renderizado. Dados recebidos:', this.options.data);
-    }
-  }
-  
-  /**
-   * Método de limpeza/destruição para compatibilidade com o padrão da arquitetura.
-   * Pronto para extensão quando implementação WebGL for adicionada.
+    const host = this.getHost();
+    if (!host) throw new Error('Container não encontrado!');
+
+    this.teardown();
+    host.innerHTML = '';
+    this.host = host;
+
+    const width = this.options.width || host.clientWidth || 400;
+    const height = this.options.height || host.clientHeight || 300;
+
+    this.viewport = { width, height };
+
+    // Um renderer injetado dispensa a verificação de suporte
+    this.capabilities = this.options.renderer ? null : this.getWebGLCapabilities();
+
+    if (this.capabilities && !this.capabilities.webglSupported) {
+      this.renderFallback(width, height);
+      return;
+    }
+
+    this.renderer = this.createRenderer();
+    this.capabilities = this.capabilities || this.renderer.capabilities || null;
+
+    if (this.renderer.setPixelRatio) {
+      this.renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, this.getLimits().maxPixelRatio));
+    }
+    this.renderer.setSize(width, height);
+
+    this.buildScene();
+    this.camera = this.createCamera(width, height);
+
+    const canvas = this.renderer.domElement;
+    host.appendChild(canvas);
+
+    // Sem amortecimento, os controles só pedem um quadro quando a câmera muda
+    if (this.options.controls) {
+      this.controls = new OrbitControls(this.camera, canvas);
+      this.controls.target.copy(this.getTarget());
+      this.controls.update();
+      this.controls.addEventListener('start', () => this.setDetail(false));
+      this.controls.addEventListener('change', () => {
+        this.pointIndex = null;
+        this.renderFrame();
+      });
+      this.controls.addEventListener('end', () => {
+        this.setDetail(true);
+        this.renderFrame();
+      });
+    }
+
+    canvas.addEventListener('pointermove', this.handlePointerMove);
+    canvas.addEventListener('pointerleave', this.handlePointerLeave);
+
+    this.renderFrame();
+  }
+
+  /**
+   * Desenha um quadro com a câmera atual.
+   */
+  renderFrame() {
+    if (this.renderer && this.scene && this.camera) {
+      const cloud = this.getPointCloud();
+
+      // Converte o raio em unidades da cena para pixels na distância 1
+      if (cloud) {
+        const fov = THREE.MathUtils.degToRad(this.camera.fov);
+        cloud.material.uniforms.scale.value = this.viewport.height / (2 * Math.tan(fov / 2));
+      }
+
+      this.renderer.render(this.scene, this.camera);
+    }
+  }
+
+  /**
+   * Retorna a marca sob um ponto em coordenadas normalizadas do dispositivo (-1 a 1).
+   * @param {number} x - Coordenada x normalizada.
+   * @param {number} y - Coordenada y normalizada (para cima).
+   * @returns {Object|null} { index, datum, object } da marca mais próxima ou null.
+   */
+  pick(x, y) {
+    if (!this.marks || !this.camera) {
+      return null;
+    }
+
+    const cloud = this.getPointCloud();
+
+    if (cloud) {
+      return this.pickPoint(x, y, cloud);
+    }
+
+    this.raycaster.setFromCamera(new THREE.Vector2(x, y), this.camera);
+    const [hit] = this.raycaster.intersectObjects(this.marks.children, false);
+
+    if (!hit) {
+      return null;
+    }
+
+    // Na superfície, a marca é a célula da grade mais próxima do ponto atingido
+    if (hit.object.userData.grid) {
+      const { xs, rows } = hit.object.userData.grid;
+      const i = Math.round((hit.point.x - this.xScale.range()[0]) / this.xScale.step());
+      const j = Math.round((hit.point.z - this.zScale.range()[0]) / this.zScale.step());
+      const datum = rows[j * xs.length + i];
+
+      return datum ? { index: this.data.indexOf(datum), datum, object: hit.object } : null;
+    }
+
+    return { ...hit.object.userData, object: hit.object };
+  }
+
+  /**
+   * Encontra o ponto da nuvem mais próximo do ponteiro na tela.
+   * @param {number} x - Coordenada x normalizada.
+   * @param {number} y - Coordenada y normalizada.
+   * @param {THREE.Points} cloud - Nuvem de pontos.
+   * @returns {Object|null} { index, datum, object } ou null.
+   * @private
+   */
+  pickPoint(x, y, cloud) {
+    const { width, height } = this.viewport;
+    const found = this.getPointIndex(cloud).find((x + 1) / 2 * width, (1 - y) / 2 * height, this.options.pickRadius);
+
+    if (!found) {
+      return null;
+    }
+
+    const mark = cloud.userData.marks[found[2]];
+    return { index: mark.index, datum: mark.datum, object: cloud };
+  }
+
+  /**
+   * Quadtree dos pontos desenhados, projetados na tela pela câmera atual.
+   * É reconstruído sob demanda depois que a câmera ou os dados mudam.
+   * @param {THREE.Points} cloud - Nuvem de pontos.
+   * @returns {Object} d3.quadtree de [x, y, índice da marca].
+   * @private
+   */
+  getPointIndex(cloud) {
+    if (this.pointIndex) {
+      return this.pointIndex;
+    }
+
+    const { width, height } = this.viewport;
+    const { order } = cloud.userData;
+    const positions = cloud.geometry.attributes.position.array;
+    const count = Math.min(cloud.geometry.drawRange.count, order.length);
+    const vector = new THREE.Vector3();
+    const nodes = [];
+
+    this.camera.updateMatrixWorld();
+
+    for (let k = 0; k < count; k++) {
+      vector.fromArray(positions, k * 3).applyMatrix4(cloud.matrixWorld).project(this.camera);
+
+      // Pontos atrás da câmera ou além do plano distante não podem ser apontados
+      if (vector.z >= -1 && vector.z <= 1) {
+        nodes.push([(vector.x + 1) / 2 * width, (1 - vector.y) / 2 * height, order[k]]);
+      }
+    }
+
+    this.pointIndex = d3.quadtree().addAll(nodes);
+    return this.pointIndex;
+  }
+
+  /**
+   * Mostra o tooltip da marca sob o ponteiro.
+   * @param {PointerEvent} event - Evento do canvas.
+   * @private
+   */
+  handlePointerMove(event) {
+    const rect = event.currentTarget.getBoundingClientRect();
+
+    if (!rect.width || !rect.height) {
+      return;
+    }
+
+    const hit = this.pick(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+
+    if (!hit) {
+      this.hideTooltip();
+      return;
+    }
+
+    this.showTooltip(event, this.getTooltipContent(hit.datum));
+  }
+
+  /**
+   * Esconde o tooltip quando o ponteiro sai do canvas.
+   * @private
+   */
+  handlePointerLeave() {
+    this.hideTooltip();
+  }
+
+  /**
+   * Monta o conteúdo do tooltip com os campos mapeados da linha.
+   * @param {Object} datum - Linha dos dados.
+   * @returns {string} HTML do tooltip.
+   */
+  getTooltipContent(datum) {
+    const { x, y, z, value, mode } = this.options;
+    const fields = mode === 'surface'
+      ? [x, y, value]
+      : [x, y, z, this.getField('color'), this.getField('size')];
+
+    return Array.from(new Set(fields.filter(Boolean)))
+      .map(field => `${field}: ${typeof datum[field] === 'number' ? formatNumber(datum[field]) : datum[field]}`)
+      .join('<br/>');
+  }
+
+  /**
+   * Desenha a alternativa em SVG quando não há WebGL: um mapa de contornos
+   * preenchidos no modo superfície, ou um aviso nos demais modos.
+   * @param {number} width - Largura do SVG.
+   * @param {number} height - Altura do SVG.
+   * @private
+   */
+  renderFallback(width, height) {
+    const svg = d3.select(this.host).append('svg')
+      .attr('class', 'webgl-fallback')
+      .attr('width', width)
+      .attr('height', height)
+      .attr('viewBox', `0 0 ${width} ${height}`);
+
+    if (this.options.mode === 'surface') {
+      this.drawContourPlot(svg, width, height);
+      return;
+    }
+
+    svg.append('text')
+      .attr('x', width / 2)
+      .attr('y', height / 2)
+      .attr('text-anchor', 'middle')
+      .attr('fill', '#6c757d')
+      .text('Visualização 3D indisponível: WebGL não suportado');
+  }
+
+  /**
+   * Desenha a grade como mapa de contornos 2D, com y crescendo para cima.
+   * @param {Object} svg - Seleção D3 do SVG.
+   * @param {number} width - Largura do SVG.
+   * @param {number} height - Altura do SVG.
+   * @private
+   */
+  drawContourPlot(svg, width, height) {
+    const { value } = this.options;
+    const margin = { top: 10, right: 10, bottom: 30, left: 50 };
+    const w = width - margin.left - margin.right;
+    const h = height - margin.top - margin.bottom;
+
+    this.createSurfaceScales();
+
+    const { xs, ys, extent } = this.grid;
+    const sx = w / xs.length;
+    const sy = h / ys.length;
+    const path = d3.geoPath(d3.geoTransform({
+      point(px, py) {
+        this.stream.point(px * sx, h - py * sy);
+      }
+    }));
+
+    const g = svg.append('g').attr('transform', `translate(${margin.left}, ${margin.top})`);
+
+    // O fundo tem a cor do mínimo; cada contorno cobre a área acima do seu limiar
+    g.append('rect')
+      .attr('class', 'contour-base')
+      .attr('width', w)
+      .attr('height', h)
+      .attr('fill', extent[0] !== undefined ? this.colorScale(extent[0]) : '#eeeeee');
+
+    g.selectAll('.contour')
+      .data(this.computeContours(this.grid))
+      .join('path')
+      .attr('class', 'contour')
+      .attr('d', path)
+      .attr('fill', c => this.colorScale(c.value))
+      .attr('stroke', '#ffffff')
+      .attr('stroke-width', 0.5)
+      .on('mouseover', (event, c) => {
+        this.showTooltip(event, `${value} ≥ ${formatNumber(c.value)}`);
+      })
+      .on('mousemove', (event) => {
+        this.moveTooltip(event);
+      })
+      .on('mouseout', () => {
+        this.hideTooltip();
+      });
+
+    // Eixos por célula, com no máximo ~10 rótulos
+    const every = values => values.filter((d, i) => i % Math.ceil(values.length / 10) === 0);
+
+    g.append('g')
+      .attr('class', 'x-axis')
+      .attr('transform', `translate(0, ${h})`)
+      .call(d3.axisBottom(d3.scaleBand().domain(xs).range([0, w])).tickValues(every(xs)));
+
+    g.append('g')
+      .attr('class', 'y-axis')
+      .call(d3.axisLeft(d3.scaleBand().domain(ys).range([h, 0])).tickValues(every(ys)));
+  }
+
+  /**
+   * Atualiza os dados, reconstruindo as marcas sem recriar renderer e controles.
+   * @param {Array} newData - Novos dados.
+   */
+  update(newData) {
+    this.data = newData;
+
+    if (this.renderer) {
+      this.buildScene();
+      this.renderFrame();
+    } else if (this.host) {
+      this.render();
+    }
+  }
+
+  /**
+   * Redimensiona a viewport.
+   * @param {number} width - Nova largura.
+   * @param {number} height - Nova altura.
+   */
+  resize(width, height) {
+    this.options.width = width;
+    this.options.height = height;
+
+    this.viewport = { width, height };
+    this.pointIndex = null;
+
+    if (this.renderer && this.camera) {
+      this.camera.aspect = width / height;
+      this.camera.updateProjectionMatrix();
+      this.renderer.setSize(width, height);
+      this.renderFrame();
+    } else if (this.host) {
+      this.render();
+    }
+  }
+
+  /**
+   * Libera geometrias e materiais da cena atual.
+   * @private
+   */
+  disposeScene() {
+    const disposed = new Set();
+
+    this.scene.traverse(object => {
+      [object.geometry, ...[].concat(object.material || [])].forEach(resource => {
+        if (resource && !disposed.has(resource)) {
+          disposed.add(resource);
+          resource.dispose();
+        }
+      });
+    });
+
+    this.scene = null;
+    this.marks = null;
+    this.pointIndex = null;
+  }
+
+  /**
+   * Remove controles, ouvintes e renderer de uma renderização anterior.
+   * @private
+   */
+  teardown() {
+    if (this.controls) {
+      this.controls.dispose();
+      this.controls = null;
+    }
+
+    if (this.renderer) {
+      const canvas = this.renderer.domElement;
+      canvas.removeEventListener('pointermove', this.handlePointerMove);
+      canvas.removeEventListener('pointerleave', this.handlePointerLeave);
+      this.renderer.dispose();
+      this.renderer = null;
+    }
+  }
+
+  /**
+   * Libera os recursos WebGL e limpa o container.
    */
   destroy() {
-    const container = document.querySelector(this.options.container);
-    if (container) {
-      container.innerHTML = '';
+    this.teardown();
+
+    if (this.scene) {
+      this.disposeScene();
+    }
+
+    if (this.host) {
+      this.host.innerHTML = '';
+      this.host = null;
     }
+
+    super.destroy();
   }
-  
+
   /**
-   * Método preparatório para futura implementação WebGL.
-   * Retorna informações sobre capacidades 3D do navegador.
+   * Retorna informações sobre as capacidades 3D do navegador.
    */
   getWebGLCapabilities() {
-    const canvas = document.createElement('canvas');
-    const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
-    
+    let gl = null;
+
+    try {
+      const canvas = document.createElement('canvas');
+      gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+    } catch (error) {
+      gl = null;
+    }
+
     return {
       webglSupported: !!gl,
       version: gl ? gl.getParameter(gl.VERSION) : null,
       vendor: gl ? gl.getParameter(gl.VENDOR) : null,
       renderer: gl ? gl.getParameter(gl.RENDERER) : null,
-      maxTextureSize: gl ? gl.getParameter(gl.MAX_TEXTURE_SIZE) : null
+      maxTextureSize: gl ? gl.getParameter(gl.MAX_TEXTURE_SIZE) : null,
+      maxPointSize: gl ? gl.getParameter(gl.ALIASED_POINT_SIZE_RANGE)[1] : null
     };
   }
 }
@@ -1,107 +1,556 @@
-// AnimationEngine.js: Motor profissional e didático para animação de atributos e transições em SVG/DOM.
-// Pronto para uso em qualquer chart, documentado e pronto para extensão (D3.js, CSS Transitions ou Web Animations API).
+// AnimationEngine.js: Motor de animação com handles controláveis, registro de easings e sequenciamento.
+// Usado pelos charts para animações fora das transições D3 (tweens, sequências e escalonamentos).
+
+import * as d3 from 'd3';
 
 /**
- * AnimationEngine
- * Prover animação declarativa para gráficos SVG/DOM.
- * Métodos: animarAtributo, animarTransição, stopAll.
+ * Registro de easings nomeados.
+ * Além dos nomes registrados, qualquer easing do D3 pode ser usado pelo nome exportado
+ * ('easeCubicInOut') ou em formato com hífens ('cubic-in-out'), como em BaseChart.options.animation.
  */
-export default class AnimationEngine {
-  constructor() {
-    this.running = [];
+const easingRegistry = new Map();
+
+/**
+ * Registra um easing nomeado, disponível para o motor e para os charts.
+ * @param {string} name - Nome do easing.
+ * @param {Function} easing - Função (t: 0-1) => 0-1.
+ */
+export function registerEasing(name, easing) {
+  if (typeof easing !== 'function') {
+    throw new Error(`registerEasing: easing '${name}' deve ser uma função`);
+  }
+
+  easingRegistry.set(name, easing);
+}
+
+/**
+ * Resolve um nome de easing para a função correspondente.
+ * @param {string|Function} easing - Nome registrado, nome D3 ('easeLinear'), nome com hífens ('cubic-in-out') ou função.
+ * @returns {Function} Função de easing.
+ */
+export function resolveEasing(easing) {
+  if (typeof easing === 'function') {
+    return easing;
   }
 
+  const name = String(easing || 'linear');
+
+  if (easingRegistry.has(name)) {
+    return easingRegistry.get(name);
+  }
+
+  const d3Name = name.startsWith('ease')
+    ? name
+    : 'ease' + name.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+
+  if (typeof d3[d3Name] !== 'function') {
+    throw new Error(`resolveEasing: easing desconhecido '${name}'`);
+  }
+
+  return d3[d3Name];
+}
+
+/**
+ * Normaliza alvos (elemento, lista de elementos ou seleção D3) para um array de nós.
+ * @param {Element|Element[]|Object} targets - Alvos da animação.
+ * @returns {Element[]} Nós.
+ */
+function toNodes(targets) {
+  if (!targets) return [];
+  if (typeof targets.nodes === 'function') return targets.nodes();
+  return Array.isArray(targets) ? targets : [targets];
+}
+
+/**
+ * Escolhe o interpolador adequado para uma propriedade.
+ * Cores e strings com números (ex.: paths "d") usam d3.interpolate; transform usa interpolação SVG.
+ * @param {string} name - Nome do atributo/estilo.
+ * @param {*} from - Valor inicial.
+ * @param {*} to - Valor final.
+ * @returns {Function} Interpolador (t) => valor.
+ */
+function createInterpolator(name, from, to) {
+  if (name === 'transform') {
+    return d3.interpolateTransformSvg(from, to);
+  }
+
+  return d3.interpolate(from, to);
+}
+
+/**
+ * Cria a função de atualização que aplica atributos/estilos interpolados aos nós.
+ * Os valores iniciais são lidos na primeira atualização, como nas transições D3.
+ * @param {Element[]} nodes - Nós animados.
+ * @param {Object} props - { attr: { nome: para | [de, para] }, style: { ... } }.
+ * @returns {Function} (eased) => void
+ */
+function createPropertyUpdater(nodes, props) {
+  let tweens = null;
+
+  const build = () => {
+    tweens = [];
+
+    nodes.forEach((el, i) => {
+      ['attr', 'style'].forEach(kind => {
+        Object.entries(props[kind] || {}).forEach(([name, spec]) => {
+          const value = typeof spec === 'function' ? spec(el, i) : spec;
+          const current = kind === 'attr' ? el.getAttribute(name) : el.style.getPropertyValue(name);
+          const [from, to] = Array.isArray(value) ? value : [current, value];
+          const set = kind === 'attr'
+            ? v => el.setAttribute(name, v)
+            : v => el.style.setProperty(name, v);
+
+          tweens.push({ set, interpolate: createInterpolator(name, from, to) });
+        });
+      });
+    });
+  };
+
+  return (eased) => {
+    if (!tweens) build();
+    tweens.forEach(({ set, interpolate }) => set(interpolate(eased)));
+  };
+}
+
+/**
+ * Animation
+ * Handle de uma animação individual: play, pause, resume, seek, cancel.
+ * A promise `finished` resolve com true ao terminar ou false se cancelada.
+ */
+export class Animation {
   /**
-   * Anima um atributo numérico de um elemento SVG/DOM.
-   * @param {Element} el - Elemento a ser animado.
-   * @param {string} attr - Atributo para animar ("x", "y", "r", "width", etc).
-   * @param {number} from - Valor inicial.
-   * @param {number} to - Valor final.
-   * @param {number} duration - Duração em ms.
-   * @param {Function} [easing] - Função de interpolação (padrao: linear).
-   * @param {Function} [onFinish] - Callback (opcional).
+   * @param {AnimationEngine} engine - Motor que agenda os frames.
+   * @param {Function} update - (eased, progress) => void, chamado a cada frame.
+   * @param {Object} [options]
+   * @param {number} [options.duration=1000] - Duração em ms.
+   * @param {number} [options.delay=0] - Atraso em ms.
+   * @param {string|Function} [options.easing='linear'] - Easing (ver resolveEasing).
+   * @param {Function} [options.onFinish] - Callback ao terminar.
    */
-  animateAttribute(el, attr, from, to, duration, easing, onFinish) {
-    const start = performance.now();
-    easing = easing || ((t) => t);
-    let stopped = false;
-
-    const step = (now) => {
-      if (stopped) return;
-      const elapsed = now - start;
-      const t = Math.min(1, elapsed / duration);
-      const eased = easing(t);
-      const value = from + (to - from) * eased;
-      el.setAttribute(attr, value);
-
-      if (t < 1) {
-        requestAnimationFrame(step);
-      } else if (onFinish) {
-        onFinish();
-      }
-    };
+  constructor(engine, update, options = {}) {
+    this.engine = engine;
+    this.update = update;
+    this.duration = Math.max(0, options.duration !== undefined ? options.duration : 1000);
+    this.delay = Math.max(0, options.delay || 0);
+    this.easing = resolveEasing(options.easing);
+    this.onFinish = options.onFinish || null;
+
+    this.state = 'idle'; // 'idle', 'running', 'paused', 'finished', 'cancelled'
+    this.elapsed = 0;
+    this.startTime = 0;
+    this.started = false;
 
-    requestAnimationFrame(step);
-    // For possible future cancellation, store references (not used in this placeholder)
-    this.running.push({ el, attr, stop: () => { stopped = true; } });
+    this.finished = new Promise(resolve => {
+      this.resolveFinished = resolve;
+    });
   }
 
   /**
-   * Anima múltiplos atributos ao mesmo tempo (ex: para transições mais ricas).
-   * @param {Element} el - Elemento.
-   * @param {Object} attrs - { attrName: [from, to], ... }
-   * @param {number} duration
-   * @param {Function} [easing]
-   * @param {Function} [onFinish]
+   * Duração total incluindo o atraso.
+   * @returns {number} ms
    */
-  animateTransition(el, attrs, duration, easing, onFinish) {
-    const initial = {};
-    for (const key in attrs) {
-      initial[key] = parseFloat(el.getAttribute(key)) || 0;
+  get totalDuration() {
+    return this.delay + this.duration;
+  }
+
+  /**
+   * Progresso atual (0-1) sobre a duração total.
+   * @returns {number}
+   */
+  get progress() {
+    return this.totalDuration === 0 ? 1 : Math.min(1, this.elapsed / this.totalDuration);
+  }
+
+  /**
+   * Inicia (ou retoma) a animação.
+   * @returns {Animation} this
+   */
+  play() {
+    if (this.state === 'idle' || this.state === 'paused') {
+      this.startTime = this.engine.now() - this.elapsed;
+      this.state = 'running';
+      this.engine.schedule(this);
     }
-    const targets = {};
-    for (const key in attrs) {
-      if (Array.isArray(attrs[key])) {
-        targets[key] = { from: initial[key], to: attrs[key][1] };
-      } else {
-        targets[key] = { from: initial[key], to: attrs[key] };
-      }
+
+    return this;
+  }
+
+  /**
+   * Pausa a animação no ponto atual.
+   * @returns {Animation} this
+   */
+  pause() {
+    if (this.state === 'running') {
+      this.elapsed = this.engine.now() - this.startTime;
+      this.state = 'paused';
+      this.engine.unschedule(this);
     }
 
-    const start = performance.now();
-    easing = easing || ((t) => t);
-    let stopped = false;
+    return this;
+  }
 
-    const step = (now) => {
-      if (stopped) return;
-      const elapsed = now - start;
-      const t = Math.min(1, elapsed / duration);
-      const eased = easing(t);
+  /**
+   * Retoma uma animação pausada.
+   * @returns {Animation} this
+   */
+  resume() {
+    return this.state === 'paused' ? this.play() : this;
+  }
 
-      for (const key in targets) {
-        const v = targets[key];
-        const value = v.from + (v.to - v.from) * eased;
-        el.setAttribute(key, value);
+  /**
+   * Move a animação para um ponto do seu progresso total.
+   * @param {number} progress - Progresso (0-1) sobre a duração total.
+   * @returns {Animation} this
+   */
+  seek(progress) {
+    if (this.state === 'finished' || this.state === 'cancelled') {
+      return this;
+    }
+
+    this.elapsed = Math.max(0, Math.min(1, progress)) * this.totalDuration;
+    this.startTime = this.engine.now() - this.elapsed;
+    this.renderAt(this.elapsed);
+
+    return this;
+  }
+
+  /**
+   * Cancela a animação, mantendo o estado visual atual.
+   * @returns {Animation} this
+   */
+  cancel() {
+    if (this.state !== 'finished' && this.state !== 'cancelled') {
+      this.state = 'cancelled';
+      this.engine.unschedule(this);
+      this.engine.release(this);
+      this.resolveFinished(false);
+    }
+
+    return this;
+  }
+
+  /**
+   * Avança a animação de acordo com o relógio do motor.
+   * @param {number} now - Tempo atual em ms.
+   */
+  tick(now) {
+    this.elapsed = now - this.startTime;
+    this.renderAt(Math.min(this.elapsed, this.totalDuration));
+
+    if (this.elapsed >= this.totalDuration) {
+      this.complete();
+    }
+  }
+
+  /**
+   * Desenha o estado correspondente a um tempo local.
+   * @param {number} time - Tempo desde o início, incluindo o atraso.
+   */
+  renderAt(time) {
+    if (time < this.delay && !this.started) {
+      return;
+    }
+
+    this.started = true;
+    const t = this.duration === 0 ? 1 : Math.max(0, Math.min(1, (time - this.delay) / this.duration));
+    this.update(this.easing(t), t);
+  }
+
+  /**
+   * Marca a animação como concluída e resolve `finished`.
+   */
+  complete() {
+    if (this.state === 'finished' || this.state === 'cancelled') {
+      return;
+    }
+
+    this.elapsed = this.totalDuration;
+    this.state = 'finished';
+    this.engine.unschedule(this);
+    this.engine.release(this);
+
+    if (this.onFinish) {
+      this.onFinish();
+    }
+
+    this.resolveFinished(true);
+  }
+}
+
+/**
+ * Timeline
+ * Agrupa animações com deslocamentos no tempo (sequências, paralelos, escalonamentos)
+ * e as controla como um único handle.
+ */
+export class Timeline extends Animation {
+  /**
+   * @param {AnimationEngine} engine - Motor que agenda os frames.
+   * @param {Object} [options] - delay e onFinish (o tempo da timeline é sempre linear).
+   */
+  constructor(engine, options = {}) {
+    super(engine, null, { delay: options.delay, onFinish: options.onFinish, duration: 0 });
+    this.children = [];
+  }
+
+  /**
+   * Adiciona uma animação à timeline.
+   * A animação passa a ser conduzida pela timeline em vez do motor.
+   * @param {Animation} animation - Animação filha.
+   * @param {number} [offset] - Início relativo em ms (padrão: fim da timeline).
+   * @returns {Timeline} this
+   */
+  add(animation, offset = this.duration) {
+    this.engine.unschedule(animation);
+    this.engine.release(animation);
+    animation.state = 'idle';
+
+    this.children.push({ animation, offset });
+    this.duration = Math.max(this.duration, offset + animation.totalDuration);
+
+    return this;
+  }
+
+  /**
+   * Desenha cada filha no seu tempo local; filhas ainda não iniciadas são ignoradas.
+   * @param {number} time - Tempo desde o início da timeline.
+   */
+  renderAt(time) {
+    const local = time - this.delay;
+
+    this.children.forEach(({ animation, offset }) => {
+      if (local < offset && !animation.started) {
+        return;
       }
 
-      if (t < 1) {
-        requestAnimationFrame(step);
-      } else if (onFinish) {
-        onFinish();
+      const childTime = Math.max(0, Math.min(animation.totalDuration, local - offset));
+      animation.elapsed = childTime;
+      animation.renderAt(childTime);
+
+      if (childTime >= animation.totalDuration) {
+        animation.complete();
       }
-    };
+    });
+  }
 
-    requestAnimationFrame(step);
-    // For future cancellation
-    this.running.push({ el, stop: () => { stopped = true; } });
+  /**
+   * Conclui a timeline garantindo que todas as filhas terminaram.
+   */
+  complete() {
+    this.children.forEach(({ animation }) => animation.complete());
+    super.complete();
   }
 
   /**
-   * Para todas as animações ativas (placeholder, pois não cancela requestAnimationFrame retroativamente).
+   * Cancela a timeline e as filhas pendentes.
+   * @returns {Timeline} this
+   */
+  cancel() {
+    if (this.state !== 'finished' && this.state !== 'cancelled') {
+      this.children.forEach(({ animation }) => animation.cancel());
+    }
+
+    return super.cancel();
+  }
+}
+
+/**
+ * AnimationEngine
+ * Agenda animações em um único loop de requestAnimationFrame.
+ * Métodos: animate, tween, sequence, parallel, stagger, timeline, stopAll
+ * (animateAttribute e animateTransition mantidos por compatibilidade).
+ */
+export default class AnimationEngine {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.now] - Relógio em ms (padrão: performance.now).
+   * @param {Function} [options.requestFrame] - Agendador de frame (padrão: requestAnimationFrame).
+   * @param {Function} [options.cancelFrame] - Cancelamento de frame (padrão: cancelAnimationFrame).
+   */
+  constructor(options = {}) {
+    this.now = options.now || (() => performance.now());
+    this.requestFrame = options.requestFrame || (callback => requestAnimationFrame(callback));
+    this.cancelFrame = options.cancelFrame || (id => cancelAnimationFrame(id));
+
+    // Apenas animações ativas; concluídas ou canceladas saem do conjunto
+    this.running = new Set();
+    // Animações vivas (rodando ou pausadas), para que stopAll alcance as pausadas
+    this.live = new Set();
+    this.frameId = null;
+
+    this.tick = this.tick.bind(this);
+  }
+
+  /**
+   * Inclui uma animação no loop de frames.
+   * @param {Animation} animation
+   */
+  schedule(animation) {
+    this.running.add(animation);
+    this.live.add(animation);
+
+    if (this.frameId === null) {
+      this.frameId = this.requestFrame(this.tick);
+    }
+  }
+
+  /**
+   * Remove uma animação do loop; o loop para quando não há animações ativas.
+   * @param {Animation} animation
+   */
+  unschedule(animation) {
+    this.running.delete(animation);
+
+    if (this.running.size === 0 && this.frameId !== null) {
+      this.cancelFrame(this.frameId);
+      this.frameId = null;
+    }
+  }
+
+  /**
+   * Esquece uma animação concluída, cancelada ou conduzida por uma timeline.
+   * @param {Animation} animation
+   */
+  release(animation) {
+    this.live.delete(animation);
+  }
+
+  /**
+   * Frame do loop: avança todas as animações ativas.
+   */
+  tick() {
+    this.frameId = null;
+    const now = this.now();
+
+    [...this.running].forEach(animation => animation.tick(now));
+
+    if (this.running.size > 0 && this.frameId === null) {
+      this.frameId = this.requestFrame(this.tick);
+    }
+  }
+
+  /**
+   * Cria uma animação com função de atualização própria.
+   * @param {Function} update - (eased, progress) => void.
+   * @param {Object} [options] - duration, delay, easing, onFinish, autoplay (padrão true).
+   * @returns {Animation} Handle da animação.
+   */
+  tween(update, options = {}) {
+    const animation = new Animation(this, update, options);
+    return options.autoplay === false ? animation : animation.play();
+  }
+
+  /**
+   * Anima atributos e estilos de elementos SVG/DOM.
+   * Números, cores, paths e transforms são interpolados automaticamente.
+   * @param {Element|Element[]|Object} targets - Elemento(s) ou seleção D3.
+   * @param {Object} props - { attr: { nome: para | [de, para] | (el, i) => valor }, style: { ... } }.
+   * @param {Object} [options] - duration, delay, easing, onFinish, autoplay.
+   * @returns {Animation} Handle da animação.
+   */
+  animate(targets, props, options = {}) {
+    return this.tween(createPropertyUpdater(toNodes(targets), props), options);
+  }
+
+  /**
+   * Cria uma animação (sem iniciá-la) a partir de uma especificação.
+   * @param {Animation|Object} spec - Animação pronta ou { targets, attr, style, update, duration, delay, easing }.
+   * @returns {Animation}
+   */
+  fromSpec(spec) {
+    if (spec instanceof Animation) {
+      return spec;
+    }
+
+    const { targets, attr, style, update, ...options } = spec;
+    const updateFn = update || createPropertyUpdater(toNodes(targets), { attr, style });
+
+    return this.tween(updateFn, { ...options, autoplay: false });
+  }
+
+  /**
+   * Cria uma timeline vazia; adicione animações com add() e inicie com play().
+   * @param {Object} [options] - delay, onFinish.
+   * @returns {Timeline}
+   */
+  timeline(options = {}) {
+    return new Timeline(this, options);
+  }
+
+  /**
+   * Executa animações encadeadas, cada uma após o fim da anterior.
+   * @param {Array} specs - Animações ou especificações (ver fromSpec).
+   * @param {Object} [options] - delay, onFinish, autoplay.
+   * @returns {Timeline}
+   */
+  sequence(specs, options = {}) {
+    const timeline = this.timeline(options);
+    specs.forEach(spec => timeline.add(this.fromSpec(spec)));
+    return options.autoplay === false ? timeline : timeline.play();
+  }
+
+  /**
+   * Executa animações ao mesmo tempo, controladas como uma só.
+   * @param {Array} specs - Animações ou especificações (ver fromSpec).
+   * @param {Object} [options] - delay, onFinish, autoplay.
+   * @returns {Timeline}
+   */
+  parallel(specs, options = {}) {
+    const timeline = this.timeline(options);
+    specs.forEach(spec => timeline.add(this.fromSpec(spec), 0));
+    return options.autoplay === false ? timeline : timeline.play();
+  }
+
+  /**
+   * Anima vários elementos com as mesmas propriedades, iniciando cada um com um intervalo.
+   * @param {Element[]|Object} targets - Elementos ou seleção D3.
+   * @param {Object} props - Ver animate().
+   * @param {Object} [options] - duration, easing, stagger (ms entre elementos, padrão 50), onFinish, autoplay.
+   * @returns {Timeline}
+   */
+  stagger(targets, props, options = {}) {
+    const { stagger = 50, onFinish, autoplay, ...animationOptions } = options;
+    const timeline = this.timeline({ onFinish });
+
+    toNodes(targets).forEach((node, i) => {
+      timeline.add(this.animate(node, props, { ...animationOptions, autoplay: false }), i * stagger);
+    });
+
+    return autoplay === false ? timeline : timeline.play();
+  }
+
+  /**
+   * Anima um atributo de um elemento SVG/DOM.
+   * @param {Element} el - Elemento a ser animado.
+   * @param {string} attr - Atributo ("x", "r", "fill", "d", "transform"...).
+   * @param {*} from - Valor inicial.
+   * @param {*} to - Valor final.
+   * @param {number} duration - Duração em ms.
+   * @param {string|Function} [easing] - Easing (padrão: linear).
+   * @param {Function} [onFinish] - Callback (opcional).
+   * @returns {Animation} Handle da animação.
+   */
+  animateAttribute(el, attr, from, to, duration, easing, onFinish) {
+    return this.animate(el, { attr: { [attr]: [from, to] } }, { duration, easing, onFinish });
+  }
+
+  /**
+   * Anima múltiplos atributos de um elemento ao mesmo tempo.
+   * @param {Element} el - Elemento.
+   * @param {Object} attrs - { attrName: para | [de, para], ... }
+   * @param {number} duration - Duração em ms.
+   * @param {string|Function} [easing] - Easing (padrão: linear).
+   * @param {Function} [onFinish] - Callback (opcional).
+   * @returns {Animation} Handle da animação.
+   */
+  animateTransition(el, attrs, duration, easing, onFinish) {
+    return this.animate(el, { attr: attrs }, { duration, easing, onFinish });
+  }
+
+  /**
+   * Cancela todas as animações ativas, inclusive as pausadas.
    */
   stopAll() {
-    this.running.forEach(({ stop }) => { if (stop) stop(); });
-    this.running = [];
+    [...this.live].forEach(animation => animation.cancel());
   }
 }
 
@@ -111,9 +560,14 @@ export default class AnimationEngine {
 import AnimationEngine from '../core/AnimationEngine.js';
 
 const engine = new AnimationEngine();
-engine.animateAttribute(circleElement, 'r', 0, 10, 550, t => t*t, () => console.log('Animou!'));
-engine.animateTransition(rectElement, { x: [0, 100], width: [20, 150] }, 800);
+const grow = engine.animate(circleElement, { attr: { r: [0, 10], fill: 'steelblue' } }, { duration: 550, easing: 'cubic-in-out' });
+grow.finished.then(() => console.log('Animou!'));
+
+engine.sequence([
+  { targets: rectElement, attr: { x: 100 }, duration: 400 },
+  { targets: rectElement, attr: { width: 150 }, duration: 400 }
+]);
+engine.stagger(d3.selectAll('.bar'), { style: { opacity: [0, 1] } }, { duration: 300, stagger: 40 });
 engine.stopAll();
 
  */
-
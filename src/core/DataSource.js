@@ -0,0 +1,673 @@
+/**
+ * DataSource module
+ * Streaming data sources for RealTimeChart: WebSocket, Server-Sent Events,
+ * HTTP polling, manual push and replay of recorded streams, with reconnection
+ * and exponential backoff
+ *
+ * @author Gabriel Demetrios Lafis
+ * @version 2.1.0
+ */
+import { EventManager } from './EventManager.js';
+
+/**
+ * Base class of the streaming sources
+ * Subclasses implement connect() and disconnect() and report back through
+ * handleOpen(), handleMessage() and handleDisconnect(); the base class turns
+ * messages into 'data' events and reconnects with exponential backoff.
+ *
+ * Events:
+ * - 'data': Array of points parsed from one message
+ * - 'status': { state, attempt, delay } whenever the connection state changes
+ * - 'error': Error raised by the connection or by `parse`
+ */
+export default class DataSource extends EventManager {
+  /**
+   * Create a new DataSource
+   *
+   * @param {Object} [options] - Source options
+   * @param {boolean} [options.reconnect=true] - Reconnect after the connection drops
+   * @param {number} [options.retryDelay=500] - Delay before the first reconnection, in ms
+   * @param {number} [options.maxRetryDelay=30000] - Upper bound of the backoff delay, in ms
+   * @param {number} [options.backoffFactor=2] - Growth of the delay between consecutive attempts
+   * @param {number} [options.maxRetries=Infinity] - Consecutive failed attempts before giving up
+   * @param {number} [options.jitter=0] - Random extra delay, as a fraction of the delay (0-1)
+   * @param {Function} [options.parse] - Turn a raw message into a point or an array of points
+   *   (default: JSON.parse for strings, objects as they are)
+   */
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      reconnect: true,
+      retryDelay: 500,
+      maxRetryDelay: 30000,
+      backoffFactor: 2,
+      maxRetries: Infinity,
+      jitter: 0,
+      parse: null,
+      ...options
+    };
+
+    // 'idle' before start(), then 'connecting', 'open', 'reconnecting' and 'closed'
+    this.state = 'idle';
+
+    // Consecutive failed connection attempts, reset once a connection opens
+    this.attempt = 0;
+    this.retryTimer = null;
+  }
+
+  /**
+   * Whether the source has been started and not stopped or given up
+   *
+   * @returns {boolean} True while connecting, open or waiting to reconnect
+   */
+  isRunning() {
+    return this.state !== 'idle' && this.state !== 'closed';
+  }
+
+  /**
+   * Open the connection
+   *
+   * @returns {DataSource} This source
+   */
+  start() {
+    if (!this.isRunning()) {
+      this.attempt = 0;
+      this.open();
+    }
+
+    return this;
+  }
+
+  /**
+   * Close the connection and cancel any pending reconnection
+   *
+   * @returns {DataSource} This source
+   */
+  stop() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+
+    if (this.isRunning()) {
+      this.disconnect();
+      this.setState('closed');
+    }
+
+    return this;
+  }
+
+  /**
+   * Start a connection attempt; errors thrown by connect() count as a failed attempt
+   *
+   * @private
+   */
+  open() {
+    this.setState('connecting');
+
+    try {
+      this.connect();
+    } catch (error) {
+      this.handleDisconnect(error);
+    }
+  }
+
+  /**
+   * Open the underlying connection
+   * Implemented by subclasses
+   *
+   * @protected
+   */
+  connect() {
+    // To be implemented by subclasses
+  }
+
+  /**
+   * Close the underlying connection without reporting it as a failure
+   * Implemented by subclasses
+   *
+   * @protected
+   */
+  disconnect() {
+    // To be implemented by subclasses
+  }
+
+  /**
+   * Update the connection state and emit 'status'
+   *
+   * @param {string} state - New state
+   * @param {Object} [details] - Extra status fields (e.g. the reconnection delay)
+   * @private
+   */
+  setState(state, details = {}) {
+    this.state = state;
+    this.emit('status', { state, attempt: this.attempt, ...details });
+  }
+
+  /**
+   * Report that the connection is open
+   *
+   * @protected
+   */
+  handleOpen() {
+    this.attempt = 0;
+    this.setState('open');
+  }
+
+  /**
+   * Parse a raw message and emit its points as 'data'
+   *
+   * @param {*} message - Raw message (string, object or array)
+   * @protected
+   */
+  handleMessage(message) {
+    let points;
+
+    try {
+      points = this.parse(message);
+    } catch (error) {
+      this.emit('error', error);
+      return;
+    }
+
+    if (points !== null && points !== undefined) {
+      this.emit('data', Array.isArray(points) ? points : [points]);
+    }
+  }
+
+  /**
+   * Turn a raw message into points
+   *
+   * @param {*} message - Raw message
+   * @returns {Object|Array|null} Point, array of points or null to skip the message
+   * @protected
+   */
+  parse(message) {
+    const { parse } = this.options;
+
+    if (parse) {
+      return parse(message);
+    }
+
+    return typeof message === 'string' ? JSON.parse(message) : message;
+  }
+
+  /**
+   * Report that the connection dropped or could not be opened, and schedule
+   * the next attempt unless reconnection is off or `maxRetries` is reached
+   *
+   * @param {Error} [error] - Cause of the disconnection, emitted as 'error'
+   * @protected
+   */
+  handleDisconnect(error) {
+    // Connections closed by stop() are not failures
+    if (!this.isRunning()) {
+      return;
+    }
+
+    if (error) {
+      this.emit('error', error);
+    }
+
+    this.disconnect();
+
+    const { reconnect, maxRetries } = this.options;
+
+    if (!reconnect || this.attempt >= maxRetries) {
+      this.setState('closed');
+      return;
+    }
+
+    const delay = this.getRetryDelay(this.attempt);
+    this.attempt += 1;
+    this.setState('reconnecting', { delay });
+
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.open();
+    }, delay);
+  }
+
+  /**
+   * Get the delay before a reconnection attempt
+   *
+   * @param {number} attempt - Number of consecutive failed attempts so far
+   * @returns {number} Delay in ms
+   */
+  getRetryDelay(attempt) {
+    const { retryDelay, maxRetryDelay, backoffFactor, jitter } = this.options;
+    const delay = Math.min(maxRetryDelay, retryDelay * backoffFactor ** attempt);
+
+    return Math.round(delay * (1 + jitter * Math.random()));
+  }
+}
+
+/**
+ * Source reading messages from a WebSocket
+ * The connection is re-opened with backoff whenever it closes
+ */
+export class WebSocketSource extends DataSource {
+  /**
+   * Create a new WebSocketSource
+   *
+   * @param {Object} options - Source options (see DataSource)
+   * @param {string} options.url - ws:// or wss:// URL
+   * @param {string|Array} [options.protocols] - WebSocket subprotocols
+   * @param {Function} [options.WebSocket] - WebSocket constructor (default: the global one)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.socket = null;
+  }
+
+  /**
+   * Open the WebSocket
+   *
+   * @protected
+   */
+  connect() {
+    const { url, protocols } = this.options;
+    const Socket = this.options.WebSocket || globalThis.WebSocket;
+
+    if (!Socket) {
+      throw new Error('WebSocket is not available; pass the `WebSocket` option');
+    }
+
+    const socket = protocols ? new Socket(url, protocols) : new Socket(url);
+
+    socket.onopen = () => this.handleOpen();
+    socket.onmessage = (event) => this.handleMessage(event.data);
+    socket.onclose = (event) => this.handleDisconnect(
+      event && event.wasClean ? null : new Error(`WebSocket ${url} closed (code ${event ? event.code : 'unknown'})`)
+    );
+
+    this.socket = socket;
+  }
+
+  /**
+   * Close the WebSocket without triggering a reconnection
+   *
+   * @protected
+   */
+  disconnect() {
+    const { socket } = this;
+
+    if (!socket) {
+      return;
+    }
+
+    this.socket = null;
+    socket.onopen = socket.onmessage = socket.onclose = null;
+
+    // 0 = CONNECTING, 1 = OPEN
+    if (socket.readyState <= 1) {
+      socket.close();
+    }
+  }
+
+  /**
+   * Send a message to the server, e.g. a subscription request
+   *
+   * @param {string|Object} message - Message; objects are sent as JSON
+   * @returns {boolean} True if the socket was open and the message was sent
+   */
+  send(message) {
+    if (!this.socket || this.socket.readyState !== 1) {
+      return false;
+    }
+
+    this.socket.send(typeof message === 'string' ? message : JSON.stringify(message));
+    return true;
+  }
+}
+
+/**
+ * Source reading Server-Sent Events
+ * EventSource retries on its own at a fixed interval; this source closes the
+ * failed EventSource instead and reconnects with the shared backoff
+ */
+export class ServerSentEventsSource extends DataSource {
+  /**
+   * Create a new ServerSentEventsSource
+   *
+   * @param {Object} options - Source options (see DataSource)
+   * @param {string} options.url - Event stream URL
+   * @param {string} [options.event='message'] - Event type carrying the points
+   * @param {boolean} [options.withCredentials=false] - Send cookies with cross-origin requests
+   * @param {Function} [options.EventSource] - EventSource constructor (default: the global one)
+   */
+  constructor(options = {}) {
+    super({ event: 'message', withCredentials: false, ...options });
+    this.eventSource = null;
+  }
+
+  /**
+   * Open the EventSource
+   *
+   * @protected
+   */
+  connect() {
+    const { url, event, withCredentials } = this.options;
+    const Source = this.options.EventSource || globalThis.EventSource;
+
+    if (!Source) {
+      throw new Error('EventSource is not available; pass the `EventSource` option');
+    }
+
+    const eventSource = new Source(url, { withCredentials });
+
+    eventSource.onopen = () => this.handleOpen();
+    eventSource.onerror = () => this.handleDisconnect(new Error(`Event stream ${url} failed`));
+    eventSource.addEventListener(event, (message) => {
+      // Events queued before disconnect() belong to the closed stream
+      if (this.eventSource === eventSource) {
+        this.handleMessage(message.data);
+      }
+    });
+
+    this.eventSource = eventSource;
+  }
+
+  /**
+   * Close the EventSource
+   *
+   * @protected
+   */
+  disconnect() {
+    const { eventSource } = this;
+
+    if (eventSource) {
+      this.eventSource = null;
+      eventSource.onopen = eventSource.onerror = null;
+      eventSource.close();
+    }
+  }
+}
+
+/**
+ * Source polling a URL, or any function returning data, at a fixed interval
+ * A failed request counts as a dropped connection: polling resumes after the
+ * backoff delay instead of the regular interval
+ */
+export class PollingSource extends DataSource {
+  /**
+   * Create a new PollingSource
+   *
+   * @param {Object} options - Source options (see DataSource)
+   * @param {string} [options.url] - URL to fetch; the response body goes through `parse`
+   * @param {Function} [options.request] - Function returning the data (or a promise of it), used instead of `url`
+   * @param {number} [options.interval=1000] - Time between the end of a request and the next one, in ms
+   * @param {Object} [options.fetchOptions] - Options passed to fetch
+   * @param {Function} [options.fetch] - fetch implementation (default: the global one)
+   */
+  constructor(options = {}) {
+    super({ interval: 1000, fetchOptions: {}, ...options });
+    this.pollTimer = null;
+    this.pending = null;
+    this.controller = null;
+  }
+
+  /**
+   * Start polling
+   *
+   * @protected
+   */
+  connect() {
+    this.poll();
+  }
+
+  /**
+   * Run one request and schedule the next
+   *
+   * @private
+   */
+  poll() {
+    // Responses to requests made before disconnect() are ignored
+    const pending = {};
+    this.pending = pending;
+
+    Promise.resolve()
+      .then(() => this.request())
+      .then((data) => {
+        if (this.pending !== pending) {
+          return;
+        }
+
+        if (this.state !== 'open') {
+          this.handleOpen();
+        }
+
+        this.handleMessage(data);
+        this.pollTimer = setTimeout(() => this.poll(), this.options.interval);
+      }, (error) => {
+        if (this.pending === pending) {
+          this.handleDisconnect(error);
+        }
+      });
+  }
+
+  /**
+   * Fetch the next batch of data
+   *
+   * @returns {Promise|*} Raw data
+   * @protected
+   */
+  request() {
+    const { url, request, fetchOptions } = this.options;
+
+    if (request) {
+      return request();
+    }
+
+    const fetchData = this.options.fetch || (globalThis.fetch && globalThis.fetch.bind(globalThis));
+
+    if (!fetchData) {
+      throw new Error('fetch is not available; pass the `fetch` option');
+    }
+
+    this.controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+
+    return fetchData(url, { ...fetchOptions, signal: this.controller ? this.controller.signal : undefined })
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Polling ${url} failed with HTTP ${response.status}`);
+        }
+
+        return response.text();
+      });
+  }
+
+  /**
+   * Stop polling and abort the request in flight
+   *
+   * @protected
+   */
+  disconnect() {
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+    this.pending = null;
+
+    if (this.controller) {
+      this.controller.abort();
+      this.controller = null;
+    }
+  }
+}
+
+/**
+ * Source fed by the application through push()
+ * Useful to share one stream between charts or to bridge other transports
+ */
+export class PushSource extends DataSource {
+  /**
+   * Pushed points flow as soon as the source is started
+   *
+   * @protected
+   */
+  connect() {
+    this.handleOpen();
+  }
+
+  /**
+   * Emit points to the listeners
+   * Points pushed while the source is not open are dropped
+   *
+   * @param {Object|Array|string} points - Point, array of points or raw message
+   * @returns {boolean} True if the points were emitted
+   */
+  push(points) {
+    if (this.state !== 'open') {
+      return false;
+    }
+
+    this.handleMessage(points);
+    return true;
+  }
+}
+
+/**
+ * Source replaying a recorded stream with its original timing
+ * Records are { at, data } batches, `at` being the time in ms since the start
+ * of the recording (see RealTimeChart.stopRecording()); the source closes
+ * after the last batch
+ */
+export class ReplaySource extends DataSource {
+  /**
+   * Create a new ReplaySource
+   *
+   * @param {Object} options - Source options (see DataSource)
+   * @param {Array} options.records - Recorded batches { at, data }, in recording order
+   * @param {number} [options.speed=1] - Playback speed; 2 replays twice as fast
+   */
+  constructor(options = {}) {
+    super({ records: [], speed: 1, reconnect: false, ...options });
+
+    // Index of the next batch, the timer that emits it and when it was scheduled
+    this.position = 0;
+    this.replayTimer = null;
+    this.due = null;
+
+    this.setSpeed(this.options.speed);
+  }
+
+  /**
+   * Replay from the first batch
+   *
+   * @protected
+   */
+  connect() {
+    this.position = 0;
+    this.handleOpen();
+    this.scheduleNext();
+  }
+
+  /**
+   * Wait for the recorded gap before the next batch, scaled by `speed`
+   *
+   * @param {number} [gap] - Recorded time left before the batch, in ms (default: the whole gap)
+   * @private
+   */
+  scheduleNext(gap) {
+    const { records, speed } = this.options;
+    const record = records[this.position];
+
+    if (!record) {
+      this.replayTimer = null;
+      this.due = null;
+      this.setState('closed');
+      return;
+    }
+
+    const previous = this.position > 0 ? records[this.position - 1].at : 0;
+    const wait = gap === undefined ? Math.max(0, record.at - previous) : gap;
+
+    this.due = { scheduledAt: Date.now(), gap: wait, speed };
+    this.replayTimer = setTimeout(() => {
+      this.position += 1;
+      this.handleMessage(record.data);
+
+      if (this.state === 'open') {
+        this.scheduleNext();
+      }
+    }, wait / speed);
+  }
+
+  /**
+   * Change the playback speed; the batch already waiting is re-timed
+   *
+   * @param {number} speed - Playback speed, e.g. 1, 2 or 10
+   */
+  setSpeed(speed) {
+    if (!(speed > 0)) {
+      throw new Error(`Replay speed must be a positive number, got ${speed}`);
+    }
+
+    this.options.speed = speed;
+
+    if (this.replayTimer !== null) {
+      const { scheduledAt, gap, speed: previous } = this.due;
+      const left = Math.max(0, gap - (Date.now() - scheduledAt) * previous);
+
+      clearTimeout(this.replayTimer);
+      this.scheduleNext(left);
+    }
+  }
+
+  /**
+   * Stop replaying
+   *
+   * @protected
+   */
+  disconnect() {
+    clearTimeout(this.replayTimer);
+    this.replayTimer = null;
+    this.due = null;
+  }
+}
+
+/**
+ * Source classes available to createDataSource() by type name
+ * @private
+ */
+const SOURCE_TYPES = {
+  websocket: WebSocketSource,
+  sse: ServerSentEventsSource,
+  polling: PollingSource,
+  push: PushSource,
+  replay: ReplaySource
+};
+
+/**
+ * Register a custom source type for createDataSource()
+ *
+ * @param {string} type - Type name
+ * @param {Function} Source - DataSource subclass
+ */
+export function registerDataSource(type, Source) {
+  if (typeof Source !== 'function' || !(Source.prototype instanceof DataSource)) {
+    throw new Error(`Data source '${type}' must extend DataSource`);
+  }
+
+  SOURCE_TYPES[type] = Source;
+}
+
+/**
+ * Create a data source from a description
+ *
+ * @param {DataSource|Object|string} source - Source instance (returned as is), type name,
+ *   or { type, ...options } with type 'websocket', 'sse', 'polling', 'push', 'replay' or a registered one
+ * @returns {DataSource} Data source
+ */
+export function createDataSource(source) {
+  if (source instanceof DataSource) {
+    return source;
+  }
+
+  const { type, ...options } = typeof source === 'string' ? { type: source } : source;
+  const Source = SOURCE_TYPES[type];
+
+  if (!Source) {
+    throw new Error(`Unknown data source '${type}'. Available: ${Object.keys(SOURCE_TYPES).join(', ')}`);
+  }
+
+  return new Source(options);
+}
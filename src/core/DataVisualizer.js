@@ -98,6 +98,11 @@ export class DataVisualizer {
       throw new Error('No chart provided to render');
     }
     
+    // Release the tooltip, listeners and animations of the chart being replaced
+    if (this.currentChart && this.currentChart !== chart && typeof this.currentChart.destroy === 'function') {
+      this.currentChart.destroy();
+    }
+    
     // Store current chart and data
     this.currentChart = chart;
     this.currentData = chart.data;
@@ -108,6 +113,13 @@ export class DataVisualizer {
     this.legendGroup.selectAll('*').remove();
     this.annotationGroup.selectAll('*').remove();
     
+    // Reset offsets, clipping and zoom listeners a previous chart may have applied to the groups
+    this.dataGroup
+      .attr('transform', null)
+      .attr('clip-path', null)
+      .on('.zoom', null)
+      .on('dblclick.reset', null);
+    
     // Set chart dimensions
     chart.width = this.width - this.margin.left - this.margin.right;
     chart.height = this.height - this.margin.top - this.margin.bottom;
@@ -122,6 +134,9 @@ export class DataVisualizer {
       annotationGroup: this.annotationGroup
     };
     
+    // Share the event manager so the chart can emit interaction events
+    chart.eventManager = chart.eventManager || this.eventManager || null;
+    
     // Render the chart
     chart.render();
     
@@ -0,0 +1,159 @@
+/**
+ * RingBuffer class
+ * Fixed-capacity FIFO buffer for streaming data: pushing into a full buffer
+ * overwrites the oldest item instead of shifting the whole array
+ *
+ * @author Gabriel Demetrios Lafis
+ * @version 2.1.0
+ */
+export default class RingBuffer {
+  /**
+   * Create a new RingBuffer
+   *
+   * @param {number} capacity - Maximum number of items kept
+   */
+  constructor(capacity) {
+    if (!(capacity >= 1)) {
+      throw new Error(`RingBuffer capacity must be at least 1, got ${capacity}`);
+    }
+
+    this.capacity = Math.floor(capacity);
+    this.items = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+
+  /**
+   * Append an item, evicting the oldest one when the buffer is full
+   *
+   * @param {*} item - Item to append
+   * @returns {*} Evicted item, or undefined if the buffer had room
+   */
+  push(item) {
+    const end = (this.start + this.length) % this.capacity;
+    let evicted;
+
+    if (this.length === this.capacity) {
+      evicted = this.items[this.start];
+      this.start = (this.start + 1) % this.capacity;
+    } else {
+      this.length += 1;
+    }
+
+    this.items[end] = item;
+    return evicted;
+  }
+
+  /**
+   * Remove and return the oldest item
+   *
+   * @returns {*} Oldest item, or undefined if the buffer is empty
+   */
+  shift() {
+    if (this.length === 0) {
+      return undefined;
+    }
+
+    const item = this.items[this.start];
+    this.items[this.start] = undefined;
+    this.start = (this.start + 1) % this.capacity;
+    this.length -= 1;
+
+    return item;
+  }
+
+  /**
+   * Get an item by age
+   *
+   * @param {number} index - 0 for the oldest item; negative indices count from the newest
+   * @returns {*} Item, or undefined if the index is out of range
+   */
+  get(index) {
+    const i = index < 0 ? this.length + index : index;
+
+    if (i < 0 || i >= this.length) {
+      return undefined;
+    }
+
+    return this.items[(this.start + i) % this.capacity];
+  }
+
+  /**
+   * Get the oldest item
+   *
+   * @returns {*} Oldest item, or undefined if the buffer is empty
+   */
+  first() {
+    return this.get(0);
+  }
+
+  /**
+   * Get the newest item
+   *
+   * @returns {*} Newest item, or undefined if the buffer is empty
+   */
+  last() {
+    return this.get(-1);
+  }
+
+  /**
+   * Remove items from the oldest end while a predicate holds
+   *
+   * @param {Function} predicate - Receives the oldest item and the next one
+   * @returns {number} Number of removed items
+   */
+  shiftWhile(predicate) {
+    let removed = 0;
+
+    while (this.length > 0 && predicate(this.get(0), this.get(1))) {
+      this.shift();
+      removed += 1;
+    }
+
+    return removed;
+  }
+
+  /**
+   * Remove every item
+   */
+  clear() {
+    this.items = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+
+  /**
+   * Change the capacity, keeping the newest items that still fit
+   *
+   * @param {number} capacity - New capacity
+   */
+  resize(capacity) {
+    const items = this.toArray().slice(-capacity);
+    const resized = new RingBuffer(capacity);
+
+    items.forEach(item => resized.push(item));
+    Object.assign(this, resized);
+  }
+
+  /**
+   * Copy the items, oldest first
+   *
+   * @returns {Array} Items
+   */
+  toArray() {
+    const array = new Array(this.length);
+
+    for (let i = 0; i < this.length; i++) {
+      array[i] = this.items[(this.start + i) % this.capacity];
+    }
+
+    return array;
+  }
+
+  /**
+   * Iterate over the items, oldest first
+   */
+  [Symbol.iterator]() {
+    return this.toArray()[Symbol.iterator]();
+  }
+}
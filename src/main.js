@@ -9,6 +9,9 @@
 import './styles/main.css';
 import './styles/charts.css';
 
+// Import D3
+import * as d3 from 'd3';
+
 // Import core modules
 import { DataVisualizer } from './core/DataVisualizer';
 import { DataProcessor } from './core/DataProcessor';
@@ -25,6 +28,7 @@ import { formatNumber, formatDate, formatPercentage } from './utils/formatters';
 // Import sample datasets
 import salesData from './data/sales-data.json';
 import geographicData from './data/geographic-data.json';
+import brazilRegions from './data/brazil-regions.json';
 import timeSeriesData from './data/time-series.json';
 
 // Initialize application when DOM is loaded
@@ -51,9 +55,20 @@ function initializeApp() {
     eventManager: eventManager
   });
   
-  // Register available chart types
-  registerChartTypes();
-  
+  // Register available chart types before creating the first chart
+  registerChartTypes().then(() => {
+    renderInitialChart(visualizer, dataProcessor, eventManager);
+  });
+}
+
+/**
+ * Render the default bar chart and wire up the dashboard
+ * 
+ * @param {DataVisualizer} visualizer - The main visualizer instance
+ * @param {DataProcessor} dataProcessor - The data processor instance
+ * @param {EventManager} eventManager - The event manager instance
+ */
+function renderInitialChart(visualizer, dataProcessor, eventManager) {
   // Load initial dataset
   const initialDataset = dataProcessor.process(salesData);
   
@@ -71,6 +86,7 @@ function initializeApp() {
   
   // Render initial chart
   visualizer.render(barChart);
+  updateChartTypeOptions(initialDataset);
   
   // Display data statistics
   updateDataStatistics(initialDataset);
@@ -86,40 +102,31 @@ function initializeApp() {
 
 /**
  * Register available chart types with the ChartFactory
+ * 
+ * @returns {Promise} Promise resolving once every chart type is registered
  */
 function registerChartTypes() {
   // Import chart types dynamically to avoid circular dependencies
-  import('./charts/BarChart').then(module => {
-    ChartFactory.register('bar', module.BarChart);
-  });
-  
-  import('./charts/LineChart').then(module => {
-    ChartFactory.register('line', module.LineChart);
-  });
-  
-  import('./charts/ScatterPlot').then(module => {
-    ChartFactory.register('scatter', module.ScatterPlot);
-  });
-  
-  import('./charts/PieChart').then(module => {
-    ChartFactory.register('pie', module.PieChart);
-  });
-  
-  import('./charts/Heatmap').then(module => {
-    ChartFactory.register('heatmap', module.Heatmap);
-  });
-  
-  import('./charts/GeographicMap').then(module => {
-    ChartFactory.register('geographic', module.GeographicMap);
-  });
-  
-  import('./charts/RealTimeChart').then(module => {
-    ChartFactory.register('realtime', module.RealTimeChart);
-  });
-  
-  import('./charts/WebGL3DChart').then(module => {
-    ChartFactory.register('webgl3d', module.WebGL3DChart);
-  });
+  const chartModules = {
+    bar: import('./charts/BarChart'),
+    line: import('./charts/LineChart'),
+    area: import('./charts/AreaChart'),
+    scatter: import('./charts/ScatterPlot'),
+    pie: import('./charts/PieChart'),
+    sunburst: import('./charts/Sunburst'),
+    treemap: import('./charts/Treemap'),
+    pack: import('./charts/CirclePack'),
+    heatmap: import('./charts/Heatmap'),
+    geographic: import('./charts/GeographicMap'),
+    realtime: import('./charts/RealTimeChart'),
+    webgl3d: import('./charts/WebGL3DChart')
+  };
+  
+  return Promise.all(
+    Object.entries(chartModules).map(([type, loader]) => loader.then(module => {
+      ChartFactory.register(type, module.default);
+    }))
+  );
 }
 
 /**
@@ -136,6 +143,7 @@ function setupEventListeners(visualizer, dataProcessor, eventManager) {
     loadDataset(datasetType)
       .then(data => {
         const processedData = dataProcessor.process(data);
+        updateChartTypeOptions(processedData);
         updateChart(visualizer, processedData);
         updateDataStatistics(processedData);
       })
@@ -153,8 +161,12 @@ function setupEventListeners(visualizer, dataProcessor, eventManager) {
     if (currentData) {
       const newChart = ChartFactory.create(chartType, {
         data: currentData,
-        x: 'category',
-        y: 'value',
+        ...getFieldMapping(currentData),
+        // Scatter points can be brushed to inspect clusters in the statistics panel;
+        // dragging brushes, shift-dragging pans and the wheel zooms
+        brush: chartType === 'scatter' ? 'rect' : null,
+        // Time series zoom along the time axis only; scatter plots and heatmaps zoom freely
+        zoom: { line: 'x', area: 'x', scatter: true, heatmap: true }[chartType] || false,
         animation: {
           duration: 1000,
           easing: 'cubic-in-out'
@@ -169,13 +181,23 @@ function setupEventListeners(visualizer, dataProcessor, eventManager) {
   document.getElementById('update-btn').addEventListener('click', () => {
     const currentData = visualizer.getCurrentData();
     if (currentData) {
-      // Simulate data update
+      // Simulate data update; the current chart animates to the new values
       const updatedData = dataProcessor.updateRandomValues(currentData);
-      updateChart(visualizer, updatedData);
+      visualizer.update(updatedData);
       updateDataStatistics(updatedData);
     }
   });
   
+  // Brushed points narrow the statistics panel down to the selection
+  eventManager.on('chart:selection', ({ data }) => {
+    updateDataStatistics(data.length > 0 ? data : visualizer.getCurrentData());
+  });
+  
+  // Clicking a map region narrows the statistics panel down to its rows
+  eventManager.on('chart:region-selected', ({ data }) => {
+    updateDataStatistics(data.length > 0 ? data : visualizer.getCurrentData());
+  });
+  
   // Export button click
   document.getElementById('export-btn').addEventListener('click', () => {
     visualizer.exportChart();
@@ -225,18 +247,27 @@ function initializeAdvancedFeatures(visualizer, dataProcessor, eventManager) {
   
   toggleStreamBtn.addEventListener('click', () => {
     if (!isStreaming) {
-      // Start streaming
-      import('./charts/RealTimeChart').then(module => {
-        const RealTimeChart = module.RealTimeChart;
-        
-        streamingChart = new RealTimeChart({
-          container: '#realtime-chart',
-          bufferSize: 100,
-          updateInterval: 1000,
-          yDomain: [0, 100]
+      // Start streaming; the chart is created once and reconnected afterwards
+      const loadChart = streamingChart
+        ? Promise.resolve(streamingChart)
+        : import('./charts/RealTimeChart').then(module => {
+          const RealTimeChart = module.default;
+          
+          streamingChart = new RealTimeChart({
+            container: '#realtime-chart',
+            bufferSize: 100,
+            updateInterval: 1000,
+            yDomain: [0, 100],
+            height: 250,
+            overview: true,
+            eventManager: eventManager
+          });
+          
+          return streamingChart;
         });
-        
-        streamingChart.start();
+      
+      loadChart.then(chart => {
+        chart.start();
         toggleStreamBtn.textContent = 'Stop Stream';
         isStreaming = true;
       });
@@ -252,22 +283,33 @@ function initializeAdvancedFeatures(visualizer, dataProcessor, eventManager) {
   
   // Initialize geographic map
   import('./charts/GeographicMap').then(module => {
-    const GeographicMap = module.GeographicMap;
+    const GeographicMap = module.default;
+    const geoContainer = document.getElementById('geo-chart');
     
-    const geoMap = new GeographicMap({
+    // The map gets its own visualizer inside the advanced features panel
+    const geoVisualizer = new DataVisualizer({
       container: '#geo-chart',
+      width: geoContainer.clientWidth || 600,
+      height: geoContainer.clientHeight || 400,
+      margin: { top: 10, right: 10, bottom: 10, left: 10 },
+      eventManager: eventManager
+    });
+    
+    const geoMap = new GeographicMap({
       data: geographicData,
+      geoData: brazilRegions,
+      joinField: 'region',
       projection: 'geoNaturalEarth1',
       colorScale: d3.scaleSequential(d3.interpolateBlues),
       tooltip: true
     });
     
-    geoMap.render();
+    geoVisualizer.render(geoMap);
   });
   
   // Initialize 3D visualization
   import('./charts/WebGL3DChart').then(module => {
-    const WebGL3DChart = module.WebGL3DChart;
+    const WebGL3DChart = module.default;
     
     // Generate some 3D data
     const points3D = Array.from({ length: 100 }, () => ({
@@ -317,8 +359,7 @@ function updateChart(visualizer, data) {
   
   const chart = ChartFactory.create(chartType, {
     data: data,
-    x: 'category',
-    y: 'value',
+    ...getFieldMapping(data),
     animation: {
       duration: 1000,
       easing: 'cubic-in-out'
@@ -328,6 +369,43 @@ function updateChart(visualizer, data) {
   visualizer.render(chart);
 }
 
+/**
+ * Pick the x/y field mapping for a dataset
+ * Time series use their `date` field, the other bundled datasets a category
+ * 
+ * @param {Array} data - The dataset to map
+ * @returns {Object} Object with x and y field names
+ */
+function getFieldMapping(data) {
+  const sample = data[0] || {};
+  
+  if ('date' in sample) {
+    return { x: 'date', y: 'value' };
+  }
+  
+  return { x: 'region' in sample ? 'region' : 'category', y: 'value' };
+}
+
+/**
+ * Enable only the chart types the dataset has fields for
+ * Scatter plots need a numeric or date x, which the category datasets lack;
+ * a disabled selection falls back to the bar chart
+ * 
+ * @param {Array} data - The dataset to map
+ */
+function updateChartTypeOptions(data) {
+  const select = document.getElementById('chart-type');
+  const scatter = select.querySelector('option[value="scatter"]');
+  const { x } = getFieldMapping(data);
+  const sample = data.find(d => d[x] !== null && d[x] !== undefined) || {};
+  
+  scatter.disabled = x !== 'date' && typeof sample[x] !== 'number';
+  
+  if (scatter.disabled && select.value === 'scatter') {
+    select.value = 'bar';
+  }
+}
+
 /**
  * Update the data statistics panel
  * 
@@ -0,0 +1,236 @@
+/**
+ * Color scales utility module
+ * Builds value-to-color scales from d3-scale-chromatic schemes and draws their legends
+ * 
+ * @author Gabriel Demetrios Lafis
+ * @version 2.1.0
+ */
+
+import * as d3 from 'd3';
+import { formatNumber } from './formatters.js';
+
+/**
+ * Color scale types and the color scheme each uses by default
+ * @private
+ */
+const COLOR_SCALES = {
+  sequential: 'Blues',
+  diverging: 'RdBu',
+  quantize: 'Blues',
+  quantile: 'Blues',
+  threshold: 'Blues',
+  log: 'Blues'
+};
+
+/**
+ * Get the continuous interpolator of a d3-scale-chromatic scheme
+ * 
+ * @param {string} name - Scheme name, e.g. 'Blues', 'Viridis' or 'RdBu'
+ * @returns {Function} D3 interpolator
+ */
+export function getInterpolator(name) {
+  const interpolator = d3[`interpolate${name}`];
+  
+  if (typeof interpolator !== 'function') {
+    throw new Error(`Unknown color scheme '${name}'`);
+  }
+  
+  return interpolator;
+}
+
+/**
+ * Get `count` discrete colors from a d3-scale-chromatic scheme
+ * Categorical schemes such as 'Category10' or 'Set3' are supported as well
+ * 
+ * @param {string} name - Scheme name
+ * @param {number} count - Number of colors
+ * @returns {Array} Colors
+ */
+export function getSchemeColors(name, count) {
+  const scheme = d3[`scheme${name}`];
+  
+  // Sequential and diverging schemes are indexed by size (3-9 or 3-11 colors)
+  if (scheme && Array.isArray(scheme[count])) {
+    return scheme[count];
+  }
+  
+  // Categorical schemes are flat lists of colors, repeated when too short
+  if (scheme && typeof scheme[0] === 'string') {
+    return d3.range(count).map(i => scheme[i % scheme.length]);
+  }
+  
+  return d3.quantize(getInterpolator(name), count);
+}
+
+/**
+ * Create a color scale fitted to a set of values
+ * 
+ * @param {Array} values - Values the scale must cover
+ * @param {Object} options - Scale options
+ * @param {string} options.type - 'sequential', 'diverging', 'quantize', 'quantile', 'threshold' or 'log'
+ * @param {string} options.scheme - d3-scale-chromatic scheme name (default: Blues, RdBu for diverging)
+ * @param {Array} options.colors - Colors interpolated instead of a scheme
+ * @param {Function} options.scale - D3 scale to use instead; its domain is fitted to the values
+ * @param {number} options.classes - Number of classes for quantize and quantile scales
+ * @param {Array} options.thresholds - Class breaks for the threshold scale
+ * @param {number} options.midpoint - Diverging midpoint (default: median of the values)
+ * @returns {Function} D3 color scale
+ */
+export function createColorScale(values, {
+  type = 'sequential',
+  scheme = null,
+  colors = null,
+  scale = null,
+  classes = 5,
+  thresholds = null,
+  midpoint = null
+} = {}) {
+  const extent = d3.extent(values);
+  const center = midpoint !== null && midpoint !== undefined ? midpoint : d3.median(values);
+  
+  if (scale) {
+    return scale.copy().domain(scale.domain().length === 3 ? [extent[0], center, extent[1]] : extent);
+  }
+  
+  if (!COLOR_SCALES[type]) {
+    throw new Error(`Unknown color scale '${type}'. Available: ${Object.keys(COLOR_SCALES).join(', ')}`);
+  }
+  
+  // Explicit colors replace the scheme for every scale type
+  const name = scheme || COLOR_SCALES[type];
+  const interpolator = () => (colors ? d3.piecewise(d3.interpolateRgb, colors) : getInterpolator(name));
+  const discrete = count => (colors ? d3.quantize(interpolator(), count) : getSchemeColors(name, count));
+  
+  switch (type) {
+    case 'sequential':
+      return d3.scaleSequential(interpolator()).domain(extent);
+    case 'diverging':
+      // Keep the midpoint inside the domain so both arms run the same way
+      return d3.scaleDiverging(interpolator())
+        .domain([Math.min(extent[0], center), center, Math.max(extent[1], center)]);
+    case 'quantize':
+      return d3.scaleQuantize().domain(extent).range(discrete(classes));
+    case 'quantile':
+      return d3.scaleQuantile().domain(values).range(discrete(classes));
+    case 'threshold':
+      if (!Array.isArray(thresholds) || thresholds.length === 0) {
+        throw new Error("The threshold color scale needs the 'thresholds' option");
+      }
+      
+      return d3.scaleThreshold().domain(thresholds).range(discrete(thresholds.length + 1));
+    default:
+      if (extent[0] <= 0) {
+        throw new Error('The log color scale needs positive values');
+      }
+      
+      return d3.scaleSequentialLog(interpolator()).domain(extent);
+  }
+}
+
+/**
+ * Pick a text color readable on a background color
+ * 
+ * @param {string} background - Background color
+ * @returns {string} Dark text on light backgrounds, white text on dark ones
+ */
+export function getContrastColor(background) {
+  const { l } = d3.lab(background);
+  
+  return l > 60 ? '#222' : '#fff';
+}
+
+/**
+ * Draw a color legend into a group: a gradient ramp for continuous scales or one
+ * swatch per class for discrete ones, with value ticks along it
+ * 
+ * @param {Object} group - D3 selection of the (positioned) legend group
+ * @param {Function} scale - Color scale from createColorScale
+ * @param {Object} options - Legend options
+ * @param {string} options.id - Unique id of the gradient, so legends on the same page do not collide
+ * @param {string} options.title - Title drawn above the ramp
+ * @param {number} options.length - Length of the ramp in px
+ * @param {number} options.thickness - Thickness of the ramp in px
+ * @param {string} options.orientation - 'horizontal' (low values left) or 'vertical' (low values at the bottom)
+ * @param {number} options.ticks - Approximate number of ticks
+ */
+export function drawColorLegend(group, scale, {
+  id,
+  title = '',
+  length = 160,
+  thickness = 10,
+  orientation = 'horizontal',
+  ticks = 4
+} = {}) {
+  const vertical = orientation === 'vertical';
+  const range = vertical ? [length, 0] : [0, length];
+  
+  group.append('text')
+    .attr('class', 'legend-title')
+    .attr('y', -6)
+    .attr('font-size', '12px')
+    .text(title);
+  
+  let axisScale;
+  let tickFormat = v => formatNumber(v);
+  
+  if (typeof scale.interpolator === 'function') {
+    // Continuous scale: gradient sampled along the domain, on a log axis for log scales
+    const domain = scale.domain();
+    axisScale = (typeof scale.base === 'function' ? d3.scaleLog() : d3.scaleLinear())
+      .domain([domain[0], domain[domain.length - 1]])
+      .range(range);
+    
+    if (typeof scale.base === 'function') {
+      tickFormat = axisScale.tickFormat(ticks, tickFormat);
+    }
+    
+    group.append('linearGradient')
+      .attr('id', id)
+      .attr('x1', '0%')
+      .attr('y1', vertical ? '100%' : '0%')
+      .attr('x2', vertical ? '0%' : '100%')
+      .attr('y2', '0%')
+      .selectAll('stop')
+      .data(d3.range(0, 1.0001, 0.1))
+      .join('stop')
+      .attr('offset', o => `${o * 100}%`)
+      .attr('stop-color', o => scale(axisScale.invert(range[0] + o * (range[1] - range[0]))));
+    
+    group.append('rect')
+      .attr('class', 'legend-ramp')
+      .attr('width', vertical ? thickness : length)
+      .attr('height', vertical ? length : thickness)
+      .attr('fill', `url(#${id})`);
+  } else {
+    // Discrete scale: one swatch per class, labelled at the class breaks
+    const colors = scale.range();
+    const breaks = scale.thresholds ? scale.thresholds() : scale.quantiles ? scale.quantiles() : scale.domain();
+    const swatch = length / colors.length;
+    const position = i => (vertical ? length - i * swatch : i * swatch);
+    
+    axisScale = d3.scaleOrdinal()
+      .domain(breaks)
+      .range(breaks.map((b, i) => position(i + 1)));
+    
+    group.selectAll('.legend-swatch')
+      .data(colors)
+      .join('rect')
+      .attr('class', 'legend-swatch')
+      .attr('x', (c, i) => (vertical ? 0 : position(i)))
+      .attr('y', (c, i) => (vertical ? position(i + 1) : 0))
+      .attr('width', vertical ? thickness : swatch)
+      .attr('height', vertical ? swatch : thickness)
+      .attr('fill', c => c);
+  }
+  
+  const axis = (vertical ? d3.axisRight(axisScale) : d3.axisBottom(axisScale))
+    .ticks(ticks)
+    .tickSize(4)
+    .tickFormat(tickFormat);
+  
+  group.append('g')
+    .attr('class', 'legend-axis')
+    .attr('transform', vertical ? `translate(${thickness}, 0)` : `translate(0, ${thickness})`)
+    .call(axis)
+    .call(g => g.select('.domain').remove());
+}
@@ -44,7 +44,7 @@ export function loadDataset(datasetName) {
  * Load data from a URL
  * 
  * @param {string} url - URL to load data from
- * @param {string} format - Data format ('json', 'csv', 'tsv', 'xml')
+ * @param {string} format - Data format ('json', 'jsonl', 'csv', 'tsv', 'xml')
  * @returns {Promise<Array>} Promise resolving to the loaded data
  */
 export function loadFromUrl(url, format) {
@@ -56,6 +56,10 @@ export function loadFromUrl(url, format) {
       case 'json':
         format = 'json';
         break;
+      case 'jsonl':
+      case 'ndjson':
+        format = 'jsonl';
+        break;
       case 'csv':
         format = 'csv';
         break;
@@ -74,6 +78,8 @@ export function loadFromUrl(url, format) {
   switch (format) {
     case 'json':
       return d3.json(url);
+    case 'jsonl':
+      return d3.text(url).then(parseJSONLines);
     case 'csv':
       return d3.csv(url);
     case 'tsv':
@@ -103,6 +109,10 @@ export function loadFromFile(file) {
           case 'json':
             resolve(JSON.parse(event.target.result));
             break;
+          case 'jsonl':
+          case 'ndjson':
+            resolve(parseJSONLines(event.target.result));
+            break;
           case 'csv':
             resolve(d3.csvParse(event.target.result));
             break;
@@ -214,3 +224,36 @@ export function parseTSV(tsvString, hasHeader = true) {
   return hasHeader ? d3.tsvParse(tsvString) : d3.tsvParseRows(tsvString);
 }
 
+
+/**
+ * Parse JSON lines (one JSON value per line) into an array
+ * Blank lines are skipped; a malformed line throws with its line number
+ * 
+ * @param {string} text - JSON lines text
+ * @returns {Array} Parsed values
+ */
+export function parseJSONLines(text) {
+  return text.split(/\r?\n/).reduce((rows, line, index) => {
+    if (line.trim() === '') {
+      return rows;
+    }
+    
+    try {
+      rows.push(JSON.parse(line));
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${index + 1}: ${error.message}`);
+    }
+    
+    return rows;
+  }, []);
+}
+
+/**
+ * Serialize an array as JSON lines, one value per line
+ * 
+ * @param {Array} rows - Values to serialize
+ * @returns {string} JSON lines text, ending with a newline
+ */
+export function stringifyJSONLines(rows) {
+  return rows.map(row => `${JSON.stringify(row)}\n`).join('');
+}
@@ -0,0 +1,114 @@
+/**
+ * Hierarchy utility module
+ * Builds d3 hierarchies from nested JSON or flat rows for the hierarchical charts
+ * 
+ * @author Gabriel Demetrios Lafis
+ * @version 2.1.0
+ */
+
+import * as d3 from 'd3';
+
+/**
+ * Aggregations available to combine the rows of a leaf, as in DataProcessor.groupBy
+ * @private
+ */
+const AGGREGATES = {
+  sum: (rows, value) => d3.sum(rows, value),
+  avg: (rows, value) => d3.mean(rows, value),
+  count: rows => rows.length,
+  min: (rows, value) => d3.min(rows, value),
+  max: (rows, value) => d3.max(rows, value),
+  median: (rows, value) => d3.median(rows, value)
+};
+
+/**
+ * Group flat rows into nested objects, one level per field
+ * Leaves keep the rows they were built from and their aggregated value
+ * 
+ * @param {Array} rows - Flat rows
+ * @param {Array} fields - Fields defining the levels, outermost first
+ * @param {Object} keys - { name, value, children } keys of the nested objects
+ * @param {Function} aggregate - Combines the rows of a leaf into its value
+ * @returns {Array} Nested objects of the first level
+ * @private
+ */
+function nestRows(rows, fields, keys, aggregate) {
+  const [field, ...rest] = fields;
+  
+  return Array.from(d3.group(rows, d => d[field]), ([name, group]) => {
+    if (rest.length > 0) {
+      return { [keys.name]: name, [keys.children]: nestRows(group, rest, keys, aggregate) };
+    }
+    
+    return { [keys.name]: name, [keys.value]: aggregate(group, d => +d[keys.value] || 0), rows: group };
+  });
+}
+
+/**
+ * Build a d3 hierarchy from nested JSON or from flat rows
+ * Flat rows are grouped by `fields` and the rows of each leaf aggregated like
+ * DataProcessor.groupBy does; values are then summed from the leaves up, with
+ * negative values counting as zero
+ * 
+ * @param {Object|Array} data - Nested root object ({ name, children }) or flat rows
+ * @param {Object} [options] - Hierarchy options
+ * @param {Array} [options.fields] - Fields grouping flat rows into levels, outermost first
+ * @param {string} [options.value='value'] - Field holding the leaf values
+ * @param {string} [options.aggregate='sum'] - Leaf aggregation of flat rows: 'sum', 'avg', 'count', 'min', 'max' or 'median'
+ * @param {string} [options.name='name'] - Field holding the node names in nested data
+ * @param {string} [options.children='children'] - Field holding the children in nested data
+ * @param {string} [options.rootName='All'] - Name of the root built for flat rows
+ * @param {string} [options.sort='descending'] - Sibling order: 'descending', 'ascending' or 'none'
+ * @returns {Object} d3 hierarchy root with values summed
+ */
+export function buildHierarchy(data, options = {}) {
+  const {
+    fields = [],
+    value = 'value',
+    aggregate = 'sum',
+    name = 'name',
+    children = 'children',
+    rootName = 'All',
+    sort = 'descending'
+  } = options;
+  
+  let nested = data;
+  
+  if (Array.isArray(data)) {
+    if (fields.length === 0) {
+      throw new Error('Flat rows need at least one hierarchy field');
+    }
+    
+    if (!AGGREGATES[aggregate]) {
+      throw new Error(`Unknown aggregate '${aggregate}'. Available: ${Object.keys(AGGREGATES).join(', ')}`);
+    }
+    
+    nested = {
+      [name]: rootName,
+      [children]: nestRows(data, fields, { name, value, children }, AGGREGATES[aggregate])
+    };
+  }
+  
+  const root = d3.hierarchy(nested, d => d[children])
+    .sum(d => (d[children] ? 0 : Math.max(0, +d[value] || 0)));
+  
+  if (sort === 'descending') {
+    root.sort((a, b) => b.value - a.value);
+  } else if (sort === 'ascending') {
+    root.sort((a, b) => a.value - b.value);
+  } else if (sort !== 'none') {
+    throw new Error(`Unknown sort '${sort}'. Available: descending, ascending, none`);
+  }
+  
+  return root;
+}
+
+/**
+ * Get the rows a hierarchy node was built from
+ * 
+ * @param {Object} node - Node of a hierarchy returned by buildHierarchy()
+ * @returns {Array} Flat rows under the node (leaf objects for nested data)
+ */
+export function getHierarchyRows(node) {
+  return node.leaves().flatMap(leaf => leaf.data.rows || [leaf.data]);
+}
@@ -340,3 +340,189 @@ export function calculateMovingAverage(data, valueField, windowSize = 3) {
   return result;
 }
 
+
+/**
+ * Distances between two vectors, by name
+ * Pairs with a missing value on either side are skipped
+ * @private
+ */
+const DISTANCES = {
+  euclidean: (a, b) => {
+    let sum = 0;
+    
+    a.forEach((value, i) => {
+      if (isValue(value) && isValue(b[i])) {
+        sum += (value - b[i]) ** 2;
+      }
+    });
+    
+    return Math.sqrt(sum);
+  },
+  // 1 - Pearson r: 0 for vectors rising together, 2 for opposite ones
+  correlation: (a, b) => 1 - calculateCorrelation(a.map((x, i) => ({ x, y: b[i] })), 'x', 'y')
+};
+
+/**
+ * Distance of a merged cluster to another cluster, from the distances of its
+ * two halves (Lance-Williams update)
+ * @private
+ */
+const LINKAGES = {
+  single: (di, dj) => Math.min(di, dj),
+  complete: (di, dj) => Math.max(di, dj),
+  average: (di, dj, ni, nj) => (di * ni + dj * nj) / (ni + nj)
+};
+
+/**
+ * Orderings available to orderMatrix
+ * @private
+ */
+const MATRIX_SORTS = ['none', 'alphabetical', 'sum', 'cluster'];
+
+/**
+ * Whether a value is a usable number
+ * @private
+ */
+function isValue(value) {
+  return value !== null && value !== undefined && !isNaN(value);
+}
+
+/**
+ * Calculate the pairwise distances between vectors
+ * 
+ * @param {Array} vectors - Arrays of numbers of the same length
+ * @param {string} distance - Metric to use ('euclidean', 'correlation')
+ * @returns {Array} Symmetric matrix of distances
+ */
+export function calculateDistanceMatrix(vectors, distance = 'euclidean') {
+  const metric = DISTANCES[distance];
+  
+  if (!metric) {
+    throw new Error(`Unknown distance '${distance}'. Available: ${Object.keys(DISTANCES).join(', ')}`);
+  }
+  
+  const matrix = vectors.map(() => new Array(vectors.length).fill(0));
+  
+  for (let i = 0; i < vectors.length; i++) {
+    for (let j = i + 1; j < vectors.length; j++) {
+      matrix[i][j] = matrix[j][i] = metric(vectors[i], vectors[j]);
+    }
+  }
+  
+  return matrix;
+}
+
+/**
+ * Cluster vectors by agglomerative hierarchical clustering
+ * The two closest clusters are merged until one remains; the result is a
+ * binary tree whose leaves carry the index of their vector
+ * 
+ * @param {Array} vectors - Arrays of numbers of the same length
+ * @param {Object} options - Clustering options
+ * @param {string} options.linkage - Cluster distance ('single', 'complete', 'average')
+ * @param {string} options.distance - Vector distance ('euclidean', 'correlation')
+ * @returns {Object|null} Root { height, size, children } with leaves { index, height: 0, size: 1 }
+ */
+export function clusterHierarchical(vectors, { linkage = 'average', distance = 'euclidean' } = {}) {
+  const link = LINKAGES[linkage];
+  
+  if (!link) {
+    throw new Error(`Unknown linkage '${linkage}'. Available: ${Object.keys(LINKAGES).join(', ')}`);
+  }
+  
+  if (!Array.isArray(vectors) || vectors.length === 0) {
+    return null;
+  }
+  
+  const distances = calculateDistanceMatrix(vectors, distance);
+  let clusters = vectors.map((vector, index) => ({ index, height: 0, size: 1, id: index }));
+  
+  while (clusters.length > 1) {
+    // Find the closest pair; ties go to the earliest clusters so results are stable
+    let best = null;
+    
+    for (let i = 0; i < clusters.length; i++) {
+      for (let j = i + 1; j < clusters.length; j++) {
+        const d = distances[clusters[i].id][clusters[j].id];
+        
+        if (best === null || d < best.d) {
+          best = { i, j, d };
+        }
+      }
+    }
+    
+    const a = clusters[best.i];
+    const b = clusters[best.j];
+    const merged = { height: best.d, size: a.size + b.size, children: [a, b], id: a.id };
+    
+    // The merged cluster takes over the row of its first half
+    clusters.forEach(other => {
+      if (other !== a && other !== b) {
+        distances[a.id][other.id] = distances[other.id][a.id] =
+          link(distances[a.id][other.id], distances[b.id][other.id], a.size, b.size);
+      }
+    });
+    
+    clusters = clusters.filter(cluster => cluster !== a && cluster !== b);
+    clusters.splice(best.i, 0, merged);
+  }
+  
+  return stripIds(clusters[0]);
+}
+
+/**
+ * Remove the bookkeeping ids from a cluster tree
+ * @private
+ */
+function stripIds({ index, height, size, children }) {
+  return children ? { height, size, children: children.map(stripIds) } : { index, height, size };
+}
+
+/**
+ * Get the vector indices in the left-to-right order of a cluster tree's leaves
+ * 
+ * @param {Object} tree - Cluster tree from clusterHierarchical
+ * @returns {Array} Vector indices
+ */
+export function getLeafOrder(tree) {
+  if (!tree) {
+    return [];
+  }
+  
+  return tree.children ? tree.children.flatMap(getLeafOrder) : [tree.index];
+}
+
+/**
+ * Order the rows of a matrix
+ * Use it on the transposed matrix to order the columns
+ * 
+ * @param {Array} labels - Row labels
+ * @param {Array} rows - Row vectors, aligned with the labels
+ * @param {Object} options - Ordering options
+ * @param {string} options.sort - 'none' (given order), 'alphabetical', 'sum' (largest first) or 'cluster'
+ * @param {string} options.linkage - Linkage when clustering
+ * @param {string} options.distance - Distance when clustering
+ * @returns {Object} { order: labels in their new order, tree: cluster tree when clustered, else null }
+ */
+export function orderMatrix(labels, rows, { sort = 'none', linkage, distance } = {}) {
+  if (!MATRIX_SORTS.includes(sort)) {
+    throw new Error(`Unknown sort '${sort}'. Available: ${MATRIX_SORTS.join(', ')}`);
+  }
+  
+  const indices = labels.map((label, i) => i);
+  let tree = null;
+  let order = indices;
+  
+  if (sort === 'alphabetical') {
+    const collator = new Intl.Collator(undefined, { numeric: true });
+    order = indices.sort((a, b) => collator.compare(String(labels[a]), String(labels[b])));
+  } else if (sort === 'sum') {
+    const sums = rows.map(row => d3.sum(row));
+    order = indices.sort((a, b) => sums[b] - sums[a]);
+  } else if (sort === 'cluster') {
+    tree = clusterHierarchical(rows, { linkage, distance });
+    order = getLeafOrder(tree);
+  }
+  
+  return { order: order.map(i => labels[i]), tree };
+}
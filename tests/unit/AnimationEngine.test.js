@@ -0,0 +1,117 @@
+// Jest test for AnimationEngine
+import AnimationEngine, { registerEasing, resolveEasing } from '../../src/core/AnimationEngine.js';
+
+// Manual clock and frame queue so animations can be stepped deterministically
+function createEngine() {
+  let time = 0;
+  let frames = [];
+  const engine = new AnimationEngine({
+    now: () => time,
+    requestFrame: callback => frames.push(callback),
+    cancelFrame: () => { frames = []; }
+  });
+
+  const advance = (ms) => {
+    time += ms;
+    const pending = frames;
+    frames = [];
+    pending.forEach(callback => callback());
+  };
+
+  return { engine, advance };
+}
+
+// Minimal element exposing the attribute API used by the engine
+function createElement(attrs = {}) {
+  return {
+    attrs: { ...attrs },
+    getAttribute(name) { return name in this.attrs ? this.attrs[name] : null; },
+    setAttribute(name, value) { this.attrs[name] = value; }
+  };
+}
+
+describe('AnimationEngine', () => {
+  test('should animate attributes and resolve finished', async () => {
+    const { engine, advance } = createEngine();
+    const el = createElement({ x: '0' });
+
+    const animation = engine.animate(el, { attr: { x: 100, fill: ['#000000', '#ffffff'] } }, { duration: 100 });
+
+    advance(50);
+    expect(el.attrs.x).toBe(50);
+    expect(el.attrs.fill).toBe('rgb(128, 128, 128)');
+
+    advance(50);
+    expect(el.attrs.x).toBe(100);
+    await expect(animation.finished).resolves.toBe(true);
+    expect(engine.running.size).toBe(0);
+  });
+
+  test('should pause, resume, seek and cancel', async () => {
+    const { engine, advance } = createEngine();
+    const values = [];
+    const animation = engine.tween(t => values.push(t), { duration: 100 });
+
+    advance(20);
+    animation.pause();
+    advance(500);
+    expect(values).toEqual([0.2]);
+
+    animation.resume();
+    advance(30);
+    expect(values[values.length - 1]).toBeCloseTo(0.5);
+
+    animation.seek(0.9);
+    expect(values[values.length - 1]).toBeCloseTo(0.9);
+
+    animation.cancel();
+    await expect(animation.finished).resolves.toBe(false);
+    expect(engine.running.size).toBe(0);
+  });
+
+  test('should cancel paused animations on stopAll', async () => {
+    const { engine, advance } = createEngine();
+    const paused = engine.tween(() => {}, { duration: 100 });
+    const playing = engine.tween(() => {}, { duration: 100 });
+
+    advance(20);
+    paused.pause();
+    engine.stopAll();
+
+    await expect(paused.finished).resolves.toBe(false);
+    await expect(playing.finished).resolves.toBe(false);
+    expect(paused.state).toBe('cancelled');
+    expect(engine.live.size).toBe(0);
+  });
+
+  test('should chain sequences and stagger elements', () => {
+    const { engine, advance } = createEngine();
+    const a = createElement({ x: '0' });
+    const b = createElement({ x: '0' });
+
+    engine.sequence([
+      { targets: a, attr: { x: 10 }, duration: 100 },
+      { targets: b, attr: { x: 10 }, duration: 100 }
+    ]);
+
+    advance(100);
+    expect(a.attrs.x).toBe(10);
+    expect(b.attrs.x).toBe(0);
+    advance(50);
+    expect(b.attrs.x).toBe(5);
+
+    const items = [createElement({ y: '0' }), createElement({ y: '0' })];
+    const stagger = engine.stagger(items, { attr: { y: 10 } }, { duration: 100, stagger: 50 });
+    expect(stagger.totalDuration).toBe(150);
+  });
+
+  test('should resolve registered, d3 and dashed easing names', () => {
+    const half = () => 0.5;
+    registerEasing('half', half);
+
+    expect(resolveEasing('half')).toBe(half);
+    expect(resolveEasing('easeLinear')(0.3)).toBeCloseTo(0.3);
+    expect(resolveEasing('cubic-in-out')).toBeInstanceOf(Function);
+    expect(() => resolveEasing('wobbly')).toThrow();
+  });
+});
@@ -0,0 +1,50 @@
+// AreaChart.test.js - Teste unitário Jest para a classe AreaChart
+import AreaChart from '../../src/charts/AreaChart.js';
+import LineChart from '../../src/charts/LineChart.js';
+
+describe('AreaChart', () => {
+  const data = [
+    { date: '2025-01-01', product: 'A', value: 10 },
+    { date: '2025-01-01', product: 'B', value: 30 },
+    { date: '2025-02-01', product: 'A', value: 20 },
+    { date: '2025-02-01', product: 'B', value: 20 }
+  ];
+
+  test('deve estender LineChart', () => {
+    const areaChart = new AreaChart();
+    expect(areaChart).toBeInstanceOf(LineChart);
+    expect(areaChart.type).toBe('area');
+  });
+
+  test('deve empilhar as séries com d3.stack', () => {
+    const areaChart = new AreaChart({ data, x: 'date', y: 'value', colorField: 'product', stacked: true });
+    const [a, b] = areaChart.computeSeries();
+
+    expect(b.values[0].y0).toBe(10);
+    expect(b.values[0].y1).toBe(40);
+    expect(areaChart.getYDomain([a, b])).toEqual([0, 40]);
+  });
+
+  test('deve normalizar as séries com o offset expand', () => {
+    const areaChart = new AreaChart({ data, x: 'date', y: 'value', colorField: 'product', stacked: true, offset: 'expand' });
+    const [, b] = areaChart.computeSeries();
+
+    expect(b.values[0].y1).toBeCloseTo(1);
+    expect(b.values[0].y1 - b.values[0].y0).toBeCloseTo(0.75);
+  });
+
+  test('não deve incluir o zero no domínio dos offsets wiggle e silhouette', () => {
+    const areaChart = new AreaChart({ data, x: 'date', y: 'value', colorField: 'product', stacked: true, offset: 'silhouette' });
+    const series = areaChart.computeSeries();
+
+    // A linha de base fica centrada no zero: de -20 a 20
+    expect(areaChart.getYDomain(series)).toEqual([-20, 20]);
+
+    series.forEach(s => s.values.forEach(p => { p.y0 += 100; p.y1 += 100; }));
+    expect(areaChart.getYDomain(series)).toEqual([80, 120]);
+  });
+
+  test('deve rejeitar offsets desconhecidos', () => {
+    expect(() => new AreaChart({ offset: 'zigzag' }).getStackOffset()).toThrow();
+  });
+});
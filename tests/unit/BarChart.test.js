@@ -1,5 +1,7 @@
 // BarChart.test.js - Teste unitário Jest para a classe BarChart
+import * as d3 from 'd3';
 import BarChart from '../../src/charts/BarChart.js';
+import { resolveEasing } from '../../src/charts/BaseChart.js';
 
 describe('BarChart', () => {
   test('deve ser definida', () => {
@@ -17,4 +19,57 @@ describe('BarChart', () => {
     expect(typeof barChart).toBe('object');
     expect(barChart).toBeInstanceOf(BarChart);
   });
+
+  describe('computeLayout', () => {
+    const data = [
+      { category: 'A', region: 'Norte', value: 10 },
+      { category: 'A', region: 'Sul', value: 30 },
+      { category: 'B', region: 'Norte', value: 20 },
+      { category: 'B', region: 'Norte', value: 5 }
+    ];
+
+    test('deve agregar valores por categoria e série no modo agrupado', () => {
+      const chart = new BarChart({ data, x: 'category', y: 'value', colorField: 'region' });
+      const layout = chart.computeLayout();
+
+      expect(layout.categories).toEqual(['A', 'B']);
+      expect(layout.seriesKeys).toEqual(['Norte', 'Sul']);
+      expect(layout.bars).toHaveLength(3);
+      expect(layout.bars.find(b => b.category === 'B').value).toBe(25);
+      expect(layout.domain).toEqual([0, 30]);
+    });
+
+    test('deve empilhar as séries no modo empilhado', () => {
+      const chart = new BarChart({ data, x: 'category', y: 'value', colorField: 'region', mode: 'stacked' });
+      const { bars, domain } = chart.computeLayout();
+      const sulA = bars.find(b => b.category === 'A' && b.series === 'Sul');
+
+      expect(sulA.start).toBe(10);
+      expect(sulA.end).toBe(40);
+      expect(domain).toEqual([0, 40]);
+    });
+
+    test('deve normalizar cada categoria para 100% no modo normalizado', () => {
+      const chart = new BarChart({ data, x: 'category', y: 'value', colorField: 'region', mode: 'normalized' });
+      const { bars, domain } = chart.computeLayout();
+      const norteA = bars.find(b => b.category === 'A' && b.series === 'Norte');
+
+      expect(norteA.end - norteA.start).toBeCloseTo(0.25);
+      expect(domain).toEqual([0, 1]);
+    });
+  });
+
+  describe('animação', () => {
+    test('deve manter os padrões de animação não informados', () => {
+      const barChart = new BarChart({ animation: { duration: 500 } });
+      expect(barChart.options.animation).toEqual({ duration: 500, easing: 'easeLinear' });
+    });
+
+    test('deve resolver nomes de easing no formato usado pelo main.js', () => {
+      expect(resolveEasing('cubic-in-out')).toBe(d3.easeCubicInOut);
+      expect(resolveEasing('easeLinear')).toBe(d3.easeLinear);
+      expect(() => resolveEasing('inexistente')).toThrow();
+    });
+  });
 });
+
@@ -0,0 +1,39 @@
+// CirclePack.test.js
+// Jest test file for CirclePack component
+
+import CirclePack from '../../src/charts/CirclePack.js';
+
+describe('CirclePack', () => {
+  test('should exist and be importable', () => {
+    expect(CirclePack).toBeDefined();
+    expect(typeof CirclePack).toBe('function');
+  });
+
+  test('should pack nested data and label only circles wide enough', () => {
+    const chart = new CirclePack({
+      y: 'value',
+      data: {
+        name: 'Budget',
+        children: [
+          { name: 'Operations', children: [{ name: 'Payroll', value: 80 }, { name: 'Rent', value: 18 }] },
+          { name: 'Marketing campaigns', value: 2 }
+        ]
+      }
+    });
+    chart.width = 300;
+    chart.height = 300;
+    chart.root = chart.computeHierarchy();
+
+    const circles = chart.computeCircles();
+    const circle = name => circles.find(d => d.name === name);
+
+    expect(circle('Budget')).toMatchObject({ x: 150, y: 150, r: 150, label: null });
+    expect(circle('Payroll').r).toBeGreaterThan(circle('Rent').r);
+    expect(circle('Payroll').label).toBe('Payroll');
+    expect(circle('Marketing campaigns').label).toBeNull();
+
+    // Group labels sit near the top of their circle
+    expect(circle('Operations').labelY).toBe(-circle('Operations').r + 14);
+    expect(chart.getTooltipContent(circle('Rent').node)).toBe('Operations › Rent<br/>value: 18 (18.0%)<br/>18.4% of Operations');
+  });
+});
@@ -0,0 +1,241 @@
+// Jest test for the streaming data sources
+import http from 'http';
+import DataSource, {
+  WebSocketSource,
+  ServerSentEventsSource,
+  PollingSource,
+  PushSource,
+  ReplaySource,
+  createDataSource,
+  registerDataSource
+} from '../../src/core/DataSource.js';
+
+// In-memory server handing out WebSocket-like connections
+function createSocketServer() {
+  const server = { sockets: [] };
+
+  server.WebSocket = class {
+    constructor(url) {
+      this.url = url;
+      this.readyState = 0;
+      this.sent = [];
+      server.sockets.push(this);
+    }
+
+    send(message) { this.sent.push(message); }
+    close() { this.readyState = 3; }
+
+    // Server-side helpers
+    accept() { this.readyState = 1; this.onopen(); }
+    message(data) { this.onmessage({ data }); }
+    drop(code = 1006) { this.readyState = 3; this.onclose({ code, wasClean: false }); }
+  };
+
+  server.last = () => server.sockets[server.sockets.length - 1];
+  return server;
+}
+
+// Local HTTP server answering each poll with the next queued response
+function createPollingServer(responses) {
+  const server = http.createServer((req, res) => {
+    const [status, body] = responses.length > 1 ? responses.shift() : responses[0];
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(body);
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}/metrics`,
+      close: () => new Promise(done => server.close(done))
+    }));
+  });
+}
+
+// Resolve once `count` events of a type have been emitted
+function collect(source, event, count) {
+  const events = [];
+  return new Promise(resolve => {
+    source.on(event, payload => {
+      events.push(payload);
+      if (events.length === count) resolve(events);
+    });
+  });
+}
+
+describe('DataSource', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should grow the retry delay exponentially up to maxRetryDelay', () => {
+    const source = new DataSource({ retryDelay: 100, backoffFactor: 2, maxRetryDelay: 1000 });
+
+    expect([0, 1, 2, 3, 4].map(attempt => source.getRetryDelay(attempt))).toEqual([100, 200, 400, 800, 1000]);
+  });
+
+  test('should parse WebSocket messages and reconnect with backoff', () => {
+    jest.useFakeTimers();
+    const server = createSocketServer();
+    const source = new WebSocketSource({ url: 'ws://localhost/stream', WebSocket: server.WebSocket, retryDelay: 100 });
+    const batches = [];
+    const states = [];
+
+    source.on('data', points => batches.push(points));
+    source.on('status', ({ state, delay }) => states.push(delay ? `${state}:${delay}` : state));
+    source.on('error', () => {});
+    source.start();
+
+    server.last().accept();
+    server.last().message('[{"time": 1, "value": 5}, {"time": 2, "value": 6}]');
+    server.last().message('{"time": 3, "value": 7}');
+    expect(batches).toEqual([[{ time: 1, value: 5 }, { time: 2, value: 6 }], [{ time: 3, value: 7 }]]);
+
+    // Two failed attempts double the delay; a successful one resets it
+    server.last().drop();
+    jest.advanceTimersByTime(100);
+    server.last().drop();
+    jest.advanceTimersByTime(200);
+    server.last().accept();
+    server.last().drop();
+
+    expect(server.sockets).toHaveLength(3);
+    expect(states).toEqual([
+      'connecting', 'open', 'reconnecting:100', 'connecting', 'reconnecting:200', 'connecting', 'open', 'reconnecting:100'
+    ]);
+
+    // Stopping cancels the pending reconnection
+    source.stop();
+    jest.advanceTimersByTime(1000);
+    expect(server.sockets).toHaveLength(3);
+    expect(source.state).toBe('closed');
+  });
+
+  test('should give up after maxRetries and report parse errors', () => {
+    jest.useFakeTimers();
+    const server = createSocketServer();
+    const source = new WebSocketSource({ url: 'ws://x', WebSocket: server.WebSocket, retryDelay: 10, maxRetries: 1 });
+    const errors = [];
+
+    source.on('error', error => errors.push(error.message));
+    source.start();
+    server.last().accept();
+    server.last().message('not json');
+    server.last().drop();
+    jest.advanceTimersByTime(10);
+    server.last().drop(4000);
+
+    expect(errors[0]).toMatch(/JSON/);
+    expect(errors[2]).toMatch(/code 4000/);
+    expect(source.state).toBe('closed');
+  });
+
+  test('should read named Server-Sent Events and replace failed streams', () => {
+    jest.useFakeTimers();
+    const streams = [];
+
+    class FakeEventSource {
+      constructor(url) {
+        this.url = url;
+        this.listeners = {};
+        this.closed = false;
+        streams.push(this);
+      }
+
+      addEventListener(type, listener) { this.listeners[type] = listener; }
+      close() { this.closed = true; }
+      dispatch(type, data) { this.listeners[type]({ data }); }
+    }
+
+    const source = createDataSource({ type: 'sse', url: '/events', event: 'metric', EventSource: FakeEventSource, retryDelay: 50 });
+    const received = collect(source, 'data', 2);
+
+    source.on('error', () => {});
+    source.start();
+    streams[0].onopen();
+    streams[0].dispatch('metric', '{"value": 1}');
+    streams[0].onerror();
+
+    expect(streams[0].closed).toBe(true);
+    jest.advanceTimersByTime(50);
+    streams[1].dispatch('metric', '{"value": 2}');
+
+    return received.then(batches => {
+      expect(batches).toEqual([[{ value: 1 }], [{ value: 2 }]]);
+      expect(source).toBeInstanceOf(ServerSentEventsSource);
+    });
+  });
+
+  test('should poll a local server and resume after an HTTP error', async () => {
+    const server = await createPollingServer([
+      [200, '{"time": 1, "value": 10}'],
+      [503, 'busy'],
+      [200, '[{"time": 2, "value": 20}]']
+    ]);
+    const source = new PollingSource({ url: server.url, interval: 5, retryDelay: 5 });
+    const errors = [];
+    const received = collect(source, 'data', 2);
+
+    source.on('error', error => errors.push(error.message));
+    source.start();
+
+    try {
+      expect(await received).toEqual([[{ time: 1, value: 10 }], [{ time: 2, value: 20 }]]);
+      expect(errors).toEqual([expect.stringMatching(/HTTP 503/)]);
+    } finally {
+      source.stop();
+      await server.close();
+    }
+  });
+
+  test('should emit pushed points only while started', () => {
+    const source = createDataSource('push');
+    const batches = [];
+
+    source.on('data', points => batches.push(points));
+
+    expect(source).toBeInstanceOf(PushSource);
+    expect(source.push({ value: 1 })).toBe(false);
+    source.start();
+    expect(source.push([{ value: 2 }, { value: 3 }])).toBe(true);
+    expect(batches).toEqual([[{ value: 2 }, { value: 3 }]]);
+  });
+
+  test('should replay recorded batches with their timing and change speed midway', () => {
+    jest.useFakeTimers();
+    const source = createDataSource({
+      type: 'replay',
+      speed: 2,
+      records: [{ at: 0, data: [{ value: 1 }] }, { at: 1000, data: [{ value: 2 }] }, { at: 3000, data: [{ value: 3 }] }]
+    });
+    const batches = [];
+
+    source.on('data', points => batches.push(points[0].value));
+    source.start();
+    jest.advanceTimersByTime(0);
+    expect(batches).toEqual([1]);
+
+    // At 2x the one-second gap takes 500 ms
+    jest.advanceTimersByTime(499);
+    expect(batches).toEqual([1]);
+    jest.advanceTimersByTime(1);
+    expect(batches).toEqual([1, 2]);
+
+    // Halfway through the next two-second gap, 10x plays the remaining second in 100 ms
+    jest.advanceTimersByTime(500);
+    source.setSpeed(10);
+    jest.advanceTimersByTime(100);
+    expect(batches).toEqual([1, 2, 3]);
+    expect(source).toBeInstanceOf(ReplaySource);
+    expect(source.state).toBe('closed');
+    expect(() => source.setSpeed(0)).toThrow(/positive/);
+  });
+
+  test('should register custom sources and reject unknown types', () => {
+    class FixtureSource extends DataSource {}
+    registerDataSource('fixture', FixtureSource);
+
+    expect(createDataSource({ type: 'fixture' })).toBeInstanceOf(FixtureSource);
+    expect(() => registerDataSource('bad', class {})).toThrow(/must extend DataSource/);
+    expect(() => createDataSource({ type: 'carrier-pigeon' })).toThrow(/Unknown data source/);
+  });
+});
@@ -1,4 +1,32 @@
-import GeographicMap from '../../src/charts/GeographicMap.js';
+import * as d3 from 'd3';
+import GeographicMap, { toFeatures } from '../../src/charts/GeographicMap.js';
+
+// Two unit squares sharing an edge, as GeoJSON and as TopoJSON
+const squares = {
+  type: 'FeatureCollection',
+  features: [
+    { type: 'Feature', properties: { name: 'A' }, geometry: { type: 'Polygon', coordinates: [[[0, 0], [0, 1], [1, 1], [1, 0], [0, 0]]] } },
+    { type: 'Feature', properties: { name: 'B' }, geometry: { type: 'Polygon', coordinates: [[[1, 0], [1, 1], [2, 1], [2, 0], [1, 0]]] } }
+  ]
+};
+
+const topology = {
+  type: 'Topology',
+  objects: {
+    regions: {
+      type: 'GeometryCollection',
+      geometries: [
+        { type: 'Polygon', arcs: [[0, 1]], properties: { name: 'A' } },
+        { type: 'Polygon', arcs: [[-1, 2]], properties: { name: 'B' } }
+      ]
+    }
+  },
+  arcs: [
+    [[1, 0], [1, 1]],
+    [[1, 1], [0, 1], [0, 0], [1, 0]],
+    [[1, 0], [2, 0], [2, 1], [1, 1]]
+  ]
+};
 
 describe('GeographicMap', () => {
   test('should be defined', () => {
@@ -10,4 +38,199 @@ describe('GeographicMap', () => {
       new GeographicMap();
     }).not.toThrow();
   });
+
+  test('should read features from GeoJSON and TopoJSON', () => {
+    expect(toFeatures(squares.features[0])).toHaveLength(1);
+    expect(new GeographicMap({ geoData: squares }).getFeatures()).toHaveLength(2);
+
+    const features = new GeographicMap({ geoData: topology }).getFeatures();
+    expect(features.map(f => f.properties.name)).toEqual(['A', 'B']);
+    expect(() => new GeographicMap({ geoData: topology, topologyObject: 'states' }).getFeatures()).toThrow(/regions/);
+  });
+
+  test('should resolve projection names and fit them to the plot area', () => {
+    expect(() => new GeographicMap({ projection: 'geoMercator' }).createProjection()).not.toThrow();
+    expect(() => new GeographicMap({ projection: 'peters' }).createProjection()).toThrow(/Available/);
+
+    const map = new GeographicMap({ geoData: squares, projection: 'mercator', fitPadding: 0 });
+    map.width = 200;
+    map.height = 100;
+    map.features = map.getFeatures();
+
+    const [x0] = map.fitProjection()([0, 0.5]);
+    const [x1] = map.fitProjection()([2, 0.5]);
+    expect(x0).toBeCloseTo(0, 0);
+    expect(x1).toBeCloseTo(200, 0);
+  });
+
+  test('should join rows to regions and build choropleth scales', () => {
+    const data = [{ region: 'A', value: 10 }, { region: 'A', value: 5 }, { region: 'C', value: 40 }];
+    const map = new GeographicMap({ data, geoData: squares, joinField: 'region' });
+
+    const joined = map.joinData();
+    expect(joined.get('A').value).toBe(15);
+    expect(joined.get('A').rows).toHaveLength(2);
+    expect(joined.has('B')).toBe(false);
+
+    map.joined = joined;
+    map.colorScale = map.createColorScale([15, 40]);
+    expect(map.getFeatureFill(squares.features[0], 0)).toBe(map.colorScale(15));
+    expect(map.getFeatureFill(squares.features[1], 1)).toMatch(/^url\(#map-\d+-no-data\)$/);
+
+    const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+    const quantize = new GeographicMap({ joinField: 'region', colorScaleType: 'quantize', classes: 3 }).createColorScale(values);
+    expect(quantize.range()).toHaveLength(3);
+
+    const threshold = new GeographicMap({ joinField: 'region', colorScaleType: 'threshold', thresholds: [3, 6] }).createColorScale(values);
+    expect(threshold(1)).not.toBe(threshold(9));
+    expect(() => new GeographicMap({ joinField: 'region', colorScaleType: 'threshold' }).createColorScale(values)).toThrow(/thresholds/);
+    expect(() => new GeographicMap({ joinField: 'region', colorScaleType: 'radial' }).createColorScale(values)).toThrow(/Available/);
+
+    const diverging = new GeographicMap({ joinField: 'region', colorScaleType: 'diverging', midpoint: 0 }).createColorScale([-5, 10]);
+    expect(diverging.domain()).toEqual([-5, 0, 10]);
+
+    const custom = new GeographicMap({ joinField: 'region', colorScale: d3.scaleSequential(d3.interpolateReds) }).createColorScale(values);
+    expect(custom.domain()).toEqual([1, 10]);
+  });
+
+  test('should size symbols by area, keep them apart and cluster them', () => {
+    const data = [
+      { nome: 'A', lat: 0, lon: 0, value: 100 },
+      { nome: 'B', lat: 0, lon: 0.3, value: 25 },
+      { nome: 'C', lat: 0, lon: 60, value: 0 }
+    ];
+    const map = new GeographicMap({ data, maxRadius: 20, minRadius: 2 });
+    map.projection = d3.geoEquirectangular().scale(100).translate([0, 0]);
+
+    const symbols = map.computeSymbols();
+    const [a, b, c] = symbols;
+    expect(a.r).toBeCloseTo(20);
+    expect(b.r).toBeCloseTo(10);
+    expect(c.r).toBe(2);
+    expect(Math.hypot(a.x - b.x, a.y - b.y)).toBeGreaterThanOrEqual(a.r + b.r);
+
+    // Panning reuses the dodged offsets; new data lays the symbols out again
+    const cache = map.collisionCache;
+    map.zoomTransform = d3.zoomIdentity.translate(30, -10);
+    const [panned] = map.computeSymbols();
+    expect(map.collisionCache).toBe(cache);
+    expect(panned.x - panned.anchor[0]).toBeCloseTo(a.x - a.anchor[0]);
+    map.data = [...data];
+    map.computeSymbols();
+    expect(map.collisionCache).not.toBe(cache);
+    map.zoomTransform = d3.zoomIdentity;
+
+    const clusters = map.clusterSymbols(symbols, 40);
+    expect(clusters).toHaveLength(2);
+    expect(clusters[0].rows).toHaveLength(2);
+    expect(clusters[0].value).toBe(125);
+
+    map.options.layers.clusters = true;
+    expect(map.computeSymbols()).toHaveLength(2);
+
+    // Zooming in spreads the points past the cluster radius
+    map.zoomTransform = d3.zoomIdentity.scale(100);
+    expect(map.computeSymbols()).toHaveLength(3);
+  });
+
+  test('should build flows and toggle layers', () => {
+    const map = new GeographicMap({
+      data: [{ nome: 'A', lat: 0, lon: 0 }],
+      flows: [
+        { origin: 'A', destination: [10, 10], volume: 5 },
+        { origin: 'Z', destination: 'A', volume: 1 }
+      ]
+    });
+
+    const flows = map.computeFlows();
+    expect(flows).toHaveLength(1);
+    expect(flows[0].geometry.coordinates).toEqual([[0, 0], [10, 10]]);
+
+    expect(map.isLayerVisible('flows')).toBe(true);
+    map.setLayerVisible('flows');
+    expect(map.isLayerVisible('flows')).toBe(false);
+    expect(map.isLayerVisible('symbols')).toBe(true);
+    expect(() => map.setLayerVisible('heat')).toThrow(/Available/);
+  });
+
+  test('should describe regions and frame them for click-to-zoom', () => {
+    const data = [{ region: 'A', value: 10, manager: 'Ana' }];
+    const map = new GeographicMap({ data, geoData: squares, joinField: 'region', projection: 'equirectangular', fitPadding: 0 });
+    map.width = 200;
+    map.height = 400;
+    map.features = map.getFeatures();
+    map.projection = map.fitProjection();
+    map.path = d3.geoPath(map.projection);
+    map.joined = map.joinData();
+
+    expect(map.getFeatureTooltip(squares.features[0], 0)).toBe('<strong>A</strong><br/>value: 10.00<br/>manager: Ana');
+    expect(map.getFeatureTooltip(squares.features[1], 1)).toBe('<strong>B</strong><br/>No data');
+
+    // Square A is half the map's width; framing it centres it at a higher zoom
+    const transform = map.getFeatureTransform(squares.features[0]);
+    const [x, y] = transform.apply(map.path.centroid(squares.features[0]));
+    expect(transform.k).toBeGreaterThan(1);
+    expect(x).toBeCloseTo(100);
+    expect(y).toBeCloseTo(200);
+  });
+
+  test('should drill down into child regions and back up', async () => {
+    const events = [];
+    const children = { type: 'FeatureCollection', features: [squares.features[1]] };
+    const map = new GeographicMap({
+      geoData: squares,
+      rootName: 'World',
+      loadChildren: feature => (feature.properties.name === 'A' ? Promise.resolve(children) : null)
+    });
+    map.eventManager = { emit: (event, payload) => events.push({ event, ...payload }) };
+    map.features = map.getFeatures();
+    map.render = jest.fn();
+    map.container = { dataGroup: d3.select(null) };
+
+    await expect(map.drillDown(squares.features[1])).resolves.toBe(false);
+    await expect(map.drillDown(squares.features[0])).resolves.toBe(true);
+    expect(map.options.geoData).toBe(children);
+    expect(map.getBreadcrumbs().map(c => c.name)).toEqual(['World', 'A']);
+    expect(events[0]).toMatchObject({ event: 'chart:drilldown', direction: 'down', level: 1, region: 'A', path: ['World', 'A'] });
+
+    map.drillUp(0);
+    expect(map.options.geoData).toBe(squares);
+    expect(events[1]).toMatchObject({ direction: 'up', level: 0, region: null, path: ['World'] });
+  });
+
+  test('should stay on the current level when loading children fails', async () => {
+    const events = [];
+    let reject;
+    const map = new GeographicMap({
+      geoData: squares,
+      loadChildren: feature => (feature.properties.name === 'A'
+        ? new Promise((resolve, fail) => { reject = fail; })
+        : (() => { throw new Error('no loader'); })())
+    });
+    map.eventManager = { emit: (event, payload) => events.push({ event, ...payload }) };
+    map.features = map.getFeatures();
+    map.render = jest.fn();
+    map.zoomToFeature = jest.fn();
+    map.resetZoom = jest.fn();
+    map.container = { dataGroup: d3.select(null) };
+
+    const click = map.handleFeatureClick(squares.features[0]);
+
+    // A second click while loading is ignored
+    await expect(map.handleFeatureClick(squares.features[0])).resolves.toBe(false);
+
+    reject(new Error('404'));
+    await expect(click).resolves.toBeNull();
+    expect(map.loading).toBe(false);
+    expect(map.drillStack).toHaveLength(0);
+    expect(map.options.geoData).toBe(squares);
+    expect(map.zoomToFeature).not.toHaveBeenCalled();
+    expect(events).toEqual([expect.objectContaining({ event: 'chart:drilldown-error', region: 'A', path: ['All'] })]);
+    expect(events[0].error.message).toBe('404');
+
+    // Loaders throwing synchronously are reported the same way
+    await expect(map.drillDown(squares.features[1])).resolves.toBeNull();
+    expect(events[1]).toMatchObject({ event: 'chart:drilldown-error', region: 'B' });
+    expect(events[1].error.message).toBe('no loader');
+  });
 });
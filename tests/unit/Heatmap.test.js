@@ -1,5 +1,6 @@
 // Jest test for Heatmap component
 import Heatmap from '../../src/charts/Heatmap.js';
+import * as d3 from 'd3';
 
 describe('Heatmap', () => {
   test('should exist and be importable', () => {
@@ -17,4 +18,130 @@ describe('Heatmap', () => {
     const heatmap = new Heatmap();
     expect(heatmap).toBeInstanceOf(Heatmap);
   });
+
+  test('should stretch band scales and report the categories in view when zoomed', () => {
+    const heatmap = new Heatmap({ zoom: true });
+    heatmap.width = 560;
+    heatmap.height = 300;
+    heatmap.createScales();
+    heatmap.applyZoomToScales();
+
+    // Zoom 7x into the first column
+    heatmap.rescaleToTransform(d3.zoomIdentity.scale(7));
+
+    expect(heatmap.xScale.bandwidth()).toBeCloseTo(heatmap.baseXScale.bandwidth() * 7);
+    expect(heatmap.getVisibleDomain('x')).toEqual(['Mon']);
+  });
+
+  test('should hit-test canvas cells by their rectangle', () => {
+    const heatmap = new Heatmap({
+      data: [{ x: 'a', y: 'r', value: 1 }, { x: 'b', y: 'r', value: 2 }],
+      renderer: 'canvas'
+    });
+    heatmap.width = 360;
+    heatmap.height = 200;
+    heatmap.createScales();
+    heatmap.canvasContext = new Proxy({}, {
+      get: (target, name) => (name in target ? target[name] : () => {})
+    });
+
+    heatmap.drawCellsCanvas();
+
+    // Second column starts past the middle of the 200px wide plot area
+    expect(heatmap.hitTest(150, 50).tooltip()).toBe('b - r<br/>value: 2');
+    expect(heatmap.hitTest(2, 50)).toBeNull();
+  });
+
+  test('should order rows and columns by their sort modes', () => {
+    const data = [];
+    const values = { r1: [1, 9, 2], r2: [8, 1, 9], r3: [2, 8, 1], r4: [9, 2, 8] };
+    Object.entries(values).forEach(([y, row]) => {
+      row.forEach((value, i) => data.push({ x: `c${i}`, y, value }));
+    });
+
+    const order = options => {
+      const heatmap = new Heatmap({ data, ...options });
+      return heatmap.computeOrder();
+    };
+
+    expect(order({})).toEqual({ columns: ['c0', 'c1', 'c2'], rows: ['r1', 'r2', 'r3', 'r4'] });
+    expect(order({ rowSort: 'sum', columnSort: 'alphabetical' }).rows).toEqual(['r4', 'r2', 'r1', 'r3']);
+
+    // Rows rising and falling together end up next to each other
+    expect(order({ rowSort: 'cluster', columnSort: 'cluster' })).toEqual({ columns: ['c0', 'c2', 'c1'], rows: ['r1', 'r3', 'r2', 'r4'] });
+    expect(order({ rowSort: 'cluster', distance: 'correlation' }).rows).toEqual(['r1', 'r3', 'r2', 'r4']);
+  });
+
+  test('should make room for the dendrograms and lay their links out along the bands', () => {
+    const heatmap = new Heatmap({ rowSort: 'cluster', columnSort: 'cluster', dendrogramSize: 30 });
+    heatmap.width = 600;
+    heatmap.height = 400;
+    heatmap.createScales();
+
+    expect(heatmap.getMargin()).toMatchObject({ top: 80, left: 110 });
+
+    const { rows } = heatmap.categories;
+    const links = heatmap.computeDendrogramLinks(heatmap.rowTree, rows, heatmap.yScale, 30);
+    const centers = rows.map(row => heatmap.yScale(row) + heatmap.yScale.bandwidth() / 2);
+
+    // A binary tree over n leaves has 2n - 2 links, the leaves ending at the cells
+    expect(links).toHaveLength(2 * rows.length - 2);
+    const leaves = links.filter(link => link.target.depth === 0);
+    expect(leaves.map(link => link.target.position).sort((a, b) => a - b)).toEqual([...centers].sort((a, b) => a - b));
+    expect(Math.max(...links.map(link => link.source.depth))).toBe(30);
+
+    expect(new Heatmap({ rowSort: 'cluster', dendrograms: false }).getMargin()).toMatchObject({ top: 50, left: 80 });
+  });
+
+  test('should build the selected color scale type from a named scheme', () => {
+    const data = [1, 10, 100, 1000].map((value, i) => ({ x: `c${i}`, y: 'r', value }));
+    const scale = options => {
+      const heatmap = new Heatmap({ data, ...options });
+      heatmap.width = 400;
+      heatmap.height = 200;
+      heatmap.createScales();
+      return heatmap.colorScale;
+    };
+
+    expect(scale({}).domain()).toEqual([1, 1000]);
+    expect(scale({ colorScheme: 'Viridis' })(1)).toBe(d3.interpolateViridis(0));
+    expect(scale({ colorRange: ['#000000', '#ffffff'] })(1000)).toBe('rgb(255, 255, 255)');
+    expect(scale({ colorScaleType: 'diverging', midpoint: 50 }).domain()).toEqual([1, 50, 1000]);
+    expect(scale({ colorScaleType: 'quantize', classes: 4 }).range()).toEqual(d3.schemeBlues[4]);
+    expect(scale({ colorScaleType: 'threshold', thresholds: [5, 50] })(20)).toBe(d3.schemeBlues[3][1]);
+
+    // Log scales spread the decades evenly
+    const log = scale({ colorScaleType: 'log' });
+    expect(log(10)).toBe(d3.interpolateBlues(1 / 3));
+
+    expect(() => scale({ colorScaleType: 'threshold' })).toThrow(/thresholds/);
+    expect(() => scale({ colorScaleType: 'spiral' })).toThrow(/Unknown color scale 'spiral'/);
+    expect(() => scale({ colorScheme: 'Plaid' })).toThrow(/Unknown color scheme 'Plaid'/);
+    expect(() => new Heatmap({ data: [{ x: 'a', y: 'b', value: 0 }], colorScaleType: 'log' }).createScales()).toThrow(/positive/);
+  });
+
+  test('should give every heatmap its own ids and label cells in a contrasting color', () => {
+    expect(new Heatmap().idPrefix).not.toBe(new Heatmap().idPrefix);
+
+    const heatmap = new Heatmap({
+      data: [{ x: 'a', y: 'r', value: 0 }, { x: 'b', y: 'r', value: 1234.5 }],
+      labels: true
+    });
+    heatmap.width = 360;
+    heatmap.height = 200;
+    heatmap.createScales();
+
+    const labels = heatmap.getCellLabels();
+    expect(heatmap.getCellTooltip(heatmap.data[1])).toBe('b - r<br/>value: 1,234.50');
+    heatmap.options.legendTitle = 'Revenue';
+    expect(heatmap.getCellTooltip(heatmap.data[1])).toBe('b - r<br/>Revenue: 1,234.50');
+
+    expect(labels.map(label => label.text)).toEqual(['0', '1,234.50']);
+    expect(labels.map(label => label.color)).toEqual(['#222', '#fff']);
+
+    // Narrow cells drop the labels that no longer fit
+    heatmap.width = 220;
+    heatmap.createScales();
+    expect(heatmap.getCellLabels().map(label => label.text)).toEqual(['0']);
+  });
 });
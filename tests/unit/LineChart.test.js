@@ -1,5 +1,6 @@
 // LineChart.test.js - Teste unitário Jest para a classe LineChart
 import LineChart from '../../src/charts/LineChart.js';
+import * as d3 from 'd3';
 
 describe('LineChart', () => {
   test('deve ser definida', () => {
@@ -17,4 +18,109 @@ describe('LineChart', () => {
     expect(typeof lineChart).toBe('object');
     expect(lineChart).toBeInstanceOf(LineChart);
   });
+
+  describe('computeSeries', () => {
+    test('deve converter datas ISO em objetos Date e ordenar os pontos', () => {
+      const lineChart = new LineChart({
+        data: [
+          { date: '2025-02-01', value: 150 },
+          { date: '2025-01-01', value: 120 }
+        ],
+        x: 'date',
+        y: 'value'
+      });
+
+      expect(lineChart.getXType()).toBe('time');
+
+      const [series] = lineChart.computeSeries();
+      expect(series.values[0].x).toBeInstanceOf(Date);
+      expect(series.values[0].x.getMonth()).toBe(0);
+      expect(series.values.map(p => p.y)).toEqual([120, 150]);
+    });
+
+    test('não deve tratar rótulos de categoria como datas', () => {
+      const lineChart = new LineChart({
+        data: [
+          { product: 'Product 1', value: 10 },
+          { product: 'Region 2', value: 20 }
+        ],
+        x: 'product',
+        y: 'value'
+      });
+
+      expect(lineChart.getXType()).toBe('point');
+      expect(lineChart.computeSeries()[0].values.map(p => p.x)).toEqual(['Product 1', 'Region 2']);
+
+      // Datas ISO com hora e formatos declarados em dateFormat continuam sendo datas
+      expect(new LineChart({ data: [{ x: '2025-01-01T12:30:00Z', y: 1 }] }).getXType()).toBe('time');
+      expect(new LineChart({ data: [{ x: '01/02/2025', y: 1 }], dateFormat: '%d/%m/%Y' }).getXType()).toBe('time');
+      expect(new LineChart({ data: [{ x: '01/02/2025', y: 1 }] }).getXType()).toBe('point');
+    });
+
+    test('deve separar séries por colorField e manter valores nulos como lacunas', () => {
+      const lineChart = new LineChart({
+        data: [
+          { t: 1, v: 10, s: 'a' },
+          { t: 2, v: null, s: 'a' },
+          { t: 1, v: 5, s: 'b' }
+        ],
+        x: 't',
+        y: 'v',
+        colorField: 's'
+      });
+
+      const series = lineChart.computeSeries();
+      expect(series.map(s => s.key)).toEqual(['a', 'b']);
+      expect(series[0].values.map(p => p.y)).toEqual([10, null]);
+    });
+  });
+
+  test('deve mapear a interpolação para a curva D3 correspondente', () => {
+    expect(new LineChart({ interpolation: 'monotoneX' }).getCurve()).toBeDefined();
+    expect(() => new LineChart({ interpolation: 'inexistente' }).getCurve()).toThrow();
+  });
+
+  test('zoom apenas em x deve reescalar x e manter o domínio de y', () => {
+    const lineChart = new LineChart({
+      data: [{ t: 0, v: 0 }, { t: 100, v: 50 }],
+      x: 't',
+      y: 'v',
+      zoom: 'x'
+    });
+    lineChart.width = 200;
+    lineChart.height = 100;
+    lineChart.createScales(lineChart.computeSeries());
+    lineChart.applyZoomToScales();
+
+    const yDomain = lineChart.yScale.domain();
+    lineChart.rescaleToTransform(d3.zoomIdentity.scale(2));
+
+    expect(lineChart.xScale.domain()).toEqual([0, 50]);
+    expect(lineChart.yScale.domain()).toEqual(yDomain);
+  });
+
+  test('deve desenhar linhas no canvas e mostrar o tooltip do ponto mais próximo', () => {
+    const lineChart = new LineChart({
+      data: [{ t: 0, v: 0 }, { t: 100, v: null }, { t: 200, v: 50 }],
+      x: 't',
+      y: 'v',
+      renderer: 'canvas'
+    });
+    const calls = [];
+    lineChart.width = 200;
+    lineChart.height = 100;
+    lineChart.series = lineChart.computeSeries();
+    lineChart.createScales(lineChart.series);
+    lineChart.container = { dataGroup: d3.select(null) };
+    lineChart.canvasContext = new Proxy({}, {
+      get: (target, name) => (name in target ? target[name] : (...args) => calls.push([name, ...args]))
+    });
+
+    lineChart.drawCanvas(lineChart.series);
+
+    expect(calls.filter(([name]) => name === 'stroke')).toHaveLength(1);
+    expect(calls.filter(([name]) => name === 'arc')).toHaveLength(2);
+    expect(lineChart.hitTest(198, 2).tooltip()).toBe('t: 200<br/>v: 50.00');
+    expect(lineChart.hitTest(100, 50)).toBeNull();
+  });
 });
@@ -20,3 +20,76 @@ describe('PieChart', () => {
     expect(pieChart).toBeInstanceOf(PieChart);
   });
 });
+
+describe('PieChart layout', () => {
+  const sales = [
+    { category: 'A', value: 40 },
+    { category: 'B', value: 30 },
+    { category: 'A', value: 10 },
+    { category: 'C', value: 12 },
+    { category: 'D', value: 4 },
+    { category: 'E', value: 4 },
+    { category: 'F', value: -5 }
+  ];
+
+  test('should sum values per x category and bucket small slices into Other', () => {
+    const chart = new PieChart({ data: sales, x: 'category', y: 'value', otherThreshold: 0.1 });
+    const slices = chart.computeSlices();
+
+    expect(slices.map(d => [d.key, d.value])).toEqual([['A', 50], ['B', 30], ['C', 12], ['Other', 8]]);
+    expect(slices[3]).toMatchObject({ other: true, members: ['D', 'E'] });
+    expect(slices[0].percent).toBe(0.5);
+    expect(slices[0].startAngle).toBe(0);
+    expect(slices[3].endAngle).toBeCloseTo(2 * Math.PI);
+    expect(chart.getTooltipContent(slices[3])).toBe('category: Other<br/>value: 8 (8.0%)<br/>D, E');
+
+    // A single small slice keeps its own name
+    const single = new PieChart({ data: sales.slice(0, 4), x: 'category', y: 'value', otherThreshold: 0.2 });
+    expect(single.computeSlices().map(d => d.key)).toEqual(['A', 'B', 'C']);
+  });
+
+  test('should sort slices while keeping Other last and reject unknown sorts', () => {
+    const chart = new PieChart({ data: sales, x: 'category', y: 'value', otherThreshold: 0.1, sort: 'ascending' });
+
+    const clockwise = chart.computeSlices().sort((a, b) => a.startAngle - b.startAngle);
+
+    expect(clockwise.map(d => d.key)).toEqual(['C', 'B', 'A', 'Other']);
+    expect(() => new PieChart({ data: sales, sort: 'random' }).computeSlices()).toThrow(/Unknown sort 'random'/);
+  });
+
+  test('should spread outside labels apart within the chart height', () => {
+    const data = ['A', 'B', 'C', 'D', 'E'].map((category, i) => ({ category, value: i === 0 ? 96 : 1 }));
+    const chart = new PieChart({ data, x: 'category', y: 'value', labelSpacing: 14 });
+    chart.width = 400;
+    chart.height = 200;
+
+    const labels = chart.computeLabelLayout(chart.computeSlices(), chart.getRadius());
+    const left = labels.filter(d => d.anchor === 'end').sort((a, b) => a.y - b.y);
+
+    // The four thin slices sit together near the top of the left side
+    expect(left).toHaveLength(4);
+    left.slice(1).forEach((label, i) => expect(label.y - left[i].y).toBeGreaterThanOrEqual(14 - 1e-9));
+    labels.forEach(label => expect(Math.abs(label.y)).toBeLessThanOrEqual(100));
+
+    // Leader lines start on the outer edge of their slice
+    labels.forEach(label => expect(Math.hypot(...label.points[0])).toBeCloseTo(chart.getRadius()));
+  });
+
+  test('should emit the rows of the clicked slice and clear the selection on a second click', () => {
+    const events = [];
+    const chart = new PieChart({
+      data: sales,
+      x: 'category',
+      y: 'value',
+      otherThreshold: 0.1,
+      eventManager: { emit: (event, payload) => events.push([event, payload]) }
+    });
+    const other = chart.computeSlices()[3];
+
+    chart.selectSlice(other);
+    chart.selectSlice(other);
+
+    expect(events[0]).toEqual(['chart:selection', { type: 'pie', key: 'Other', data: [sales[4], sales[5]] }]);
+    expect(events[1][1]).toMatchObject({ key: null, data: [] });
+  });
+});
@@ -1,4 +1,6 @@
 import RealTimeChart from '../../src/charts/RealTimeChart.js';
+import { PushSource } from '../../src/core/DataSource.js';
+import { parseJSONLines } from '../../src/utils/dataLoader.js';
 
 describe('RealTimeChart', () => {
   test('should exist', () => {
@@ -10,4 +12,216 @@ describe('RealTimeChart', () => {
       new RealTimeChart();
     }).not.toThrow();
   });
+
+  test('should keep the latest bufferSize points from its source', () => {
+    const source = new PushSource();
+    const events = [];
+    const chart = new RealTimeChart({
+      source,
+      bufferSize: 3,
+      eventManager: { emit: (event, payload) => events.push([event, payload.state]) }
+    });
+
+    expect(chart.data).toEqual([]);
+
+    chart.start();
+    source.push([{ time: 1, value: 1 }, { time: 2, value: 2 }]);
+    source.push({ time: '1970-01-01T00:00:00.003Z', value: '3' });
+    chart.push([{ time: 4, value: 4 }, { time: 5, value: null }]);
+
+    expect(chart.data).toEqual([{ time: 2, value: 2 }, { time: 3, value: 3 }, { time: 4, value: 4 }]);
+    expect(events).toEqual([['realtime:status', 'connecting'], ['realtime:status', 'open']]);
+
+    chart.stop();
+    expect(source.push({ time: 6, value: 6 })).toBe(false);
+    expect(chart.status).toBe('closed');
+  });
+
+  test('should use yDomain and simulate a point every updateInterval without a source', async () => {
+    jest.useFakeTimers();
+    const chart = new RealTimeChart({ updateInterval: 200, yDomain: [0, 100] });
+    const initial = chart.data.length;
+
+    try {
+      chart.start();
+      await jest.advanceTimersByTimeAsync(0);
+      expect(chart.data).toHaveLength(initial + 1);
+
+      await jest.advanceTimersByTimeAsync(200);
+      expect(chart.data).toHaveLength(initial + 2);
+      expect(chart.data[initial + 1].time).toBe(chart.data[initial].time + 1);
+      expect(chart.getYDomain()).toEqual([0, 100]);
+
+      // Paused charts keep buffering; stopped charts stop polling
+      chart.pause();
+      await jest.advanceTimersByTimeAsync(200);
+      expect(chart.data).toHaveLength(initial + 3);
+      chart.stop();
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(chart.data).toHaveLength(initial + 3);
+    } finally {
+      chart.destroy();
+      jest.useRealTimers();
+    }
+  });
+
+  test('should drop points that leave the time window or arrive out of order', () => {
+    const chart = new RealTimeChart({ source: 'push', bufferSize: 100, timeWindow: 10 });
+
+    chart.push([0, 4, 8, 12, 15].map(time => ({ time, value: time })));
+    chart.push({ time: 14, value: 0 });
+
+    // One point before the window start (15 - 10) is kept for the line to enter the plot
+    expect(chart.data.map(d => d.time)).toEqual([4, 8, 12, 15]);
+  });
+
+  test('should coalesce bursts into one draw per frame and space out expensive draws', () => {
+    const frames = [];
+    let time = 0;
+    const chart = new RealTimeChart({
+      source: 'push',
+      frameBudget: 16,
+      now: () => time,
+      requestFrame: callback => frames.push(callback)
+    });
+    const runFrame = () => frames.shift()();
+
+    chart.elements = {};
+    chart.draw = jest.fn(() => {
+      chart.lastDraw = time;
+      time += 40;
+    });
+
+    chart.push({ time: 1, value: 1 });
+    chart.push({ time: 2, value: 2 });
+    chart.push({ time: 3, value: 3 });
+    expect(frames).toHaveLength(1);
+
+    runFrame();
+    expect(chart.draw).toHaveBeenCalledTimes(1);
+    expect(chart.getMinFrameGap()).toBe(80);
+
+    // The next frame comes too early for a 40 ms draw and is postponed
+    chart.push({ time: 4, value: 4 });
+    time += 16;
+    runFrame();
+    expect(chart.draw).toHaveBeenCalledTimes(1);
+
+    time += 64;
+    runFrame();
+    expect(chart.draw).toHaveBeenCalledTimes(2);
+    expect(chart.data).toHaveLength(4);
+  });
+
+  test('should buffer keyed series from a series field or from several value fields', () => {
+    const byField = new RealTimeChart({ source: 'push', seriesField: 'metric', bufferSize: 2 });
+    byField.push([
+      { time: 1, metric: 'cpu', value: 10 },
+      { time: 1, metric: 'mem', value: 60 },
+      { time: 2, metric: 'cpu', value: 20 },
+      { time: 3, metric: 'cpu', value: 30 }
+    ]);
+
+    expect(byField.getSeriesKeys()).toEqual(['cpu', 'mem']);
+    expect(byField.data).toEqual([
+      { series: 'cpu', time: 2, value: 20 },
+      { series: 'cpu', time: 3, value: 30 },
+      { series: 'mem', time: 1, value: 60 }
+    ]);
+
+    const wide = new RealTimeChart({ source: 'push', y: ['cpu', 'mem'], yAxes: 'independent' });
+    wide.push([{ time: 1, cpu: 10, mem: 500 }, { time: 2, cpu: 30, mem: 900 }]);
+
+    expect(wide.getSeriesKeys()).toEqual(['cpu', 'mem']);
+    expect(wide.getYDomain('cpu')).toEqual([10, 30]);
+    expect(wide.getYDomain('mem')).toEqual([500, 900]);
+
+    // The second axis takes room on the right
+    wide.width = 400;
+    expect(wide.getPlotSize().width).toBe(400 - 40 - 10 - 40);
+    expect(() => new RealTimeChart({ source: 'push', yAxes: 'stacked' }).createYScales(100)).toThrow(/Unknown yAxes 'stacked'/);
+  });
+
+  test('should emit threshold crossings with hysteresis and annotate them', () => {
+    const events = [];
+    const chart = new RealTimeChart({
+      source: 'push',
+      seriesField: 'metric',
+      thresholds: [{ series: 'cpu', above: 80, hysteresis: 5, label: 'CPU high' }, { below: 10 }],
+      eventManager: { emit: (event, payload) => events.push([event, payload]) }
+    });
+
+    // 79 and 78 flap around the bound but stay within the hysteresis band
+    [70, 85, 79, 82, 78, 74, 90].forEach((value, time) => chart.push({ time, metric: 'cpu', value }));
+    chart.push({ time: 7, metric: 'disk', value: 5 });
+
+    const crossings = events.filter(([event]) => event === 'realtime:threshold-crossed').map(([, payload]) => payload);
+
+    expect(crossings.map(({ series, direction, time }) => `${series}:${direction}@${time}`))
+      .toEqual(['cpu:enter@1', 'cpu:exit@5', 'cpu:enter@6', 'disk:enter@7']);
+    expect(crossings[0]).toMatchObject({ type: 'realtime', side: 'above', threshold: 80, value: 85, label: 'CPU high' });
+    expect(crossings[3]).toMatchObject({ side: 'below', threshold: 10, label: 'disk < 10' });
+    expect(chart.annotations.map(d => d.time)).toEqual([1, 5, 6, 7]);
+    expect(chart.getActiveAlerts()).toEqual([
+      { series: 'cpu', side: 'above', threshold: 80 },
+      { series: 'disk', side: 'below', threshold: 10 }
+    ]);
+
+    // Threshold values widen the domain so the bands stay visible
+    expect(chart.getYDomain()).toEqual([5, 90]);
+    expect(() => new RealTimeChart({ source: 'push', thresholds: [{ series: 'cpu' }] })).toThrow(/needs a numeric/);
+  });
+
+  test('should record batches as JSON lines and replay them faster', async () => {
+    jest.useFakeTimers();
+    let time = 0;
+    const chart = new RealTimeChart({ source: 'push', now: () => time });
+
+    try {
+      chart.start();
+      chart.push({ time: 1, value: 10 });
+      chart.startRecording();
+      chart.push({ time: 2, value: 20 });
+      time = 400;
+      chart.push([{ time: 3, value: 30 }, { time: 4, value: 40 }]);
+
+      const lines = chart.stopRecording();
+      expect(chart.isRecording()).toBe(false);
+      expect(parseJSONLines(lines)).toEqual([
+        { at: 0, data: [{ time: 2, value: 20 }] },
+        { at: 400, data: [{ time: 3, value: 30 }, { time: 4, value: 40 }] }
+      ]);
+
+      // The replay starts from an empty buffer; 400 ms take 40 ms at 10x
+      chart.replay(lines, { speed: 10 });
+      await jest.advanceTimersByTimeAsync(0);
+      expect(chart.data).toEqual([{ time: 2, value: 20 }]);
+      await jest.advanceTimersByTimeAsync(40);
+      expect(chart.data.map(d => d.time)).toEqual([2, 3, 4]);
+      expect(chart.status).toBe('closed');
+      expect(() => parseJSONLines('{"at": 0}\nnot json')).toThrow(/line 2/);
+    } finally {
+      chart.destroy();
+      jest.useRealTimers();
+    }
+  });
+
+  test('should freeze on scrub and return to the live window on resume', () => {
+    const events = [];
+    const chart = new RealTimeChart({
+      source: 'push',
+      eventManager: { emit: (event, payload) => events.push([event, payload]) }
+    });
+    chart.push([0, 1, 2, 3, 4, 5].map(time => ({ time, value: time })));
+
+    chart.scrub([1, 3]);
+    chart.push({ time: 6, value: 6 });
+
+    expect(chart.paused).toBe(true);
+    expect(chart.getTimeDomain()).toEqual([1, 3]);
+    expect(events).toContainEqual(['realtime:scrubbed', { type: 'realtime', start: 1, end: 3 }]);
+
+    chart.resume();
+    expect(chart.getTimeDomain()).toEqual([0, 6]);
+  });
 });
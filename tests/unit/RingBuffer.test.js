@@ -0,0 +1,39 @@
+// Jest test for RingBuffer
+import RingBuffer from '../../src/core/RingBuffer.js';
+
+describe('RingBuffer', () => {
+  test('should overwrite the oldest items once full', () => {
+    const buffer = new RingBuffer(3);
+
+    expect([1, 2, 3].map(n => buffer.push(n))).toEqual([undefined, undefined, undefined]);
+    expect(buffer.push(4)).toBe(1);
+    expect(buffer.push(5)).toBe(2);
+
+    expect(buffer.toArray()).toEqual([3, 4, 5]);
+    expect([...buffer]).toEqual([3, 4, 5]);
+    expect(buffer.length).toBe(3);
+    expect(buffer.first()).toBe(3);
+    expect(buffer.last()).toBe(5);
+    expect(buffer.get(-2)).toBe(4);
+    expect(buffer.get(3)).toBeUndefined();
+  });
+
+  test('should shift, shift while a predicate holds and resize', () => {
+    const buffer = new RingBuffer(4);
+    [1, 2, 3, 4, 5, 6].forEach(n => buffer.push(n));
+
+    expect(buffer.shift()).toBe(3);
+    expect(buffer.shiftWhile((oldest, next) => next !== undefined && next < 6)).toBe(1);
+    expect(buffer.toArray()).toEqual([5, 6]);
+
+    buffer.push(7);
+    buffer.resize(2);
+    expect(buffer.toArray()).toEqual([6, 7]);
+    expect(buffer.capacity).toBe(2);
+
+    buffer.clear();
+    expect(buffer.length).toBe(0);
+    expect(buffer.shift()).toBeUndefined();
+    expect(() => new RingBuffer(0)).toThrow(/at least 1/);
+  });
+});
@@ -1,5 +1,17 @@
 // ScatterPlot.test.js - Teste unitário Jest para a classe ScatterPlot
 import ScatterPlot from '../../src/charts/ScatterPlot.js';
+import AreaChart from '../../src/charts/AreaChart.js';
+import * as d3 from 'd3';
+
+// Contexto 2D falso que registra as chamadas de desenho
+function createContext() {
+  const calls = [];
+  return new Proxy({ calls }, {
+    get(target, name) {
+      return name in target ? target[name] : (...args) => calls.push([name, ...args]);
+    }
+  });
+}
 
 describe('ScatterPlot', () => {
   test('deve ser definida', () => {
@@ -17,4 +29,162 @@ describe('ScatterPlot', () => {
     expect(typeof scatterPlot).toBe('object');
     expect(scatterPlot).toBeInstanceOf(ScatterPlot);
   });
+
+  describe('dados reais', () => {
+    const data = [
+      { gdp: 1000, life: 60, pop: 10, region: 'A', date: '2024-01-01' },
+      { gdp: 0, life: 70, pop: 40, region: 'B', date: '2024-02-01' },
+      { gdp: 50000, life: 80, pop: 90, region: 'A', date: '2024-03-01' }
+    ];
+
+    test('deve mapear linhas para pontos e ignorar valores inválidos em escala log', () => {
+      const chart = new ScatterPlot({ data, x: 'gdp', y: 'life', xType: 'log' });
+      const points = chart.computePoints();
+
+      expect(points.map(p => p.index)).toEqual([0, 2]);
+      expect(points[1].datum).toBe(data[2]);
+    });
+
+    test('deve detectar escalas de tempo e tipos de cor', () => {
+      expect(new ScatterPlot({ data, x: 'date', y: 'life' }).getScaleType('x')).toBe('time');
+      expect(new ScatterPlot({ data: [{ x: 'Product 1', y: 1 }] }).getScaleType('x')).toBe('linear');
+      expect(new ScatterPlot({ data, colorField: 'region' }).getColorType()).toBe('categorical');
+      expect(new ScatterPlot({ data, colorField: 'pop' }).getColorType()).toBe('sequential');
+    });
+
+    test('deve escalar o raio pela raiz quadrada de sizeField', () => {
+      const chart = new ScatterPlot({ data, x: 'gdp', y: 'life', sizeField: 'pop', maxRadius: 30 });
+      chart.width = 400;
+      chart.height = 300;
+
+      const points = chart.computePoints();
+      chart.createScales(points);
+
+      expect(chart.getRadius(points[2])).toBeCloseTo(30);
+      expect(chart.getRadius(points[1])).toBeCloseTo(20);
+    });
+
+    test('getPointData deve retornar a linha original', () => {
+      const chart = new ScatterPlot({ data });
+      expect(chart.getPointData(1)).toBe(data[1]);
+      expect(chart.getPointData(10)).toBeNull();
+    });
+  });
+
+  describe('seleção por brush', () => {
+    const data = [
+      { x: 0, y: 0 },
+      { x: 5, y: 5 },
+      { x: 10, y: 10 }
+    ];
+
+    const createChart = (eventManager) => {
+      const chart = new ScatterPlot({ data, eventManager });
+      chart.width = 100;
+      chart.height = 100;
+      chart.points = chart.computePoints();
+      chart.createScales(chart.points);
+      return chart;
+    };
+
+    test('deve selecionar pontos em um retângulo e emitir chart:selection', () => {
+      const emit = jest.fn();
+      const chart = createChart({ emit });
+
+      // x=5 fica em 50px; y=5 fica em 50px (eixo invertido)
+      const rows = chart.selectRegion({ mode: 'rect', extent: [[40, 40], [100, 60]] });
+
+      expect(rows).toEqual([data[1]]);
+      expect(emit).toHaveBeenCalledWith('chart:selection', {
+        type: 'scatter',
+        mode: 'rect',
+        data: [data[1]],
+        indices: [1]
+      });
+    });
+
+    test('deve selecionar pontos dentro de um laço', () => {
+      const chart = createChart();
+      const rows = chart.selectRegion({ mode: 'lasso', polygon: [[-10, 110], [60, 110], [60, 40], [-10, 40]] });
+
+      expect(rows).toEqual([data[0], data[1]]);
+    });
+
+    test('filterPoints deve respeitar a seleção ativa', () => {
+      const chart = createChart();
+
+      chart.selectRegion({ mode: 'rect', extent: [[40, -10], [110, 60]] });
+      expect(chart.filterPoints(d => d.x > 5)).toEqual([data[2]]);
+      expect(chart.filterPoints()).toEqual([data[1], data[2]]);
+
+      chart.clearSelection();
+      expect(chart.filterPoints()).toEqual(data);
+    });
+
+    test('deve manter o brush nos mesmos pontos após o zoom', () => {
+      const chart = createChart();
+
+      chart.selectRegion({ mode: 'rect', extent: [[40, 40], [60, 60]] });
+      expect(chart.brushRegion.extent).toEqual([[4, 6], [6, 4]]);
+
+      // Com zoom 2x a partir da origem, o ponto (5, 5) vai de (50, 50) para (100, 100)
+      chart.applyZoomToScales();
+      chart.rescaleToTransform(d3.zoomIdentity.scale(2));
+
+      expect(chart.projectRegion(chart.brushRegion).extent).toEqual([[80, 80], [120, 120]]);
+      expect(chart.selectRegion(chart.projectRegion(chart.brushRegion))).toEqual([data[1]]);
+    });
+
+    test('deve separar o gesto de brush do gesto de pan', () => {
+      const chart = createChart();
+      expect(chart.isPanGesture({ shiftKey: true })).toBe(false);
+
+      chart.options.zoom = true;
+      expect(chart.isPanGesture({ shiftKey: true })).toBe(true);
+      expect(chart.isPanGesture({ shiftKey: false })).toBe(false);
+    });
+  });
+
+  describe('renderização em canvas', () => {
+    const data = [
+      { x: 0, y: 0 },
+      { x: 5, y: 5 },
+      { x: 10, y: 10 }
+    ];
+
+    test('deve resolver o renderer pela opção e pelo tamanho dos dados', () => {
+      expect(new ScatterPlot({ data }).getRenderer()).toBe('svg');
+      expect(new ScatterPlot({ data, renderer: 'canvas' }).getRenderer()).toBe('canvas');
+      expect(new ScatterPlot({ data, renderer: 'auto', canvasThreshold: 2 }).getRenderer()).toBe('canvas');
+      expect(new ScatterPlot({ data, renderer: 'auto' }).getRenderer()).toBe('svg');
+      expect(new AreaChart({ data, renderer: 'canvas' }).getRenderer()).toBe('svg');
+      expect(() => new ScatterPlot({ data, renderer: 'webgpu' }).getRenderer()).toThrow(/Unknown renderer/);
+    });
+
+    test('deve desenhar os pontos no canvas e encontrá-los pela quadtree', () => {
+      const chart = new ScatterPlot({ data, renderer: 'canvas' });
+      chart.width = 100;
+      chart.height = 100;
+      chart.points = chart.computePoints();
+      chart.createScales(chart.points);
+      chart.canvasContext = createContext();
+      chart.canvasPixelRatio = 2;
+
+      chart.drawPointsCanvas(chart.points);
+
+      const { calls } = chart.canvasContext;
+      expect(calls[0]).toEqual(['setTransform', 2, 0, 0, 2, 0, 0]);
+      expect(calls.filter(([name]) => name === 'fill')).toHaveLength(3);
+
+      // x=5 fica em (50, 50); o raio padrão é 4px
+      expect(chart.hitTest(52, 49).tooltip()).toBe('x: 5.00<br/>y: 5.00');
+      expect(chart.hitTest(60, 60)).toBeNull();
+
+      // A seleção redesenha o quadro para esmaecer os outros pontos
+      chart.container = {};
+      chart.applySelection([chart.points[1]]);
+      expect(calls.filter(([name]) => name === 'fill')).toHaveLength(6);
+      expect(chart.selectedKeys.has(1)).toBe(true);
+    });
+  });
 });
@@ -0,0 +1,88 @@
+// Sunburst.test.js
+// Jest test file for Sunburst component
+
+import Sunburst from '../../src/charts/Sunburst.js';
+import { buildHierarchy } from '../../src/utils/hierarchy.js';
+
+const sales = [
+  { category: 'Electronics', subcategory: 'Phones', product: 'P1', value: 30 },
+  { category: 'Electronics', subcategory: 'Phones', product: 'P2', value: 10 },
+  { category: 'Electronics', subcategory: 'Laptops', product: 'L1', value: 20 },
+  { category: 'Furniture', subcategory: 'Chairs', product: 'C1', value: 25 },
+  { category: 'Furniture', subcategory: 'Chairs', product: 'C1', value: 15 }
+];
+
+describe('Sunburst', () => {
+  test('should exist and be importable', () => {
+    expect(Sunburst).toBeDefined();
+    expect(typeof Sunburst).toBe('function');
+  });
+
+  test('should build the same hierarchy from flat rows and nested JSON', () => {
+    const flat = buildHierarchy(sales, { fields: ['category', 'subcategory', 'product'] });
+    const nested = buildHierarchy({
+      name: 'All',
+      children: [
+        { name: 'Electronics', children: [{ name: 'Phones', value: 40 }, { name: 'Laptops', value: 20 }] },
+        { name: 'Furniture', children: [{ name: 'Chairs', value: 40 }] }
+      ]
+    });
+
+    expect(flat.value).toBe(100);
+    expect(flat.height).toBe(3);
+    expect(flat.children.map(d => [d.data.name, d.value])).toEqual([['Electronics', 60], ['Furniture', 40]]);
+    expect(flat.find(d => d.data.name === 'C1').data.rows).toHaveLength(2);
+    expect(nested.children.map(d => [d.data.name, d.value])).toEqual([['Electronics', 60], ['Furniture', 40]]);
+    expect(() => buildHierarchy(sales)).toThrow(/at least one hierarchy field/);
+  });
+
+  test('should zoom into a branch and back out through the breadcrumbs', () => {
+    const events = [];
+    const chart = new Sunburst({
+      data: sales,
+      y: 'value',
+      hierarchy: ['category', 'subcategory', 'product'],
+      eventManager: { emit: (event, payload) => events.push([event, payload]) }
+    });
+
+    chart.root = chart.computeHierarchy();
+    chart.focus = chart.root;
+
+    const electronics = chart.root.children[0];
+    const furniture = chart.root.children[1];
+    const target = arc => chart.computeArcs().find(d => d.node === arc).target;
+
+    // Electronics takes 60% of the circle around the center
+    expect(target(electronics).x1).toBeCloseTo(0.6 * 2 * Math.PI);
+    expect(target(electronics).y0).toBe(1);
+
+    chart.zoomTo(electronics);
+
+    // The branch now fills the circle and becomes the center; its siblings collapse
+    expect(target(electronics)).toMatchObject({ x0: 0, y0: 0, y1: 1 });
+    expect(target(electronics.children[0]).x1).toBeCloseTo((40 / 60) * 2 * Math.PI);
+    expect(target(furniture).x1 - target(furniture).x0).toBe(0);
+    expect(chart.computeArcs().find(d => d.node === furniture).visible).toBe(false);
+    expect(chart.getBreadcrumbs().map(crumb => crumb.name)).toEqual(['All', 'Electronics']);
+    expect(events[0]).toEqual(['chart:drilldown', {
+      type: 'sunburst',
+      direction: 'down',
+      level: 1,
+      path: ['All', 'Electronics'],
+      data: sales.slice(0, 3)
+    }]);
+
+    chart.zoomTo(chart.getBreadcrumbs()[0].node);
+    expect(chart.focus).toBe(chart.root);
+    expect(events[1][1]).toMatchObject({ direction: 'up', level: 0, path: ['All'] });
+  });
+
+  test('should describe nodes by their path and shares', () => {
+    const chart = new Sunburst({ data: sales, y: 'value', hierarchy: ['category', 'subcategory'] });
+    chart.root = chart.computeHierarchy();
+
+    const phones = chart.root.children[0].children[0];
+
+    expect(chart.getTooltipContent(phones)).toBe('Electronics › Phones<br/>value: 40 (40.0%)<br/>66.7% of Electronics');
+  });
+});
@@ -0,0 +1,109 @@
+// Treemap.test.js
+// Jest test file for Treemap component
+
+import Treemap from '../../src/charts/Treemap.js';
+import AnimationEngine from '../../src/core/AnimationEngine.js';
+
+const expenses = [
+  { department: 'Sales', team: 'North', value: 40 },
+  { department: 'Sales', team: 'North', value: 20 },
+  { department: 'Sales', team: 'South', value: 20 },
+  { department: 'R&D', team: 'Platform', value: 15 },
+  { department: 'R&D', team: 'Research', value: 5 }
+];
+
+function layout(options) {
+  const chart = new Treemap({ data: expenses, y: 'value', hierarchy: ['department', 'team'], ...options });
+  chart.width = 400;
+  chart.height = 300;
+  chart.root = chart.computeHierarchy();
+  return chart;
+}
+
+describe('Treemap', () => {
+  test('should exist and be importable', () => {
+    expect(Treemap).toBeDefined();
+    expect(typeof Treemap).toBe('function');
+  });
+
+  test('should aggregate leaves like DataProcessor.groupBy', () => {
+    const summed = layout();
+    const averaged = layout({ aggregate: 'avg' });
+    const leaf = (chart, name) => chart.root.leaves().find(node => node.data.name === name);
+
+    expect(summed.root.value).toBe(100);
+    expect(leaf(summed, 'North').value).toBe(60);
+    expect(leaf(averaged, 'North').value).toBe(30);
+    expect(() => layout({ aggregate: 'mode' })).toThrow(/Unknown aggregate 'mode'/);
+  });
+
+  test('should tile with the selected method and reserve group headers', () => {
+    const squarify = layout();
+    const dice = layout({ tile: 'sliceDice' });
+    const sales = squarify.root.children[0];
+
+    // Children start below the 16px header strip of their group
+    expect(sales.children.every(node => node.y0 >= sales.y0 + 16)).toBe(true);
+
+    // Slice-dice lays the departments out as vertical columns
+    dice.root.children.forEach(node => {
+      expect(node.y0).toBe(3);
+      expect(node.y1).toBe(297);
+    });
+    expect(() => layout({ tile: 'voronoi' })).toThrow(/Unknown tile 'voronoi'/);
+  });
+
+  test('should hide labels of cells too small for them', () => {
+    const chart = layout();
+    chart.width = 120;
+    chart.height = 80;
+    chart.root = chart.computeHierarchy();
+
+    const cells = chart.computeCells();
+    const cell = name => cells.find(d => d.name === name);
+
+    expect(cell('Sales').label).toBe('Sales');
+    expect(cell('Research').label).toBeNull();
+    expect(cells.every(d => d.label === null || d.width >= d.label.length * 6.6)).toBe(true);
+    expect(layout({ labels: false }).computeCells().every(d => d.label === null)).toBe(true);
+  });
+
+  test('should animate cells through its AnimationEngine and replace named animations', async () => {
+    let time = 0;
+    let frames = [];
+    const animationEngine = new AnimationEngine({
+      now: () => time,
+      requestFrame: callback => frames.push(callback),
+      cancelFrame: () => { frames = []; }
+    });
+    const advance = (ms) => {
+      time += ms;
+      const pending = frames;
+      frames = [];
+      pending.forEach(callback => callback());
+    };
+    const element = {
+      attrs: { width: '0' },
+      getAttribute(name) { return this.attrs[name]; },
+      setAttribute(name, value) { this.attrs[name] = value; }
+    };
+
+    const chart = new Treemap({ animationEngine, animation: { duration: 100, easing: 'linear' } });
+    const first = chart.animate(element, { attr: { width: 100 } }, { name: 'treemap-resize' });
+
+    advance(50);
+    expect(element.attrs.width).toBe(50);
+
+    // A re-render takes over from the current width
+    const second = chart.animate(element, { attr: { width: 0 } }, { name: 'treemap-resize' });
+    await expect(first.finished).resolves.toBe(false);
+
+    advance(50);
+    expect(element.attrs.width).toBe(25);
+
+    chart.destroy();
+    await expect(second.finished).resolves.toBe(false);
+    expect(chart.animations.size).toBe(0);
+    expect(animationEngine.live.size).toBe(0);
+  });
+});
@@ -1,5 +1,11 @@
 import WebGL3DChart from '../../src/charts/WebGL3DChart.js';
 
+const points = [
+  { x: -10, y: -10, z: 10, value: 25, category: 'a' },
+  { x: 0, y: 0, z: 0, value: 100, category: 'b' },
+  { x: 10, y: 10, z: -10, value: 0, category: 'a' }
+];
+
 describe('WebGL3DChart', () => {
   test('should exist', () => {
     expect(WebGL3DChart).toBeDefined();
@@ -10,4 +16,136 @@ describe('WebGL3DChart', () => {
       new WebGL3DChart();
     }).not.toThrow();
   });
+
+  test('should build a scatter scene with mapped colour and size', () => {
+    const chart = new WebGL3DChart({ data: points, color: 'category', size: 'value', sizeRange: [0, 4] });
+    const scene = chart.buildScene();
+
+    expect(scene.getObjectByName('grid')).toBeDefined();
+    expect(scene.getObjectByName('axes')).toBeDefined();
+
+    const spheres = scene.getObjectByName('marks').children;
+    expect(spheres).toHaveLength(3);
+    expect(spheres[1].position.toArray()).toEqual([0, 0, 0]);
+    expect(spheres[1].scale.x).toBeCloseTo(4);
+    expect(spheres[0].scale.x).toBeCloseTo(2);
+    expect(spheres[0].material).toBe(spheres[2].material);
+    expect(spheres[0].material).not.toBe(spheres[1].material);
+  });
+
+  test('should build bars on the x/z grid and reject unknown modes', () => {
+    const data = [
+      { x: 'Q1', z: 'North', y: 10 },
+      { x: 'Q2', z: 'North', y: 20 },
+      { x: 'Q1', z: 'South', y: 5 }
+    ];
+    const chart = new WebGL3DChart({ data, mode: 'bar', color: '#ff0000' });
+    const bars = chart.buildScene().getObjectByName('marks').children;
+
+    expect(bars).toHaveLength(3);
+    expect(bars[1].scale.y).toBeCloseTo(2 * bars[0].scale.y);
+    expect(bars[1].position.y).toBeCloseTo(bars[1].scale.y / 2);
+    expect(bars[0].material.color.getHexString()).toBe('ff0000');
+
+    expect(() => new WebGL3DChart({ data, mode: 'pie' }).buildScene()).toThrow(/Disponíveis/);
+  });
+
+  test('should pick the mark under the pointer', () => {
+    const chart = new WebGL3DChart({ data: points, size: 5 });
+    chart.buildScene();
+    chart.camera = chart.createCamera(400, 300);
+
+    expect(chart.pick(0, 0).datum).toBe(points[1]);
+    expect(chart.pick(0.95, 0.95)).toBeNull();
+    expect(chart.getTooltipContent(points[1])).toBe('x: 0.00<br/>y: 0.00<br/>z: 0.00');
+  });
+
+  test('should build a surface from heatmap-style rows', () => {
+    // 3 x 3 grid with a peak in the middle and one missing cell
+    const data = [];
+    ['a', 'b', 'c'].forEach((x, i) => {
+      [1, 2, 3].forEach((y, j) => {
+        if (!(i === 2 && j === 2)) {
+          data.push({ x, y, value: i === 1 && j === 1 ? 10 : 1 });
+        }
+      });
+    });
+
+    const chart = new WebGL3DChart({ data, mode: 'surface', wireframe: true, contours: true, contourLevels: 4 });
+    const grid = chart.computeGrid();
+    expect(grid.xs).toEqual(['a', 'b', 'c']);
+    expect(grid.values[4]).toBe(10);
+    expect(grid.values[8]).toBeNaN();
+
+    const scene = chart.buildScene();
+    const surface = scene.getObjectByName('surface');
+    // 4 cells, the one touching the missing corner is left out
+    expect(surface.geometry.index.count).toBe(3 * 6);
+    expect(surface.geometry.attributes.position.getY(4)).toBeCloseTo(50);
+    expect(scene.getObjectByName('wireframe')).toBeDefined();
+
+    const contours = scene.getObjectByName('contours').children;
+    expect(contours.length).toBeGreaterThan(0);
+    contours[0].geometry.computeBoundingBox();
+    expect(contours[0].geometry.boundingBox.max.y).toBeCloseTo(-10);
+
+    chart.camera = chart.createCamera(400, 300);
+    chart.camera.position.set(0, 200, 0.001);
+    chart.camera.lookAt(0, 0, 0);
+    chart.camera.updateMatrixWorld();
+    expect(chart.pick(0, 0).datum).toEqual({ x: 'b', y: 2, value: 10 });
+  });
+
+  test('should draw large scatters as a decimating point cloud', () => {
+    const data = Array.from({ length: 3000 }, (d, i) => ({ x: i % 10, y: i % 7, z: i % 13, value: i, category: i % 3 }));
+    const chart = new WebGL3DChart({ data, color: 'category', size: 'value', maxMeshPoints: 1000, lodPoints: 500 });
+    chart.buildScene();
+
+    const cloud = chart.getPointCloud();
+    expect(chart.marks.children).toHaveLength(1);
+    expect(cloud.geometry.attributes.size.count).toBe(3000);
+    expect(cloud.geometry.attributes.color.count).toBe(3000);
+
+    // The shuffled order keeps every row exactly once
+    expect(new Set(cloud.userData.order).size).toBe(3000);
+
+    chart.setDetail(false);
+    expect(cloud.geometry.drawRange.count).toBe(500);
+    chart.setDetail(true);
+    expect(cloud.geometry.drawRange.count).toBe(Infinity);
+  });
+
+  test('should rebuild the hover index when full detail is restored', () => {
+    const data = Array.from({ length: 3000 }, (d, i) => ({ x: i % 10, y: i % 7, z: i % 13 }));
+    const chart = new WebGL3DChart({ data, maxMeshPoints: 1000, lodPoints: 500 });
+    chart.buildScene();
+    chart.camera = chart.createCamera(400, 300);
+    const cloud = chart.getPointCloud();
+
+    // Hovering while orbiting indexes only the reduced draw range
+    chart.setDetail(false);
+    expect(chart.getPointIndex(cloud).size()).toBeLessThanOrEqual(500);
+
+    chart.setDetail(true);
+    expect(chart.pointIndex).toBeNull();
+    expect(chart.getPointIndex(cloud).size()).toBeGreaterThan(500);
+  });
+
+  test('should hover point clouds through a screen-space index', () => {
+    const chart = new WebGL3DChart({ data: points, size: 2, maxMeshPoints: 0 });
+    chart.buildScene();
+    chart.camera = chart.createCamera(400, 300);
+
+    expect(chart.pick(0, 0).datum).toBe(points[1]);
+    expect(chart.pick(0.95, 0.95)).toBeNull();
+  });
+
+  test('should derive limits from the WebGL capabilities', () => {
+    const chart = new WebGL3DChart();
+    expect(chart.getLimits()).toEqual({ maxPointSize: 64, maxPixelRatio: Infinity });
+
+    chart.capabilities = { maxTextureSize: 4096, maxPointSize: 256 };
+    chart.viewport = { width: 2048, height: 1024 };
+    expect(chart.getLimits()).toEqual({ maxPointSize: 256, maxPixelRatio: 2 });
+  });
 });
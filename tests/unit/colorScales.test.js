@@ -0,0 +1,21 @@
+// Jest test for the color scale utilities
+import * as d3 from 'd3';
+import { createColorScale, getContrastColor, getSchemeColors } from '../../src/utils/colorScales.js';
+
+describe('colorScales', () => {
+  test('should return palettes from sized, categorical and continuous schemes', () => {
+    expect(getSchemeColors('Blues', 4)).toEqual(d3.schemeBlues[4]);
+    expect(getSchemeColors('Category10', 3)).toEqual(d3.schemeCategory10.slice(0, 3));
+    expect(getSchemeColors('Set3', 14)).toEqual([...d3.schemeSet3, ...d3.schemeSet3.slice(0, 2)]);
+    expect(getSchemeColors('Viridis', 3)).toEqual(d3.quantize(d3.interpolateViridis, 3));
+    expect(() => getSchemeColors('Plaid', 3)).toThrow(/Unknown color scheme 'Plaid'/);
+  });
+
+  test('should build discrete scales from categorical schemes and pick contrasting text', () => {
+    const scale = createColorScale([0, 10], { type: 'quantize', scheme: 'Tableau10', classes: 4 });
+
+    expect(scale.range()).toEqual(d3.schemeTableau10.slice(0, 4));
+    expect(getContrastColor('#ffffff')).toBe('#222');
+    expect(getContrastColor('#08306b')).toBe('#fff');
+  });
+});
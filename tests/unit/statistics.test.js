@@ -0,0 +1,44 @@
+// Jest test for the statistics utilities
+import { calculateDistanceMatrix, clusterHierarchical, getLeafOrder, orderMatrix } from '../../src/utils/statistics.js';
+
+describe('statistics', () => {
+  const rows = [[1, 2, 3], [10, 10, 10], [1, 2, 4], [11, 10, 10]];
+
+  test('should compute euclidean and correlation distances', () => {
+    const euclidean = calculateDistanceMatrix([[0, 0], [3, 4]]);
+    const correlation = calculateDistanceMatrix([[1, 2, 3], [2, 4, 6], [3, 2, 1]], 'correlation');
+
+    expect(euclidean).toEqual([[0, 5], [5, 0]]);
+    expect(correlation[0][1]).toBeCloseTo(0);
+    expect(correlation[0][2]).toBeCloseTo(2);
+    expect(() => calculateDistanceMatrix(rows, 'cosine')).toThrow(/Unknown distance 'cosine'/);
+  });
+
+  test('should merge the closest clusters first for every linkage', () => {
+    ['single', 'complete', 'average'].forEach(linkage => {
+      const tree = clusterHierarchical(rows, { linkage });
+
+      expect(tree.size).toBe(4);
+      expect(getLeafOrder(tree)).toEqual([0, 2, 1, 3]);
+      expect(tree.children.map(child => child.height)).toEqual([1, 1]);
+    });
+
+    // Distance between {0, 2} and {1, 3} per linkage
+    const height = linkage => clusterHierarchical(rows, { linkage }).height;
+    expect(height('single')).toBeLessThan(height('average'));
+    expect(height('average')).toBeLessThan(height('complete'));
+    expect(() => clusterHierarchical(rows, { linkage: 'ward' })).toThrow(/Unknown linkage 'ward'/);
+  });
+
+  test('should order matrix rows by each sort mode', () => {
+    const labels = ['b', 'D', 'a', 'c'];
+    const order = sort => orderMatrix(labels, rows, { sort }).order;
+
+    expect(order('none')).toEqual(labels);
+    expect(order('alphabetical')).toEqual(['a', 'b', 'c', 'D']);
+    expect(order('sum')).toEqual(['c', 'D', 'a', 'b']);
+    expect(order('cluster')).toEqual(['b', 'a', 'D', 'c']);
+    expect(orderMatrix(labels, rows, { sort: 'sum' }).tree).toBeNull();
+    expect(() => order('random')).toThrow(/Unknown sort 'random'/);
+  });
+});